@@ -0,0 +1,107 @@
+// public/sw.js
+// Service worker for the installable app. It keeps the app shell (index.html,
+// the built /assets/ files, manifest and icons) and the last /api/storage-sync
+// response so the site opens without a connection. Files saved for offline
+// reading live in their own cache ("sncop-offline-files"), which the page
+// manages (src/services/offlineFiles.ts) and this worker never touches.
+
+const VERSION = 'v1';
+const SHELL_CACHE = `sncop-shell-${VERSION}`;
+const DATA_CACHE = `sncop-data-${VERSION}`;
+const SHELL_FILES = ['/index.html', '/manifest.webmanifest', '/icon.svg', '/icon-192.png', '/icon-512.png'];
+// Old hashed bundles pile up across deploys; keep the shell cache to this many entries
+const MAX_SHELL_ENTRIES = 80;
+
+// The built index.html names the hashed bundles it needs; cache those along with it
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const index = await fetch('/index.html', { cache: 'no-store' });
+  if (!index.ok) throw new Error(`index.html: HTTP ${index.status}`);
+
+  const html = await index.clone().text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+  await cache.put('/index.html', index);
+  await cache.addAll([...SHELL_FILES.filter(file => file !== '/index.html'), ...assets]);
+};
+
+const trimCache = async (name, maxEntries) => {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  // keys() lists in insertion order, oldest first
+  await Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map(key => cache.delete(key)));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const current = [SHELL_CACHE, DATA_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => (name.startsWith('sncop-shell-') || name.startsWith('sncop-data-')) && !current.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Pages: always try the network so a new deploy shows up, fall back to the cached shell
+const navigate = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok && (response.headers.get('Content-Type') || '').includes('text/html')) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match('/index.html', { cacheName: SHELL_CACHE });
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Hashed bundles never change, so a cached copy is always right
+const shellFile = async (request) => {
+  const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(request, response.clone());
+    trimCache(SHELL_CACHE, MAX_SHELL_ENTRIES);
+  }
+  return response;
+};
+
+// The storage listing: fresh when online, the last one seen when not
+const storageSync = async (request) => {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (request.mode === 'navigate' && sameOrigin && !url.pathname.startsWith('/api/')) {
+    event.respondWith(navigate(request));
+  } else if (/\/storage-sync(\/|$)/.test(url.pathname)) {
+    // The API may live on another origin (VITE_API_BASE_URL)
+    event.respondWith(storageSync(request));
+  } else if (sameOrigin && (url.pathname.startsWith('/assets/') || SHELL_FILES.includes(url.pathname))) {
+    event.respondWith(shellFile(request));
+  }
+});
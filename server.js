@@ -8,6 +8,30 @@ import { fileURLToPath } from 'url';
 import nodemailer from "nodemailer";
 import dotenv from "dotenv";
 import jwt from "jsonwebtoken";
+import { createCatalog, CATEGORY_BACKUP_KEYS } from './server/catalog.js';
+import { importLegacyCatalog, registerUntrackedFiles } from './server/legacyImport.js';
+import { pipeline } from 'stream/promises';
+import { createSerialQueue, formatFileSize, getFileType, mimeTypeFor, sha256File } from './server/utils.js';
+import { createUploadSessions } from './server/chunkedUploads.js';
+import { importZipArchive } from './server/zipImport.js';
+import { createSearchIndex } from './server/searchIndex.js';
+import { extractText, closeExtractors } from './server/textExtraction.js';
+import { createThumbnails } from './server/thumbnails.js';
+import { createVersions } from './server/versions.js';
+import { createTrash } from './server/trash.js';
+import { createRestructure, checkFolderName } from './server/restructure.js';
+import { createLiveEvents } from './server/liveEvents.js';
+import { createStorage } from './server/storage.js';
+import { createDownloadLinks } from './server/downloadLinks.js';
+import { createAuditLog } from './server/auditLog.js';
+import { createRateLimiter, describeWait } from './server/rateLimits.js';
+import { createProofOfWork } from './server/proofOfWork.js';
+import { EMAIL_LANGUAGES, renderEmail } from './server/emailTemplates.js';
+import { createMailOutbox, MAIL_STATUSES } from './server/mailOutbox.js';
+import { createAnalytics } from './server/analytics.js';
+import { createVirusScanner } from './server/virusScan.js';
+import { createUploadScreening } from './server/uploadScreening.js';
+import { RESOURCE_TYPES, UNIT_TYPES, getResourceType, hasUnits, readMetadata, readMetadataFilter, resourceDir, unitFor } from './server/resourceTypes.js';
 
 dotenv.config();
 
@@ -19,10 +43,16 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware - body parsers BEFORE multer, but multer handles multipart
-app.use(cors());
-app.use(express.urlencoded({ limit: '50gb', extended: true }));
-app.use(express.json({ limit: '50gb' }));
-app.use(express.raw({ type: 'application/octet-stream', limit: '50gb' }));
+// PDF viewers on the frontend's origin need to see these to make Range requests
+app.use(cors({ exposedHeaders: ['Accept-Ranges', 'Content-Range', 'Content-Length', 'ETag', 'Retry-After'] }));
+// Behind a reverse proxy, rate limits need the client's address from X-Forwarded-For
+// (TRUST_PROXY=1 trusts one proxy hop; see Express's "trust proxy" setting)
+const { TRUST_PROXY } = process.env;
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
+app.use(express.urlencoded({ limit: '10mb', extended: true }));
+app.use(express.json({ limit: '10mb' }));
 
 const {
   SMTP_HOST,
@@ -41,14 +71,19 @@ if (!JWT_SECRET) {
   console.error("❌ ERROR: Missing JWT_SECRET in .env");
 }
 
+if (!process.env.DOWNLOAD_LINK_SECRET) {
+  console.warn("⚠️ DOWNLOAD_LINK_SECRET not set: download links will stop working whenever the server restarts");
+}
+
 const mailer = nodemailer.createTransport({
   host: SMTP_HOST,
   port: Number(SMTP_PORT),
   secure: Number(SMTP_PORT) === 465,
-  auth: {
+  // Local capturing servers (Mailpit, MailHog) take mail without logging in
+  auth: SMTP_USER ? {
     user: SMTP_USER,
     pass: SMTP_PASS,
-  },
+  } : undefined,
 });
 
 
@@ -62,229 +97,274 @@ app.use((req, res, next) => {
 // Storage directory
 const STORAGE_DIR = path.join(__dirname, 'storage');
 const METADATA_FILE = path.join(__dirname, 'file-metadata.json');
-
-// Ensure storage directory exists
+const LEGACY_BACKUP_FILE = path.join(STORAGE_DIR, 'sncop-backup.json');
+const CATALOG_DB = process.env.CATALOG_DB || path.join(__dirname, 'data', 'sncop-catalog.db');
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(__dirname, 'data', 'uploads');
+const UPLOAD_SESSION_TTL_MS = Number(process.env.UPLOAD_SESSION_TTL_HOURS || 24) * 60 * 60 * 1000;
+const IMPORT_TMP_DIR = process.env.IMPORT_TMP_DIR || path.join(__dirname, 'data', 'imports');
+// Every upload (direct, chunked, ZIP entry) waits here until it passes the content checks (server/uploadScreening.js)
+const QUARANTINE_DIR = process.env.QUARANTINE_DIR || path.join(__dirname, 'data', 'quarantine');
+// "clamd" sends uploads to a ClamAV daemon (CLAMD_SOCKET, or CLAMD_HOST + CLAMD_PORT); "command" runs VIRUS_SCAN_COMMAND; "off" skips the virus check
+const VIRUS_SCAN = ['clamd', 'command'].includes(process.env.VIRUS_SCAN) ? process.env.VIRUS_SCAN : 'off';
+const VIRUS_SCAN_TIMEOUT_SECONDS = Number(process.env.VIRUS_SCAN_TIMEOUT_SECONDS || 60);
+// The PDF structure check holds the whole file in memory; bigger PDFs are rejected instead
+const PDF_CHECK_MAX_SIZE_MB = Number(process.env.PDF_CHECK_MAX_SIZE_MB || 200);
+const IMPORT_MAX_SIZE_MB = Number(process.env.IMPORT_MAX_SIZE_MB || 1024);
+// "block" refuses a second copy of a file within a subject until the admin picks link / upload anyway; "warn" stores it and says so
+const DUPLICATE_POLICY = process.env.DUPLICATE_POLICY === 'warn' ? 'warn' : 'block';
+// Deleted files and subjects stay restorable for this many days; 0 keeps them until purged by hand
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+// "local" keeps files under STORAGE_DIR; "s3" keeps them in an S3-compatible bucket (S3_* settings)
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER === 's3' ? 's3' : 'local';
+// Files are only served through signed links, handed to logged-in users, that expire after roughly this long
+const DOWNLOAD_LINK_TTL_MINUTES = Number(process.env.DOWNLOAD_LINK_TTL_MINUTES || 120);
+// Plain /storage/... URLs bypass the signed links, so they stay off unless asked for (local driver only)
+const PUBLIC_STORAGE = process.env.PUBLIC_STORAGE === 'true';
+// Login, register, forgot-password and notification routes: requests per IP address per window
+const RATE_LIMIT_WINDOW_MINUTES = Number(process.env.RATE_LIMIT_WINDOW_MINUTES || 15);
+const RATE_LIMIT_PER_IP = Number(process.env.RATE_LIMIT_PER_IP || 30);
+// Emails the server sends to any one address per hour (welcome, password reset, profile changes)
+const EMAILS_PER_ADDRESS_PER_HOUR = Number(process.env.EMAILS_PER_ADDRESS_PER_HOUR || 3);
+// An account stops accepting logins for a while after this many wrong passwords
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+// Zero bits the public forms' proof of work has to find (each one doubles the work); 0 turns it off
+const PROOF_OF_WORK_DIFFICULTY = Number(process.env.PROOF_OF_WORK_DIFFICULTY ?? 16);
+// Emails go through an outbox; a failed send is retried after 1, 2, 4... x MAIL_RETRY_BASE_SECONDS, up to MAIL_MAX_ATTEMPTS tries
+const MAIL_MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS || 8);
+const MAIL_RETRY_BASE_SECONDS = Number(process.env.MAIL_RETRY_BASE_SECONDS || 60);
+// Sent and failed emails stay in the admin's delivery list this many days
+const MAIL_RETENTION_DAYS = Number(process.env.MAIL_RETENTION_DAYS || 30);
+// The analytics dashboard lists resources nobody has opened in this many days (roughly a semester)
+const ANALYTICS_SEMESTER_DAYS = Number(process.env.ANALYTICS_SEMESTER_DAYS || 180);
+// Emails are in the browser's language when it asks for one we have (en, hi), otherwise this one
+const EMAIL_DEFAULT_LANGUAGE = EMAIL_LANGUAGES.includes(process.env.EMAIL_DEFAULT_LANGUAGE) ? process.env.EMAIL_DEFAULT_LANGUAGE : 'en';
+
+// With either driver, files are addressed by their path under STORAGE_DIR (that's what the catalog stores)
+let storage;
 try {
-  fs.ensureDirSync(STORAGE_DIR);
+  storage = await createStorage({
+    driver: STORAGE_DRIVER,
+    root: STORAGE_DIR,
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      prefix: process.env.S3_PREFIX,
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    }
+  });
 } catch (error) {
-  console.error('Failed to create storage directory:', error);
+  console.error('Failed to set up storage:', error);
   process.exit(1);
 }
 
-// Load existing metadata from file
-let fileMetadata = new Map();
-let subjectsMetadata = [];
-let fullBackupData = {
-  subjects: [],
-  notes: [],
-  practiceTests: [],
-  practicals: [],
-  assignments: [],
-  lastBackup: null
-};
+// Open the catalog database; the old JSON metadata files are imported once on first start
+const catalog = createCatalog({ dbFile: CATALOG_DB, storageDir: STORAGE_DIR });
+
+try {
+  await importLegacyCatalog(catalog, storage, {
+    metadataFile: METADATA_FILE,
+    backupFile: LEGACY_BACKUP_FILE
+  });
+  await registerUntrackedFiles(catalog, storage);
+  console.log(`Catalog ready: ${catalog.listSubjects().length} subjects, ${catalog.listResources().length} resources`);
+} catch (error) {
+  console.error('Failed to initialise catalog:', error);
+  process.exit(1);
+}
 
-// Function to save metadata to file (moved up to avoid TDZ error)
-const saveMetadata = () => {
+// The change log behind /api/changes only needs the latest entry per subject/resource
+catalog.compactChanges();
+setInterval(() => {
   try {
-    const metadataObj = Object.fromEntries(fileMetadata);
-    fs.writeFileSync(METADATA_FILE, JSON.stringify(metadataObj, null, 2));
-    
-    // Also save full backup data to storage folder
-    const FULL_BACKUP_FILE = path.join(STORAGE_DIR, 'sncop-backup.json');
-    const backupData = {
-      ...fullBackupData,
-      lastBackup: new Date().toISOString()
-    };
-    fs.writeFileSync(FULL_BACKUP_FILE, JSON.stringify(backupData, null, 2));
+    catalog.compactChanges();
   } catch (error) {
-    console.error('Error saving metadata file:', error);
+    console.error('Failed to compact the change log:', error);
   }
-};
+}, 60 * 60 * 1000).unref();
 
-try {
-  if (fs.existsSync(METADATA_FILE)) {
-    const metadataJson = fs.readFileSync(METADATA_FILE, 'utf8');
-    const metadataObj = JSON.parse(metadataJson);
-    fileMetadata = new Map(Object.entries(metadataObj));
-    console.log(`Loaded ${fileMetadata.size} file metadata entries`);
-  }
-  
-  // Load full backup data
-  const FULL_BACKUP_FILE = path.join(STORAGE_DIR, 'sncop-backup.json');
-  if (fs.existsSync(FULL_BACKUP_FILE)) {
-    const backupJson = fs.readFileSync(FULL_BACKUP_FILE, 'utf8');
-    fullBackupData = JSON.parse(backupJson);
-    
-    // Ensure assignments array exists
-    if (!fullBackupData.assignments) {
-      fullBackupData.assignments = [];
-    }
-    
-    console.log(`Loaded backup data with ${fullBackupData.subjects.length} subjects, ${fullBackupData.notes.length} notes, ${fullBackupData.practiceTests.length} practice tests, ${fullBackupData.practicals.length} practicals, ${fullBackupData.assignments.length} assignments`);
+// Partial chunked uploads are kept until they go untouched for UPLOAD_SESSION_TTL_HOURS
+const uploadSessions = createUploadSessions({
+  db: catalog.db,
+  dir: UPLOAD_TMP_DIR,
+  ttlMs: UPLOAD_SESSION_TTL_MS
+});
+uploadSessions.purgeExpired();
+setInterval(() => {
+  try {
+    uploadSessions.purgeExpired();
+  } catch (error) {
+    console.error('Failed to purge upload sessions:', error);
   }
-} catch (error) {
-  console.error('Error loading metadata file:', error);
-  fileMetadata = new Map();
-  fullBackupData = {
-    subjects: [],
-    notes: [],
-    practiceTests: [],
-    practicals: [],
-    assignments: [],
-    lastBackup: null
-  };
-}
-
-// Populate fileMetadata from fullBackupData if entries are missing
-const initialSize = fileMetadata.size;
-
-if (fullBackupData.notes) {
-  fullBackupData.notes.forEach(note => {
-    const metadataKey = `${note.subject}-notes-${note.unit}-${note.storedFileName}`;
-    if (!fileMetadata.has(metadataKey)) {
-      fileMetadata.set(metadataKey, {
-        title: note.title,
-        description: note.description,
-        originalFileName: note.fileName
-      });
-    }
-  });
-}
+}, 60 * 60 * 1000).unref();
 
-if (fullBackupData.practiceTests) {
-  fullBackupData.practiceTests.forEach(test => {
-    const metadataKey = `${test.subject}-practice-tests--${test.storedFileName}`;
-    if (!fileMetadata.has(metadataKey)) {
-      fileMetadata.set(metadataKey, {
-        title: test.title,
-        description: test.description,
-        originalFileName: test.fileName
-      });
-    }
-  });
-}
+// Text inside PDFs (and OCR of images) is indexed in the background after each upload
+const searchIndex = createSearchIndex({
+  db: catalog.db,
+  catalog,
+  extractText: (filePath, fileType) => storage.withLocalFile(filePath, localPath => extractText(localPath, fileType))
+});
+searchIndex.backfill();
 
-if (fullBackupData.practicals) {
-  fullBackupData.practicals.forEach(practical => {
-    const metadataKey = `${practical.subject}-practicals--${practical.storedFileName}`;
-    if (!fileMetadata.has(metadataKey)) {
-      fileMetadata.set(metadataKey, {
-        title: practical.title,
-        description: practical.description,
-        originalFileName: practical.fileName
-      });
-    }
-  });
-}
+// PDF first pages and image previews for the resource cards, also rendered in the background
+const thumbnails = createThumbnails({ catalog, storage });
+thumbnails.backfill().catch(error => console.error('Failed to queue thumbnails:', error));
 
-if (fullBackupData.assignments) {
-  fullBackupData.assignments.forEach(assignment => {
-    const metadataKey = `${assignment.subject}-assignments--${assignment.storedFileName}`;
-    if (!fileMetadata.has(metadataKey)) {
-      fileMetadata.set(metadataKey, {
-        title: assignment.title,
-        description: assignment.description,
-        originalFileName: assignment.fileName
-      });
-    }
-  });
-}
+// Replacing a resource's file keeps earlier versions in a hidden .versions folder next to it
+const versions = createVersions({ db: catalog.db, catalog, storage, storageDir: STORAGE_DIR });
 
-// Reconstruct subjects from notes, practiceTests, practicals, and assignments if subjects array is empty
-if (fullBackupData.subjects.length === 0) {
-  const allSubjects = new Set();
-  
-  fullBackupData.notes.forEach(note => {
-    if (note.subject) allSubjects.add(note.subject);
-  });
-  
-  fullBackupData.practiceTests.forEach(test => {
-    if (test.subject) allSubjects.add(test.subject);
-  });
-  
-  fullBackupData.practicals.forEach(practical => {
-    if (practical.subject) allSubjects.add(practical.subject);
-  });
-  
-  fullBackupData.assignments.forEach(assignment => {
-    if (assignment.subject) allSubjects.add(assignment.subject);
-  });
-  
-  allSubjects.forEach(subject => {
-    const units = new Set();
-    fullBackupData.notes
-      .filter(note => note.subject === subject && note.unit)
-      .forEach(note => units.add(note.unit));
-    
-    fullBackupData.subjects.push({
-      id: Date.now().toString() + Math.random().toString(36).slice(2),
-      name: subject,
-      units: Array.from(units)
-    });
-  });
-  
-  console.log(`Reconstructed ${fullBackupData.subjects.length} subjects from backup data`);
-}
+// Who changed what, for the AdminPanel's Activity tab (see AUDIT LOG below)
+const auditLog = createAuditLog({ db: catalog.db });
 
-if (fileMetadata.size > initialSize || fullBackupData.subjects.length > 0) {
-  saveMetadata();
+// Every email is rendered from server/emailTemplates.js and queued here (see EMAIL OUTBOX below)
+const mailOutbox = createMailOutbox({
+  db: catalog.db,
+  transport: mailer,
+  from: SMTP_FROM,
+  maxAttempts: MAIL_MAX_ATTEMPTS,
+  retryBaseSeconds: MAIL_RETRY_BASE_SECONDS
+});
+const deliverMail = () => mailOutbox.deliverDue().catch(error => console.error('Mail delivery failed:', error));
+deliverMail();
+setInterval(deliverMail, 30 * 1000).unref();
+setInterval(() => mailOutbox.purgeOlderThan(MAIL_RETENTION_DAYS), 24 * 60 * 60 * 1000).unref();
+
+// Views and downloads through /api/files, for the AdminPanel's Analytics tab and Home's trending strip
+const analytics = createAnalytics({ catalog });
+const rollUpAnalytics = () => {
+  try {
+    analytics.rollUp();
+  } catch (error) {
+    console.error('Failed to roll up analytics:', error);
+  }
+};
+rollUpAnalytics();
+setInterval(rollUpAnalytics, 60 * 60 * 1000).unref();
+
+// Uploads only reach storage after passing the magic-byte, PDF structure and virus checks
+const virusScanner = createVirusScanner({
+  driver: VIRUS_SCAN,
+  socketPath: process.env.CLAMD_SOCKET,
+  host: process.env.CLAMD_HOST,
+  port: process.env.CLAMD_PORT ? Number(process.env.CLAMD_PORT) : undefined,
+  command: process.env.VIRUS_SCAN_COMMAND,
+  timeoutMs: VIRUS_SCAN_TIMEOUT_SECONDS * 1000
+});
+if (virusScanner.driver === 'off') {
+  console.warn("⚠️ VIRUS_SCAN not set: uploads are checked for file type and PDF scripts, but not scanned for viruses");
 }
+const uploadScreening = createUploadScreening({
+  quarantineDir: QUARANTINE_DIR,
+  scan: virusScanner.scan,
+  maxPdfSize: PDF_CHECK_MAX_SIZE_MB * 1024 * 1024
+});
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    try {
-      let subject = req.headers['x-subject'] || '';
-      subject = String(subject).trim();
-
-      let type = req.headers['x-type'] || '';
-      type = String(type).trim();
-
-      let unit = req.headers['x-unit'] || '';
-      unit = String(unit).trim();
+const emailLanguageFor = (req) =>
+  req.acceptsLanguages(EMAIL_DEFAULT_LANGUAGE, ...EMAIL_LANGUAGES.filter(language => language !== EMAIL_DEFAULT_LANGUAGE))
+  || EMAIL_DEFAULT_LANGUAGE;
 
-      console.log('Early destination params:', { subject, type, unit });
+// Renders `template` in the language the request's browser prefers and queues it
+const sendEmail = (req, { to, template, data }) => {
+  const language = emailLanguageFor(req);
+  return mailOutbox.enqueue({ to, template, language, ...renderEmail(template, language, data) });
+};
 
-      if (!subject || !type) {
-        const tempPath = path.join(STORAGE_DIR, 'temp');
-        fs.ensureDirSync(tempPath);
-        console.log('Using temp directory, will move file after parsing body');
-        return cb(null, tempPath);
-      }
+// Deleted resources and subjects wait in storage/.trash until restored or purged
+const trash = createTrash({
+  db: catalog.db,
+  catalog,
+  versions,
+  storage,
+  storageDir: STORAGE_DIR,
+  retentionDays: TRASH_RETENTION_DAYS
+});
+const purgeExpiredTrash = () => trash.purgeExpired()
+  .then(purged => {
+    if (purged > 0) {
+      auditLog.record({ actor: null, action: 'trash.expire', target: { type: 'trash', id: null, label: 'Trash' }, after: { purged } });
+    }
+  })
+  .catch(error => console.error('Failed to purge expired trash:', error));
+purgeExpiredTrash();
+setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
 
-      if (!type) {
-        return cb(new Error('Type is required'));
-      }
+// Renaming subjects/units and moving resources keeps disk and catalog in step
+const restructure = createRestructure({ catalog, versions, storage, storageDir: STORAGE_DIR });
 
-      let uploadPath;
+const downloadLinks = createDownloadLinks({
+  secret: process.env.DOWNLOAD_LINK_SECRET,
+  ttlSeconds: DOWNLOAD_LINK_TTL_MINUTES * 60
+});
+// What a download link's signature covers: the file, plus the anonymised user it was issued to and
+// whether it is for viewing or downloading (so analytics can't be skewed by editing the URL)
+const downloadTarget = ({ subject, type, unit, filename }, { viewer = '', purpose = 'view' } = {}) =>
+  [[subject, type, unit || '', filename].join('/'), viewer, purpose].join('\n');
+
+const DOWNLOAD_PURPOSES = ['view', 'download'];
+
+// Abuse protection for the auth and email routes (limits are per server process)
+const requestsPerIp = createRateLimiter({ max: RATE_LIMIT_PER_IP, windowMs: RATE_LIMIT_WINDOW_MINUTES * 60 * 1000 });
+const emailsPerAddress = createRateLimiter({ max: EMAILS_PER_ADDRESS_PER_HOUR, windowMs: 60 * 60 * 1000 });
+const loginFailures = createRateLimiter({
+  max: LOGIN_MAX_FAILURES,
+  windowMs: LOGIN_LOCKOUT_MINUTES * 60 * 1000,
+  blockMs: LOGIN_LOCKOUT_MINUTES * 60 * 1000
+});
+const proofOfWork = createProofOfWork({
+  secret: process.env.PROOF_OF_WORK_SECRET || process.env.DOWNLOAD_LINK_SECRET,
+  difficulty: PROOF_OF_WORK_DIFFICULTY,
+  ttlSeconds: 10 * 60
+});
+setInterval(() => {
+  requestsPerIp.prune();
+  emailsPerAddress.prune();
+  loginFailures.prune();
+  proofOfWork.prune();
+}, 10 * 60 * 1000).unref();
+
+// Resources catalogued before content hashing (or copied into storage/ by hand) get their checksum in the background
+const hashQueue = createSerialQueue(async (id) => {
+  const resource = catalog.getResourceById(id);
+  if (!resource || resource.sha256 || !await storage.exists(resource.filePath)) return;
+  try {
+    catalog.setResourceHash(id, await storage.withLocalFile(resource.filePath, sha256File));
+  } catch (error) {
+    console.error(`Failed to hash "${resource.title}":`, error.message);
+  }
+}, 'Content hashing');
+catalog.listResources()
+  .filter(resource => !resource.sha256)
+  .forEach(resource => hashQueue.push(resource.id));
+
+// ZIP imports and quarantined uploads are processed within their request, so anything left here is from a crash
+fs.emptyDirSync(IMPORT_TMP_DIR);
+fs.emptyDirSync(QUARANTINE_DIR);
+
+// "My Notes (v2).pdf" -> "My_Notes__v2__1759263312939.pdf"
+const makeStoredFileName = (originalName) => {
+  const timestamp = Date.now();
+  const ext = path.extname(originalName);
+  const name = path.basename(originalName, ext);
+  const sanitizedName = name.replace(/[^a-zA-Z0-9\-_]/g, '_');
+  return `${sanitizedName}_${timestamp}${ext}`;
+};
 
-      if (type === 'notes' && unit) {
-        uploadPath = path.join(STORAGE_DIR, subject, 'notes', unit);
-      } else if (type === 'practice-tests') {
-        uploadPath = path.join(STORAGE_DIR, subject, 'practice-tests');
-      } else if (type === 'practicals') {
-        uploadPath = path.join(STORAGE_DIR, subject, 'practicals');
-      } else if (type === 'assignments') {
-        uploadPath = path.join(STORAGE_DIR, subject, 'assignments');
-      } else {
-        return cb(new Error(`Invalid type: ${type}${type === 'notes' && !unit ? ' (unit required for notes)' : ''}`));
-      }
+const isAllowedUpload = (originalName, mimeType) => {
+  const allowedTypes = /pdf|jpeg|jpg|png|gif/;
+  const extname = allowedTypes.test(path.extname(originalName).toLowerCase());
+  const mimetype = allowedTypes.test(mimeType || '');
+  return extname && mimetype;
+};
 
-      fs.ensureDirSync(uploadPath);
-      console.log(`Created/verified directory: ${uploadPath}`);
-      cb(null, uploadPath);
-    } catch (error) {
-      console.error('Error in multer destination:', error);
-      cb(error);
-    }
-  },
+// Configure multer for file uploads; they land in quarantine and registerUpload() puts them into storage once screened
+const uploadStorage = multer.diskStorage({
+  destination: QUARANTINE_DIR,
   filename: (req, file, cb) => {
     try {
-      const timestamp = Date.now();
-      const ext = path.extname(file.originalname);
-      const name = path.basename(file.originalname, ext);
-      const sanitizedName = name.replace(/[^a-zA-Z0-9\-_]/g, '_');
-      const filename = `${sanitizedName}_${timestamp}${ext}`;
+      const filename = makeStoredFileName(file.originalname);
       console.log(`Generated filename: ${filename}`);
       cb(null, filename);
     } catch (error) {
@@ -295,14 +375,10 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({ 
-  storage,
+  storage: uploadStorage,
   fileFilter: (req, file, cb) => {
     try {
-      const allowedTypes = /pdf|jpeg|jpg|png|gif/;
-      const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-      const mimetype = allowedTypes.test(file.mimetype);
-      
-      if (mimetype && extname) {
+      if (isAllowedUpload(file.originalname, file.mimetype)) {
         console.log(`File accepted: ${file.originalname} (${file.mimetype})`);
         return cb(null, true);
       } else {
@@ -316,58 +392,526 @@ const upload = multer({
   }
 });
 
-// Utility function to format file size
-const formatFileSize = (bytes) => {
-  if (!bytes) return '0 Bytes';
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return `${parseFloat((bytes / Math.pow(k, i)).toFixed(2))} ${sizes[i]}`;
+// Returns an error message for missing catalog fields, or null when the upload can be registered
+const validateUploadFields = ({ title, subject, type, unit, metadata } = {}) => {
+  if (!title || !String(title).trim()) return 'Title is required';
+  if (!subject || !String(subject).trim()) return 'Subject is required';
+  if (!type || !String(type).trim()) return 'Type is required';
+
+  const resourceType = getResourceType(type);
+  if (!resourceType) return `Invalid type: ${type}`;
+  if (resourceType.hasUnits && (!unit || !String(unit).trim())) return `Unit is required for ${resourceType.label.toLowerCase()}`;
+  return readMetadata(resourceType.id, metadata).error || null;
+};
+
+// Folder in storage for files of `type` (null for an unknown type, or a unit type without a unit)
+const getUploadDir = (type, subject, unit) => {
+  const dir = resourceDir(subject, type, unit);
+  return dir && path.join(STORAGE_DIR, dir);
+};
+
+// Paths built from request parameters ("..", "%2E%2E") must never leave the storage folder
+const isInsideStorage = (filePath) => {
+  const relative = path.relative(STORAGE_DIR, path.resolve(filePath));
+  return Boolean(relative) && !path.isAbsolute(relative) && relative.split(path.sep)[0] !== '..';
+};
+
+// Where a file the catalog doesn't know would be stored; folders that aren't a type are taken literally.
+// null when the parameters point outside storage
+const uncataloguedFilePath = (subject, type, unit, filename) => {
+  const filePath = path.join(getUploadDir(type, subject, unit) || path.join(STORAGE_DIR, subject, type), filename);
+  return isInsideStorage(filePath) ? filePath : null;
+};
+
+// Other spellings older versions used for the subject or unit folder (spaces as _ or -, lower case)
+const legacyFilePaths = (subject, type, unit, filename) => {
+  const spellings = (name) => [name.replace(/\s+/g, '_'), name.replace(/\s+/g, '-'), name.toLowerCase()];
+  const resourceType = getResourceType(type);
+  if (resourceType?.hasUnits) {
+    return unit
+      ? spellings(unit).map(spelling => path.join(STORAGE_DIR, subject, resourceType.folder, spelling, filename)).filter(isInsideStorage)
+      : [];
+  }
+  return spellings(subject).map(spelling => path.join(STORAGE_DIR, spelling, resourceType?.folder || type, filename)).filter(isInsideStorage);
+};
+
+// Moves an uploaded file from its temporary path into its subject folder in storage and records it in the catalog
+const registerUpload = async ({ sourcePath, storedFileName, originalName, size, sha256, uploadedBy, fields }) => {
+  const subject = fields.subject.trim();
+  const type = fields.type.trim();
+  const unit = unitFor(type, fields.unit);
+
+  const filePath = path.join(getUploadDir(type, subject, unit), storedFileName);
+  await storage.putFile(filePath, sourcePath);
+  console.log(`Stored file at: ${filePath}`);
+
+  const saved = catalog.saveResource({
+    id: Date.now().toString(),
+    subject,
+    unit,
+    category: type,
+    title: fields.title.trim(),
+    description: (fields.description || '').trim(),
+    fileName: originalName,
+    storedFileName,
+    fileSize: formatFileSize(size),
+    fileType: getFileType(originalName),
+    filePath,
+    sha256,
+    metadata: readMetadata(type, fields.metadata).metadata,
+    uploadDate: new Date().toLocaleDateString()
+  });
+  versions.recordUpload(saved, uploadedBy);
+  processFileContent(saved.id);
+
+  return describeResource(saved);
+};
+
+// Search text and thumbnails are derived from the file, so they are rebuilt whenever its content changes
+const processFileContent = (resourceId) => {
+  searchIndex.enqueue(resourceId);
+  thumbnails.enqueue(resourceId);
+};
+
+// Strong validator from size and modification time, so a replaced or restored file gets a new one
+const etagFor = (stats) => `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+
+// Conditional GET: If-None-Match wins over If-Modified-Since when both are sent
+const isNotModified = (req, etag, lastModified) => {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    return ifNoneMatch.trim() === '*' ||
+      ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+  }
+  const ifModifiedSince = Date.parse(req.get('If-Modified-Since'));
+  return !Number.isNaN(ifModifiedSince) && lastModified <= ifModifiedSince;
+};
+
+// The byte range to send: null for the whole file, false when the Range can't be satisfied
+const requestedRange = (req, size, etag, lastModified) => {
+  if (!req.get('Range')) return null;
+
+  // If-Range: a client holding an outdated copy gets the whole new file instead of a mismatched piece
+  const ifRange = req.get('If-Range');
+  if (ifRange && (ifRange.includes('"') ? ifRange !== etag : Date.parse(ifRange) !== lastModified)) {
+    return null;
+  }
+
+  const ranges = req.range(size, { combine: true });
+  if (ranges === -1) return false;
+  // Malformed headers and multi-range requests are answered with the whole file
+  if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length !== 1) return null;
+  return ranges[0];
+};
+
+// Streams a file from storage to the response, honouring conditional and Range requests
+// (PDF viewers fetch big files a chunk at a time). Resolves false (nothing sent) when it doesn't exist.
+const sendStoredFile = async (req, res, filePath, { cacheControl } = {}) => {
+  const stats = await storage.stat(filePath);
+  if (!stats) return false;
+
+  const etag = etagFor(stats);
+  // HTTP dates only have second precision
+  const lastModified = Math.floor(stats.mtimeMs / 1000) * 1000;
+  res.set({
+    'Content-Type': mimeTypeFor(filePath),
+    'Accept-Ranges': 'bytes',
+    ETag: etag,
+    'Last-Modified': new Date(lastModified).toUTCString()
+  });
+  if (cacheControl) res.set('Cache-Control', cacheControl);
+
+  if (isNotModified(req, etag, lastModified)) {
+    res.status(304).end();
+    return true;
+  }
+
+  const range = requestedRange(req, stats.size, etag, lastModified);
+  if (range === false) {
+    res.status(416).set('Content-Range', `bytes */${stats.size}`).end();
+    return true;
+  }
+  if (range) {
+    res.status(206).set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${stats.size}`,
+      'Content-Length': range.end - range.start + 1
+    });
+  } else {
+    res.set('Content-Length', stats.size);
+  }
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return true;
+  }
+
+  try {
+    await pipeline(await storage.openReadStream(filePath, range || undefined), res);
+  } catch (error) {
+    // The client going away mid-download isn't a server error
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw error;
+  }
+  return true;
+};
+
+// Who version history credits for an upload
+const uploaderOf = (user) => user?.email || user?.id || null;
+
+// Shape upload responses use for a catalog resource
+const describeResource = (resource) => ({
+  id: resource.id,
+  title: resource.title,
+  description: resource.description,
+  fileName: resource.fileName,
+  storedFileName: resource.storedFileName,
+  fileSize: resource.fileSize,
+  uploadDate: resource.uploadDate,
+  subject: resource.subject,
+  unit: resource.unit,
+  type: resource.category,
+  filePath: resource.filePath,
+  fileType: resource.fileType,
+  sha256: resource.sha256,
+  metadata: resource.metadata
+});
+
+// What the audit log keeps about a resource (catalog entry or describeResource output)
+const auditResource = (resource) => ({
+  title: resource.title,
+  subject: resource.subject,
+  type: resource.category || resource.type,
+  unit: resource.unit || null,
+  fileName: resource.fileName,
+  storedFileName: resource.storedFileName,
+  fileSize: resource.fileSize
+});
+const resourceTarget = (resource) => ({ type: 'resource', id: resource.id, label: resource.title });
+
+// Trash items as the audit log describes them
+const trashTarget = (item) => ({ type: 'trash', id: item.id, label: item.name });
+const trashSummary = ({ kind, name, subject, type, unit, fileName, resourceCount }) =>
+  ({ kind, name, subject, type: type || null, unit: unit || null, fileName: fileName || null, resourceCount });
+
+// Records an admin action for the signed-in user of `req`
+const audit = (req, action, target, { before = null, after = null } = {}) => auditLog.record({
+  actor: req.user ? { id: req.user.id, email: req.user.email } : null,
+  action,
+  target,
+  before,
+  after
+});
+
+// Adds a catalog entry for `fields` that points at an existing copy of the file instead of storing another one
+const linkExistingFile = (existing, fields) => {
+  const type = fields.type.trim();
+  const unit = unitFor(type, fields.unit);
+  if (existing.category === type && existing.unit === unit) {
+    // Already in the requested place
+    return describeResource(existing);
+  }
+
+  const saved = catalog.saveResource({
+    subject: existing.subject,
+    unit,
+    category: type,
+    title: fields.title.trim(),
+    description: (fields.description || '').trim(),
+    fileName: existing.fileName,
+    storedFileName: existing.storedFileName,
+    fileSize: existing.fileSize,
+    fileType: existing.fileType,
+    filePath: existing.filePath,
+    sha256: existing.sha256,
+    metadata: readMetadata(type, fields.metadata).metadata,
+    uploadDate: new Date().toLocaleDateString()
+  });
+  versions.recordUpload(saved, fields.uploadedBy);
+  processFileContent(saved.id);
+
+  return describeResource(saved);
+};
+
+/**
+ * Decides what happens to an upload whose content is already in its subject
+ * (the same file under another subject is not a duplicate). `fields.onDuplicate`
+ * carries the admin's choice after a 409: "link" or "allow".
+ *   { action: 'upload' }              -> no duplicate, or the admin wants a second copy
+ *   { action: 'upload', duplicates }  -> DUPLICATE_POLICY=warn: stored, response carries a warning
+ *   { action: 'link', file }          -> catalog entry added for the existing copy
+ *   { action: 'block', duplicates }   -> caller responds with duplicateConflict()
+ */
+const resolveDuplicates = (sha256, fields) => {
+  const duplicates = sha256 ? catalog.findByHash(sha256, { subject: String(fields.subject).trim() }) : [];
+  if (duplicates.length === 0 || fields.onDuplicate === 'allow') return { action: 'upload' };
+
+  if (fields.onDuplicate === 'link') {
+    const target = duplicates.find(resource => resource.id === fields.linkTo) || duplicates[0];
+    return { action: 'link', file: linkExistingFile(target, fields) };
+  }
+
+  return DUPLICATE_POLICY === 'warn'
+    ? { action: 'upload', duplicates }
+    : { action: 'block', duplicates };
+};
+
+const duplicateConflict = (res, duplicates) => res.status(409).json({
+  success: false,
+  code: 'DUPLICATE_FILE',
+  message: `This file is already in ${duplicates[0].subject} as "${duplicates[0].title}"`,
+  duplicates: duplicates.map(describeResource)
+});
+
+const duplicateWarning = (duplicates) => duplicates && {
+  warning: `The same file is already in ${duplicates[0].subject} as "${duplicates[0].title}"`,
+  duplicates: duplicates.map(describeResource)
+};
+
+// 422 for a file that failed screening; `check` is "type", "pdf" or "virus"
+const screeningRejection = (req, res, fileName, { check, reason }) => {
+  audit(req, 'upload.reject', { type: 'upload', id: null, label: fileName }, { after: { check, reason } });
+  return res.status(422).json({
+    success: false,
+    code: 'FILE_REJECTED',
+    message: `File rejected: ${reason}`,
+    check,
+    reason
+  });
+};
+
+// A unit's folder under every resource type that has units
+const createUnitFolders = async (subjectName, unit) => {
+  for (const type of UNIT_TYPES) {
+    await storage.ensureDir(path.join(STORAGE_DIR, subjectName, type.folder, unit));
+  }
 };
 
-// Create subject directory structure
-const createSubjectStructure = (subjectName, units = []) => {
+// Create subject directory structure (object storage has no empty folders, so there it's a no-op)
+const createSubjectStructure = async (subjectName, units = []) => {
   const subjectPath = path.join(STORAGE_DIR, subjectName);
   
-  fs.ensureDirSync(subjectPath);
-  
-  const notesPath = path.join(subjectPath, 'notes');
-  fs.ensureDirSync(notesPath);
-  
-  units.forEach(unit => {
-    const unitPath = path.join(notesPath, unit);
-    fs.ensureDirSync(unitPath);
-  });
+  await storage.ensureDir(subjectPath);
   
-  fs.ensureDirSync(path.join(subjectPath, 'practice-tests'));
-  fs.ensureDirSync(path.join(subjectPath, 'practicals'));
-  fs.ensureDirSync(path.join(subjectPath, 'assignments'));
+  for (const type of RESOURCE_TYPES) {
+    await storage.ensureDir(path.join(subjectPath, type.folder));
+  }
+  for (const unit of units) {
+    await createUnitFolders(subjectName, unit);
+  }
 
   return subjectPath;
 };
 
+// Same layout createSubjectStructure builds, for subjects and units that first appear in an import
+const ensureSubjectLocation = async (subject, unit) => {
+  if (!catalog.getSubject(subject)) {
+    await createSubjectStructure(subject, unit ? [unit] : []);
+    catalog.upsertSubject(subject, unit ? [unit] : []);
+  } else if (unit) {
+    await createUnitFolders(subject, unit);
+    catalog.addUnit(subject, unit);
+  }
+};
+
+/* ============================
+   AUTHORIZATION
+   - Validates the Supabase access token sent as `Authorization: Bearer <token>`
+   - requireUser: any logged-in user (e.g. to get download links)
+   - requireAdmin: also requires profiles.is_admin = true for the token's user
+============================ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+const fetchSupabaseUser = async (accessToken) => {
+  const userResp = await fetch(`${SUPABASE_SERVICE_URL}/auth/v1/user`, {
+    headers: {
+      apikey: SUPABASE_SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${accessToken}`
+    }
+  });
+
+  if (!userResp.ok) return null;
+  return userResp.json();
+};
+
+const fetchProfile = async (userId) => {
+  const profileResp = await fetch(
+    `${SUPABASE_SERVICE_URL}/rest/v1/profiles?id=eq.${encodeURIComponent(userId)}&select=id,email,full_name,is_admin`,
+    {
+      headers: {
+        apikey: SUPABASE_SERVICE_ROLE_KEY,
+        Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`
+      }
+    }
+  );
+
+  if (!profileResp.ok) {
+    const txt = await profileResp.text();
+    console.error('Failed to fetch profile:', profileResp.status, txt);
+    return null;
+  }
+
+  const rows = await profileResp.json();
+  return Array.isArray(rows) && rows.length ? rows[0] : null;
+};
+
+// The Supabase auth user with this email (any case), or null; throws if Supabase can't be asked
+const findAuthUserByEmail = async (email) => {
+  const usersResp = await fetch(`${SUPABASE_SERVICE_URL}/auth/v1/admin/users`, {
+    method: "GET",
+    headers: {
+      apikey: SUPABASE_SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`
+    }
+  });
+
+  if (!usersResp.ok) {
+    const txt = await usersResp.text();
+    console.error('Failed to fetch admin users:', usersResp.status, txt);
+    throw new Error('Failed to query users');
+  }
+
+  const usersJson = await usersResp.json();
+  // Supabase admin response may be an array or { users: [...] } — normalize to array
+  const usersList = Array.isArray(usersJson) ? usersJson : (Array.isArray(usersJson.users) ? usersJson.users : []);
+  return usersList.find(u => String(u.email).toLowerCase() === String(email).toLowerCase()) || null;
+};
+
+// Resolves the Supabase user behind the request's token, or answers 401/500 itself and resolves null
+const authenticate = async (req, res) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    res.status(401).json({ success: false, message: 'Authentication required' });
+    return null;
+  }
+
+  if (!SUPABASE_SERVICE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    console.error('Supabase service vars missing, cannot authorize request');
+    res.status(500).json({ success: false, message: 'Server misconfiguration' });
+    return null;
+  }
+
+  const user = await fetchSupabaseUser(token);
+  if (!user || !user.id) {
+    res.status(401).json({ success: false, message: 'Invalid or expired session' });
+    return null;
+  }
+  return user;
+};
+
+const requireUser = async (req, res, next) => {
+  try {
+    const user = await authenticate(req, res);
+    if (!user) return;
+
+    req.user = { id: user.id, email: user.email };
+    next();
+  } catch (err) {
+    console.error('USER AUTH ERR:', err);
+    return res.status(500).json({ success: false, message: 'Authorization failed' });
+  }
+};
+
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await authenticate(req, res);
+    if (!user) return;
+
+    const profile = await fetchProfile(user.id);
+    if (!profile || profile.is_admin !== true) {
+      return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
+
+    req.user = { id: user.id, email: user.email, fullName: profile.full_name || '' };
+    next();
+  } catch (err) {
+    console.error('ADMIN AUTH ERR:', err);
+    return res.status(500).json({ success: false, message: 'Authorization failed' });
+  }
+};
+
+/* ============================
+   ABUSE PROTECTION
+   - Login, register, forgot-password and notification routes are limited per IP address
+   - Emails are limited per recipient, so the forms can't be used to flood an inbox
+   - Public forms also need a solved proof of work (GET /api/challenge)
+   - Blocked requests get 429 with Retry-After (seconds) and { success, message, retryAfter }
+============================ */
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const tooManyRequests = (res, retryAfter, reason) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `${reason} Please try again in ${describeWait(retryAfter)}.`,
+    error: 'rate_limited',
+    retryAfter
+  });
+};
+
+const limitPerIp = (req, res, next) => {
+  const retryAfter = requestsPerIp.consume(req.ip);
+  if (retryAfter) return tooManyRequests(res, retryAfter, 'Too many requests from your network.');
+  next();
+};
+
+// Answers 429 itself and returns false when `email` has had enough mail for now
+const allowEmailTo = (res, email) => {
+  const retryAfter = emailsPerAddress.consume(email);
+  if (!retryAfter) return true;
+  tooManyRequests(res, retryAfter, 'Too many emails have been sent to this address.');
+  return false;
+};
+
+// The form's body carries { proof: { challenge, solution } } from GET /api/challenge
+const requireProofOfWork = (req, res, next) => {
+  if (!proofOfWork.enabled) return next();
+
+  const { challenge, solution } = req.body?.proof || {};
+  const problem = proofOfWork.verify(challenge, solution);
+  if (problem) {
+    return res.status(400).json({ success: false, message: `${problem}, please try again.`, error: 'proof_of_work' });
+  }
+  next();
+};
+
+app.get('/api/challenge', (req, res) => {
+  if (!proofOfWork.enabled) return res.json({ success: true, enabled: false });
+  res.json({ success: true, enabled: true, ...proofOfWork.issue() });
+});
+
 // API Routes
 
-app.post('/api/subjects', (req, res) => {
+app.get('/api/admin/session', requireAdmin, (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+app.post('/api/subjects', requireAdmin, async (req, res) => {
+  const { name, units } = req.body || {};
+  if (units !== undefined && !Array.isArray(units)) {
+    return res.status(400).json({ success: false, message: 'Units must be a list of names' });
+  }
+  const problem = checkFolderName(name, 'Subject') ||
+    (units || []).map(unit => checkFolderName(unit, 'Unit')).find(Boolean);
+  if (problem) {
+    return res.status(400).json({ success: false, message: problem });
+  }
+
   try {
-    const { name, units } = req.body;
-    const subjectPath = createSubjectStructure(name, units);
-    
-    const existingSubjectIndex = fullBackupData.subjects.findIndex(s => s.name === name);
-    const subjectData = {
-      id: Date.now().toString(),
-      name: name,
-      units: units || []
-    };
-    
-    if (existingSubjectIndex >= 0) {
-      fullBackupData.subjects[existingSubjectIndex] = subjectData;
-    } else {
-      fullBackupData.subjects.push(subjectData);
+    const existing = catalog.getSubject(name);
+    const subjectPath = await createSubjectStructure(name, units);
+    catalog.upsertSubject(name, units || []);
+    const savedUnits = catalog.getSubject(name)?.units ?? units ?? [];
+    // The panel re-sends existing subjects; only record actual changes
+    if (!existing || JSON.stringify(existing.units) !== JSON.stringify(savedUnits)) {
+      audit(req, existing ? 'subject.update' : 'subject.create', { type: 'subject', id: name, label: name }, {
+        before: existing ? { units: existing.units } : null,
+        after: { units: savedUnits }
+      });
     }
     
-    saveMetadata();
-    
     res.json({
       success: true,
       message: 'Subject directory structure created successfully',
@@ -383,26 +927,28 @@ app.post('/api/subjects', (req, res) => {
   }
 });
 
-app.post('/api/subjects/:subjectName/units', (req, res) => {
+app.post('/api/subjects/:subjectName/units', requireAdmin, async (req, res) => {
+  const { subjectName } = req.params;
+  const { unitName } = req.body || {};
+  const problem = checkFolderName(subjectName, 'Subject') || checkFolderName(unitName, 'Unit');
+  if (problem) {
+    return res.status(400).json({ success: false, message: problem });
+  }
+
   try {
-    const { subjectName } = req.params;
-    const { unitName } = req.body;
-    
-    const unitPath = path.join(STORAGE_DIR, subjectName, 'notes', unitName);
-    fs.ensureDirSync(unitPath);
+    await createUnitFolders(subjectName, unitName);
     
-    const subjectIndex = fullBackupData.subjects.findIndex(s => s.name === subjectName);
-    if (subjectIndex >= 0) {
-      if (!fullBackupData.subjects[subjectIndex].units.includes(unitName)) {
-        fullBackupData.subjects[subjectIndex].units.push(unitName);
-        saveMetadata();
-      }
+    if (catalog.getSubject(subjectName)) {
+      catalog.addUnit(subjectName, unitName);
     }
+    audit(req, 'unit.create', { type: 'unit', id: `${subjectName}/${unitName}`, label: `${subjectName} / ${unitName}` }, {
+      after: { subject: subjectName, unit: unitName }
+    });
     
     res.json({
       success: true,
       message: 'Unit directory created successfully',
-      path: unitPath
+      paths: UNIT_TYPES.map(type => path.join(STORAGE_DIR, subjectName, type.folder, unitName))
     });
   } catch (error) {
     console.error('Error creating unit directory:', error);
@@ -414,7 +960,7 @@ app.post('/api/subjects/:subjectName/units', (req, res) => {
   }
 });
 
-app.post('/api/upload', upload.single('file'), (req, res) => {
+app.post('/api/upload', requireAdmin, upload.single('file'), async (req, res) => {
   try {
     console.log('Upload request received:', {
       body: req.body,
@@ -439,142 +985,49 @@ app.post('/api/upload', upload.single('file'), (req, res) => {
       });
     }
 
-    const { title, subject, type, unit, description } = req.body;
-    
-    if (!title || !title.trim()) {
+    const validationError = validateUploadFields(req.body);
+    if (validationError) {
+      await fs.remove(req.file.path);
       return res.status(400).json({
         success: false,
-        message: 'Title is required'
+        message: validationError
       });
     }
-    
-    if (!subject || !subject.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Subject is required'
-      });
-    }
-    
-    if (!type || !type.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Type is required'
-      });
+
+    const screened = await uploadScreening.screen(req.file.path, req.file.originalname);
+    if (screened.rejection) return screeningRejection(req, res, req.file.originalname, screened.rejection);
+
+    const sha256 = await sha256File(req.file.path);
+    const duplicate = resolveDuplicates(sha256, { ...req.body, uploadedBy: uploaderOf(req.user) });
+    if (duplicate.action !== 'upload') {
+      fs.removeSync(req.file.path);
+      if (duplicate.action === 'block') return duplicateConflict(res, duplicate.duplicates);
+      audit(req, 'resource.link', resourceTarget(duplicate.file), { after: auditResource(duplicate.file) });
+      return res.json({ success: true, linked: true, message: 'Linked to the existing file', file: duplicate.file });
     }
 
-    if (type === 'notes' && (!unit || !unit.trim())) {
-      return res.status(400).json({
-        success: false,
-        message: 'Unit is required for notes'
-      });
-    }
-
-    if (req.file.path.includes('temp')) {
-      let correctPath;
-      if (type === 'notes' && unit) {
-        correctPath = path.join(STORAGE_DIR, subject.trim(), 'notes', unit.trim());
-      } else if (type === 'practice-tests') {
-        correctPath = path.join(STORAGE_DIR, subject.trim(), 'practice-tests');
-      } else if (type === 'practicals') {
-        correctPath = path.join(STORAGE_DIR, subject.trim(), 'practicals');
-      } else if (type === 'assignments') {
-        correctPath = path.join(STORAGE_DIR, subject.trim(), 'assignments');
-      }
-      
-      if (correctPath) {
-        fs.ensureDirSync(correctPath);
-        const newPath = path.join(correctPath, req.file.filename);
-        fs.moveSync(req.file.path, newPath);
-        req.file.path = newPath;
-        console.log(`Moved file from temp to: ${newPath}`);
-      }
-    }
-    
-    const fileInfo = {
-      id: Date.now().toString(),
-      title: title.trim(),
-      description: (description || '').trim(),
-      fileName: req.file.originalname,
+    const fileInfo = await registerUpload({
+      sourcePath: req.file.path,
       storedFileName: req.file.filename,
-      fileSize: formatFileSize(req.file.size),
-      uploadDate: new Date().toLocaleDateString(),
-      subject: subject.trim(),
-      unit: (unit || '').trim(),
-      type: type.trim(),
-      filePath: req.file.path,
-      fileType: path.extname(req.file.originalname).toLowerCase().includes('pdf') ? 'pdf' : 'image'
-    };
-    
-    const metadataKey = `${subject.trim()}-${type.trim()}-${(unit || '').trim()}-${req.file.filename}`;
-    fileMetadata.set(metadataKey, {
-      title: title.trim(),
-      description: (description || '').trim(),
-      originalFileName: req.file.originalname
+      originalName: req.file.originalname,
+      size: req.file.size,
+      sha256,
+      uploadedBy: uploaderOf(req.user),
+      fields: req.body
     });
     
-    const backupFileData = {
-      id: fileInfo.id,
-      title: title.trim(),
-      description: (description || '').trim(),
-      fileName: req.file.originalname,
-      storedFileName: req.file.filename,
-      fileSize: fileInfo.fileSize,
-      uploadDate: fileInfo.uploadDate,
-      subject: subject.trim(),
-      type: fileInfo.fileType,
-      filePath: req.file.path
-    };
-    
-    if (type.trim() === 'notes') {
-      backupFileData.unit = (unit || '').trim();
-      fullBackupData.notes = fullBackupData.notes.filter(note => 
-        !(note.storedFileName === req.file.filename && note.subject === subject.trim() && note.unit === (unit || '').trim())
-      );
-      fullBackupData.notes.push(backupFileData);
-    } else if (type.trim() === 'practice-tests') {
-      fullBackupData.practiceTests = fullBackupData.practiceTests.filter(test => 
-        !(test.storedFileName === req.file.filename && test.subject === subject.trim())
-      );
-      fullBackupData.practiceTests.push(backupFileData);
-    } else if (type.trim() === 'practicals') {
-      fullBackupData.practicals = fullBackupData.practicals.filter(practical => 
-        !(practical.storedFileName === req.file.filename && practical.subject === subject.trim())
-      );
-      fullBackupData.practicals.push(backupFileData);
-    } else if (type.trim() === 'assignments') {
-      fullBackupData.assignments = fullBackupData.assignments || [];
-      fullBackupData.assignments = fullBackupData.assignments.filter(assignment =>
-        !(assignment.storedFileName === req.file.filename && assignment.subject === subject.trim())
-      );
-      fullBackupData.assignments.push(backupFileData);
-    }
-    
-    const subjectExists = fullBackupData.subjects.some(s => s.name === subject.trim());
-    if (!subjectExists) {
-      const units = type === 'notes' && unit ? [unit.trim()] : [];
-      fullBackupData.subjects.push({
-        id: Date.now().toString(),
-        name: subject.trim(),
-        units
-      });
-    } else if (type === 'notes' && unit) {
-      const subjectIndex = fullBackupData.subjects.findIndex(s => s.name === subject.trim());
-      if (!fullBackupData.subjects[subjectIndex].units.includes(unit.trim())) {
-        fullBackupData.subjects[subjectIndex].units.push(unit.trim());
-      }
-    }
-    
-    saveMetadata();
-    
     console.log('File uploaded successfully:', fileInfo);
+    audit(req, 'resource.upload', resourceTarget(fileInfo), { after: auditResource(fileInfo) });
     
     res.json({
       success: true,
       message: 'File uploaded successfully',
-      file: fileInfo
+      file: fileInfo,
+      ...duplicateWarning(duplicate.duplicates)
     });
   } catch (error) {
     console.error('Error uploading file:', error);
+    if (req.file) await fs.remove(req.file.path);
     
     res.status(500).json({
       success: false,
@@ -585,108 +1038,425 @@ app.post('/api/upload', upload.single('file'), (req, res) => {
   }
 });
 
-app.get('/api/files/:subject/:type/:unit?/:filename', (req, res) => {
+/* ============================
+   CHUNKED / RESUMABLE UPLOADS
+   1. POST   /api/uploads                      -> open a session, returns uploadId + chunkSize
+                                                (409 DUPLICATE_FILE if sha256 matches a file in the subject;
+                                                 with replaceId the upload becomes a new version of that resource)
+   2. PUT    /api/uploads/:uploadId/chunks/:n  -> raw chunk body, optional X-Chunk-SHA256 header
+   3. GET    /api/uploads/:uploadId            -> which chunks the server already has (for resuming)
+   4. POST   /api/uploads/:uploadId/complete   -> reassemble, verify checksum, screen (422 FILE_REJECTED), register in catalog
+   5. DELETE /api/uploads/:uploadId            -> abort and discard partial chunks
+============================ */
+const sessionStatus = (session) => ({
+  uploadId: session.id,
+  fileName: session.fileName,
+  fileSize: session.fileSize,
+  chunkSize: session.chunkSize,
+  totalChunks: session.totalChunks,
+  receivedChunks: uploadSessions.receivedChunks(session.id)
+});
+
+const loadUploadSession = (req, res, next) => {
+  const session = uploadSessions.get(req.params.uploadId);
+  if (!session) {
+    return res.status(404).json({ success: false, message: 'Upload session not found or expired' });
+  }
+  req.uploadSession = session;
+  next();
+};
+
+app.post('/api/uploads', requireAdmin, (req, res) => {
   try {
-    const { subject, type, unit, filename } = req.params;
-    
-    let filePath;
-    if (type === 'notes' && unit) {
-      filePath = path.join(STORAGE_DIR, subject, 'notes', unit, filename);
-    } else if (type === 'practice-tests') {
-      filePath = path.join(STORAGE_DIR, subject, 'practice-tests', filename);
-    } else if (type === 'practicals') {
-      filePath = path.join(STORAGE_DIR, subject, 'practicals', filename);
-    } else if (type === 'assignments') {
-      filePath = path.join(STORAGE_DIR, subject, 'assignments', filename);
-    } else {
-      filePath = path.join(STORAGE_DIR, subject, type, filename);
-    }
-    
-    console.log('Attempting to serve file:', {
-      subject,
-      type,
-      unit,
-      filename,
-      filePath,
-      exists: fs.existsSync(filePath)
-    });
-    
-    if (!fs.existsSync(filePath)) {
-      const alternativePaths = [];
-      
-      if (type === 'notes' && unit) {
-        alternativePaths.push(
-          path.join(STORAGE_DIR, subject, 'notes', unit.replace(/\s+/g, '_'), filename),
-          path.join(STORAGE_DIR, subject, 'notes', unit.replace(/\s+/g, '-'), filename),
-          path.join(STORAGE_DIR, subject, 'notes', unit.toLowerCase(), filename)
-        );
-      } else if (type === 'practice-tests') {
-        alternativePaths.push(
-          path.join(STORAGE_DIR, subject.replace(/\s+/g, '_'), 'practice-tests', filename),
-          path.join(STORAGE_DIR, subject.replace(/\s+/g, '-'), 'practice-tests', filename),
-          path.join(STORAGE_DIR, subject.toLowerCase(), 'practice-tests', filename)
-        );
-      } else if (type === 'practicals') {
-        alternativePaths.push(
-          path.join(STORAGE_DIR, subject.replace(/\s+/g, '_'), 'practicals', filename),
-          path.join(STORAGE_DIR, subject.replace(/\s+/g, '-'), 'practicals', filename),
-          path.join(STORAGE_DIR, subject.toLowerCase(), 'practicals', filename)
-        );
-      } else if (type === 'assignments') {
-        alternativePaths.push(
-          path.join(STORAGE_DIR, subject.replace(/\s+/g, '_'), 'assignments', filename),
-          path.join(STORAGE_DIR, subject.replace(/\s+/g, '-'), 'assignments', filename),
-          path.join(STORAGE_DIR, subject.toLowerCase(), 'assignments', filename)
-        );
+    const { fileName, fileSize, mimeType, chunkSize, sha256, replaceId, ...body } = req.body || {};
+
+    // A replacement keeps the resource's own title, subject and location
+    let fields = body;
+    if (replaceId) {
+      const resource = catalog.getResourceById(String(replaceId));
+      if (!resource) {
+        return res.status(404).json({ success: false, message: 'Resource not found' });
       }
-      
-      if (type !== 'practice-tests' && type !== 'practicals' && type !== 'assignments') {
-        alternativePaths.push(
-          path.join(STORAGE_DIR, subject.replace(/\s+/g, '_'), type, filename),
-          path.join(STORAGE_DIR, subject.replace(/\s+/g, '-'), type, filename)
-        );
-      }
-      
-      let foundPath = null;
-      for (const altPath of alternativePaths) {
-        if (fs.existsSync(altPath)) {
-          foundPath = altPath;
-          filePath = altPath;
-          break;
-        }
+      const problem = versions.checkReplacement(resource, String(fileName || ''), sha256);
+      if (problem) {
+        return res.status(400).json({ success: false, message: problem });
       }
-      
-      if (!foundPath) {
-        console.error('File not found at path:', filePath);
-        console.error('Also tried alternative paths:', alternativePaths);
-        return res.status(404).json({
+      fields = {
+        title: resource.title,
+        description: resource.description,
+        subject: resource.subject,
+        type: resource.category,
+        unit: resource.unit,
+        metadata: resource.metadata
+      };
+    }
+
+    const validationError = validateUploadFields(fields);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    if (!fileName || !isAllowedUpload(fileName, mimeType)) {
+      return res.status(400).json({ success: false, message: 'Only PDF and image files are allowed!' });
+    }
+
+    // With the whole-file hash known up front, a duplicate is caught before any bytes are sent
+    const duplicate = replaceId
+      ? { action: 'upload' }
+      : resolveDuplicates(sha256 && String(sha256).toLowerCase(), { ...fields, uploadedBy: uploaderOf(req.user) });
+    if (duplicate.action === 'block') return duplicateConflict(res, duplicate.duplicates);
+    if (duplicate.action === 'link') {
+      audit(req, 'resource.link', resourceTarget(duplicate.file), { after: auditResource(duplicate.file) });
+      return res.json({ success: true, linked: true, message: 'Linked to the existing file', file: duplicate.file });
+    }
+
+    const session = uploadSessions.create({
+      fileName,
+      fileSize,
+      mimeType,
+      chunkSize,
+      sha256,
+      fields: {
+        title: fields.title,
+        description: fields.description || '',
+        subject: fields.subject,
+        type: fields.type,
+        unit: fields.unit || '',
+        metadata: readMetadata(fields.type, fields.metadata).metadata,
+        onDuplicate: fields.onDuplicate || '',
+        linkTo: fields.linkTo || '',
+        replaceId: replaceId ? String(replaceId) : '',
+        uploadedBy: uploaderOf(req.user)
+      },
+      createdBy: req.user.id
+    });
+
+    res.json({ success: true, ...sessionStatus(session), ...duplicateWarning(duplicate.duplicates) });
+  } catch (error) {
+    console.error('Error creating upload session:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create upload session',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/uploads/:uploadId', requireAdmin, loadUploadSession, (req, res) => {
+  res.json({ success: true, ...sessionStatus(req.uploadSession) });
+});
+
+app.put(
+  '/api/uploads/:uploadId/chunks/:index',
+  requireAdmin,
+  loadUploadSession,
+  express.raw({ type: 'application/octet-stream', limit: '64mb' }),
+  (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body)) {
+        return res.status(415).json({
           success: false,
-          message: 'File not found'
+          message: 'Chunks must be sent as application/octet-stream'
         });
       }
+
+      const index = Number(req.params.index);
+      const sha256 = uploadSessions.writeChunk(req.uploadSession, index, req.body, req.headers['x-chunk-sha256']);
+
+      res.json({ success: true, index, sha256 });
+    } catch (error) {
+      console.error('Error storing upload chunk:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+app.post('/api/uploads/:uploadId/complete', requireAdmin, loadUploadSession, async (req, res) => {
+  const session = req.uploadSession;
+  const storedFileName = makeStoredFileName(session.fileName);
+  const assembledPath = path.join(QUARANTINE_DIR, `${session.id}-${storedFileName}`);
+
+  try {
+    const sha256 = await uploadSessions.assemble(session, assembledPath);
+
+    const screened = await uploadScreening.screen(assembledPath, session.fileName);
+    if (screened.rejection) {
+      uploadSessions.remove(session.id);
+      return screeningRejection(req, res, session.fileName, screened.rejection);
+    }
+
+    if (session.fields.replaceId) {
+      const previous = catalog.getResourceById(session.fields.replaceId);
+      const { resource, version } = await versions.replace(session.fields.replaceId, {
+        sourcePath: assembledPath,
+        fileName: session.fileName,
+        size: session.fileSize,
+        sha256,
+        uploadedBy: session.fields.uploadedBy || session.createdBy
+      });
+      uploadSessions.remove(session.id);
+      processFileContent(resource.id);
+
+      console.log(`Replaced "${resource.title}" with version ${version}`);
+      audit(req, 'resource.replace', resourceTarget(resource), {
+        before: previous && auditResource(previous),
+        after: { ...auditResource(resource), version }
+      });
+      return res.json({
+        success: true,
+        message: `File replaced (version ${version})`,
+        version,
+        file: describeResource(resource)
+      });
+    }
+
+    // Checked again against the real digest, for clients that didn't send one when opening the session
+    const duplicate = resolveDuplicates(sha256, session.fields);
+    if (duplicate.action !== 'upload') {
+      fs.removeSync(assembledPath);
+      uploadSessions.remove(session.id);
+      if (duplicate.action === 'block') return duplicateConflict(res, duplicate.duplicates);
+      audit(req, 'resource.link', resourceTarget(duplicate.file), { after: auditResource(duplicate.file) });
+      return res.json({ success: true, linked: true, message: 'Linked to the existing file', file: duplicate.file });
+    }
+
+    const fileInfo = await registerUpload({
+      sourcePath: assembledPath,
+      storedFileName,
+      originalName: session.fileName,
+      size: session.fileSize,
+      sha256,
+      uploadedBy: session.fields.uploadedBy || session.createdBy,
+      fields: session.fields
+    });
+    uploadSessions.remove(session.id);
+
+    console.log('Chunked upload completed:', fileInfo);
+    audit(req, 'resource.upload', resourceTarget(fileInfo), { after: auditResource(fileInfo) });
+
+    res.json({
+      success: true,
+      message: 'File uploaded successfully',
+      file: fileInfo,
+      ...duplicateWarning(duplicate.duplicates)
+    });
+  } catch (error) {
+    console.error('Error completing chunked upload:', error);
+    fs.removeSync(assembledPath);
+    res.status(error.missingChunks ? 409 : 400).json({
+      success: false,
+      message: error.message,
+      missingChunks: error.missingChunks
+    });
+  }
+});
+
+app.delete('/api/uploads/:uploadId', requireAdmin, loadUploadSession, (req, res) => {
+  uploadSessions.remove(req.uploadSession.id);
+  res.json({ success: true, message: 'Upload cancelled' });
+});
+
+/* ============================
+   BULK ZIP IMPORT
+   POST /api/import/zip (multipart, field "archive")
+   - Layout mirrors storage/: Subject/<type folder>/<Unit>/<file> for types with units (notes),
+     Subject/<type folder>/<file> for the others; folders come from resourceTypes.json
+   - Optional manifest.csv at the root with columns path,title,description and the type's extra fields
+   - Each file is screened like any upload; one that fails is reported as rejected with its `check`
+   - Responds with a per-file report: imported / skipped / rejected
+============================ */
+const archiveUpload = multer({
+  dest: IMPORT_TMP_DIR,
+  limits: { fileSize: IMPORT_MAX_SIZE_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    cb(null, path.extname(file.originalname).toLowerCase() === '.zip');
+  }
+});
+
+// Runs multer here so a too-large archive gets a JSON 400 instead of reaching the global error handler
+const receiveArchive = (req, res, next) => {
+  archiveUpload.single('archive')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Archive is larger than ${IMPORT_MAX_SIZE_MB} MB`
+          : error.message
+      });
+    }
+    next();
+  });
+};
+
+const importArchiveFile = async ({ tempPath, subject, type, unit, fileName, size, title, description, metadata }, uploadedBy) => {
+  if (!isAllowedUpload(fileName, mimeTypeFor(fileName))) {
+    return { status: 'rejected', reason: 'Only PDF and image files are allowed' };
+  }
+
+  const fields = { title, description, subject, type, unit, metadata, uploadedBy };
+  const validationError = validateUploadFields(fields);
+  if (validationError) {
+    return { status: 'rejected', reason: validationError };
+  }
+
+  const existing = catalog
+    .listResources({ subject, category: type, unit })
+    .find(resource => resource.fileName === fileName);
+  if (existing) {
+    return { status: 'skipped', reason: 'Already in the catalog', existingId: existing.id };
+  }
+
+  const screened = await uploadScreening.screen(tempPath, fileName);
+  if (screened.rejection) {
+    return { status: 'rejected', ...screened.rejection };
+  }
+
+  // registerUpload() moves the file out of quarantine; whatever is still there afterwards was not imported
+  try {
+    const sha256 = await sha256File(screened.path);
+    const duplicate = resolveDuplicates(sha256, fields);
+    if (duplicate.action === 'block') {
+      const [first] = duplicate.duplicates;
+      return { status: 'skipped', reason: `Same file as "${first.title}"`, existingId: first.id };
+    }
+
+    await ensureSubjectLocation(subject, unit);
+    const file = await registerUpload({
+      sourcePath: screened.path,
+      storedFileName: makeStoredFileName(fileName),
+      originalName: fileName,
+      size,
+      sha256,
+      uploadedBy,
+      fields
+    });
+
+    return { status: 'imported', file, ...duplicateWarning(duplicate.duplicates) };
+  } finally {
+    await fs.remove(screened.path);
+  }
+};
+
+app.post('/api/import/zip', requireAdmin, receiveArchive, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Upload a .zip archive in the "archive" field'
+    });
+  }
+
+  try {
+    const { summary, report } = await importZipArchive(req.file.path, {
+      tmpDir: IMPORT_TMP_DIR,
+      importFile: (entry) => importArchiveFile(entry, uploaderOf(req.user))
+    });
+
+    console.log(`ZIP import of ${req.file.originalname}:`, summary);
+    report
+      .filter(item => item.status === 'imported')
+      .forEach(item => audit(req, 'resource.upload', resourceTarget(item.file), {
+        after: { ...auditResource(item.file), archive: req.file.originalname }
+      }));
+    report
+      .filter(item => item.check)
+      .forEach(item => audit(req, 'upload.reject', { type: 'upload', id: null, label: item.path }, {
+        after: { check: item.check, reason: item.reason, archive: req.file.originalname }
+      }));
+
+    res.json({
+      success: true,
+      message: `Imported ${summary.imported}, skipped ${summary.skipped}, rejected ${summary.rejected}`,
+      summary,
+      report
+    });
+  } catch (error) {
+    console.error('Error importing ZIP archive:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to import archive',
+      error: error.message
+    });
+  } finally {
+    fs.removeSync(req.file.path);
+  }
+});
+
+/* ============================
+   DOWNLOAD LINKS
+   - Files are only served to signed, expiring URLs so the library can't be hotlinked
+   - Links are only signed for catalogued resources, and only ever serve that resource's file
+   - POST /api/download-links { subject, type, unit?, filename, purpose? } (logged-in users)
+     -> { url: "/api/files/...?expires=...&viewer=...&purpose=...&signature=...", expiresAt }
+   - purpose is "view" (default) or "download"; opening the link counts one of those
+     for the user's anonymised id (see ANALYTICS below)
+============================ */
+app.post('/api/download-links', requireUser, (req, res) => {
+  const { subject, type, unit, filename, purpose = 'view' } = req.body || {};
+  if (![subject, type, filename].every(value => typeof value === 'string' && value) ||
+      (unit !== undefined && unit !== null && typeof unit !== 'string')) {
+    return res.status(400).json({ success: false, message: 'subject, type and filename are required' });
+  }
+  if (!DOWNLOAD_PURPOSES.includes(purpose)) {
+    return res.status(400).json({ success: false, message: `purpose must be one of: ${DOWNLOAD_PURPOSES.join(', ')}` });
+  }
+  if (!catalog.getResource(subject, type, unit, filename)) {
+    return res.status(404).json({ success: false, message: 'File not found' });
+  }
+
+  const viewer = analytics.viewerId(req.user.id);
+  const { expires, signature } = downloadLinks.sign(downloadTarget({ subject, type, unit, filename }, { viewer, purpose }));
+  const segments = [subject, type, unit, filename].filter(Boolean).map(encodeURIComponent);
+  const query = new URLSearchParams({ expires, viewer, purpose, signature });
+  res.json({
+    success: true,
+    url: `/api/files/${segments.join('/')}?${query}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  });
+});
+
+app.get('/api/files/:subject/:type/:unit?/:filename', async (req, res) => {
+  try {
+    const { subject, type, unit, filename } = req.params;
+
+    const { viewer, purpose } = req.query;
+    const signedFor = { viewer: typeof viewer === 'string' ? viewer : '', purpose: typeof purpose === 'string' ? purpose : 'view' };
+    if (!downloadLinks.verify(downloadTarget(req.params, signedFor), req.query.expires, req.query.signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This download link is invalid or has expired'
+      });
     }
     
-    const ext = path.extname(filename).toLowerCase();
-    if (ext === '.pdf') {
-      res.setHeader('Content-Type', 'application/pdf');
-    } else if (['.jpg', '.jpeg', '.png', '.gif'].includes(ext)) {
-      res.setHeader('Content-Type', `image/${ext.slice(1)}`);
-    } else {
-      res.setHeader('Content-Type', 'application/octet-stream');
+    // Linked resources point at a file stored under another unit or category
+    const resource = catalog.getResource(subject, type, unit, filename);
+    if (!resource || !isInsideStorage(resource.filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
     }
+    const { filePath } = resource;
     
-    res.sendFile(filePath, (err) => {
-      if (err) {
-        console.error('Error sending file:', err);
-        res.status(500).json({
-          success: false,
-          message: 'Failed to send file',
-          error: err.message
-        });
-      }
-    });
+    // A PDF viewer fetches one file in many Range requests; only the first counts as an open
+    const range = req.headers.range;
+    if (req.method === 'GET' && (!range || /^bytes=0-/.test(range))) {
+      analytics.record({ resourceId: resource.id, kind: signedFor.purpose, viewer: signedFor.viewer });
+    }
+
+    // Files can be replaced in place, so browsers keep a copy but revalidate it (a cheap 304) before each use
+    if (!await sendStoredFile(req, res, filePath, { cacheControl: 'public, no-cache' })) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
   } catch (error) {
     console.error('Error serving file:', error);
+    // A failed stream has already started the response
+    if (res.headersSent) return res.destroy();
     res.status(500).json({
       success: false,
       message: 'Failed to serve file',
@@ -695,49 +1465,34 @@ app.get('/api/files/:subject/:type/:unit?/:filename', (req, res) => {
   }
 });
 
-app.delete('/api/files/:subject/:type/:unit?/:filename', (req, res) => {
+app.delete('/api/files/:subject/:type/:unit?/:filename', requireAdmin, async (req, res) => {
   try {
     const { subject, type, unit, filename } = req.params;
-    
-    let filePath;
-    if (type === 'notes' && unit) {
-      filePath = path.join(STORAGE_DIR, subject, 'notes', unit, filename);
-    } else if (type === 'practice-tests') {
-      filePath = path.join(STORAGE_DIR, subject, 'practice-tests', filename);
-    } else if (type === 'practicals') {
-      filePath = path.join(STORAGE_DIR, subject, 'practicals', filename);
-    } else if (type === 'assignments') {
-      filePath = path.join(STORAGE_DIR, subject, 'assignments', filename);
-    } else {
-      filePath = path.join(STORAGE_DIR, subject, type, filename);
+    const resource = catalog.getResource(subject, type, unit, filename);
+
+    if (resource) {
+      const sharedFile = catalog.isFileShared(resource);
+      const item = await trash.trashResource(resource, uploaderOf(req.user));
+      if (!sharedFile) await thumbnails.remove(resource);
+      audit(req, 'resource.delete', resourceTarget(resource), {
+        before: auditResource(resource),
+        after: { trashId: item.id }
+      });
+
+      return res.json({
+        success: true,
+        message: 'File moved to trash',
+        trashId: item.id
+      });
     }
+
+    // Files copied into storage/ while the server runs aren't catalogued yet, so there's nothing to restore them from
+    const filePath = uncataloguedFilePath(subject, type, unit, filename);
     
-    if (fs.existsSync(filePath)) {
+    if (filePath && await storage.exists(filePath)) {
       try {
-        fs.removeSync(filePath);
-        
-        const metadataKey = `${subject}-${type}-${unit || ''}-${filename}`;
-        fileMetadata.delete(metadataKey);
-        
-        if (type === 'notes') {
-          fullBackupData.notes = fullBackupData.notes.filter(note => 
-            !(note.storedFileName === filename && note.subject === subject && note.unit === (unit || ''))
-          );
-        } else if (type === 'practice-tests') {
-          fullBackupData.practiceTests = fullBackupData.practiceTests.filter(test => 
-            !(test.storedFileName === filename && test.subject === subject)
-          );
-        } else if (type === 'practicals') {
-          fullBackupData.practicals = fullBackupData.practicals.filter(practical => 
-            !(practical.storedFileName === filename && practical.subject === subject)
-          );
-        } else if (type === 'assignments') {
-          fullBackupData.assignments = fullBackupData.assignments.filter(assignment => 
-            !(assignment.storedFileName === filename && assignment.subject === subject)
-          );
-        }
-        
-        saveMetadata();
+        await storage.remove(filePath);
+        audit(req, 'file.delete', { type: 'file', id: path.relative(STORAGE_DIR, filePath), label: filename });
         
         res.json({
           success: true,
@@ -752,50 +1507,15 @@ app.delete('/api/files/:subject/:type/:unit?/:filename', (req, res) => {
         });
       }
     } else {
-      const alternativePaths = [];
-      
-      if (type === 'notes' && unit) {
-        alternativePaths.push(
-          path.join(STORAGE_DIR, subject, 'notes', unit.replace(/\s+/g, '_'), filename),
-          path.join(STORAGE_DIR, subject, 'notes', unit.replace(/\s+/g, '-'), filename),
-          path.join(STORAGE_DIR, subject, 'notes', unit.toLowerCase(), filename)
-        );
-      }
-      
-      alternativePaths.push(
-        path.join(STORAGE_DIR, subject.replace(/\s+/g, '_'), type, filename),
-        path.join(STORAGE_DIR, subject.replace(/\s+/g, '-'), type, filename)
-      );
+      const alternativePaths = legacyFilePaths(subject, type, unit, filename);
       
       let deletedPath = null;
       for (const altPath of alternativePaths) {
-        if (fs.existsSync(altPath)) {
+        if (await storage.exists(altPath)) {
           try {
-            fs.removeSync(altPath);
+            await storage.remove(altPath);
             deletedPath = altPath;
-            
-            const metadataKey = `${subject}-${type}-${unit || ''}-${filename}`;
-            fileMetadata.delete(metadataKey);
-            
-            if (type === 'notes') {
-              fullBackupData.notes = fullBackupData.notes.filter(note => 
-                !(note.storedFileName === filename && note.subject === subject && note.unit === (unit || ''))
-              );
-            } else if (type === 'practice-tests') {
-              fullBackupData.practiceTests = fullBackupData.practiceTests.filter(test => 
-                !(test.storedFileName === filename && test.subject === subject)
-              );
-            } else if (type === 'practicals') {
-              fullBackupData.practicals = fullBackupData.practicals.filter(practical => 
-                !(practical.storedFileName === filename && practical.subject === subject)
-              );
-            } else if (type === 'assignments') {
-              fullBackupData.assignments = fullBackupData.assignments.filter(assignment => 
-                !(assignment.storedFileName === filename && assignment.subject === subject)
-              );
-            }
-            
-            saveMetadata();
+            audit(req, 'file.delete', { type: 'file', id: path.relative(STORAGE_DIR, altPath), label: filename });
             
             console.log('File deleted from alternative path:', altPath);
             break;
@@ -820,98 +1540,658 @@ app.delete('/api/files/:subject/:type/:unit?/:filename', (req, res) => {
       }
     }
   } catch (error) {
-    console.error('Error deleting file:', error);
+    console.error('Error deleting file:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete file',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/files/:subject/:type/:unit?', (req, res) => {
+  try {
+    const { subject, type, unit } = req.params;
+    
+    const files = catalog
+      .listResources({ subject, category: type, unit: hasUnits(type) ? unit : undefined })
+      .map(resource => ({
+        id: resource.id,
+        filename: resource.storedFileName,
+        title: resource.title,
+        description: resource.description,
+        size: resource.fileSize,
+        modified: resource.uploadDate,
+        type: resource.fileType,
+        thumbnailUrl: thumbnails.urlFor(resource),
+        sha256: resource.sha256,
+        metadata: resource.metadata
+      }));
+    
+    res.json({
+      success: true,
+      files
+    });
+  } catch (error) {
+    console.error('Error listing files:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list files',
+      error: error.message
+    });
+  }
+});
+
+/* ============================
+   LISTING BY TYPE
+   GET /api/resources?type=question-papers&subject=&year=2023&semester=3
+   - every subject unless `subject` is given; extra fields marked "filter" in
+     resourceTypes.json narrow the list
+   - entries look like the change feed's; fetch a download link to open one
+============================ */
+app.get('/api/resources', (req, res) => {
+  try {
+    const type = getResourceType(req.query.type);
+    if (!type) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type: ${req.query.type || ''}`
+      });
+    }
+
+    const { filter, error } = readMetadataFilter(type.id, req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const resources = catalog.listResources({
+      subject: req.query.subject ? String(req.query.subject) : undefined,
+      category: type.id,
+      metadata: filter
+    });
+
+    res.json({ success: true, type: type.id, filter, resources: resources.map(feedEntry) });
+  } catch (error) {
+    console.error('Error listing resources:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list resources',
+      error: error.message
+    });
+  }
+});
+
+/* ============================
+   FULL-TEXT SEARCH
+   GET  /api/search?q=bleeding+time&subject=&type=&limit= -> ranked resources with page snippets
+   POST /api/search/reindex (admin)                       -> re-extract text for every resource
+   Snippets wrap matches in \u0002 ... \u0003 (see server/searchIndex.js)
+============================ */
+app.get('/api/search', (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (query.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query must be at least 2 characters'
+      });
+    }
+
+    const results = searchIndex.search(query, {
+      subject: req.query.subject ? String(req.query.subject) : undefined,
+      category: req.query.type ? String(req.query.type) : undefined,
+      limit: Math.min(Number(req.query.limit) || 20, 100)
+    });
+
+    res.json({ success: true, query, results });
+  } catch (error) {
+    console.error('Error searching file contents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Search failed',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/search/reindex', requireAdmin, (req, res) => {
+  const queued = searchIndex.backfill({ all: true });
+  audit(req, 'search.reindex', { type: 'system', id: 'search', label: 'Search index' }, { after: { queued } });
+  res.json({ success: true, message: `Queued ${queued} resources for indexing`, stats: searchIndex.stats() });
+});
+
+/* ============================
+   THUMBNAILS
+   GET  /api/thumbnails/:resourceId      -> JPEG preview (first PDF page / downscaled image)
+   POST /api/thumbnails/backfill (admin) -> generate missing thumbnails (?force=true regenerates all)
+   Served from storage here, so they work with either storage driver
+============================ */
+app.get('/api/thumbnails/:resourceId', async (req, res) => {
+  try {
+    const resource = catalog.getResourceById(req.params.resourceId);
+    const thumbnailPath = resource && thumbnails.pathFor(resource);
+    // URLs carry ?v=<mtime>, so a regenerated thumbnail gets a new URL
+    if (!thumbnailPath || !await sendStoredFile(req, res, thumbnailPath, { cacheControl: 'public, max-age=604800' })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnail not found'
+      });
+    }
+  } catch (error) {
+    console.error('Error serving thumbnail:', error);
+    if (!res.headersSent) res.status(500).json({ success: false, message: 'Failed to serve thumbnail' });
+  }
+});
+
+app.post('/api/thumbnails/backfill', requireAdmin, async (req, res) => {
+  const queued = await thumbnails.backfill({ force: req.query.force === 'true' });
+  audit(req, 'thumbnails.backfill', { type: 'system', id: 'thumbnails', label: 'Thumbnails' }, {
+    after: { queued, force: req.query.force === 'true' }
+  });
+  res.json({ success: true, message: `Queued ${queued} resources for thumbnail generation` });
+});
+
+/* ============================
+   VERSION HISTORY
+   Replacing a file is a chunked upload opened with replaceId (see CHUNKED / RESUMABLE UPLOADS)
+   GET  /api/resources/:resourceId/versions                  (admin) -> versions, newest first
+   GET  /api/resources/:resourceId/versions/:version/file    (admin) -> download any version
+   POST /api/resources/:resourceId/versions/:version/restore (admin) -> roll back; adds a new version
+============================ */
+app.get('/api/resources/:resourceId/versions', requireAdmin, (req, res) => {
+  const history = versions.list(req.params.resourceId);
+  if (!history) {
+    return res.status(404).json({ success: false, message: 'Resource not found' });
+  }
+  res.json({ success: true, versions: history });
+});
+
+app.get('/api/resources/:resourceId/versions/:version/file', requireAdmin, async (req, res) => {
+  try {
+    const filePath = await versions.fileFor(req.params.resourceId, Number(req.params.version));
+    if (!filePath || !await sendStoredFile(req, res, filePath, { cacheControl: 'private, no-cache' })) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+  } catch (error) {
+    console.error('Error serving version file:', error);
+    if (!res.headersSent) res.status(500).json({ success: false, message: 'Failed to serve version file' });
+  }
+});
+
+app.post('/api/resources/:resourceId/versions/:version/restore', requireAdmin, async (req, res) => {
+  try {
+    const previous = catalog.getResourceById(req.params.resourceId);
+    const { resource, version } = await versions.rollback(
+      req.params.resourceId,
+      Number(req.params.version),
+      uploaderOf(req.user)
+    );
+    processFileContent(resource.id);
+
+    console.log(`Restored "${resource.title}" to version ${req.params.version} as version ${version}`);
+    audit(req, 'resource.rollback', resourceTarget(resource), {
+      before: previous && auditResource(previous),
+      after: { ...auditResource(resource), version, restoredFrom: Number(req.params.version) }
+    });
+    res.json({
+      success: true,
+      message: `Restored version ${req.params.version} (now version ${version})`,
+      version,
+      file: describeResource(resource)
+    });
+  } catch (error) {
+    console.error('Error restoring version:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/* ============================
+   TRASH
+   DELETE /api/files/... and DELETE /api/subjects/:subjectName move things here
+   GET    /api/trash                  (admin) -> trashed items, newest first
+   POST   /api/trash/:trashId/restore (admin) -> put the files and catalog entries back
+   DELETE /api/trash/:trashId         (admin) -> purge one item for good
+   DELETE /api/trash                  (admin) -> empty the trash
+============================ */
+app.get('/api/trash', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    retentionDays: trash.retentionDays,
+    items: trash.list()
+  });
+});
+
+app.post('/api/trash/:trashId/restore', requireAdmin, async (req, res) => {
+  try {
+    const item = trash.get(req.params.trashId);
+    const restored = await trash.restore(req.params.trashId);
+    if (!restored) {
+      return res.status(404).json({ success: false, message: 'Trash item not found' });
+    }
+    restored.forEach(resource => processFileContent(resource.id));
+
+    console.log(`Restored ${restored.length} resources from trash item ${req.params.trashId}`);
+    audit(req, 'trash.restore', trashTarget(item), {
+      after: { resources: restored.map(resource => ({ id: resource.id, ...auditResource(resource) })) }
+    });
+    res.json({
+      success: true,
+      message: restored.length === 1 ? `Restored "${restored[0].title}"` : `Restored ${restored.length} resources`,
+      files: restored.map(describeResource)
+    });
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    res.status(409).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/trash/:trashId', requireAdmin, async (req, res) => {
+  try {
+    const item = trash.get(req.params.trashId);
+    if (!await trash.purge(req.params.trashId)) {
+      return res.status(404).json({ success: false, message: 'Trash item not found' });
+    }
+    audit(req, 'trash.purge', trashTarget(item), { before: trashSummary(item) });
+    res.json({ success: true, message: 'Deleted permanently' });
+  } catch (error) {
+    console.error('Error purging trash item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to purge trash item',
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/trash', requireAdmin, async (req, res) => {
+  try {
+    const items = trash.list();
+    const purged = await trash.empty();
+    audit(req, 'trash.empty', { type: 'trash', id: null, label: 'Trash' }, {
+      before: { items: items.map(trashSummary) },
+      after: { purged }
+    });
+    res.json({ success: true, message: `Deleted ${purged} items permanently` });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete file',
+      message: 'Failed to empty trash',
       error: error.message
     });
   }
 });
 
-app.get('/api/files/:subject/:type/:unit?', (req, res) => {
+/* ============================
+   RENAME / MOVE
+   PATCH  /api/subjects/:subjectName                   (admin) { name } -> rename subject and its folder
+   PATCH  /api/subjects/:subjectName/units/:unitName   (admin) { name } -> rename unit and its folder
+   DELETE /api/subjects/:subjectName/units/:unitName   (admin)          -> unit's resources go to the trash
+   POST   /api/resources/:resourceId/move              (admin) { subject, unit } -> move to another subject/unit
+============================ */
+app.patch('/api/subjects/:subjectName', requireAdmin, async (req, res) => {
+  const { subjectName } = req.params;
+  const problem = checkFolderName(req.body?.name, 'Subject');
+  if (problem) {
+    return res.status(400).json({ success: false, message: problem });
+  }
+
   try {
-    const { subject, type, unit } = req.params;
-    
-    let dirPath;
-    if (type === 'notes' && unit) {
-      dirPath = path.join(STORAGE_DIR, subject, 'notes', unit);
-    } else {
-      dirPath = path.join(STORAGE_DIR, subject, type);
+    const newName = req.body.name.trim();
+    const subject = await restructure.renameSubject(subjectName, newName);
+    if (!subject) {
+      return res.status(404).json({ success: false, message: `Subject '${subjectName}' not found` });
     }
-    
-    if (!fs.existsSync(dirPath)) {
-      return res.json({
-        success: true,
-        files: []
+
+    console.log(`Renamed subject '${subjectName}' to '${newName}'`);
+    if (newName !== subjectName) {
+      audit(req, 'subject.rename', { type: 'subject', id: newName, label: newName }, {
+        before: { name: subjectName },
+        after: { name: newName }
       });
     }
-    
-    const files = fs.readdirSync(dirPath).map(filename => {
-      const filePath = path.join(dirPath, filename);
-      const stats = fs.statSync(filePath);
-      
-      return {
-        filename,
-        size: formatFileSize(stats.size),
-        modified: stats.mtime.toLocaleDateString(),
-        type: path.extname(filename).toLowerCase().includes('pdf') ? 'pdf' : 'image'
-      };
+    res.json({ success: true, message: `Subject renamed to '${newName}'`, subject });
+  } catch (error) {
+    console.error('Error renaming subject:', error);
+    res.status(409).json({ success: false, message: error.message });
+  }
+});
+
+app.patch('/api/subjects/:subjectName/units/:unitName', requireAdmin, async (req, res) => {
+  const { subjectName, unitName } = req.params;
+  const problem = checkFolderName(req.body?.name, 'Unit');
+  if (problem) {
+    return res.status(400).json({ success: false, message: problem });
+  }
+
+  try {
+    const newName = req.body.name.trim();
+    const subject = await restructure.renameUnit(subjectName, unitName, newName);
+    if (!subject) {
+      return res.status(404).json({ success: false, message: `Unit '${unitName}' not found in ${subjectName}` });
+    }
+
+    console.log(`Renamed unit '${unitName}' of ${subjectName} to '${newName}'`);
+    if (newName !== unitName) {
+      audit(req, 'unit.rename', { type: 'unit', id: `${subjectName}/${newName}`, label: `${subjectName} / ${newName}` }, {
+        before: { name: unitName },
+        after: { name: newName }
+      });
+    }
+    res.json({ success: true, message: `Unit renamed to '${newName}'`, subject });
+  } catch (error) {
+    console.error('Error renaming unit:', error);
+    res.status(409).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/api/subjects/:subjectName/units/:unitName', requireAdmin, async (req, res) => {
+  const { subjectName, unitName } = req.params;
+
+  try {
+    const trashed = catalog.listResources({ subject: subjectName, unit: unitName });
+    const item = await trash.trashUnit(subjectName, unitName, uploaderOf(req.user));
+    if (!item) {
+      return res.status(404).json({ success: false, message: `Unit '${unitName}' not found in ${subjectName}` });
+    }
+    for (const resource of trashed.filter(candidate => !catalog.isFileShared(candidate))) {
+      await thumbnails.remove(resource);
+    }
+
+    console.log(`Moved unit '${unitName}' of ${subjectName} to trash (${trashed.length} resources)`);
+    audit(req, 'unit.delete', { type: 'unit', id: `${subjectName}/${unitName}`, label: `${subjectName} / ${unitName}` }, {
+      before: { resources: trashed.map(resource => ({ id: resource.id, ...auditResource(resource) })) },
+      after: { trashId: item.id }
     });
-    
     res.json({
       success: true,
-      files
+      message: trashed.length
+        ? `Unit and its ${trashed.length} resources moved to trash`
+        : 'Unit moved to trash',
+      subject: catalog.getSubject(subjectName),
+      trashId: item.id
     });
   } catch (error) {
-    console.error('Error listing files:', error);
+    console.error('Error deleting unit:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to list files',
+      message: 'Failed to delete unit',
       error: error.message
     });
   }
 });
 
-app.post('/api/verify-files', (req, res) => {
+app.post('/api/resources/:resourceId/move', requireAdmin, async (req, res) => {
+  const subject = String(req.body?.subject || '').trim();
+  const unit = String(req.body?.unit || '').trim();
+  if (!subject) {
+    return res.status(400).json({ success: false, message: 'Subject is required' });
+  }
+
+  const resource = catalog.getResourceById(req.params.resourceId);
+  if (!resource) {
+    return res.status(404).json({ success: false, message: 'Resource not found' });
+  }
+  const problem = hasUnits(resource.category) ? checkFolderName(unit, 'Unit') : null;
+  if (problem) {
+    return res.status(400).json({ success: false, message: problem });
+  }
+
+  try {
+    const moved = await restructure.moveResource(resource.id, { subject, unit });
+
+    console.log(`Moved "${moved.title}" to ${moved.subject}${moved.unit ? ` / ${moved.unit}` : ''}`);
+    audit(req, 'resource.move', resourceTarget(moved), {
+      before: auditResource(resource),
+      after: auditResource(moved)
+    });
+    res.json({ success: true, message: 'Resource moved', file: describeResource(moved) });
+  } catch (error) {
+    console.error('Error moving resource:', error);
+    res.status(409).json({ success: false, message: error.message });
+  }
+});
+
+/* ============================
+   USER MANAGEMENT
+   Profile edits go through the server rather than straight to Supabase so they're audited
+   PATCH  /api/admin/users/:userId (admin) { email, full_name } -> updated profile
+   DELETE /api/admin/users/:userId (admin)                      -> removes the profile
+============================ */
+const profileRequest = (userId, options) => fetch(
+  `${SUPABASE_SERVICE_URL}/rest/v1/profiles?id=eq.${encodeURIComponent(userId)}`,
+  {
+    ...options,
+    headers: {
+      apikey: SUPABASE_SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+      'Content-Type': 'application/json',
+      Prefer: 'return=representation'
+    }
+  }
+);
+
+const profileSummary = (profile) => ({ email: profile.email, fullName: profile.full_name || '' });
+
+app.patch('/api/admin/users/:userId', requireAdmin, async (req, res) => {
+  const { userId } = req.params;
+  const email = String(req.body?.email || '').trim();
+  const fullName = String(req.body?.full_name || '').trim();
+  if (!email || !fullName) {
+    return res.status(400).json({ success: false, message: 'Email and full name are required' });
+  }
+
+  try {
+    const before = await fetchProfile(userId);
+    if (!before) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const updateResp = await profileRequest(userId, {
+      method: 'PATCH',
+      body: JSON.stringify({ email, full_name: fullName })
+    });
+    if (!updateResp.ok) {
+      console.error('Supabase profile update failed:', updateResp.status, await updateResp.text());
+      return res.status(500).json({ success: false, message: 'Failed to update user' });
+    }
+    const [profile] = await updateResp.json();
+
+    audit(req, 'user.update', { type: 'user', id: userId, label: email }, {
+      before: profileSummary(before),
+      after: profileSummary(profile || { email, full_name: fullName })
+    });
+    res.json({ success: true, message: 'User profile updated', user: profile });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ success: false, message: 'Failed to update user', error: error.message });
+  }
+});
+
+app.delete('/api/admin/users/:userId', requireAdmin, async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const before = await fetchProfile(userId);
+    if (!before) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const deleteResp = await profileRequest(userId, { method: 'DELETE' });
+    if (!deleteResp.ok) {
+      console.error('Supabase profile delete failed:', deleteResp.status, await deleteResp.text());
+      return res.status(500).json({ success: false, message: 'Failed to delete user' });
+    }
+
+    audit(req, 'user.delete', { type: 'user', id: userId, label: before.email }, { before: profileSummary(before) });
+    res.json({ success: true, message: 'User deleted' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete user', error: error.message });
+  }
+});
+
+/* ============================
+   AUDIT LOG
+   Append-only: the mutating routes in this file (and password resets / account
+   verification) each add an entry with actor, target and a before/after summary
+   GET /api/audit (admin) ?action=&targetType=&actor=&search=&from=&to=&cursor=&limit=
+       -> { entries (newest first), nextCursor, actions, targetTypes }
+============================ */
+// Repeated query parameters arrive as arrays; filters only take one value
+const queryValue = (value) => (typeof value === 'string' && value ? value : undefined);
+
+app.get('/api/audit', requireAdmin, (req, res) => {
+  const filters = Object.fromEntries(
+    ['action', 'targetType', 'actor', 'search', 'from', 'to', 'cursor', 'limit']
+      .map(key => [key, queryValue(req.query[key])])
+  );
+  if ([filters.from, filters.to].some(date => date && Number.isNaN(Date.parse(date)))) {
+    return res.status(400).json({ success: false, message: 'from and to must be dates' });
+  }
+
+  try {
+    res.json({ success: true, ...auditLog.list(filters), ...auditLog.facets() });
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({ success: false, message: 'Failed to read the audit log', error: error.message });
+  }
+});
+
+/* ============================
+   ANALYTICS
+   Views and downloads are recorded when a signed link is opened (see DOWNLOAD LINKS);
+   viewers are anonymised ids and finished days are kept only as daily totals
+   GET /api/admin/analytics (admin) ?days=30
+       -> { top, viewsPerSubject, unopened: { total, resources }, semesterDays }
+   GET /api/trending ?days=7&limit=8 -> { resources } (most opened lately, for Home)
+============================ */
+const withCounts = ({ resource, views, downloads }) => ({ ...feedEntry(resource), views, downloads });
+
+app.get('/api/admin/analytics', requireAdmin, (req, res) => {
+  const days = Math.min(Math.max(Number(queryValue(req.query.days)) || 30, 1), 365);
+
+  try {
+    const unopened = analytics.unopened({ days: ANALYTICS_SEMESTER_DAYS });
+    res.json({
+      success: true,
+      days,
+      top: analytics.top({ days, limit: 20 }).map(withCounts),
+      viewsPerSubject: analytics.viewsPerSubject({ days }),
+      unopened: { total: unopened.total, resources: unopened.resources.map(feedEntry) },
+      semesterDays: ANALYTICS_SEMESTER_DAYS
+    });
+  } catch (error) {
+    console.error('Error reading analytics:', error);
+    res.status(500).json({ success: false, message: 'Failed to read analytics', error: error.message });
+  }
+});
+
+app.get('/api/trending', (req, res) => {
+  const days = Math.min(Math.max(Number(queryValue(req.query.days)) || 7, 1), 90);
+
+  try {
+    res.json({
+      success: true,
+      days,
+      resources: analytics.top({ days, limit: queryValue(req.query.limit) || 8 }).map(withCounts)
+    });
+  } catch (error) {
+    console.error('Error reading trending resources:', error);
+    res.status(500).json({ success: false, message: 'Failed to read trending resources', error: error.message });
+  }
+});
+
+/* ============================
+   EMAIL OUTBOX
+   Delivery status of the emails the server has queued (bodies aren't shown)
+   GET /api/admin/mail (admin) ?status=queued|sending|sent|failed&cursor=&limit=
+       -> { messages (newest first), nextCursor, counts }
+   POST /api/admin/mail/:mailId/retry (admin) queues a failed email again
+============================ */
+app.get('/api/admin/mail', requireAdmin, (req, res) => {
+  const status = queryValue(req.query.status);
+  if (status && !MAIL_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: `status must be one of: ${MAIL_STATUSES.join(', ')}` });
+  }
+
+  try {
+    res.json({
+      success: true,
+      ...mailOutbox.list({ status, cursor: queryValue(req.query.cursor), limit: queryValue(req.query.limit) }),
+      counts: mailOutbox.counts()
+    });
+  } catch (error) {
+    console.error('Error reading mail outbox:', error);
+    res.status(500).json({ success: false, message: 'Failed to read the email outbox', error: error.message });
+  }
+});
+
+app.post('/api/admin/mail/:mailId/retry', requireAdmin, (req, res) => {
+  const mailId = Number(req.params.mailId);
+  const message = Number.isInteger(mailId) ? mailOutbox.get(mailId) : null;
+  if (!message) {
+    return res.status(404).json({ success: false, message: 'Email not found' });
+  }
+  if (!mailOutbox.retry(mailId)) {
+    return res.status(409).json({ success: false, message: 'Only failed emails can be retried' });
+  }
+
+  audit(req, 'mail.retry', { type: 'mail', id: mailId, label: `${message.subject} → ${message.to}` }, {
+    before: { status: message.status, attempts: message.attempts, lastError: message.lastError }
+  });
+  res.json({ success: true, mail: mailOutbox.get(mailId) });
+});
+
+// Admin check that catalogued files are still in storage. `sha256` is the hash recorded at upload, compared with the
+// `sha256` the client sends if any; with `rehash: true` the files are read and hashed again (a full download from S3)
+const VERIFY_FILES_MAX = 100;
+
+app.post('/api/verify-files', requireAdmin, async (req, res) => {
   try {
-    const { files } = req.body;
+    const { files, rehash = false } = req.body || {};
     
-    if (!Array.isArray(files)) {
+    if (!Array.isArray(files) || files.length > VERIFY_FILES_MAX) {
       return res.status(400).json({
         success: false,
-        message: 'Files array is required'
+        message: `Files array of at most ${VERIFY_FILES_MAX} entries is required`
       });
     }
     
     const verifiedFiles = [];
     
-    files.forEach(file => {
+    for (const file of files) {
       try {
-        let filePath;
-        
-        if (file.type === 'notes' && file.unit) {
-          filePath = path.join(STORAGE_DIR, file.subject, 'notes', file.unit, file.storedFileName);
-        } else if (file.type === 'practice-tests') {
-          filePath = path.join(STORAGE_DIR, file.subject, 'practice-tests', file.storedFileName);
-        } else if (file.type === 'practicals') {
-          filePath = path.join(STORAGE_DIR, file.subject, 'practicals', file.storedFileName);
-        } else if (file.type === 'assignments') {
-          filePath = path.join(STORAGE_DIR, file.subject, 'assignments', file.storedFileName);
-        }
+        const resource = catalog.getResource(file.subject, file.type, file.unit, file.storedFileName);
         
-        if (filePath && fs.existsSync(filePath)) {
+        if (resource && await storage.exists(resource.filePath)) {
+          let sha256 = resource.sha256;
+          if (rehash === true) {
+            sha256 = await storage.withLocalFile(resource.filePath, sha256File);
+            if (!resource.sha256) catalog.setResourceHash(resource.id, sha256);
+          }
+
+          const expectedSha256 = file.sha256 ? String(file.sha256).toLowerCase() : (resource.sha256 || sha256);
           verifiedFiles.push({
             id: file.id,
             exists: true,
-            filePath: filePath
+            sha256,
+            expectedSha256,
+            // null until the background hashing has recorded a checksum
+            checksumMatches: sha256 && expectedSha256 ? sha256 === expectedSha256 : null,
+            rehashed: rehash === true
           });
         } else {
-          console.log(`File not found on server: ${filePath}`);
+          console.log(`File not found on server: ${file.subject}/${file.type}/${file.unit || ''}/${file.storedFileName}`);
           verifiedFiles.push({
             id: file.id,
-            exists: false,
-            filePath: filePath || 'unknown'
+            exists: false
           });
         }
       } catch (error) {
@@ -922,7 +2202,7 @@ app.post('/api/verify-files', (req, res) => {
           error: error.message
         });
       }
-    });
+    }
     
     res.json({
       success: true,
@@ -943,35 +2223,42 @@ app.post('/api/verify-files', (req, res) => {
    - Uses SUPABASE_SERVICE_URL and SUPABASE_SERVICE_ROLE_KEY to fetch users reliably
    - Returns both access_token and refresh_token for frontend setSession
 ============================ */
-app.post("/api/login", async (req, res) => {
+app.post("/api/login", limitPerIp, requireProofOfWork, async (req, res) => {
   try {
     const { email, password } = req.body;
     if (!email || !password) {
       return res.status(400).json({ success: false, message: "Email and password required." });
     }
 
-    // 1) Fetch admin users list using service role (works reliably across regions)
-    const usersResp = await fetch(`${SUPABASE_SERVICE_URL}/auth/v1/admin/users`, {
-      method: "GET",
-      headers: {
-        apikey: SUPABASE_SERVICE_ROLE_KEY,
-        Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`
+    // Wrong passwords count against the account, whichever address they come from
+    const account = normalizeEmail(email);
+    const lockedFor = loginFailures.check(account);
+    if (lockedFor) {
+      return tooManyRequests(res, lockedFor, 'This account is locked after too many failed logins.');
+    }
+    const loginFailed = () => {
+      loginFailures.consume(account);
+      if (loginFailures.check(account)) {
+        auditLog.record({
+          actor: null,
+          action: 'login.lockout',
+          target: { type: 'user', id: account, label: account },
+          after: { failures: LOGIN_MAX_FAILURES, lockedMinutes: LOGIN_LOCKOUT_MINUTES, ip: req.ip }
+        });
       }
-    });
+    };
 
-    if (!usersResp.ok) {
-      const txt = await usersResp.text();
-      console.error('Failed to fetch admin users:', usersResp.status, txt);
+    // 1) Fetch admin users list using service role (works reliably across regions)
+    let foundUser;
+    try {
+      foundUser = await findAuthUserByEmail(email);
+    } catch {
       return res.status(500).json({ success: false, message: "Failed to query users" });
     }
 
-    const usersJson = await usersResp.json();
-    // Supabase admin response may be an array or { users: [...] } — normalize to array
-    const usersList = Array.isArray(usersJson) ? usersJson : (Array.isArray(usersJson.users) ? usersJson.users : []);
-    const foundUser = usersList.find(u => String(u.email).toLowerCase() === String(email).toLowerCase());
-
     if (!foundUser) {
       // Don't leak which emails exist — generic message
+      loginFailed();
       return res.status(400).json({ success: false, message: "Invalid credentials." });
     }
 
@@ -1009,8 +2296,10 @@ app.post("/api/login", async (req, res) => {
     if (!loginResp.ok) {
       // data may contain error_description or error
       const msg = data?.error_description || data?.error || 'Login failed';
+      loginFailed();
       return res.status(400).json({ success: false, message: msg });
     }
+    loginFailures.reset(account);
 
     // Return tokens and user object to frontend
     return res.json({
@@ -1035,94 +2324,21 @@ app.get('/api/storage-sync/:subject?', (req, res) => {
     let storageStructure = {};
     
     if (subject) {
-      const subjectPath = path.join(STORAGE_DIR, subject);
-      if (fs.existsSync(subjectPath)) {
-        storageStructure[subject] = getSubjectFiles(subjectPath, subject);
+      if (catalog.getSubject(subject)) {
+        storageStructure[subject] = getSubjectStructure(subject);
       }
     } else {
-      if (fs.existsSync(STORAGE_DIR)) {
-        const subjects = fs.readdirSync(STORAGE_DIR).filter(item => {
-          const itemPath = path.join(STORAGE_DIR, item);
-          return fs.statSync(itemPath).isDirectory() && item.toLowerCase() !== 'temp';
-        });
-        
-        subjects.forEach(subjectName => {
-          const subjectPath = path.join(STORAGE_DIR, subjectName);
-          storageStructure[subjectName] = getSubjectFiles(subjectPath, subjectName);
-        });
-      }
-    }
-    
-    if (Object.keys(storageStructure).length === 0 && fullBackupData.subjects.length > 0) {
-      console.log('Storage structure empty, using backup data');
-      
-      fullBackupData.subjects.forEach(subjectData => {
-        // Skip temp subjects from backup data too
-        if (subjectData.name.toLowerCase() === 'temp') return;
-        
-        storageStructure[subjectData.name] = {
-          notes: {},
-          'practice-tests': [],
-          practicals: [],
-          assignments: []
-        };
-        
-        const subjectNotes = fullBackupData.notes.filter(note => note.subject === subjectData.name);
-        subjectNotes.forEach(note => {
-          if (!storageStructure[subjectData.name].notes[note.unit]) {
-            storageStructure[subjectData.name].notes[note.unit] = [];
-          }
-          storageStructure[subjectData.name].notes[note.unit].push({
-            filename: note.storedFileName,
-            title: note.title,
-            description: note.description,
-            size: note.fileSize,
-            modified: note.uploadDate,
-            type: note.type,
-            subject: note.subject,
-            unit: note.unit
-          });
+      catalog.listSubjects()
+        .filter(subjectData => subjectData.name.toLowerCase() !== 'temp')
+        .forEach(subjectData => {
+          storageStructure[subjectData.name] = getSubjectStructure(subjectData.name);
         });
-        
-        const subjectTests = fullBackupData.practiceTests.filter(test => test.subject === subjectData.name);
-        storageStructure[subjectData.name]['practice-tests'] = subjectTests.map(test => ({
-          filename: test.storedFileName,
-          title: test.title,
-          description: test.description,
-          size: test.fileSize,
-          modified: test.uploadDate,
-          type: test.type,
-          subject: test.subject
-        }));
-        
-        const subjectPracticals = fullBackupData.practicals.filter(practical => practical.subject === subjectData.name);
-        storageStructure[subjectData.name].practicals = subjectPracticals.map(practical => ({
-          filename: practical.storedFileName,
-          title: practical.title,
-          description: practical.description,
-          size: practical.fileSize,
-          modified: practical.uploadDate,
-          type: practical.type,
-          subject: practical.subject
-        }));
-        
-        const subjectAssignments = fullBackupData.assignments.filter(assignment => assignment.subject === subjectData.name);
-        storageStructure[subjectData.name].assignments = subjectAssignments.map(assignment => ({
-          filename: assignment.storedFileName,
-          title: assignment.title,
-          description: assignment.description,
-          size: assignment.fileSize,
-          modified: assignment.uploadDate,
-          type: assignment.type,
-          subject: assignment.subject
-        }));
-      });
     }
     
     res.json({
       success: true,
       storageStructure,
-      backupData: fullBackupData
+      backupData: catalog.exportBackup()
     });
   } catch (error) {
     console.error('Error getting storage structure:', error);
@@ -1134,167 +2350,107 @@ app.get('/api/storage-sync/:subject?', (req, res) => {
   }
 });
 
-function getSubjectFiles(subjectPath, subjectName) {
-  const subjectData = {
-    notes: {},
-    'practice-tests': [],
-    practicals: [],
-    assignments: []
-  };
-  
+/* ============================
+   CHANGE FEED
+   GET /api/changes?since=<cursor> -> { cursor, reset, subjects, deletedSubjects, resources, deletedResources }
+   Start with since=0 (full snapshot, reset: true), then pass back the returned cursor.
+   The ETag is the current cursor: If-None-Match: W/"<cursor>" gets a 304 while nothing changed.
+   GET /api/events -> Server-Sent Events stream of the same changes as they happen:
+     hello    { cursor }                              once, on connect
+     resource { action, id, revision, resource|null } action: created | updated | deleted
+     subject  { action, id, revision, subject|null }
+   Clients should pull /api/changes after "hello" to catch up on anything missed while disconnected.
+============================ */
+const feedEntry = (resource) => {
+  // Server paths stay on the server
+  const { filePath, ...entry } = describeResource(resource);
+  return { ...entry, thumbnailUrl: thumbnails.urlFor(resource) };
+};
+
+const liveEvents = createLiveEvents({ catalog, describeResource: feedEntry });
+
+app.get('/api/events', (req, res) => {
+  liveEvents.connect(req, res);
+});
+
+app.get('/api/changes', (req, res) => {
   try {
-    const notesPath = path.join(subjectPath, 'notes');
-    if (fs.existsSync(notesPath)) {
-      const units = fs.readdirSync(notesPath).filter(item => {
-        const itemPath = path.join(notesPath, item);
-        return fs.statSync(itemPath).isDirectory();
-      });
-      
-      units.forEach(unit => {
-        const unitPath = path.join(notesPath, unit);
-        const files = fs.readdirSync(unitPath).filter(file => {
-          const filePath = path.join(unitPath, file);
-          return fs.statSync(filePath).isFile();
-        });
-        
-        subjectData.notes[unit] = files.map(filename => {
-          const filePath = path.join(unitPath, filename);
-          const stats = fs.statSync(filePath);
-          
-          const metadataKey = `${subjectName}-notes-${unit}-${filename}`;
-          const metadata = fileMetadata.get(metadataKey);
-          
-          let baseTitle = filename.replace(/\.[^/.]+$/, "");
-          baseTitle = baseTitle.replace(/_\d{13}$/, "");
-          baseTitle = baseTitle.replace(/_/g, " ");
-          baseTitle = baseTitle.replace(/\b\w/g, l => l.toUpperCase());
-          
-          const finalTitle = metadata?.title || baseTitle;
-          const description = metadata?.description || '';
-          
-          return {
-            filename,
-            title: finalTitle,
-            description: description,
-            size: formatFileSize(stats.size),
-            modified: stats.mtime.toLocaleDateString(),
-            type: path.extname(filename).toLowerCase().includes('pdf') ? 'pdf' : 'image',
-            subject: subjectName,
-            unit: unit
-          };
-        });
-      });
-    }
-    
-    const assignmentsPath = path.join(subjectPath, 'assignments');
-    if (fs.existsSync(assignmentsPath)) {
-      const files = fs.readdirSync(assignmentsPath)
-        .filter(file => fs.statSync(path.join(assignmentsPath, file)).isFile());
-
-      subjectData.assignments = files.map(filename => {
-        const filePath = path.join(assignmentsPath, filename);
-        const stats = fs.statSync(filePath);
-
-        const metadataKey = `${subjectName}-assignments--${filename}`;
-        const metadata = fileMetadata.get(metadataKey);
-
-        let baseTitle = filename.replace(/\.[^/.]+$/, "");
-        baseTitle = baseTitle.replace(/_\d{13}$/, "");
-        baseTitle = baseTitle.replace(/_/g, " ");
-        baseTitle = baseTitle.replace(/\b\w/g, l => l.toUpperCase());
-
-        return {
-          filename,
-          title: metadata?.title || baseTitle,
-          description: metadata?.description || '',
-          size: formatFileSize(stats.size),
-          modified: stats.mtime.toLocaleDateString(),
-          type: path.extname(filename).toLowerCase().includes('pdf') ? 'pdf' : 'image',
-          subject: subjectName
-        };
-      });
-    }
-    
-    const practiceTestsPath = path.join(subjectPath, 'practice-tests');
-    if (fs.existsSync(practiceTestsPath)) {
-      const files = fs.readdirSync(practiceTestsPath).filter(file => {
-        const filePath = path.join(practiceTestsPath, file);
-        return fs.statSync(filePath).isFile();
-      });
-      
-      subjectData['practice-tests'] = files.map(filename => {
-        const filePath = path.join(practiceTestsPath, filename);
-        const stats = fs.statSync(filePath);
-        
-        const metadataKey = `${subjectName}-practice-tests--${filename}`;
-        const metadata = fileMetadata.get(metadataKey);
-        
-        let baseTitle = filename.replace(/\.[^/.]+$/, "");
-        baseTitle = baseTitle.replace(/_\d{13}$/, "");
-        baseTitle = baseTitle.replace(/_/g, " ");
-        baseTitle = baseTitle.replace(/\b\w/g, l => l.toUpperCase());
-        const finalTitle = metadata?.title && metadata.title.trim() !== '' ? metadata.title : baseTitle;
-        const description = metadata?.description || '';
-        
-        return {
-          filename,
-          title: finalTitle,
-          description: description,
-          size: formatFileSize(stats.size),
-          modified: stats.mtime.toLocaleDateString(),
-          type: path.extname(filename).toLowerCase().includes('pdf') ? 'pdf' : 'image',
-          subject: subjectName
-        };
-      });
-    }
-    
-    const practicalsPath = path.join(subjectPath, 'practicals');
-    if (fs.existsSync(practicalsPath)) {
-      const files = fs.readdirSync(practicalsPath).filter(file => {
-        const filePath = path.join(practicalsPath, file);
-        return fs.statSync(filePath).isFile();
-      });
-      
-      subjectData.practicals = files.map(filename => {
-        const filePath = path.join(practicalsPath, filename);
-        const stats = fs.statSync(filePath);
-        
-        const metadataKey = `${subjectName}-practicals--${filename}`;
-        const metadata = fileMetadata.get(metadataKey);
-        
-        let baseTitle = filename.replace(/\.[^/.]+$/, "");
-        baseTitle = baseTitle.replace(/_\d{13}$/, "");
-        baseTitle = baseTitle.replace(/_/g, " ");
-        baseTitle = baseTitle.replace(/\b\w/g, l => l.toUpperCase());
-        
-        const finalTitle = metadata?.title && metadata.title.trim() !== '' ? metadata.title : baseTitle;
-        const description = metadata?.description || '';
-        
-        return {
-          filename,
-          title: finalTitle,
-          description: description,
-          size: formatFileSize(stats.size),
-          modified: stats.mtime.toLocaleDateString(),
-          type: path.extname(filename).toLowerCase().includes('pdf') ? 'pdf' : 'image',
-          subject: subjectName
-        };
-      });
+    const since = Math.max(0, Number.parseInt(req.query.since, 10) || 0);
+    const cursor = catalog.currentRevision();
+
+    res.set('Cache-Control', 'no-cache');
+    res.set('ETag', `W/"${cursor}"`);
+    if (req.fresh) {
+      return res.status(304).end();
     }
+
+    const changes = catalog.changesSince(since);
+    res.json({
+      success: true,
+      cursor,
+      reset: changes.reset,
+      subjects: changes.subjects,
+      deletedSubjects: changes.deletedSubjects,
+      resources: changes.resources.map(feedEntry),
+      deletedResources: changes.deletedResources
+    });
   } catch (error) {
-    console.error(`Error reading subject files for ${subjectName}:`, error);
+    console.error('Error reading change feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read changes',
+      error: error.message
+    });
   }
+});
+
+// Resources of a subject by type id; types with units are grouped further by unit
+function getSubjectStructure(subjectName) {
+  const subject = catalog.getSubject(subjectName);
+  const subjectData = Object.fromEntries(RESOURCE_TYPES.map(type => [
+    type.id,
+    type.hasUnits ? Object.fromEntries((subject?.units || []).map(unit => [unit, []])) : []
+  ]));
+
+  catalog.listResources({ subject: subjectName }).forEach(resource => {
+    const entry = {
+      id: resource.id,
+      filename: resource.storedFileName,
+      title: resource.title,
+      description: resource.description,
+      size: resource.fileSize,
+      modified: resource.uploadDate,
+      type: resource.fileType,
+      subject: resource.subject,
+      thumbnailUrl: thumbnails.urlFor(resource),
+      sha256: resource.sha256,
+      metadata: resource.metadata
+    };
+
+    const group = subjectData[resource.category];
+    if (!group) return;
+    if (Array.isArray(group)) {
+      group.push(entry);
+    } else {
+      entry.unit = resource.unit;
+      group[resource.unit] = group[resource.unit] || [];
+      group[resource.unit].push(entry);
+    }
+  });
   
   return subjectData;
 }
 
-app.use('/storage', express.static(STORAGE_DIR));
+// Plain file URLs only exist while the files are on this server's disk, and only when public access is wanted
+if (storage.driver === 'local' && PUBLIC_STORAGE) {
+  app.use('/storage', express.static(STORAGE_DIR));
+}
 
 app.get('/api/health', (req, res) => {
   res.json({
     success: true,
     message: 'Server is running',
-    storage: STORAGE_DIR,
+    storage: storage.describe(),
     timestamp: new Date().toISOString()
   });
 });
@@ -1321,7 +2477,7 @@ app.get('/api/assignments', (req, res) => {
   try {
     res.json({
       success: true,
-      data: fullBackupData.assignments
+      data: catalog.exportBackup()[CATEGORY_BACKUP_KEYS.assignments]
     });
   } catch (error) {
     res.status(500).json({
@@ -1331,34 +2487,36 @@ app.get('/api/assignments', (req, res) => {
   }
 });
 
-app.delete('/api/subjects/:subjectName', (req, res) => {
+app.delete('/api/subjects/:subjectName', requireAdmin, async (req, res) => {
   try {
     const { subjectName } = req.params;
 
-    if (!subjectName || subjectName.toLowerCase() === 'temp') {
+    // Dot-folders (.trash, ...) live next to the subject folders but aren't subjects
+    if (!subjectName || subjectName.toLowerCase() === 'temp' || subjectName.startsWith('.')) {
       return res.status(400).json({
         success: false,
         message: 'Invalid subject name'
       });
     }
 
-    const subjectPath = path.join(STORAGE_DIR, subjectName);
-    if (fs.existsSync(subjectPath)) {
-      fs.removeSync(subjectPath);
-      console.log(`Deleted subject folder: ${subjectPath}`);
+    const item = await trash.trashSubject(subjectName, uploaderOf(req.user));
+    if (!item) {
+      // Nothing on the server by that name; deleting is idempotent
+      return res.json({
+        success: true,
+        message: `Subject '${subjectName}' not found on the server`
+      });
     }
-
-    fullBackupData.subjects = fullBackupData.subjects.filter(s => s.name !== subjectName);
-    fullBackupData.notes = fullBackupData.notes.filter(n => n.subject !== subjectName);
-    fullBackupData.practiceTests = fullBackupData.practiceTests.filter(t => t.subject !== subjectName);
-    fullBackupData.practicals = fullBackupData.practicals.filter(p => p.subject !== subjectName);
-    fullBackupData.assignments = fullBackupData.assignments.filter(a => a.subject !== subjectName);
-
-    saveMetadata();
+    console.log(`Moved subject '${subjectName}' to trash (${item.payload.resources.length} resources)`);
+    audit(req, 'subject.delete', { type: 'subject', id: subjectName, label: subjectName }, {
+      before: { units: item.payload.subject?.units ?? [], resourceCount: item.payload.resources.length },
+      after: { trashId: item.id }
+    });
 
     return res.json({
       success: true,
-      message: `Subject '${subjectName}' deleted successfully`
+      message: `Subject '${subjectName}' moved to trash`,
+      trashId: item.id
     });
   } catch (error) {
     console.error('Error deleting subject:', error);
@@ -1373,9 +2531,19 @@ app.delete('/api/subjects/:subjectName', (req, res) => {
 /* ============================
    SEND WELCOME + VERIFY EMAIL
 ============================ */
-app.post("/api/send-welcome", async (req, res) => {
+app.post("/api/send-welcome", limitPerIp, requireProofOfWork, async (req, res) => {
   try {
-    const { email, fullName } = req.body;
+    const email = normalizeEmail(req.body.email);
+    if (!email) return res.status(400).json({ success: false, message: 'email required' });
+    if (!allowEmailTo(res, email)) return;
+
+    // Only accounts that exist and still need verifying get this mail (with the name they
+    // registered), so the route can't be used to send mail to arbitrary people
+    const authUser = await findAuthUserByEmail(email);
+    if (!authUser || authUser.email_confirmed_at) {
+      return res.json({ success: true, message: "Welcome & verification email sent." });
+    }
+    const fullName = (await fetchProfile(authUser.id))?.full_name || '';
 
     const token = jwt.sign(
       { email, type: "verify" },
@@ -1383,17 +2551,10 @@ app.post("/api/send-welcome", async (req, res) => {
       { expiresIn: "7d" }
     );
 
-    const verifyLink = `${FRONTEND_URL}/verify-account?token=${token}`;
-
-    await mailer.sendMail({
-      from: SMTP_FROM,
+    sendEmail(req, {
       to: email,
-      subject: "Welcome to SNCOP-AI — Verify Your Email",
-      html: `
-        <h2>Welcome ${fullName}!</h2>
-        <p>Thank you for registering with SNCOP-AI.</p>
-        <p><a href="${verifyLink}" style="font-size:16px;color:blue;">Click here to verify your email</a></p>
-      `,
+      template: 'verify',
+      data: { name: fullName, link: `${FRONTEND_URL}/verify-account?token=${token}` }
     });
 
     res.json({ success: true, message: "Welcome & verification email sent." });
@@ -1414,9 +2575,16 @@ app.post("/send-welcome", (req, res) => {
 /* ============================
       FORGOT PASSWORD
 ============================ */
-app.post("/api/forgot-password", async (req, res) => {
+app.post("/api/forgot-password", limitPerIp, requireProofOfWork, async (req, res) => {
   try {
-    const { email } = req.body;
+    const email = normalizeEmail(req.body.email);
+    if (!email) return res.status(400).json({ success: false, message: 'email required' });
+    if (!allowEmailTo(res, email)) return;
+
+    // Same answer whether or not the address has an account, but only accounts get mail
+    if (!(await findAuthUserByEmail(email))) {
+      return res.json({ success: true, message: "Password reset email sent." });
+    }
 
     const token = jwt.sign(
       { email, type: "reset" },
@@ -1424,17 +2592,16 @@ app.post("/api/forgot-password", async (req, res) => {
       { expiresIn: "1h" }
     );
 
-    const resetLink = `${FRONTEND_URL}/reset-password?token=${token}`;
-
-    await mailer.sendMail({
-      from: SMTP_FROM,
+    sendEmail(req, {
       to: email,
-      subject: "SNCOP-AI Password Reset",
-      html: `
-        <p>You requested a password reset.</p>
-        <p><a href="${resetLink}">Click here to reset your password</a></p>
-        <p>This link expires in 1 hour.</p>
-      `,
+      template: 'reset',
+      data: { link: `${FRONTEND_URL}/reset-password?token=${token}` }
+    });
+
+    auditLog.record({
+      actor: null,
+      action: 'password.resetRequested',
+      target: { type: 'user', id: email, label: email }
     });
 
     res.json({ success: true, message: "Password reset email sent." });
@@ -1444,21 +2611,21 @@ app.post("/api/forgot-password", async (req, res) => {
   }
 });
 
-// notify user when profile is updated
-app.post('/api/profile-updated', async (req, res) => {
+// notify user when profile is updated; always mailed to the logged-in user's own (current) address
+app.post('/api/profile-updated', limitPerIp, requireUser, async (req, res) => {
   try {
-    const { email, fullName, changedFields } = req.body;
+    const { fullName, changedFields } = req.body;
+    const email = normalizeEmail(req.user.email);
     if (!email) return res.status(400).json({ success: false, message: 'email required' });
+    if (!allowEmailTo(res, email)) return;
 
-    await mailer.sendMail({
-      from: SMTP_FROM,
+    sendEmail(req, {
       to: email,
-      subject: 'SNCOP-AI — Profile changed',
-      html: `
-        <p>Hello ${fullName || ''},</p>
-        <p>Your account profile was recently updated. Changed fields: ${Array.isArray(changedFields) ? changedFields.join(', ') : changedFields}</p>
-        <p>If this wasn't you, please contact support immediately.</p>
-      `
+      template: 'profileChanged',
+      data: {
+        name: typeof fullName === 'string' ? fullName : '',
+        fields: (Array.isArray(changedFields) ? changedFields : [changedFields]).filter(field => typeof field === 'string')
+      }
     });
 
     res.json({ success: true, message: 'Notification sent' });
@@ -1471,6 +2638,17 @@ app.post('/api/profile-updated', async (req, res) => {
 /* ============================
    VERIFY ACCOUNT (VITE FIXED)
 ============================= */
+// The welcome mail follows the first verification only, not every later click on the link
+const sendWelcomeOnce = async (req, user, email) => {
+  if (user.email_confirmed_at) return;
+  try {
+    const fullName = (await fetchProfile(user.id))?.full_name || '';
+    sendEmail(req, { to: email, template: 'welcome', data: { name: fullName, link: `${FRONTEND_URL}/login` } });
+  } catch (error) {
+    console.error('Failed to queue welcome email:', error);
+  }
+};
+
 // REAL FIX — frontend calls /api/verify-account
 app.post('/api/verify-account', (req, res) => {
   req.url = '/verify-account';
@@ -1530,6 +2708,14 @@ app.post('/verify-account', async (req, res) => {
 
     const updateText = await updateResp.text();
     console.log("SUPABASE UPDATE RESPONSE:", updateText);
+    if (updateResp.ok) {
+      auditLog.record({
+        actor: { id: user.id, email },
+        action: 'account.verify',
+        target: { type: 'user', id: user.id, label: email }
+      });
+      await sendWelcomeOnce(req, user, email);
+    }
 
     return res.json({
       success: true,
@@ -1616,12 +2802,18 @@ app.post('/api/reset-password', async (req, res) => {
       return res.status(500).json({ success: false, message: 'Failed to update password' });
     }
 
+    // Whoever holds the emailed token acts as the account owner
+    auditLog.record({
+      actor: { id: user.id, email },
+      action: 'password.reset',
+      target: { type: 'user', id: user.id, label: email }
+    });
+
     // Notify user
-    await mailer.sendMail({
-      from: SMTP_FROM,
+    sendEmail(req, {
       to: email,
-      subject: 'SNCOP-AI — Your password was changed',
-      html: `<p>Your password was successfully reset.</p>`
+      template: 'passwordChanged',
+      data: { link: `${FRONTEND_URL}/forgot-password` }
     });
 
     return res.json({ success: true, message: 'Password updated' });
@@ -1713,6 +2905,12 @@ const verifyAccountHandler = async (req, res) => {
     }
 
     console.log(`Email verification updated for ${email}: ${updateText}`);
+    auditLog.record({
+      actor: { id: user.id, email },
+      action: 'account.verify',
+      target: { type: 'user', id: user.id, label: email }
+    });
+    await sendWelcomeOnce(req, user, email);
 
     // Return same shape your frontend expects
     return res.json({
@@ -1751,7 +2949,7 @@ app.use('*', (req, res) => {
 
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 File storage server running on port ${PORT}`);
-  console.log(`📁 Storage directory: ${STORAGE_DIR}`);
+  console.log(`📁 Storage: ${storage.describe()}`);
   console.log(`🌐 Server accessible at http://localhost:${PORT}`);
 });
 
@@ -1773,7 +2971,10 @@ process.on('unhandledRejection', (reason, promise) => {
 
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down gracefully');
-  server.close(() => {
+  liveEvents.close();
+  server.close(async () => {
+    await closeExtractors();
+    catalog.close();
     console.log('✅ Server closed');
     process.exit(0);
   });
@@ -1781,7 +2982,10 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('🛑 SIGINT received, shutting down gracefully');
-  server.close(() => {
+  liveEvents.close();
+  server.close(async () => {
+    await closeExtractors();
+    catalog.close();
     console.log('✅ Server closed');
     process.exit(0);
   });
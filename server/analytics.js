@@ -0,0 +1,147 @@
+// server/analytics.js
+// Which files students actually open. The /api/files route records a "view" or
+// "download" event per opened resource with an anonymised viewer id: an HMAC of
+// the user id with a salt kept in the catalog's meta table, so the raw id is
+// never stored. Finished days are folded into per-day totals and their raw
+// events dropped, so the event table only ever holds today.
+
+import crypto from 'crypto';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS analytics_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    resource_id TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    viewer TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_analytics_events_created_at ON analytics_events (created_at);
+  CREATE INDEX IF NOT EXISTS idx_analytics_events_repeat ON analytics_events (resource_id, viewer, kind, created_at);
+
+  CREATE TABLE IF NOT EXISTS analytics_daily (
+    day TEXT NOT NULL,
+    resource_id TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    count INTEGER NOT NULL,
+    viewers INTEGER NOT NULL,
+    PRIMARY KEY (day, resource_id, kind)
+  );
+`;
+
+export const ANALYTICS_KINDS = ['view', 'download'];
+
+// The same viewer opening the same file again within this long counts once
+const REPEAT_WINDOW_MINUTES = 30;
+const MAX_LIST_SIZE = 100;
+
+// Rolled-up days plus today's raw events, in one shape
+const ACTIVITY = `
+  activity AS (
+    SELECT day, resource_id, kind, count FROM analytics_daily
+    UNION ALL
+    SELECT date(created_at), resource_id, kind, COUNT(*) FROM analytics_events GROUP BY 1, 2, 3
+  )
+`;
+
+const sinceDays = (days) => `-${Math.max(Math.floor(Number(days) || 0), 0)} days`;
+const listSize = (limit, fallback) => Math.min(Math.max(Number(limit) || fallback, 1), MAX_LIST_SIZE);
+
+export const createAnalytics = ({ catalog }) => {
+  const { db } = catalog;
+  db.exec(SCHEMA);
+
+  let salt = catalog.getMeta('analytics_salt');
+  if (!salt) {
+    salt = crypto.randomBytes(32).toString('hex');
+    catalog.setMeta('analytics_salt', salt);
+  }
+
+  const insert = db.prepare('INSERT INTO analytics_events (resource_id, kind, viewer) VALUES (@resourceId, @kind, @viewer)');
+  const recentRepeat = db.prepare(`
+    SELECT 1 FROM analytics_events
+    WHERE resource_id = @resourceId AND viewer = @viewer AND kind = @kind
+      AND created_at >= datetime('now', '-${REPEAT_WINDOW_MINUTES} minutes')
+    LIMIT 1
+  `);
+
+  // Stable per user, but can't be turned back into the user id
+  const viewerId = (userId) => (userId
+    ? crypto.createHmac('sha256', salt).update(String(userId)).digest('base64url').slice(0, 22)
+    : null);
+
+  /**
+   * Counts one open of a resource. `kind` is "view" or "download". Never
+   * throws: the file is being served either way.
+   */
+  const record = ({ resourceId, kind, viewer = null }) => {
+    if (!resourceId || !ANALYTICS_KINDS.includes(kind)) return;
+    try {
+      const event = { resourceId: String(resourceId), kind, viewer: viewer || null };
+      if (event.viewer && recentRepeat.get(event)) return;
+      insert.run(event);
+    } catch (error) {
+      console.error(`Failed to record ${kind} of ${resourceId}:`, error);
+    }
+  };
+
+  // Folds finished days into analytics_daily and drops their raw events; returns the number of events folded
+  const rollUp = db.transaction(() => {
+    db.prepare(`
+      INSERT INTO analytics_daily (day, resource_id, kind, count, viewers)
+      SELECT date(created_at), resource_id, kind, COUNT(*), COUNT(DISTINCT viewer)
+      FROM analytics_events
+      WHERE created_at < date('now')
+      GROUP BY 1, 2, 3
+      ON CONFLICT (day, resource_id, kind) DO UPDATE SET
+        count = count + excluded.count,
+        viewers = viewers + excluded.viewers
+    `).run();
+    return db.prepare("DELETE FROM analytics_events WHERE created_at < date('now')").run().changes;
+  });
+
+  // Most opened resources of the last `days` days (views + downloads), skipping deleted ones
+  const top = ({ days = 7, limit = 10 } = {}) => db.prepare(`
+    WITH ${ACTIVITY}
+    SELECT a.resource_id AS resourceId,
+           SUM(CASE WHEN a.kind = 'view' THEN a.count ELSE 0 END) AS views,
+           SUM(CASE WHEN a.kind = 'download' THEN a.count ELSE 0 END) AS downloads
+    FROM activity a
+    JOIN resources r ON r.id = a.resource_id
+    WHERE a.day >= date('now', ?)
+    GROUP BY a.resource_id
+    ORDER BY views + downloads DESC, a.resource_id
+    LIMIT ${listSize(limit, 10)}
+  `).all(sinceDays(days))
+    .map(row => ({ ...row, resource: catalog.getResourceById(row.resourceId) }))
+    .filter(row => row.resource);
+
+  // Views per subject per day: [{ day: "2026-10-19", subject, views }]
+  const viewsPerSubject = ({ days = 30 } = {}) => db.prepare(`
+    WITH ${ACTIVITY}
+    SELECT a.day, s.name AS subject, SUM(a.count) AS views
+    FROM activity a
+    JOIN resources r ON r.id = a.resource_id
+    JOIN subjects s ON s.id = r.subject_id
+    WHERE a.kind = 'view' AND a.day >= date('now', ?)
+    GROUP BY a.day, s.name
+    ORDER BY a.day, s.name
+  `).all(sinceDays(days));
+
+  // Resources nobody has viewed or downloaded in the last `days` days, oldest uploads first
+  const unopened = ({ days, limit = 50 } = {}) => {
+    const ids = db.prepare(`
+      WITH ${ACTIVITY}
+      SELECT r.id FROM resources r
+      WHERE NOT EXISTS (SELECT 1 FROM activity a WHERE a.resource_id = r.id AND a.day >= date('now', ?))
+      ORDER BY r.created_at, r.id
+    `).pluck().all(sinceDays(days));
+
+    return {
+      total: ids.length,
+      resources: ids.slice(0, listSize(limit, 50)).map(catalog.getResourceById).filter(Boolean)
+    };
+  };
+
+  return { viewerId, record, rollUp, top, viewsPerSubject, unopened };
+};
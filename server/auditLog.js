@@ -0,0 +1,144 @@
+// server/auditLog.js
+// Append-only record of who changed what. Every mutating action adds one entry
+// with the actor, the target and a short before/after summary. Triggers make
+// the table refuse UPDATE and DELETE, so entries can't be rewritten later.
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    actor_id TEXT,
+    actor_email TEXT,
+    action TEXT NOT NULL,
+    target_type TEXT NOT NULL,
+    target_id TEXT,
+    target_label TEXT,
+    before_state TEXT,
+    after_state TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log (action);
+
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+  BEGIN
+    SELECT RAISE(ABORT, 'audit log entries cannot be changed');
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+  BEGIN
+    SELECT RAISE(ABORT, 'audit log entries cannot be deleted');
+  END;
+`;
+
+const MAX_PAGE_SIZE = 200;
+
+// SQLite's datetime('now') is UTC without a zone marker
+const toIsoDate = (sqliteDate) => new Date(`${sqliteDate.replace(' ', 'T')}Z`).toISOString();
+const toSqliteDate = (isoDate) => new Date(isoDate).toISOString().slice(0, 19).replace('T', ' ');
+
+const parseState = (json) => (json ? JSON.parse(json) : null);
+
+const toEntry = (row) => ({
+  id: row.id,
+  at: toIsoDate(row.created_at),
+  actor: { id: row.actor_id, email: row.actor_email },
+  action: row.action,
+  target: { type: row.target_type, id: row.target_id, label: row.target_label },
+  before: parseState(row.before_state),
+  after: parseState(row.after_state)
+});
+
+export const createAuditLog = ({ db }) => {
+  db.exec(SCHEMA);
+
+  const insert = db.prepare(`
+    INSERT INTO audit_log (actor_id, actor_email, action, target_type, target_id, target_label, before_state, after_state)
+    VALUES (@actorId, @actorEmail, @action, @targetType, @targetId, @targetLabel, @before, @after)
+  `);
+
+  /**
+   * Adds an entry. `actor` is { id, email } (either may be missing, e.g. for
+   * password resets), `target` is { type, id, label }. Never throws: the action
+   * being recorded has already happened.
+   */
+  const record = ({ actor, action, target, before = null, after = null }) => {
+    try {
+      insert.run({
+        actorId: actor?.id ?? null,
+        actorEmail: actor?.email ?? null,
+        action,
+        targetType: target.type,
+        targetId: target.id == null ? null : String(target.id),
+        targetLabel: target.label ?? null,
+        before: before === null ? null : JSON.stringify(before),
+        after: after === null ? null : JSON.stringify(after)
+      });
+    } catch (error) {
+      console.error(`Failed to write audit entry for ${action}:`, error);
+    }
+  };
+
+  /**
+   * Newest entries first. Filters: action, targetType, actor (part of the email
+   * or the exact id), search (part of the target's label or id), from/to (ISO
+   * dates). Pass the previous page's nextCursor as `cursor` for older entries.
+   */
+  const list = ({ action, targetType, actor, search, from, to, cursor, limit = 50 } = {}) => {
+    const clauses = [];
+    const params = {};
+
+    if (action) {
+      clauses.push('action = @action');
+      params.action = action;
+    }
+    if (targetType) {
+      clauses.push('target_type = @targetType');
+      params.targetType = targetType;
+    }
+    if (actor) {
+      clauses.push("(actor_email LIKE @actorLike ESCAPE '\\' OR actor_id = @actor)");
+      params.actor = actor;
+      params.actorLike = `%${actor.replace(/[\\%_]/g, '\\$&')}%`;
+    }
+    if (search) {
+      clauses.push("(target_label LIKE @searchLike ESCAPE '\\' OR target_id = @search)");
+      params.search = search;
+      params.searchLike = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+    }
+    if (from) {
+      clauses.push('created_at >= @from');
+      params.from = toSqliteDate(from);
+    }
+    if (to) {
+      clauses.push('created_at <= @to');
+      params.to = toSqliteDate(to);
+    }
+    if (cursor) {
+      clauses.push('id < @cursor');
+      params.cursor = Number(cursor);
+    }
+
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE_SIZE);
+    const rows = db.prepare(`
+      SELECT * FROM audit_log
+      ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ${pageSize + 1}
+    `).all(params);
+
+    const entries = rows.slice(0, pageSize).map(toEntry);
+    return {
+      entries,
+      nextCursor: rows.length > pageSize ? entries[entries.length - 1].id : null
+    };
+  };
+
+  // What the Activity tab offers in its filters
+  const facets = () => ({
+    actions: db.prepare('SELECT DISTINCT action FROM audit_log ORDER BY action').pluck().all(),
+    targetTypes: db.prepare('SELECT DISTINCT target_type FROM audit_log ORDER BY target_type').pluck().all()
+  });
+
+  return { record, list, facets };
+};
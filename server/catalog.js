@@ -0,0 +1,533 @@
+// server/catalog.js
+// SQLite-backed catalog of subjects, units and resources.
+// Every write runs inside a transaction, so concurrent uploads can no longer
+// clobber each other and a crash mid-write cannot leave a half-written catalog.
+import Database from 'better-sqlite3';
+import fs from 'fs-extra';
+import path from 'path';
+import { RESOURCE_TYPES, UNIT_TYPES, unitFor } from './resourceTypes.js';
+
+// Resource categories and the key each one uses in the legacy backup JSON
+export const CATEGORY_BACKUP_KEYS = Object.fromEntries(RESOURCE_TYPES.map(type => [type.id, type.backupKey]));
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS subjects (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  CREATE TABLE IF NOT EXISTS units (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    subject_id TEXT NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    UNIQUE (subject_id, name)
+  );
+
+  CREATE TABLE IF NOT EXISTS resources (
+    id TEXT PRIMARY KEY,
+    subject_id TEXT NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+    unit_id INTEGER REFERENCES units(id) ON DELETE CASCADE,
+    category TEXT NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    file_name TEXT NOT NULL,
+    stored_file_name TEXT NOT NULL,
+    file_size TEXT NOT NULL DEFAULT '',
+    file_type TEXT NOT NULL DEFAULT 'pdf',
+    relative_path TEXT NOT NULL,
+    sha256 TEXT,
+    upload_date TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_resources_location
+    ON resources (subject_id, category, IFNULL(unit_id, 0), stored_file_name);
+  CREATE INDEX IF NOT EXISTS idx_resources_category ON resources (category);
+`;
+
+// Columns added after a table was first created; CREATE TABLE IF NOT EXISTS won't add them to existing databases
+const ADDED_COLUMNS = [
+  { table: 'resources', column: 'sha256', definition: 'TEXT' },
+  // JSON object with the extra fields of the resource's type (resourceTypes.json)
+  { table: 'resources', column: 'metadata', definition: "TEXT NOT NULL DEFAULT '{}'" }
+];
+
+const INDEXES = `
+  CREATE INDEX IF NOT EXISTS idx_resources_sha256 ON resources (sha256);
+`;
+
+// Every write to subjects, units and resources is logged here by triggers, so clients can ask
+// for what changed since the revision they last saw instead of re-reading the whole catalog.
+// A unit change counts as an update of its subject.
+const CHANGE_LOG = `
+  CREATE TABLE IF NOT EXISTS changes (
+    revision INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL,
+    entity_id TEXT NOT NULL,
+    action TEXT NOT NULL DEFAULT 'update',
+    changed_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX IF NOT EXISTS idx_changes_entity ON changes (kind, entity_id);
+
+  CREATE TRIGGER IF NOT EXISTS resources_log_insert AFTER INSERT ON resources
+  BEGIN INSERT INTO changes (kind, entity_id, action) VALUES ('resource', new.id, 'create'); END;
+  CREATE TRIGGER IF NOT EXISTS resources_log_update AFTER UPDATE ON resources
+  BEGIN INSERT INTO changes (kind, entity_id, action) VALUES ('resource', new.id, 'update'); END;
+  CREATE TRIGGER IF NOT EXISTS resources_log_delete AFTER DELETE ON resources
+  BEGIN INSERT INTO changes (kind, entity_id, action) VALUES ('resource', old.id, 'delete'); END;
+
+  CREATE TRIGGER IF NOT EXISTS subjects_log_insert AFTER INSERT ON subjects
+  BEGIN INSERT INTO changes (kind, entity_id, action) VALUES ('subject', new.id, 'create'); END;
+  CREATE TRIGGER IF NOT EXISTS subjects_log_update AFTER UPDATE ON subjects
+  BEGIN INSERT INTO changes (kind, entity_id, action) VALUES ('subject', new.id, 'update'); END;
+  CREATE TRIGGER IF NOT EXISTS subjects_log_delete AFTER DELETE ON subjects
+  BEGIN INSERT INTO changes (kind, entity_id, action) VALUES ('subject', old.id, 'delete'); END;
+
+  CREATE TRIGGER IF NOT EXISTS units_log_insert AFTER INSERT ON units
+  BEGIN INSERT INTO changes (kind, entity_id, action) VALUES ('subject', new.subject_id, 'update'); END;
+  CREATE TRIGGER IF NOT EXISTS units_log_update AFTER UPDATE ON units
+  BEGIN INSERT INTO changes (kind, entity_id, action) VALUES ('subject', new.subject_id, 'update'); END;
+  CREATE TRIGGER IF NOT EXISTS units_log_delete AFTER DELETE ON units
+  BEGIN INSERT INTO changes (kind, entity_id, action) VALUES ('subject', old.subject_id, 'update'); END;
+`;
+
+// Deleted entities stay in the change log this long; clients whose cursor is older get a full snapshot
+const TOMBSTONE_DAYS = 30;
+
+const RESOURCE_SELECT = `
+  SELECT r.*, s.name AS subject_name, u.name AS unit_name
+  FROM resources r
+  JOIN subjects s ON s.id = r.subject_id
+  LEFT JOIN units u ON u.id = r.unit_id
+`;
+
+const newId = () => Date.now().toString() + Math.random().toString(36).slice(2, 8);
+
+export const createCatalog = ({ dbFile, storageDir }) => {
+  fs.ensureDirSync(path.dirname(dbFile));
+
+  const db = new Database(dbFile);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+  ADDED_COLUMNS.forEach(({ table, column, definition }) => {
+    const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(info => info.name === column);
+    if (!exists) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  });
+  db.exec(INDEXES);
+  db.exec(CHANGE_LOG);
+
+  const toResource = (row) => row && ({
+    id: row.id,
+    subject: row.subject_name,
+    unit: row.unit_name || '',
+    category: row.category,
+    title: row.title,
+    description: row.description,
+    fileName: row.file_name,
+    storedFileName: row.stored_file_name,
+    fileSize: row.file_size,
+    fileType: row.file_type,
+    filePath: path.join(storageDir, row.relative_path),
+    sha256: row.sha256 || null,
+    metadata: JSON.parse(row.metadata || '{}'),
+    uploadDate: row.upload_date,
+    updatedAt: row.updated_at
+  });
+
+  const getMeta = (key) => db.prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value ?? null;
+  const setMeta = (key, value) => {
+    db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+      .run(key, String(value));
+  };
+
+  const findSubjectRow = (name) => db.prepare('SELECT * FROM subjects WHERE name = ?').get(name);
+
+  const ensureSubjectRow = (name, preferredId) => {
+    const existing = findSubjectRow(name);
+    if (existing) return existing;
+
+    const idTaken = preferredId && db.prepare('SELECT 1 FROM subjects WHERE id = ?').get(String(preferredId));
+    const id = preferredId && !idTaken ? String(preferredId) : newId();
+    db.prepare('INSERT INTO subjects (id, name) VALUES (?, ?)').run(id, name);
+    return findSubjectRow(name);
+  };
+
+  const ensureUnitRow = (subjectId, unitName) => {
+    const existing = db.prepare('SELECT * FROM units WHERE subject_id = ? AND name = ?').get(subjectId, unitName);
+    if (existing) return existing;
+
+    const { next } = db.prepare('SELECT IFNULL(MAX(position), -1) + 1 AS next FROM units WHERE subject_id = ?').get(subjectId);
+    db.prepare('INSERT INTO units (subject_id, name, position) VALUES (?, ?, ?)').run(subjectId, unitName, next);
+    return db.prepare('SELECT * FROM units WHERE subject_id = ? AND name = ?').get(subjectId, unitName);
+  };
+
+  const unitsFor = (subjectId) => db
+    .prepare('SELECT name FROM units WHERE subject_id = ? ORDER BY position, id')
+    .all(subjectId)
+    .map(u => u.name);
+
+  const listSubjects = () => db
+    .prepare('SELECT * FROM subjects ORDER BY name COLLATE NOCASE')
+    .all()
+    .map(s => ({ id: s.id, name: s.name, units: unitsFor(s.id) }));
+
+  const getSubjectById = (id) => {
+    const row = db.prepare('SELECT * FROM subjects WHERE id = ?').get(id);
+    return row ? { id: row.id, name: row.name, units: unitsFor(row.id) } : null;
+  };
+
+  const getSubject = (name) => {
+    const row = findSubjectRow(name);
+    return row ? { id: row.id, name: row.name, units: unitsFor(row.id) } : null;
+  };
+
+  // Creates the subject if needed and makes `units` its unit list, in order.
+  // Units that are left out are only dropped when no resource still lives in them.
+  const upsertSubject = db.transaction((name, units = [], preferredId) => {
+    const subject = ensureSubjectRow(name, preferredId);
+
+    units.forEach((unitName, position) => {
+      const unit = ensureUnitRow(subject.id, unitName);
+      db.prepare('UPDATE units SET position = ? WHERE id = ?').run(position, unit.id);
+    });
+
+    const placeholders = units.map(() => '?').join(', ');
+    db.prepare(`
+      DELETE FROM units
+      WHERE subject_id = ?
+        ${units.length ? `AND name NOT IN (${placeholders})` : ''}
+        AND NOT EXISTS (SELECT 1 FROM resources r WHERE r.unit_id = units.id)
+    `).run(subject.id, ...units);
+
+    return getSubject(name);
+  });
+
+  const addUnit = db.transaction((subjectName, unitName) => {
+    const subject = ensureSubjectRow(subjectName);
+    ensureUnitRow(subject.id, unitName);
+    return getSubject(subjectName);
+  });
+
+  const deleteSubject = db.transaction((name) => {
+    const result = db.prepare('DELETE FROM subjects WHERE name = ?').run(name);
+    return result.changes > 0;
+  });
+
+  // Points stored paths under `fromDir` at `toDir` (both relative to storage/) after the folder moved on disk
+  const rebaseResourcePaths = (rows, fromDir, toDir) => {
+    const update = db.prepare("UPDATE resources SET relative_path = ?, updated_at = datetime('now') WHERE id = ?");
+    rows
+      .filter(row => row.relative_path.startsWith(fromDir + path.sep))
+      .forEach(row => update.run(path.join(toDir, row.relative_path.slice(fromDir.length + 1)), row.id));
+  };
+
+  // Renames the subject and re-points its resources at storage/<newName>; the caller moves the folder
+  const renameSubject = db.transaction((oldName, newName) => {
+    const subject = findSubjectRow(oldName);
+    if (!subject) return null;
+
+    db.prepare('UPDATE subjects SET name = ? WHERE id = ?').run(newName, subject.id);
+    const rows = db.prepare('SELECT id, relative_path FROM resources WHERE subject_id = ?').all(subject.id);
+    rebaseResourcePaths(rows, oldName, newName);
+    return getSubject(newName);
+  });
+
+  const renameUnit = db.transaction((subjectName, oldUnit, newUnit) => {
+    const subject = findSubjectRow(subjectName);
+    const unit = subject && db.prepare('SELECT * FROM units WHERE subject_id = ? AND name = ?').get(subject.id, oldUnit);
+    if (!unit) return null;
+
+    db.prepare('UPDATE units SET name = ? WHERE id = ?').run(newUnit, unit.id);
+    const rows = db.prepare('SELECT id, relative_path FROM resources WHERE unit_id = ?').all(unit.id);
+    UNIT_TYPES.forEach(type => rebaseResourcePaths(
+      rows,
+      path.join(subjectName, type.folder, oldUnit),
+      path.join(subjectName, type.folder, newUnit)
+    ));
+    return getSubject(subjectName);
+  });
+
+  // Only empty units can go; their resources have to be moved or deleted first
+  const removeUnit = db.transaction((subjectName, unitName) => {
+    const result = db.prepare(`
+      DELETE FROM units
+      WHERE name = ?
+        AND subject_id = (SELECT id FROM subjects WHERE name = ?)
+        AND NOT EXISTS (SELECT 1 FROM resources r WHERE r.unit_id = units.id)
+    `).run(unitName, subjectName);
+    return result.changes > 0;
+  });
+
+  const findResourceRow = (subject, category, unit, storedFileName) => db.prepare(`
+    ${RESOURCE_SELECT}
+    WHERE s.name = ? AND r.category = ? AND IFNULL(u.name, '') = ? AND r.stored_file_name = ?
+  `).get(subject, category, unitFor(category, unit), storedFileName);
+
+  const getResource = (subject, category, unit, storedFileName) =>
+    toResource(findResourceRow(subject, category, unit, storedFileName));
+
+  const getResourceById = (id) => toResource(db.prepare(`${RESOURCE_SELECT} WHERE r.id = ?`).get(id));
+
+  // `metadata` matches extra fields exactly, e.g. { year: 2023, semester: 3 };
+  // for a list field such as tags, a resource matches when the list has the value
+  const listResources = ({ subject, category, unit, metadata = {} } = {}) => {
+    const clauses = [];
+    const params = [];
+    if (subject) { clauses.push('s.name = ?'); params.push(subject); }
+    if (category) { clauses.push('r.category = ?'); params.push(category); }
+    if (unit) { clauses.push('u.name = ?'); params.push(unit); }
+    Object.entries(metadata).forEach(([name, value]) => {
+      clauses.push('EXISTS (SELECT 1 FROM json_each(r.metadata, ?) WHERE json_each.value = ?)');
+      params.push(`$.${JSON.stringify(name)}`, value);
+    });
+
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    return db.prepare(`${RESOURCE_SELECT} ${where} ORDER BY r.created_at, r.id`).all(...params).map(toResource);
+  };
+
+  // Inserts a resource, replacing any existing one stored under the same file name
+  const saveResource = db.transaction((resource) => {
+    const subject = ensureSubjectRow(resource.subject);
+    const unitName = unitFor(resource.category, resource.unit);
+    const unit = unitName ? ensureUnitRow(subject.id, unitName) : null;
+
+    const existing = findResourceRow(resource.subject, resource.category, resource.unit, resource.storedFileName);
+    const idTaken = resource.id && db.prepare('SELECT 1 FROM resources WHERE id = ?').get(resource.id);
+    const id = existing?.id || (resource.id && !idTaken ? resource.id : newId());
+
+    db.prepare(`
+      INSERT INTO resources (
+        id, subject_id, unit_id, category, title, description, file_name, stored_file_name,
+        file_size, file_type, relative_path, sha256, metadata, upload_date
+      ) VALUES (
+        @id, @subjectId, @unitId, @category, @title, @description, @fileName, @storedFileName,
+        @fileSize, @fileType, @relativePath, @sha256, @metadata, @uploadDate
+      )
+      ON CONFLICT(id) DO UPDATE SET
+        title = excluded.title,
+        description = excluded.description,
+        file_name = excluded.file_name,
+        file_size = excluded.file_size,
+        file_type = excluded.file_type,
+        relative_path = excluded.relative_path,
+        sha256 = IFNULL(excluded.sha256, resources.sha256),
+        metadata = excluded.metadata,
+        updated_at = datetime('now')
+    `).run({
+      id,
+      subjectId: subject.id,
+      unitId: unit ? unit.id : null,
+      category: resource.category,
+      title: resource.title,
+      description: resource.description || '',
+      fileName: resource.fileName,
+      storedFileName: resource.storedFileName,
+      fileSize: resource.fileSize || '',
+      fileType: resource.fileType || 'pdf',
+      relativePath: path.relative(storageDir, resource.filePath),
+      sha256: resource.sha256 || null,
+      metadata: JSON.stringify(resource.metadata || {}),
+      uploadDate: resource.uploadDate || new Date().toLocaleDateString()
+    });
+
+    return getResourceById(id);
+  });
+
+  // Re-files a resource under another subject/unit; the caller has already moved the file to `filePath`
+  const moveResource = db.transaction((id, { subject, unit, filePath }) => {
+    const existing = getResourceById(id);
+    if (!existing) return null;
+
+    const subjectRow = ensureSubjectRow(subject);
+    const unitName = unitFor(existing.category, unit);
+    const unitRow = unitName ? ensureUnitRow(subjectRow.id, unitName) : null;
+    db.prepare(`
+      UPDATE resources
+      SET subject_id = ?, unit_id = ?, relative_path = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(subjectRow.id, unitRow ? unitRow.id : null, path.relative(storageDir, filePath), id);
+    return getResourceById(id);
+  });
+
+  // Logs a change for something that isn't stored in the row itself (e.g. a new thumbnail)
+  const touchResource = (id) => {
+    db.prepare("UPDATE resources SET updated_at = datetime('now') WHERE id = ?").run(id);
+  };
+
+  const setResourceHash = (id, sha256) => {
+    db.prepare('UPDATE resources SET sha256 = ? WHERE id = ?').run(sha256, id);
+  };
+
+  // Resources in `subject` whose file has this content hash
+  const findByHash = (sha256, { subject } = {}) => {
+    const clauses = ['r.sha256 = ?'];
+    const params = [sha256];
+    if (subject) { clauses.push('s.name = ?'); params.push(subject); }
+    return db.prepare(`${RESOURCE_SELECT} WHERE ${clauses.join(' AND ')} ORDER BY r.created_at, r.id`)
+      .all(...params)
+      .map(toResource);
+  };
+
+  // True when another resource links to the same file on disk, so deleting this one must leave the file alone
+  const isFileShared = (resource) => !!db
+    .prepare('SELECT 1 FROM resources WHERE relative_path = ? AND id != ?')
+    .get(path.relative(storageDir, resource.filePath), resource.id);
+
+  const deleteResource = db.transaction((subject, category, unit, storedFileName) => {
+    const existing = findResourceRow(subject, category, unit, storedFileName);
+    if (!existing) return false;
+
+    db.prepare('DELETE FROM resources WHERE id = ?').run(existing.id);
+    return true;
+  });
+
+  const currentRevision = () => db.prepare('SELECT IFNULL(MAX(revision), 0) AS revision FROM changes').get().revision;
+
+  /**
+   * What changed after revision `since`: current subjects/resources that were added or
+   * changed, and ids of deleted ones. `reset` is set (with everything in the catalog)
+   * when `since` is 0 or older than the change log reaches back.
+   */
+  const changesSince = (since) => {
+    const compactedThrough = Number(getMeta('changes_compacted_through') || 0);
+    if (!since || since < compactedThrough) {
+      return {
+        reset: true,
+        subjects: listSubjects(),
+        deletedSubjects: [],
+        resources: listResources(),
+        deletedResources: []
+      };
+    }
+
+    const changes = { reset: false, subjects: [], deletedSubjects: [], resources: [], deletedResources: [] };
+    db.prepare('SELECT DISTINCT kind, entity_id FROM changes WHERE revision > ?').all(since).forEach(({ kind, entity_id: id }) => {
+      if (kind === 'subject') {
+        const subject = getSubjectById(id);
+        if (subject) changes.subjects.push(subject);
+        else changes.deletedSubjects.push(id);
+      } else {
+        const resource = getResourceById(id);
+        if (resource) changes.resources.push(resource);
+        else changes.deletedResources.push(id);
+      }
+    });
+    return changes;
+  };
+
+  /**
+   * Each subject/resource written after `since`, in the order of its latest change:
+   * { kind, id, revision, action, entity } where action is "created", "updated" or
+   * "deleted", revision is the entity's latest change and entity its current state
+   * (null once deleted).
+   */
+  const activitySince = (since) => db.prepare(`
+    SELECT kind, entity_id, MAX(revision) AS revision, MAX(action = 'create') AS created
+    FROM changes WHERE revision > ?
+    GROUP BY kind, entity_id
+    ORDER BY revision
+  `).all(since).map(row => {
+    const entity = (row.kind === 'subject' ? getSubjectById(row.entity_id) : getResourceById(row.entity_id)) || null;
+    return {
+      kind: row.kind,
+      id: row.entity_id,
+      revision: row.revision,
+      action: !entity ? 'deleted' : row.created ? 'created' : 'updated',
+      entity
+    };
+  });
+
+  // Keeps only the latest change per entity and drops old ones for entities that are gone
+  const compactChanges = db.transaction(() => {
+    db.exec('DELETE FROM changes WHERE revision NOT IN (SELECT MAX(revision) FROM changes GROUP BY kind, entity_id)');
+
+    const tombstones = db.prepare(`
+      SELECT MAX(revision) AS revision FROM changes
+      WHERE changed_at < datetime('now', ?)
+        AND ((kind = 'resource' AND entity_id NOT IN (SELECT id FROM resources))
+          OR (kind = 'subject' AND entity_id NOT IN (SELECT id FROM subjects)))
+    `).get(`-${TOMBSTONE_DAYS} days`);
+    if (!tombstones.revision) return;
+
+    db.prepare(`
+      DELETE FROM changes
+      WHERE revision <= ?
+        AND ((kind = 'resource' AND entity_id NOT IN (SELECT id FROM resources))
+          OR (kind = 'subject' AND entity_id NOT IN (SELECT id FROM subjects)))
+    `).run(tombstones.revision);
+    setMeta('changes_compacted_through', Math.max(tombstones.revision, Number(getMeta('changes_compacted_through') || 0)));
+  });
+
+  // Same shape the old storage/sncop-backup.json had, for clients that still read `backupData`,
+  // minus `filePath`: this goes out to anyone, and server paths stay on the server
+  const exportBackup = () => {
+    const backup = {
+      subjects: listSubjects(),
+      ...Object.fromEntries(RESOURCE_TYPES.map(type => [type.backupKey, []])),
+      lastBackup: new Date().toISOString()
+    };
+
+    listResources().forEach(resource => {
+      const key = CATEGORY_BACKUP_KEYS[resource.category];
+      if (!key) return;
+
+      const entry = {
+        id: resource.id,
+        title: resource.title,
+        description: resource.description,
+        fileName: resource.fileName,
+        storedFileName: resource.storedFileName,
+        fileSize: resource.fileSize,
+        uploadDate: resource.uploadDate,
+        subject: resource.subject,
+        type: resource.fileType,
+        metadata: resource.metadata
+      };
+      if (resource.unit) entry.unit = resource.unit;
+      backup[key].push(entry);
+    });
+
+    return backup;
+  };
+
+  return {
+    db,
+    getMeta,
+    setMeta,
+    listSubjects,
+    getSubject,
+    getSubjectById,
+    upsertSubject,
+    addUnit,
+    deleteSubject,
+    renameSubject,
+    renameUnit,
+    removeUnit,
+    getResource,
+    getResourceById,
+    listResources,
+    saveResource,
+    moveResource,
+    touchResource,
+    setResourceHash,
+    findByHash,
+    isFileShared,
+    deleteResource,
+    exportBackup,
+    currentRevision,
+    changesSince,
+    activitySince,
+    compactChanges,
+    transaction: (fn) => db.transaction(fn)(),
+    close: () => db.close()
+  };
+};
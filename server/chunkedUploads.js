@@ -0,0 +1,191 @@
+// server/chunkedUploads.js
+// Resumable chunked uploads. A session is opened with the file's size and the
+// catalog fields, chunks are PUT in any order (each with its own SHA-256), and
+// completing the session reassembles the file and verifies the whole-file hash.
+// Session state lives in the catalog database so uploads survive a restart.
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { finished } from 'stream/promises';
+
+export const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS upload_sessions (
+    id TEXT PRIMARY KEY,
+    file_name TEXT NOT NULL,
+    file_size INTEGER NOT NULL,
+    mime_type TEXT NOT NULL DEFAULT '',
+    chunk_size INTEGER NOT NULL,
+    total_chunks INTEGER NOT NULL,
+    sha256 TEXT,
+    fields TEXT NOT NULL DEFAULT '{}',
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  CREATE TABLE IF NOT EXISTS upload_chunks (
+    session_id TEXT NOT NULL REFERENCES upload_sessions(id) ON DELETE CASCADE,
+    idx INTEGER NOT NULL,
+    size INTEGER NOT NULL,
+    sha256 TEXT NOT NULL,
+    PRIMARY KEY (session_id, idx)
+  );
+`;
+
+export const sha256Of = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+export const createUploadSessions = ({ db, dir, ttlMs }) => {
+  db.exec(SCHEMA);
+  fs.ensureDirSync(dir);
+
+  const sessionDir = (id) => path.join(dir, id);
+  const chunkPath = (id, index) => path.join(sessionDir(id), `${index}.part`);
+
+  const toSession = (row) => row && ({
+    id: row.id,
+    fileName: row.file_name,
+    fileSize: row.file_size,
+    mimeType: row.mime_type,
+    chunkSize: row.chunk_size,
+    totalChunks: row.total_chunks,
+    sha256: row.sha256,
+    fields: JSON.parse(row.fields || '{}'),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  });
+
+  const get = (id) => toSession(db.prepare('SELECT * FROM upload_sessions WHERE id = ?').get(id));
+
+  const receivedChunks = (id) => db
+    .prepare('SELECT idx FROM upload_chunks WHERE session_id = ? ORDER BY idx')
+    .all(id)
+    .map(row => row.idx);
+
+  const create = ({ fileName, fileSize, mimeType, chunkSize, sha256, fields, createdBy }) => {
+    const size = Number(fileSize);
+    if (!fileName || !Number.isSafeInteger(size) || size <= 0) {
+      throw new Error('fileName and a positive fileSize are required');
+    }
+
+    const effectiveChunkSize = Math.min(Math.max(Number(chunkSize) || DEFAULT_CHUNK_SIZE, 256 * 1024), MAX_CHUNK_SIZE);
+    const id = crypto.randomUUID();
+
+    db.prepare(`
+      INSERT INTO upload_sessions (id, file_name, file_size, mime_type, chunk_size, total_chunks, sha256, fields, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      fileName,
+      size,
+      mimeType || '',
+      effectiveChunkSize,
+      Math.ceil(size / effectiveChunkSize),
+      sha256 ? String(sha256).toLowerCase() : null,
+      JSON.stringify(fields || {}),
+      createdBy || null
+    );
+    fs.ensureDirSync(sessionDir(id));
+
+    return get(id);
+  };
+
+  const expectedChunkSize = (session, index) => (
+    index === session.totalChunks - 1
+      ? session.fileSize - session.chunkSize * (session.totalChunks - 1)
+      : session.chunkSize
+  );
+
+  // Stores one chunk after checking its index, length and (optional) SHA-256
+  const writeChunk = (session, index, buffer, declaredSha256) => {
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      throw new Error(`Chunk index out of range (0-${session.totalChunks - 1})`);
+    }
+    if (buffer.length !== expectedChunkSize(session, index)) {
+      throw new Error(`Chunk ${index} should be ${expectedChunkSize(session, index)} bytes, got ${buffer.length}`);
+    }
+
+    const digest = sha256Of(buffer);
+    if (declaredSha256 && String(declaredSha256).toLowerCase() !== digest) {
+      throw new Error(`Checksum mismatch for chunk ${index}`);
+    }
+
+    fs.writeFileSync(chunkPath(session.id, index), buffer);
+    db.prepare(`
+      INSERT INTO upload_chunks (session_id, idx, size, sha256) VALUES (?, ?, ?, ?)
+      ON CONFLICT(session_id, idx) DO UPDATE SET size = excluded.size, sha256 = excluded.sha256
+    `).run(session.id, index, buffer.length, digest);
+    db.prepare("UPDATE upload_sessions SET updated_at = datetime('now') WHERE id = ?").run(session.id);
+
+    return digest;
+  };
+
+  // Concatenates all chunks into `targetPath` and returns the whole-file SHA-256
+  const assemble = async (session, targetPath) => {
+    const received = receivedChunks(session.id);
+    if (received.length !== session.totalChunks) {
+      const missing = [];
+      for (let i = 0; i < session.totalChunks && missing.length < 20; i++) {
+        if (!received.includes(i)) missing.push(i);
+      }
+      const err = new Error(`Upload incomplete: ${received.length}/${session.totalChunks} chunks received`);
+      err.missingChunks = missing;
+      throw err;
+    }
+
+    fs.ensureDirSync(path.dirname(targetPath));
+    const hash = crypto.createHash('sha256');
+    const out = fs.createWriteStream(targetPath);
+
+    try {
+      for (let i = 0; i < session.totalChunks; i++) {
+        const data = fs.readFileSync(chunkPath(session.id, i));
+        hash.update(data);
+        if (!out.write(data)) {
+          await new Promise(resolve => out.once('drain', resolve));
+        }
+      }
+      out.end();
+      await finished(out);
+    } catch (error) {
+      out.destroy();
+      fs.removeSync(targetPath);
+      throw error;
+    }
+
+    const digest = hash.digest('hex');
+    if (session.sha256 && session.sha256 !== digest) {
+      fs.removeSync(targetPath);
+      throw new Error('Checksum mismatch for assembled file');
+    }
+
+    return digest;
+  };
+
+  const remove = (id) => {
+    db.prepare('DELETE FROM upload_sessions WHERE id = ?').run(id);
+    fs.removeSync(sessionDir(id));
+  };
+
+  // Drops sessions (and their partial chunks) that have not been touched within ttlMs
+  const purgeExpired = () => {
+    const cutoff = new Date(Date.now() - ttlMs).toISOString().replace('T', ' ').slice(0, 19);
+    const expired = db.prepare('SELECT id FROM upload_sessions WHERE updated_at < ?').all(cutoff);
+    expired.forEach(({ id }) => remove(id));
+
+    // Chunk folders with no session row left behind by a crash
+    fs.readdirSync(dir)
+      .filter(name => !get(name))
+      .forEach(name => fs.removeSync(path.join(dir, name)));
+
+    if (expired.length > 0) {
+      console.log(`Purged ${expired.length} expired upload sessions`);
+    }
+    return expired.length;
+  };
+
+  return { get, create, receivedChunks, writeChunk, assemble, remove, purgeExpired };
+};
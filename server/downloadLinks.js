@@ -0,0 +1,31 @@
+// server/downloadLinks.js
+// Signed, expiring file URLs. A link is the file's /api/files/... URL plus
+// ?expires=<unix seconds>&signature=<HMAC of the file and the expiry>, so it
+// can be checked without storing anything and stops working once it expires.
+import crypto from 'crypto';
+
+// Without a configured secret a random one is used, so links stop working when the server restarts
+export const createDownloadLinks = ({ secret = crypto.randomBytes(32).toString('hex'), ttlSeconds }) => {
+  const signatureFor = (target, expires) =>
+    crypto.createHmac('sha256', secret).update(`${target}\n${expires}`).digest('base64url');
+
+  // Expiries are rounded up to a multiple of the TTL, so a file keeps the same
+  // URL for a while and browsers can reuse their cached copy. Links therefore
+  // stay valid for between one and two TTLs.
+  const sign = (target, now = Date.now()) => {
+    const earliest = Math.floor(now / 1000) + ttlSeconds;
+    const expires = Math.ceil(earliest / ttlSeconds) * ttlSeconds;
+    return { expires, signature: signatureFor(target, expires) };
+  };
+
+  const verify = (target, expires, signature, now = Date.now()) => {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || expiresAt * 1000 < now || typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(signatureFor(target, expiresAt));
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  };
+
+  return { sign, verify };
+};
@@ -0,0 +1,154 @@
+// server/emailTemplates.js
+// Every email the server sends, in English and Hindi. A template gives the
+// wording (subject, greeting, paragraphs, an optional button, a closing note);
+// renderEmail() turns that into matching HTML and plain-text bodies, so the
+// two versions can't drift apart.
+
+export const EMAIL_LANGUAGES = ['en', 'hi'];
+
+const BRAND = 'SNCOP-AI';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// How profile fields are named in the "profile changed" mail
+const FIELD_LABELS = {
+  en: { full_name: 'name', email: 'email address' },
+  hi: { full_name: 'नाम', email: 'ईमेल पता' }
+};
+
+const fieldList = (language, fields = []) =>
+  fields.map(field => FIELD_LABELS[language][field] || field).join(', ');
+
+const TEMPLATES = {
+  // Sent when someone registers: confirm the address
+  verify: {
+    en: ({ name, link }) => ({
+      subject: `Verify your ${BRAND} email`,
+      greeting: name ? `Hello ${name},` : 'Hello,',
+      paragraphs: [`Thank you for registering with ${BRAND}. Please confirm that this is your email address.`],
+      action: { label: 'Verify my email', url: link },
+      note: "This link expires in 7 days. If you didn't create an account, you can ignore this email."
+    }),
+    hi: ({ name, link }) => ({
+      subject: `${BRAND} पर अपना ईमेल सत्यापित करें`,
+      greeting: name ? `नमस्ते ${name},` : 'नमस्ते,',
+      paragraphs: [`${BRAND} पर रजिस्टर करने के लिए धन्यवाद। कृपया पुष्टि करें कि यह आपका ईमेल पता है।`],
+      action: { label: 'मेरा ईमेल सत्यापित करें', url: link },
+      note: 'यह लिंक 7 दिनों में समाप्त हो जाएगा। अगर आपने खाता नहीं बनाया है, तो इस ईमेल को अनदेखा करें।'
+    })
+  },
+
+  // Sent once the address is verified
+  welcome: {
+    en: ({ name, link }) => ({
+      subject: `Welcome to ${BRAND}`,
+      greeting: name ? `Welcome, ${name}!` : 'Welcome!',
+      paragraphs: [
+        'Your email is verified and your account is ready.',
+        'You can now log in to read notes, practice tests, practicals and assignments for your subjects.'
+      ],
+      action: { label: 'Log in', url: link }
+    }),
+    hi: ({ name, link }) => ({
+      subject: `${BRAND} में आपका स्वागत है`,
+      greeting: name ? `स्वागत है, ${name}!` : 'स्वागत है!',
+      paragraphs: [
+        'आपका ईमेल सत्यापित हो गया है और आपका खाता तैयार है।',
+        'अब आप लॉग इन करके अपने विषयों के नोट्स, प्रैक्टिस टेस्ट, प्रैक्टिकल और असाइनमेंट पढ़ सकते हैं।'
+      ],
+      action: { label: 'लॉग इन करें', url: link }
+    })
+  },
+
+  reset: {
+    en: ({ link }) => ({
+      subject: `Reset your ${BRAND} password`,
+      greeting: 'Hello,',
+      paragraphs: ['We received a request to reset the password for your account.'],
+      action: { label: 'Choose a new password', url: link },
+      note: "This link expires in 1 hour. If you didn't ask for this, ignore this email and your password stays the same."
+    }),
+    hi: ({ link }) => ({
+      subject: `अपना ${BRAND} पासवर्ड रीसेट करें`,
+      greeting: 'नमस्ते,',
+      paragraphs: ['हमें आपके खाते का पासवर्ड रीसेट करने का अनुरोध मिला है।'],
+      action: { label: 'नया पासवर्ड चुनें', url: link },
+      note: 'यह लिंक 1 घंटे में समाप्त हो जाएगा। अगर आपने यह अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें; आपका पासवर्ड नहीं बदलेगा।'
+    })
+  },
+
+  passwordChanged: {
+    en: ({ link }) => ({
+      subject: `Your ${BRAND} password was changed`,
+      greeting: 'Hello,',
+      paragraphs: ['The password for your account was just changed.'],
+      action: link && { label: 'Reset my password', url: link },
+      note: "If this wasn't you, reset your password right away and contact support."
+    }),
+    hi: ({ link }) => ({
+      subject: `आपका ${BRAND} पासवर्ड बदल दिया गया है`,
+      greeting: 'नमस्ते,',
+      paragraphs: ['आपके खाते का पासवर्ड अभी बदला गया है।'],
+      action: link && { label: 'मेरा पासवर्ड रीसेट करें', url: link },
+      note: 'अगर यह आपने नहीं किया, तो तुरंत अपना पासवर्ड रीसेट करें और सहायता से संपर्क करें।'
+    })
+  },
+
+  profileChanged: {
+    en: ({ name, fields }) => ({
+      subject: `Your ${BRAND} profile was changed`,
+      greeting: name ? `Hello ${name},` : 'Hello,',
+      paragraphs: [`These details of your account were just changed: ${fieldList('en', fields)}.`],
+      note: "If this wasn't you, please contact support immediately."
+    }),
+    hi: ({ name, fields }) => ({
+      subject: `आपकी ${BRAND} प्रोफ़ाइल बदली गई है`,
+      greeting: name ? `नमस्ते ${name},` : 'नमस्ते,',
+      paragraphs: [`आपके खाते की ये जानकारी अभी बदली गई है: ${fieldList('hi', fields)}।`],
+      note: 'अगर यह आपने नहीं किया, तो कृपया तुरंत सहायता से संपर्क करें।'
+    })
+  }
+};
+
+export const EMAIL_TEMPLATES = Object.keys(TEMPLATES);
+
+const toHtml = (language, { subject, greeting, paragraphs, action, note }) => `<!DOCTYPE html>
+<html lang="${language}">
+<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:12px;padding:32px;">
+    <h1 style="margin:0 0 24px;font-size:20px;color:#4f46e5;">${BRAND}</h1>
+    <p style="font-size:16px;font-weight:bold;">${escapeHtml(greeting)}</p>
+    ${paragraphs.map(paragraph => `<p style="font-size:15px;line-height:1.5;">${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    ${action ? `<p style="margin:28px 0;"><a href="${escapeHtml(action.url)}" style="background:#4f46e5;color:#ffffff;padding:12px 20px;border-radius:8px;text-decoration:none;font-weight:bold;">${escapeHtml(action.label)}</a></p>
+    <p style="font-size:12px;color:#6b7280;word-break:break-all;">${escapeHtml(action.url)}</p>` : ''}
+    ${note ? `<p style="font-size:13px;color:#6b7280;">${escapeHtml(note)}</p>` : ''}
+  </div>
+</body>
+</html>`;
+
+const toText = ({ greeting, paragraphs, action, note }) => [
+  greeting,
+  ...paragraphs,
+  action && `${action.label}: ${action.url}`,
+  note,
+  `— ${BRAND}`
+].filter(Boolean).join('\n\n');
+
+/**
+ * { subject, html, text } for `template` in `language` (falls back to English).
+ * `data` is what the template uses: name, link, fields.
+ */
+export const renderEmail = (template, language, data = {}) => {
+  const versions = TEMPLATES[template];
+  if (!versions) throw new Error(`Unknown email template: ${template}`);
+
+  const wording = (versions[language] || versions.en)(data);
+  const usedLanguage = versions[language] ? language : 'en';
+  return { subject: wording.subject, html: toHtml(usedLanguage, wording), text: toText(wording) };
+};
@@ -0,0 +1,163 @@
+// server/legacyImport.js
+// Moves the old JSON catalog (file-metadata.json + storage/sncop-backup.json)
+// into the SQLite catalog, and registers files that are in storage but were
+// never recorded (e.g. copied into storage/ by hand).
+import fs from 'fs-extra';
+import path from 'path';
+import { RESOURCE_TYPES, resourceDir, unitFor } from './resourceTypes.js';
+import { formatFileSize, getFileType, titleFromFileName } from './utils.js';
+
+const LEGACY_IMPORT_KEY = 'legacy_import_at';
+
+const listFiles = async (storage, dir) => (await storage.list(dir))
+  .filter(entry => !entry.name.startsWith('.') && !entry.isDirectory)
+  .map(entry => entry.name);
+
+const listDirs = async (storage, dir) => (await storage.list(dir))
+  .filter(entry => !entry.name.startsWith('.') && entry.isDirectory)
+  .map(entry => entry.name);
+
+const readJson = (file, fallback) => {
+  try {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+  } catch (error) {
+    console.error(`Error reading legacy catalog file ${file}:`, error);
+    return fallback;
+  }
+};
+
+// Registers one file found in storage unless the catalog already knows it
+const registerFile = (catalog, storageDir, metadata, { subject, category, unit, filename, stats }) => {
+  if (catalog.getResource(subject, category, unit, filename)) return false;
+
+  const filePath = path.join(storageDir, resourceDir(subject, category, unit), filename);
+  const legacy = metadata[`${subject}-${category}-${unit || ''}-${filename}`];
+
+  catalog.saveResource({
+    subject,
+    unit: unitFor(category, unit),
+    category,
+    title: legacy?.title && legacy.title.trim() !== '' ? legacy.title : titleFromFileName(filename),
+    description: legacy?.description || '',
+    fileName: legacy?.originalFileName || filename,
+    storedFileName: filename,
+    fileSize: formatFileSize(stats.size),
+    fileType: getFileType(filename),
+    filePath,
+    uploadDate: new Date(stats.mtimeMs).toLocaleDateString()
+  });
+  return true;
+};
+
+// Everything in the subject folders, as { subject, units, files: [{ category, unit, filename, stats }] }
+const scanStorage = async (storage, storageDir) => {
+  const subjects = [];
+  for (const subject of await listDirs(storage, storageDir)) {
+    if (subject.toLowerCase() === 'temp') continue;
+
+    const subjectPath = path.join(storageDir, subject);
+    const units = new Set();
+    const files = [];
+
+    for (const type of RESOURCE_TYPES) {
+      const typePath = path.join(subjectPath, type.folder);
+      const folders = type.hasUnits ? await listDirs(storage, typePath) : [''];
+
+      for (const unit of folders) {
+        if (unit) units.add(unit);
+        for (const filename of await listFiles(storage, path.join(typePath, unit))) {
+          const stats = await storage.stat(path.join(typePath, unit, filename));
+          if (stats) files.push({ category: type.id, unit, filename, stats });
+        }
+      }
+    }
+
+    subjects.push({ subject, units: [...units], files });
+  }
+  return subjects;
+};
+
+export const registerUntrackedFiles = async (catalog, storage, metadata = {}) => {
+  const subjects = await scanStorage(storage, storage.root);
+  let registered = 0;
+
+  catalog.transaction(() => {
+    subjects.forEach(({ subject, units, files }) => {
+      if (!catalog.getSubject(subject)) {
+        catalog.upsertSubject(subject, units);
+      }
+      units.forEach(unit => catalog.addUnit(subject, unit));
+
+      files.forEach(file => {
+        if (registerFile(catalog, storage.root, metadata, { subject, ...file })) registered++;
+      });
+    });
+  });
+
+  if (registered > 0) {
+    console.log(`Registered ${registered} untracked files from ${storage.describe()}`);
+  }
+  return registered;
+};
+
+// One-time import, recorded in the catalog's meta table so it never runs twice
+export const importLegacyCatalog = async (catalog, storage, { metadataFile, backupFile }) => {
+  if (catalog.getMeta(LEGACY_IMPORT_KEY)) return null;
+
+  const storageDir = storage.root;
+  const metadata = readJson(metadataFile, {});
+  const backup = readJson(backupFile, {});
+  const summary = { subjects: 0, resources: 0, skipped: 0, untracked: 0 };
+
+  // Sizes of the files the backup lists, looked up before the (synchronous) catalog transaction
+  const entries = [];
+  for (const { id: category, backupKey, hasUnits } of RESOURCE_TYPES) {
+    for (const entry of backup[backupKey] || []) {
+      const unit = unitFor(category, entry?.unit);
+      if (!entry?.subject || !entry.storedFileName || (hasUnits && !unit)) {
+        summary.skipped++;
+        continue;
+      }
+
+      const filePath = path.join(storageDir, resourceDir(entry.subject, category, unit), entry.storedFileName);
+      const stats = await storage.stat(filePath);
+      if (!stats) {
+        summary.skipped++;
+        continue;
+      }
+      entries.push({ category, unit, filePath, stats, entry });
+    }
+  }
+
+  catalog.transaction(() => {
+    (backup.subjects || []).forEach(subject => {
+      if (!subject?.name || subject.name.toLowerCase() === 'temp') return;
+      catalog.upsertSubject(subject.name, subject.units || [], subject.id);
+      summary.subjects++;
+    });
+
+    entries.forEach(({ category, unit, filePath, stats, entry }) => {
+      catalog.saveResource({
+        id: entry.id,
+        subject: entry.subject,
+        unit,
+        category,
+        title: entry.title || titleFromFileName(entry.storedFileName),
+        description: entry.description || '',
+        fileName: entry.fileName || entry.storedFileName,
+        storedFileName: entry.storedFileName,
+        fileSize: entry.fileSize || formatFileSize(stats.size),
+        fileType: entry.type === 'image' ? 'image' : getFileType(entry.storedFileName),
+        filePath,
+        uploadDate: entry.uploadDate
+      });
+      summary.resources++;
+    });
+  });
+
+  summary.untracked = await registerUntrackedFiles(catalog, storage, metadata);
+  catalog.setMeta(LEGACY_IMPORT_KEY, new Date().toISOString());
+
+  console.log('Imported legacy JSON catalog:', summary);
+  return summary;
+};
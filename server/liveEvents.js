@@ -0,0 +1,88 @@
+// server/liveEvents.js
+// Pushes catalog changes to open browsers over Server-Sent Events. Every write
+// already lands in the catalog's change log, so rather than hooking each route
+// this watches the latest revision and broadcasts whatever is new since the
+// last check: one "resource" or "subject" event per created, updated or
+// deleted entity, with the entity's revision as the event id.
+
+const WATCH_INTERVAL_MS = 1000;
+// Comment lines keep idle connections from being dropped by proxies
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// How long the browser waits before reconnecting after the stream drops
+const RECONNECT_DELAY_MS = 5000;
+
+export const createLiveEvents = ({ catalog, describeResource }) => {
+  const clients = new Set();
+  let revision = catalog.currentRevision();
+
+  const write = (res, chunk) => {
+    try {
+      res.write(chunk);
+    } catch (error) {
+      clients.delete(res);
+    }
+  };
+
+  const broadcast = (event, id, data) => {
+    const chunk = `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    clients.forEach(res => write(res, chunk));
+  };
+
+  const check = () => {
+    const current = catalog.currentRevision();
+    if (current === revision) return;
+
+    const since = revision;
+    revision = current;
+    if (clients.size === 0) return;
+
+    catalog.activitySince(since).forEach(({ kind, id, revision: entityRevision, action, entity }) => {
+      const payload = { action, id, revision: entityRevision };
+      if (kind === 'subject') {
+        broadcast('subject', entityRevision, { ...payload, subject: entity });
+      } else {
+        broadcast('resource', entityRevision, { ...payload, resource: entity && describeResource(entity) });
+      }
+    });
+  };
+
+  const watcher = setInterval(() => {
+    try {
+      check();
+    } catch (error) {
+      console.error('Failed to broadcast live changes:', error);
+    }
+  }, WATCH_INTERVAL_MS);
+  watcher.unref();
+
+  const heartbeat = setInterval(() => {
+    clients.forEach(res => write(res, ': ping\n\n'));
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  // Keeps `res` open as an event stream; the first event tells the client which revision it starts from
+  const connect = (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // nginx would otherwise buffer the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    write(res, `retry: ${RECONNECT_DELAY_MS}\nevent: hello\ndata: ${JSON.stringify({ cursor: revision })}\n\n`);
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  };
+
+  // Ends every open stream so the HTTP server can shut down
+  const close = () => {
+    clearInterval(watcher);
+    clearInterval(heartbeat);
+    clients.forEach(res => res.end());
+    clients.clear();
+  };
+
+  return { connect, close, clientCount: () => clients.size };
+};
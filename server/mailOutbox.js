@@ -0,0 +1,178 @@
+// server/mailOutbox.js
+// Persistent queue for outgoing email. Request handlers enqueue a rendered
+// message and answer straight away; deliverDue() sends whatever is due through
+// the SMTP transport. A failed send is retried with exponential backoff until
+// maxAttempts, after which the message stays "failed" for an admin to retry.
+// Bodies (which hold verify/reset links) are dropped once a message is sent.
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS mail_outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    recipient TEXT NOT NULL,
+    template TEXT NOT NULL,
+    language TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    html TEXT,
+    text TEXT,
+    status TEXT NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_error TEXT,
+    sent_at TEXT,
+    message_id TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_mail_outbox_due ON mail_outbox (status, next_attempt_at);
+`;
+
+export const MAIL_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+const MAX_PAGE_SIZE = 200;
+// Backoff never waits longer than this between attempts
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+
+// SQLite's datetime('now') is UTC without a zone marker
+const toIsoDate = (sqliteDate) => (sqliteDate ? new Date(`${sqliteDate.replace(' ', 'T')}Z`).toISOString() : null);
+
+const toListItem = (row) => ({
+  id: row.id,
+  createdAt: toIsoDate(row.created_at),
+  to: row.recipient,
+  template: row.template,
+  language: row.language,
+  subject: row.subject,
+  status: row.status,
+  attempts: row.attempts,
+  nextAttemptAt: row.status === 'queued' ? toIsoDate(row.next_attempt_at) : null,
+  lastError: row.last_error,
+  sentAt: toIsoDate(row.sent_at)
+});
+
+export const createMailOutbox = ({ db, transport, from, maxAttempts, retryBaseSeconds }) => {
+  db.exec(SCHEMA);
+  // Messages that were being sent when the server stopped go out again
+  db.prepare("UPDATE mail_outbox SET status = 'queued' WHERE status = 'sending'").run();
+
+  const insert = db.prepare(`
+    INSERT INTO mail_outbox (recipient, template, language, subject, html, text)
+    VALUES (@to, @template, @language, @subject, @html, @text)
+  `);
+  const nextDue = db.prepare(`
+    SELECT * FROM mail_outbox
+    WHERE status = 'queued' AND next_attempt_at <= datetime('now')
+    ORDER BY id
+    LIMIT 1
+  `);
+  const markSending = db.prepare("UPDATE mail_outbox SET status = 'sending' WHERE id = ?");
+  const markSent = db.prepare(`
+    UPDATE mail_outbox
+    SET status = 'sent', attempts = attempts + 1, sent_at = datetime('now'), message_id = @messageId,
+        last_error = NULL, html = NULL, text = NULL
+    WHERE id = @id
+  `);
+  const markFailedAttempt = db.prepare(`
+    UPDATE mail_outbox
+    SET status = @status, attempts = @attempts, last_error = @error,
+        next_attempt_at = datetime('now', '+' || @delay || ' seconds')
+    WHERE id = @id
+  `);
+
+  let delivering = false;
+
+  /** Sends every message that is due, one at a time. Safe to call often; overlapping calls return at once. */
+  const deliverDue = async () => {
+    if (delivering) return;
+    delivering = true;
+    try {
+      for (let row = nextDue.get(); row; row = nextDue.get()) {
+        markSending.run(row.id);
+        try {
+          const info = await transport.sendMail({ from, to: row.recipient, subject: row.subject, html: row.html, text: row.text });
+          markSent.run({ id: row.id, messageId: info?.messageId ?? null });
+        } catch (error) {
+          const attempts = row.attempts + 1;
+          const delay = Math.min(retryBaseSeconds * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+          markFailedAttempt.run({
+            id: row.id,
+            status: attempts >= maxAttempts ? 'failed' : 'queued',
+            attempts,
+            error: error.message || String(error),
+            delay: Math.round(delay)
+          });
+          console.error(`Email ${row.id} (${row.template} to ${row.recipient}) failed, attempt ${attempts}:`, error.message);
+        }
+      }
+    } finally {
+      delivering = false;
+    }
+  };
+
+  /** Queues a rendered message ({ to, template, language, subject, html, text }) and starts sending it. */
+  const enqueue = (message) => {
+    const { lastInsertRowid } = insert.run(message);
+    setImmediate(() => deliverDue().catch(error => console.error('Mail delivery failed:', error)));
+    return Number(lastInsertRowid);
+  };
+
+  /** Newest first, without bodies. Filter by status; pass the previous page's nextCursor for older ones. */
+  const list = ({ status, cursor, limit = 50 } = {}) => {
+    const clauses = [];
+    const params = {};
+    if (status) {
+      clauses.push('status = @status');
+      params.status = status;
+    }
+    if (cursor) {
+      clauses.push('id < @cursor');
+      params.cursor = Number(cursor);
+    }
+
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE_SIZE);
+    const rows = db.prepare(`
+      SELECT * FROM mail_outbox
+      ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ${pageSize + 1}
+    `).all(params);
+
+    const messages = rows.slice(0, pageSize).map(toListItem);
+    return {
+      messages,
+      nextCursor: rows.length > pageSize ? messages[messages.length - 1].id : null
+    };
+  };
+
+  // Number of messages in each status
+  const counts = () => {
+    const result = Object.fromEntries(MAIL_STATUSES.map(status => [status, 0]));
+    for (const { status, count } of db.prepare('SELECT status, COUNT(*) AS count FROM mail_outbox GROUP BY status').all()) {
+      result[status] = count;
+    }
+    return result;
+  };
+
+  const get = (id) => {
+    const row = db.prepare('SELECT * FROM mail_outbox WHERE id = ?').get(id);
+    return row ? toListItem(row) : null;
+  };
+
+  /** Puts a failed message back in the queue with a fresh set of attempts; false if it isn't failed. */
+  const retry = (id) => {
+    const { changes } = db.prepare(`
+      UPDATE mail_outbox
+      SET status = 'queued', attempts = 0, next_attempt_at = datetime('now')
+      WHERE id = ? AND status = 'failed'
+    `).run(id);
+    if (changes) setImmediate(() => deliverDue().catch(error => console.error('Mail delivery failed:', error)));
+    return changes > 0;
+  };
+
+  // Sent and failed messages are kept this long for the admin's delivery list
+  const purgeOlderThan = (days) => db.prepare(`
+    DELETE FROM mail_outbox
+    WHERE status IN ('sent', 'failed') AND created_at < datetime('now', ?)
+  `).run(`-${days} days`).changes;
+
+  return { enqueue, deliverDue, list, counts, get, retry, purgeOlderThan };
+};
@@ -0,0 +1,291 @@
+// server/pdfInspection.js
+// Structural check of uploaded PDFs. Instead of searching the raw bytes, a small
+// tokenizer walks every indirect object, the trailer, and the objects packed into
+// compressed object streams. Stream data (page content, images, fonts) is skipped,
+// so it can't raise false alarms, and names written with #xx escapes
+// (/J#61vaScript) are decoded before they are compared.
+// inspectPdf(buffer) -> { error } with error null for a file that may be stored.
+import zlib from 'zlib';
+
+// Names that only appear in a PDF that can run something when opened or clicked
+const FORBIDDEN_NAMES = new Map([
+  ['JavaScript', 'PDF contains JavaScript'],
+  ['JS', 'PDF contains JavaScript'],
+  ['Launch', 'PDF contains a Launch action (opens a program or file)']
+]);
+
+// Object streams hold dictionaries, not page data; anything bigger is suspicious
+const MAX_OBJECT_STREAM_SIZE = 64 * 1024 * 1024;
+const MAX_NESTING = 100;
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([...'()<>[]{}/%'].map(char => char.charCodeAt(0)));
+const isRegular = (byte) => !WHITESPACE.has(byte) && !DELIMITERS.has(byte);
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+const malformed = (reason) => new Error(`Malformed PDF: ${reason}`);
+const decodeName = (raw) => raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+// Reads PDF tokens from buf[pos, end): { type, value, start, end }; null at the end
+class Lexer {
+  constructor(buf, pos = 0, end = buf.length) {
+    this.buf = buf;
+    this.pos = pos;
+    this.end = end;
+  }
+
+  read(pos = this.pos) {
+    const { buf, end } = this;
+    while (pos < end) {
+      if (WHITESPACE.has(buf[pos])) {
+        pos++;
+      } else if (buf[pos] === 0x25) { // % comment to end of line
+        while (pos < end && buf[pos] !== 0x0a && buf[pos] !== 0x0d) pos++;
+      } else {
+        break;
+      }
+    }
+    if (pos >= end) return null;
+
+    const start = pos;
+    const byte = buf[pos];
+    if (byte === 0x28) { // ( literal string, parentheses balance unless escaped
+      let depth = 1;
+      pos++;
+      while (pos < end && depth > 0) {
+        if (buf[pos] === 0x5c) pos++;
+        else if (buf[pos] === 0x28) depth++;
+        else if (buf[pos] === 0x29) depth--;
+        pos++;
+      }
+      if (depth > 0) throw malformed('unterminated string');
+      return { type: 'string', start, end: pos };
+    }
+    if (byte === 0x3c) { // << dictionary or <hex string>
+      if (buf[pos + 1] === 0x3c) return { type: 'dictStart', start, end: pos + 2 };
+      const close = buf.indexOf(0x3e, pos + 1);
+      if (close === -1 || close >= end) throw malformed('unterminated hex string');
+      return { type: 'string', start, end: close + 1 };
+    }
+    if (byte === 0x3e) {
+      if (buf[pos + 1] === 0x3e) return { type: 'dictEnd', start, end: pos + 2 };
+      throw malformed(`unexpected ">" at byte ${pos}`);
+    }
+    if (byte === 0x5b) return { type: 'arrayStart', start, end: pos + 1 };
+    if (byte === 0x5d) return { type: 'arrayEnd', start, end: pos + 1 };
+    // { } only belong in PostScript function streams, which are skipped; treat them as words
+    if (byte === 0x7b || byte === 0x7d) return { type: 'keyword', value: String.fromCharCode(byte), start, end: pos + 1 };
+    if (byte === 0x2f) { // /Name
+      pos++;
+      while (pos < end && isRegular(buf[pos])) pos++;
+      return { type: 'name', value: decodeName(buf.toString('latin1', start + 1, pos)), start, end: pos };
+    }
+    if (byte === 0x29) throw malformed(`unexpected ")" at byte ${pos}`);
+
+    while (pos < end && isRegular(buf[pos])) pos++;
+    const word = buf.toString('latin1', start, pos);
+    return { type: NUMBER.test(word) ? 'number' : 'keyword', value: word, start, end: pos };
+  }
+
+  next() {
+    const token = this.read();
+    if (token) this.pos = token.end;
+    return token;
+  }
+
+  peek(count = 1) {
+    const tokens = [];
+    let pos = this.pos;
+    for (let i = 0; i < count; i++) {
+      const token = this.read(pos);
+      if (!token) break;
+      tokens.push(token);
+      pos = token.end;
+    }
+    return tokens;
+  }
+}
+
+/**
+ * Everything found while walking the file. Values are kept only as far as the
+ * checks need them: dictionaries become Maps, references { ref: true }, names
+ * { name }, other scalars their token value.
+ */
+const createWalker = (buf) => {
+  const found = { forbidden: null, root: false, encrypted: false, objects: 0, objectStreams: [] };
+
+  const checkName = (name) => {
+    if (!found.forbidden && FORBIDDEN_NAMES.has(name)) found.forbidden = FORBIDDEN_NAMES.get(name);
+  };
+
+  const parseValue = (lexer, token, depth = 0) => {
+    if (depth > MAX_NESTING) throw malformed('objects nested too deeply');
+
+    if (token.type === 'name') {
+      checkName(token.value);
+      return { name: token.value };
+    }
+    if (token.type === 'number') {
+      const [generation, keyword] = lexer.peek(2);
+      if (generation?.type === 'number' && keyword?.type === 'keyword' && keyword.value === 'R') {
+        lexer.next();
+        lexer.next();
+        return { ref: true };
+      }
+      return Number(token.value);
+    }
+    if (token.type === 'arrayStart') {
+      const items = [];
+      for (let next = lexer.next(); ; next = lexer.next()) {
+        if (!next) throw malformed('unterminated array');
+        if (next.type === 'arrayEnd') return items;
+        items.push(parseValue(lexer, next, depth + 1));
+      }
+    }
+    if (token.type === 'dictStart') {
+      const dict = new Map();
+      for (let key = lexer.next(); ; key = lexer.next()) {
+        if (!key) throw malformed('unterminated dictionary');
+        if (key.type === 'dictEnd') break;
+        if (key.type !== 'name') throw malformed(`dictionary key expected at byte ${key.start}`);
+        checkName(key.value);
+
+        const value = lexer.next();
+        if (!value) throw malformed('unterminated dictionary');
+        if (value.type === 'dictEnd') break; // key without a value; tolerated like viewers do
+        dict.set(key.value, parseValue(lexer, value, depth + 1));
+      }
+      if (dict.has('Root')) found.root = true;
+      if (dict.has('Encrypt')) found.encrypted = true;
+      return dict;
+    }
+    if (token.type === 'dictEnd' || token.type === 'arrayEnd') {
+      throw malformed(`unexpected "${token.type === 'dictEnd' ? '>>' : ']'}" at byte ${token.start}`);
+    }
+    return token.value ?? null;
+  };
+
+  // Stream data starts after the EOL that follows "stream"; its end is /Length when
+  // that is a plain number pointing at "endstream", else the next "endstream"
+  const skipStream = (lexer, dict, streamToken) => {
+    let start = streamToken.end;
+    if (buf[start] === 0x0d) start++;
+    if (buf[start] === 0x0a) start++;
+
+    let dataEnd = -1;
+    const length = dict instanceof Map ? dict.get('Length') : undefined;
+    if (typeof length === 'number' && length >= 0 && start + length <= buf.length) {
+      const after = lexer.read(start + length);
+      if (after?.type === 'keyword' && after.value === 'endstream') dataEnd = start + length;
+    }
+    if (dataEnd === -1) {
+      dataEnd = buf.indexOf('endstream', start, 'latin1');
+      if (dataEnd === -1) throw malformed('unterminated stream');
+    }
+
+    const endToken = lexer.read(dataEnd);
+    lexer.pos = endToken.end;
+    return buf.subarray(start, dataEnd);
+  };
+
+  // Top level: "n g obj ... endobj" objects, xref tables and the trailer
+  const walk = (lexer) => {
+    const recent = [];
+    for (let token = lexer.next(); token; token = lexer.next()) {
+      if (token.type === 'keyword' && token.value === 'obj' &&
+          recent.length === 2 && recent.every(previous => previous.type === 'number')) {
+        found.objects++;
+        const first = lexer.next();
+        if (!first) throw malformed('object without a value');
+        const value = first.type === 'keyword' && first.value === 'endobj' ? null : parseValue(lexer, first);
+
+        const [following] = lexer.peek();
+        if (following?.type === 'keyword' && following.value === 'stream') {
+          lexer.next();
+          const data = skipStream(lexer, value, following);
+          if (value instanceof Map && value.get('Type')?.name === 'ObjStm') {
+            found.objectStreams.push({ dict: value, data });
+          }
+        }
+        recent.length = 0;
+        continue;
+      }
+      if (token.type === 'keyword' && token.value === 'trailer') {
+        const dict = lexer.next();
+        if (!dict || dict.type !== 'dictStart') throw malformed('trailer without a dictionary');
+        parseValue(lexer, dict);
+        recent.length = 0;
+        continue;
+      }
+      if (token.type === 'dictStart' || token.type === 'arrayStart') {
+        parseValue(lexer, token);
+        recent.length = 0;
+        continue;
+      }
+
+      recent.push(token);
+      if (recent.length > 2) recent.shift();
+    }
+  };
+
+  return { found, parseValue, walk };
+};
+
+const filterNames = (filter) => {
+  if (filter === undefined || filter === null) return [];
+  return (Array.isArray(filter) ? filter : [filter]).map(item => item?.name ?? '?');
+};
+
+// Object streams are the one kind of stream whose content is PDF syntax that has to be checked
+const inflateObjectStream = ({ dict, data }) => {
+  const filters = filterNames(dict.get('Filter'));
+  const unsupported = filters.find(filter => filter !== 'FlateDecode');
+  if (unsupported) throw malformed(`object stream uses /${unsupported}, which can't be checked`);
+
+  const params = dict.get('DecodeParms');
+  const predictor = (Array.isArray(params) ? params[0] : params)?.get?.('Predictor');
+  if (typeof predictor === 'number' && predictor > 1) throw malformed('object stream uses a predictor, which can\'t be checked');
+
+  if (filters.length === 0) return data;
+  try {
+    return zlib.inflateSync(data, {
+      maxOutputLength: MAX_OBJECT_STREAM_SIZE,
+      finishFlush: zlib.constants.Z_SYNC_FLUSH
+    });
+  } catch (error) {
+    throw malformed(`object stream can't be decompressed (${error.code || error.message})`);
+  }
+};
+
+export const inspectPdf = (buf) => {
+  try {
+    if (buf.toString('latin1', 0, 5) !== '%PDF-') throw malformed('no %PDF header');
+    if (!buf.includes('%%EOF', Math.max(buf.length - 2048, 0), 'latin1')) throw malformed('no %%EOF marker at the end');
+
+    const { found, parseValue, walk } = createWalker(buf);
+    walk(new Lexer(buf));
+    if (found.forbidden) return { error: found.forbidden };
+
+    if (found.objects === 0) throw malformed('no objects');
+    if (!found.root) throw malformed('no document catalog (/Root)');
+    // Strings and streams of encrypted files are ciphertext; plain dictionaries can still be checked
+    if (found.encrypted && found.objectStreams.length > 0) {
+      return { error: 'Encrypted PDF with compressed objects can\'t be checked; upload an unprotected copy' };
+    }
+
+    for (const objectStream of found.objectStreams) {
+      const content = inflateObjectStream(objectStream);
+      const first = objectStream.dict.get('First');
+      const lexer = new Lexer(content, typeof first === 'number' ? Math.min(first, content.length) : 0);
+      for (let token = lexer.next(); token; token = lexer.next()) {
+        parseValue(lexer, token);
+      }
+      if (found.forbidden) return { error: found.forbidden };
+    }
+
+    return { error: null };
+  } catch (error) {
+    if (error.message.startsWith('Malformed PDF')) return { error: error.message };
+    throw error;
+  }
+};
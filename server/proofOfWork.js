@@ -0,0 +1,70 @@
+// server/proofOfWork.js
+// Proof-of-work challenges for the public forms (login, register, forgot
+// password). The browser fetches a challenge and searches for a number whose
+// SHA-256 together with the challenge starts with `difficulty` zero bits: a
+// second or so for one person, expensive for a script sending thousands of
+// requests. Challenges are signed, so nothing is stored until one is used, and
+// each can be used once.
+import crypto from 'crypto';
+
+const leadingZeroBits = (digest) => {
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+// Without a configured secret a random one is used, so challenges handed out before a restart stop working
+export const createProofOfWork = ({ secret = crypto.randomBytes(32).toString('hex'), difficulty, ttlSeconds }) => {
+  // challenge -> expiry, for challenges that have been used
+  const used = new Map();
+
+  const signatureFor = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+  const enabled = difficulty > 0;
+
+  /** A new challenge: `${expires}.${nonce}.${difficulty}.${signature}` */
+  const issue = (now = Date.now()) => {
+    const expires = Math.floor(now / 1000) + ttlSeconds;
+    const payload = `${expires}.${crypto.randomBytes(12).toString('base64url')}.${difficulty}`;
+    return { challenge: `${payload}.${signatureFor(payload)}`, difficulty, expiresAt: new Date(expires * 1000).toISOString() };
+  };
+
+  /** Checks a solved challenge and marks it used; returns an error message, or null if it's good. */
+  const verify = (challenge, solution, now = Date.now()) => {
+    if (typeof challenge !== 'string' || (typeof solution !== 'string' && typeof solution !== 'number')) {
+      return 'Security check missing';
+    }
+
+    const parts = challenge.split('.');
+    if (parts.length !== 4) return 'Security check failed';
+    const [expires, , bits, signature] = parts;
+
+    const expected = Buffer.from(signatureFor(parts.slice(0, 3).join('.')));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return 'Security check failed';
+    }
+    if (Number(expires) * 1000 < now) return 'Security check expired';
+    if (used.has(challenge)) return 'Security check already used';
+
+    const digest = crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+    if (leadingZeroBits(digest) < Number(bits)) return 'Security check failed';
+
+    used.set(challenge, Number(expires) * 1000);
+    return null;
+  };
+
+  const prune = (now = Date.now()) => {
+    for (const [challenge, expiresAt] of used) {
+      if (expiresAt < now) used.delete(challenge);
+    }
+  };
+
+  return { enabled, issue, verify, prune };
+};
@@ -0,0 +1,66 @@
+// server/rateLimits.js
+// In-memory limits for the auth and email routes. A limiter remembers when
+// each key (an IP address, an email address) was counted; once a key has been
+// counted `max` times within `windowMs` it is blocked for `blockMs`. The same
+// limiter covers plain request limits (count every request) and login lockout
+// (count only failures, reset on success).
+
+export const createRateLimiter = ({ max, windowMs, blockMs = windowMs }) => {
+  // key -> { hits: timestamps within the window, blockedUntil }
+  const keys = new Map();
+
+  const entryFor = (key, now) => {
+    const entry = keys.get(key);
+    if (!entry) return null;
+    entry.hits = entry.hits.filter(at => at > now - windowMs);
+    if (entry.blockedUntil <= now && entry.hits.length === 0) {
+      keys.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const secondsUntil = (at, now) => Math.max(1, Math.ceil((at - now) / 1000));
+
+  /** Seconds until `key` may try again, or 0 if it isn't blocked. Doesn't count anything. */
+  const check = (key, now = Date.now()) => {
+    const entry = entryFor(key, now);
+    return entry && entry.blockedUntil > now ? secondsUntil(entry.blockedUntil, now) : 0;
+  };
+
+  /**
+   * Counts one hit for `key`. Returns seconds until it may try again if it was
+   * already blocked (the hit isn't counted then), or 0. The hit that reaches
+   * `max` is let through and blocks the ones after it.
+   */
+  const consume = (key, now = Date.now()) => {
+    const blocked = check(key, now);
+    if (blocked) return blocked;
+
+    const entry = entryFor(key, now) || { hits: [], blockedUntil: 0 };
+    entry.hits.push(now);
+    keys.set(key, entry);
+
+    if (entry.hits.length >= max) {
+      entry.blockedUntil = now + blockMs;
+      entry.hits = [];
+    }
+    return 0;
+  };
+
+  const reset = (key) => keys.delete(key);
+
+  // Forget keys that have gone quiet so the map doesn't grow without bound
+  const prune = (now = Date.now()) => {
+    for (const key of keys.keys()) entryFor(key, now);
+  };
+
+  return { check, consume, reset, prune };
+};
+
+// "Try again in 15 minutes" for a Retry-After given in seconds
+export const describeWait = (seconds) => {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
@@ -0,0 +1,169 @@
+// server/resourceTypes.js
+// The kinds of resources the library holds (notes, practice tests, ...), defined
+// once in resourceTypes.json at the project root; the frontend imports the same
+// file. Storage folders, unit sub-folders, backup keys and the extra metadata a
+// type asks for on upload are all looked up here, so adding a type is an edit
+// to that file rather than to every route. "commonFields" there (semester,
+// author, tags, ...) are offered by every type after its own fields.
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const REGISTRY_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'resourceTypes.json');
+
+export const METADATA_FIELD_TYPES = ['text', 'number', 'select', 'tags'];
+
+const MAX_TEXT_LENGTH = 200;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+const checkField = (field, where) => {
+  if (!field?.name || !field.label) throw new Error(`${where}: every field needs a "name" and "label"`);
+  if (!METADATA_FIELD_TYPES.includes(field.type)) {
+    throw new Error(`${where}: field "${field.name}" has unknown type "${field.type}"`);
+  }
+  if (field.type === 'select' && !(Array.isArray(field.options) && field.options.length)) {
+    throw new Error(`${where}: select field "${field.name}" needs "options"`);
+  }
+};
+
+// Throws on entries the rest of the server can't work with, so a typo fails at startup
+const checkType = (type, index, seen) => {
+  const where = `resourceTypes.json entry ${index + 1}`;
+  if (!type?.id || typeof type.id !== 'string') throw new Error(`${where} needs an "id"`);
+  if (seen.ids.has(type.id)) throw new Error(`${where}: duplicate id "${type.id}"`);
+  if (!type.label) throw new Error(`${where} (${type.id}) needs a "label"`);
+
+  const folder = type.folder;
+  if (!folder || /[/\\]/.test(folder) || folder.startsWith('.') || folder.toLowerCase() === 'temp') {
+    throw new Error(`${where} (${type.id}) has an invalid "folder"`);
+  }
+  if (seen.folders.has(folder)) throw new Error(`${where}: folder "${folder}" is used twice`);
+
+  (type.fields || []).forEach(field => checkField(field, `${where} (${type.id})`));
+
+  seen.ids.add(type.id);
+  seen.folders.add(folder);
+};
+
+// A type's own fields, then the common ones it doesn't redefine
+const withCommonFields = (fields = [], commonFields) => [
+  ...fields,
+  ...commonFields.filter(common => !fields.some(field => field.name === common.name))
+];
+
+const loadRegistry = () => {
+  const { commonFields = [], types } = fs.readJsonSync(REGISTRY_FILE);
+  if (!Array.isArray(types) || types.length === 0) throw new Error('resourceTypes.json must list at least one type');
+  commonFields.forEach(field => checkField(field, 'resourceTypes.json commonFields'));
+
+  const seen = { ids: new Set(), folders: new Set() };
+  types.forEach((type, index) => checkType(type, index, seen));
+  return types.map(type => ({
+    ...type,
+    singular: type.singular || type.label,
+    backupKey: type.backupKey || type.id,
+    hasUnits: !!type.hasUnits,
+    fields: withCommonFields(type.fields, commonFields)
+  }));
+};
+
+export const RESOURCE_TYPES = loadRegistry();
+
+// Types whose files sit in one folder per unit of the subject
+export const UNIT_TYPES = RESOURCE_TYPES.filter(type => type.hasUnits);
+
+export const getResourceType = (id) => RESOURCE_TYPES.find(type => type.id === String(id ?? '').trim()) || null;
+
+// The type stored in `folder` (as in storage/<Subject>/<folder>/), for imports that read the folder layout
+export const resourceTypeForFolder = (folder) => RESOURCE_TYPES.find(type => type.folder === folder) || null;
+
+export const hasUnits = (id) => !!getResourceType(id)?.hasUnits;
+
+// The unit a resource of this type is filed under; always '' for types without units
+export const unitFor = (id, unit) => (hasUnits(id) ? String(unit || '').trim() : '');
+
+/**
+ * Folder of a type inside a subject, relative to storage/: "<Subject>/<folder>"
+ * or "<Subject>/<folder>/<Unit>". Null for an unknown type, or a unit type
+ * without a unit.
+ */
+export const resourceDir = (subject, id, unit) => {
+  const type = getResourceType(id);
+  if (!type) return null;
+  if (!type.hasUnits) return path.join(subject, type.folder);
+  return unit ? path.join(subject, type.folder, unit) : null;
+};
+
+const readField = (field, raw) => {
+  const value = typeof raw === 'string' ? raw.trim() : raw;
+  if (value === undefined || value === null || value === '') {
+    return field.required ? { error: `${field.label} is required` } : {};
+  }
+
+  if (field.type === 'tags') {
+    // A list, or "pharmacology, viva" as typed into a form or a CSV cell
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const tags = [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+    if (tags.length > MAX_TAGS) return { error: `${field.label}: at most ${MAX_TAGS} allowed` };
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) return { error: `${field.label}: each one must be at most ${MAX_TAG_LENGTH} characters` };
+    return tags.length ? { value: tags } : (field.required ? { error: `${field.label} is required` } : {});
+  }
+
+  if (field.type === 'number') {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return { error: `${field.label} must be a number` };
+    if (field.min !== undefined && number < field.min) return { error: `${field.label} must be at least ${field.min}` };
+    if (field.max !== undefined && number > field.max) return { error: `${field.label} must be at most ${field.max}` };
+    return { value: number };
+  }
+
+  const text = String(value);
+  if (field.type === 'select' && !field.options.includes(text)) {
+    return { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+  }
+  if (text.length > MAX_TEXT_LENGTH) return { error: `${field.label} is too long` };
+  return { value: text };
+};
+
+/**
+ * Picks the type's extra fields out of `input` (an object, or the JSON string a
+ * multipart form sends) and checks them. Returns { metadata } or { error };
+ * keys the type doesn't define are dropped.
+ */
+export const readMetadata = (id, input) => {
+  let values = input || {};
+  if (typeof values === 'string') {
+    try {
+      values = JSON.parse(values);
+    } catch {
+      return { error: 'Metadata must be a JSON object' };
+    }
+  }
+  if (typeof values !== 'object' || Array.isArray(values)) return { error: 'Metadata must be a JSON object' };
+
+  const metadata = {};
+  for (const field of getResourceType(id)?.fields || []) {
+    const { value, error } = readField(field, values[field.name]);
+    if (error) return { error };
+    if (value !== undefined) metadata[field.name] = value;
+  }
+  return { metadata };
+};
+
+/**
+ * Metadata filters from a listing's query string (?year=2023&semester=3&tags=viva):
+ * only the type's fields marked "filter", each checked like an upload value;
+ * a tags filter is a single tag. Returns { filter } (possibly empty) or { error }.
+ */
+export const readMetadataFilter = (id, query = {}) => {
+  const filter = {};
+  for (const field of getResourceType(id)?.fields || []) {
+    if (!field.filter || query[field.name] === undefined) continue;
+    const asFilter = { ...field, type: field.type === 'tags' ? 'text' : field.type, required: false };
+    const { value, error } = readField(asFilter, query[field.name]);
+    if (error) return { error };
+    if (value !== undefined) filter[field.name] = value;
+  }
+  return { filter };
+};
@@ -0,0 +1,117 @@
+// server/restructure.js
+// Renaming subjects and units and moving resources between them. Each change
+// moves the folder or files in storage first and then updates the catalog (names,
+// stored paths, version archives) in one transaction; if that fails, the files
+// are moved back, so storage and catalog never disagree.
+import path from 'path';
+import { UNIT_TYPES, resourceDir, unitFor } from './resourceTypes.js';
+import { thumbnailPathFor } from './thumbnails.js';
+import { moveWithRollback } from './utils.js';
+
+// Returns why `name` can't be used as a subject or unit folder name, or null when it can
+export const checkFolderName = (name, label) => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return `${label} name is required`;
+  if (/[/\\]/.test(trimmed)) return `${label} name cannot contain / or \\`;
+  if (trimmed.startsWith('.')) return `${label} name cannot start with a dot`;
+  if (trimmed.toLowerCase() === 'temp') return `"${trimmed}" is reserved`;
+  return null;
+};
+
+export const createRestructure = ({ catalog, versions, storage, storageDir }) => {
+  const relative = (absolutePath) => path.relative(storageDir, absolutePath);
+
+  // A folder is moved onto `to` only if nothing real is stored there yet
+  // (empty folders left by createSubjectStructure don't count)
+  const folderMove = async (from, to) => {
+    if (await storage.exists(to)) {
+      if (await storage.hasFiles(to)) throw new Error(`"${relative(to)}" already contains files`);
+      await storage.remove(to);
+    }
+    return await storage.exists(from) ? [{ from, to }] : [];
+  };
+
+  // Returns the renamed subject, or null when there is no such subject
+  const renameSubject = async (oldName, newName) => {
+    if (!catalog.getSubject(oldName)) return null;
+    if (oldName === newName) return catalog.getSubject(oldName);
+    if (catalog.getSubject(newName)) throw new Error(`A subject named "${newName}" already exists`);
+
+    return moveWithRollback(
+      storage,
+      await folderMove(path.join(storageDir, oldName), path.join(storageDir, newName)),
+      () => catalog.transaction(() => {
+        const subject = catalog.renameSubject(oldName, newName);
+        versions.rebase(oldName, newName);
+        return subject;
+      })
+    );
+  };
+
+  // Returns the subject with its new unit list, or null when the unit doesn't exist
+  const renameUnit = async (subjectName, oldUnit, newUnit) => {
+    const subject = catalog.getSubject(subjectName);
+    if (!subject || !subject.units.includes(oldUnit)) return null;
+    if (oldUnit === newUnit) return subject;
+    if (subject.units.includes(newUnit)) throw new Error(`${subjectName} already has a unit named "${newUnit}"`);
+
+    // Every type with units has a folder for it, e.g. <Subject>/notes/<Unit>
+    const folders = UNIT_TYPES.map(type => ({
+      fromDir: path.join(subjectName, type.folder, oldUnit),
+      toDir: path.join(subjectName, type.folder, newUnit)
+    }));
+    const moves = [];
+    for (const { fromDir, toDir } of folders) {
+      moves.push(...await folderMove(path.join(storageDir, fromDir), path.join(storageDir, toDir)));
+    }
+
+    return moveWithRollback(
+      storage,
+      moves,
+      () => catalog.transaction(() => {
+        const renamed = catalog.renameUnit(subjectName, oldUnit, newUnit);
+        folders.forEach(({ fromDir, toDir }) => versions.rebase(fromDir, toDir));
+        return renamed;
+      })
+    );
+  };
+
+  /**
+   * Moves a resource (with its thumbnail and earlier versions) to another
+   * subject and/or unit, keeping its id and stored file name. Returns the
+   * moved resource, or null when there is no such resource.
+   */
+  const moveResource = async (resourceId, { subject, unit }) => {
+    const resource = catalog.getResourceById(resourceId);
+    if (!resource) return null;
+
+    const targetUnit = unitFor(resource.category, unit);
+    if (resource.subject === subject && resource.unit === targetUnit) return resource;
+    if (!catalog.getSubject(subject)) throw new Error(`Subject "${subject}" not found`);
+    if (catalog.isFileShared(resource)) {
+      throw new Error('This file is linked from other resources and cannot be moved');
+    }
+
+    const fromDir = path.dirname(resource.filePath);
+    const toDir = path.join(storageDir, resourceDir(subject, resource.category, targetUnit));
+    const targetPath = path.join(toDir, resource.storedFileName);
+    if (await storage.exists(targetPath)) throw new Error(`"${relative(targetPath)}" already exists`);
+
+    const files = [];
+    for (const file of [resource.filePath, thumbnailPathFor(resource), ...(await versions.snapshot(resource)).files]) {
+      if (await storage.exists(file)) files.push(file);
+    }
+
+    return moveWithRollback(
+      storage,
+      files.map(file => ({ from: file, to: path.join(toDir, path.relative(fromDir, file)) })),
+      () => catalog.transaction(() => {
+        const moved = catalog.moveResource(resource.id, { subject, unit: targetUnit, filePath: targetPath });
+        versions.rebase(relative(fromDir), relative(toDir), resource.id);
+        return moved;
+      })
+    );
+  };
+
+  return { renameSubject, renameUnit, moveResource };
+};
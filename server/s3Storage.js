@@ -0,0 +1,206 @@
+// server/s3Storage.js
+// Storage driver for S3-compatible object storage (AWS S3, MinIO, ...). Paths
+// under the storage root become object keys relative to it, optionally under a
+// key prefix; folders are just key prefixes, so "moving a folder" copies and
+// deletes every object below it. See server/storage.js for the interface.
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import {
+  CopyObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  S3Client
+} from '@aws-sdk/client-s3';
+import { mimeTypeFor } from './utils.js';
+
+// DeleteObjects takes at most this many keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+const isNotFound = (error) =>
+  error?.name === 'NotFound' || error?.name === 'NoSuchKey' || error?.$metadata?.httpStatusCode === 404;
+
+export const createS3Storage = ({ root, bucket, prefix = '', endpoint, region, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  if (!bucket) throw new Error('S3_BUCKET is required for the s3 storage driver');
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    // MinIO and most self-hosted servers only understand path-style URLs
+    forcePathStyle: Boolean(forcePathStyle),
+    // Checksum trailers on every upload aren't supported by all S3-compatible servers
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED',
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+  const keyPrefix = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+
+  // "<root>/Pharma/notes/Unit 1/a.pdf" -> "<prefix>/Pharma/notes/Unit 1/a.pdf"
+  const keyFor = (target) => {
+    const relative = path.relative(root, target);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`"${target}" is outside the storage root`);
+    }
+    return keyPrefix + relative.split(path.sep).join('/');
+  };
+  const folderKey = (dir) => {
+    const key = keyFor(dir);
+    return key && !key.endsWith('/') ? `${key}/` : key;
+  };
+
+  const listKeys = async (keyPrefixToList, { delimiter, limit } = {}) => {
+    const keys = [];
+    const folders = [];
+    let ContinuationToken;
+    do {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: keyPrefixToList,
+        Delimiter: delimiter,
+        MaxKeys: limit,
+        ContinuationToken
+      }));
+      (page.Contents || []).forEach(object => keys.push(object.Key));
+      (page.CommonPrefixes || []).forEach(common => folders.push(common.Prefix));
+      ContinuationToken = limit ? undefined : page.NextContinuationToken;
+    } while (ContinuationToken);
+    return { keys, folders };
+  };
+
+  const head = async (key) => {
+    // Folder keys (and the root) are never objects themselves
+    if (!key || key.endsWith('/')) return null;
+    try {
+      return await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  };
+
+  // CopySource is "<bucket>/<key>" with the key URL-encoded
+  const copyKey = (fromKey, toKey) => client.send(new CopyObjectCommand({
+    Bucket: bucket,
+    Key: toKey,
+    CopySource: `${bucket}/${fromKey.split('/').map(encodeURIComponent).join('/')}`
+  }));
+
+  const deleteKeys = async (keys) => {
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+      await client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: keys.slice(i, i + DELETE_BATCH_SIZE).map(Key => ({ Key })), Quiet: true }
+      }));
+    }
+  };
+
+  const stat = async (target) => {
+    const object = await head(keyFor(target));
+    return object ? { size: object.ContentLength, mtimeMs: object.LastModified.getTime() } : null;
+  };
+
+  const hasFiles = async (dir) => (await listKeys(folderKey(dir), { limit: 1 })).keys.length > 0;
+
+  const exists = async (target) => Boolean(await head(keyFor(target))) || hasFiles(target);
+
+  const putFile = async (target, sourcePath) => {
+    const { size } = await fs.stat(sourcePath);
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: keyFor(target),
+      Body: fs.createReadStream(sourcePath),
+      ContentLength: size,
+      ContentType: mimeTypeFor(target)
+    }));
+    await fs.remove(sourcePath);
+  };
+
+  const writeFile = (target, buffer) => client.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: keyFor(target),
+    Body: buffer,
+    ContentType: mimeTypeFor(target)
+  }));
+
+  const copy = async (from, to) => {
+    await copyKey(keyFor(from), keyFor(to));
+  };
+
+  const move = async (from, to, { overwrite = false } = {}) => {
+    if (!overwrite && await exists(to)) throw new Error(`"${to}" already exists`);
+
+    const fromKey = keyFor(from);
+    if (await head(fromKey)) {
+      await copyKey(fromKey, keyFor(to));
+      await deleteKeys([fromKey]);
+      return;
+    }
+
+    const fromFolder = folderKey(from);
+    const toFolder = folderKey(to);
+    const { keys } = await listKeys(fromFolder);
+    if (keys.length === 0) throw new Error(`"${from}" does not exist`);
+
+    for (const key of keys) {
+      await copyKey(key, toFolder + key.slice(fromFolder.length));
+    }
+    await deleteKeys(keys);
+  };
+
+  const remove = async (target) => {
+    const key = keyFor(target);
+    const { keys } = await listKeys(folderKey(target));
+    await deleteKeys(key ? [key, ...keys] : keys);
+  };
+
+  const list = async (dir) => {
+    const prefixToList = folderKey(dir);
+    const { keys, folders } = await listKeys(prefixToList, { delimiter: '/' });
+    return [
+      ...folders.map(folder => ({ name: folder.slice(prefixToList.length, -1), isDirectory: true })),
+      ...keys
+        .filter(key => key !== prefixToList)
+        .map(key => ({ name: key.slice(prefixToList.length), isDirectory: false }))
+    ];
+  };
+
+  const openReadStream = async (target, { start, end } = {}) => {
+    const range = start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined;
+    const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: keyFor(target), Range: range }));
+    return object.Body;
+  };
+
+  // Downloads the object to a temporary file for as long as `fn` needs it
+  const withLocalFile = async (target, fn) => {
+    const tempPath = path.join(os.tmpdir(), `sncop-${crypto.randomUUID()}${path.extname(target)}`);
+    try {
+      await pipeline(await openReadStream(target), fs.createWriteStream(tempPath));
+      return await fn(tempPath);
+    } finally {
+      await fs.remove(tempPath);
+    }
+  };
+
+  return {
+    driver: 's3',
+    root,
+    describe: () => `s3://${bucket}/${keyPrefix}`,
+    exists,
+    stat,
+    putFile,
+    writeFile,
+    copy,
+    move,
+    remove,
+    list,
+    hasFiles,
+    ensureDir: async () => {},
+    openReadStream,
+    withLocalFile
+  };
+};
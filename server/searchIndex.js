@@ -0,0 +1,170 @@
+// server/searchIndex.js
+// Full-text index over the text inside uploaded files, one FTS5 row per page.
+// Extraction is slow (OCR especially), so uploads only queue a resource and a
+// single background worker indexes them one at a time.
+import { createSerialQueue } from './utils.js';
+
+const SCHEMA = `
+  CREATE VIRTUAL TABLE IF NOT EXISTS resource_text USING fts5(
+    resource_id UNINDEXED,
+    page UNINDEXED,
+    content,
+    tokenize = 'porter unicode61 remove_diacritics 2'
+  );
+
+  CREATE TABLE IF NOT EXISTS search_index_status (
+    resource_id TEXT PRIMARY KEY REFERENCES resources(id) ON DELETE CASCADE,
+    status TEXT NOT NULL,
+    pages INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    indexed_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  CREATE TRIGGER IF NOT EXISTS resources_drop_search_text AFTER DELETE ON resources
+  BEGIN
+    DELETE FROM resource_text WHERE resource_id = old.id;
+  END;
+`;
+
+// Snippet markers; control characters can't appear in extracted text, so clients can split on them safely
+export const HIGHLIGHT_START = '\u0002';
+export const HIGHLIGHT_END = '\u0003';
+
+const MAX_HITS_PER_RESOURCE = 3;
+
+// "Bleeding time!" -> "bleeding" "time"*  (every word required, last one as a prefix for search-as-you-type)
+const toMatchQuery = (query) => {
+  const terms = (String(query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, 12);
+  return terms
+    .map((term, index) => (index === terms.length - 1 ? `"${term}"*` : `"${term}"`))
+    .join(' ');
+};
+
+export const createSearchIndex = ({ db, catalog, extractText }) => {
+  db.exec(SCHEMA);
+
+  const resourceExists = (id) => !!db.prepare('SELECT 1 FROM resources WHERE id = ?').get(id);
+
+  const setStatus = (id, status, pages, error) => {
+    db.prepare(`
+      INSERT INTO search_index_status (resource_id, status, pages, error, indexed_at)
+      VALUES (?, ?, ?, ?, datetime('now'))
+      ON CONFLICT(resource_id) DO UPDATE SET
+        status = excluded.status,
+        pages = excluded.pages,
+        error = excluded.error,
+        indexed_at = excluded.indexed_at
+    `).run(id, status, pages, error);
+  };
+
+  const storePages = db.transaction((id, pages) => {
+    // The resource may have been deleted while its text was being extracted
+    if (!resourceExists(id)) return;
+
+    db.prepare('DELETE FROM resource_text WHERE resource_id = ?').run(id);
+    const insert = db.prepare('INSERT INTO resource_text (resource_id, page, content) VALUES (?, ?, ?)');
+    pages.forEach(({ page, text }) => insert.run(id, page, text));
+    setStatus(id, pages.length ? 'indexed' : 'empty', pages.length, null);
+  });
+
+  const indexResource = async (id) => {
+    const resource = catalog.getResourceById(id);
+    if (!resource) return;
+
+    try {
+      const pages = (await extractText(resource.filePath, resource.fileType)).filter(page => page.text);
+      storePages(id, pages);
+      console.log(`Indexed "${resource.title}": ${pages.length} pages with text`);
+    } catch (error) {
+      console.error(`Failed to index "${resource.title}":`, error.message);
+      if (resourceExists(id)) setStatus(id, 'failed', 0, error.message);
+    }
+  };
+
+  const queue = createSerialQueue(indexResource, 'Search indexing');
+  const enqueue = (id) => queue.push(id);
+
+  // Queues resources that have never been indexed (or, with `all`, every resource)
+  const backfill = ({ all = false } = {}) => {
+    const rows = all
+      ? db.prepare('SELECT id FROM resources ORDER BY created_at').all()
+      : db.prepare(`
+          SELECT r.id FROM resources r
+          LEFT JOIN search_index_status s ON s.resource_id = r.id
+          WHERE s.resource_id IS NULL
+          ORDER BY r.created_at
+        `).all();
+
+    rows.forEach(({ id }) => enqueue(id));
+    if (rows.length > 0) {
+      console.log(`Queued ${rows.length} resources for search indexing`);
+    }
+    return rows.length;
+  };
+
+  // Ranked resources whose text matches every word of `query`, best pages first
+  const search = (query, { subject, category, limit = 20 } = {}) => {
+    const match = toMatchQuery(query);
+    if (!match) return [];
+
+    const clauses = ['resource_text MATCH ?'];
+    const params = [match];
+    if (subject) { clauses.push('s.name = ?'); params.push(subject); }
+    if (category) { clauses.push('r.category = ?'); params.push(category); }
+
+    const rows = db.prepare(`
+      SELECT
+        resource_text.resource_id AS resourceId,
+        resource_text.page AS page,
+        snippet(resource_text, 2, ?, ?, '…', 16) AS snippet,
+        bm25(resource_text) AS score
+      FROM resource_text
+      JOIN resources r ON r.id = resource_text.resource_id
+      JOIN subjects s ON s.id = r.subject_id
+      WHERE ${clauses.join(' AND ')}
+      ORDER BY score
+      LIMIT ?
+    `).all(HIGHLIGHT_START, HIGHLIGHT_END, ...params, Math.max(limit, 1) * 10);
+
+    const results = new Map();
+    rows.forEach(row => {
+      let result = results.get(row.resourceId);
+      if (!result) {
+        if (results.size >= limit) return;
+        const resource = catalog.getResourceById(row.resourceId);
+        if (!resource) return;
+
+        result = {
+          id: resource.id,
+          title: resource.title,
+          description: resource.description,
+          subject: resource.subject,
+          unit: resource.unit,
+          type: resource.category,
+          fileName: resource.fileName,
+          storedFileName: resource.storedFileName,
+          fileType: resource.fileType,
+          // bm25() is lower-is-better; flip it so clients can sort descending
+          score: -row.score,
+          hits: []
+        };
+        results.set(row.resourceId, result);
+      }
+
+      if (result.hits.length < MAX_HITS_PER_RESOURCE) {
+        result.hits.push({ page: Number(row.page), snippet: row.snippet });
+      }
+    });
+
+    return [...results.values()];
+  };
+
+  const stats = () => {
+    const counts = { queued: queue.size(), indexed: 0, empty: 0, failed: 0 };
+    db.prepare('SELECT status, COUNT(*) AS count FROM search_index_status GROUP BY status').all()
+      .forEach(row => { counts[row.status] = row.count; });
+    return counts;
+  };
+
+  return { enqueue, backfill, search, stats };
+};
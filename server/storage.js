@@ -0,0 +1,81 @@
+// server/storage.js
+// Where the library's files live. Everything that reads or writes storage goes
+// through a driver picked by configuration: the local filesystem (default) or
+// S3-compatible object storage (server/s3Storage.js).
+//
+// Drivers are addressed with the same absolute paths under the storage root
+// that the catalog hands out (resource.filePath etc.), so callers never build
+// object keys themselves. Every method is async:
+//   exists(p)                     -> file or folder exists
+//   stat(p)                       -> { size, mtimeMs } for a file, or null
+//   putFile(p, sourcePath)        -> moves a local file into storage
+//   writeFile(p, buffer)
+//   copy(from, to)                -> copies one file
+//   move(from, to, { overwrite }) -> moves a file or a whole folder
+//   remove(p)                     -> removes a file or a whole folder; missing is fine
+//   list(dir)                     -> [{ name, isDirectory }] directly inside dir
+//   hasFiles(dir)                 -> at least one file somewhere below dir
+//   ensureDir(dir)                -> folders only exist on disk; no-op for object storage
+//   openReadStream(p, { start, end })
+//   withLocalFile(p, fn)          -> runs fn(localPath) for tools that need a real file
+import fs from 'fs-extra';
+import path from 'path';
+
+const createLocalStorage = ({ root }) => {
+  fs.ensureDirSync(root);
+
+  const stat = async (filePath) => {
+    try {
+      const stats = await fs.stat(filePath);
+      return stats.isFile() ? { size: stats.size, mtimeMs: stats.mtimeMs } : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const list = async (dir) => {
+    try {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      return entries.map(entry => ({ name: entry.name, isDirectory: entry.isDirectory() }));
+    } catch {
+      return [];
+    }
+  };
+
+  const hasFiles = async (dir) => {
+    for (const entry of await list(dir)) {
+      if (!entry.isDirectory || await hasFiles(path.join(dir, entry.name))) return true;
+    }
+    return false;
+  };
+
+  return {
+    driver: 'local',
+    root,
+    describe: () => root,
+    exists: (target) => fs.pathExists(target),
+    stat,
+    putFile: (filePath, sourcePath) => fs.move(sourcePath, filePath),
+    writeFile: (filePath, buffer) => fs.outputFile(filePath, buffer),
+    copy: (from, to) => fs.copy(from, to),
+    move: (from, to, { overwrite = false } = {}) => fs.move(from, to, { overwrite }),
+    remove: (target) => fs.remove(target),
+    list,
+    hasFiles,
+    ensureDir: (dir) => fs.ensureDir(dir),
+    openReadStream: async (filePath, range) => fs.createReadStream(filePath, range),
+    withLocalFile: (filePath, fn) => fn(filePath)
+  };
+};
+
+/**
+ * Returns the configured driver. `driver` is "local" or "s3"; the S3 client is
+ * only loaded when it's used.
+ */
+export const createStorage = async ({ driver = 'local', root, s3 }) => {
+  if (driver === 's3') {
+    const { createS3Storage } = await import('./s3Storage.js');
+    return createS3Storage({ root, ...s3 });
+  }
+  return createLocalStorage({ root });
+};
@@ -0,0 +1,102 @@
+// server/textExtraction.js
+// Pulls searchable text out of uploaded files as [{ page, text }].
+// PDFs use their text layer (pdfjs-dist); images go through OCR (tesseract.js).
+// Both libraries are loaded on first use so the server starts without them warm.
+import { createRequire } from 'module';
+import path from 'path';
+
+const require = createRequire(import.meta.url);
+
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const OCR_LANGS = process.env.OCR_LANGS || 'eng';
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || undefined;
+
+// Collapses the run-together whitespace pdf.js and tesseract produce
+const normalizeText = (text) => String(text || '')
+  .replace(/\u0000/g, '')
+  .replace(/[ \t\f\v]+/g, ' ')
+  .replace(/\s*\n\s*/g, '\n')
+  .trim();
+
+// pdf.js needs its bundled font data to draw the 14 standard PDF fonts when rendering in Node;
+// system fonts can't be drawn onto a Node canvas, so they stay off
+const STANDARD_FONT_DATA_URL = path.join(
+  path.dirname(require.resolve('pdfjs-dist/package.json')),
+  'standard_fonts'
+) + path.sep;
+
+export const openPdfDocument = async (filePath) => {
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  return getDocument({
+    url: filePath,
+    useSystemFonts: false,
+    isEvalSupported: false,
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    verbosity: 0
+  }).promise;
+};
+
+export const extractPdfPages = async (filePath) => {
+  const doc = await openPdfDocument(filePath);
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const text = content.items
+        .map(item => (item.str || '') + (item.hasEOL ? '\n' : ' '))
+        .join('');
+      pages.push({ page: pageNumber, text: normalizeText(text) });
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await doc.destroy();
+  }
+};
+
+// One shared worker; tesseract downloads its language data the first time it starts.
+// A failed start is remembered for a while so every queued image doesn't spawn a new worker.
+const OCR_RETRY_MS = 10 * 60 * 1000;
+let ocrWorker = null;
+let ocrFailedAt = 0;
+
+const getOcrWorker = () => {
+  if (!ocrWorker || (ocrFailedAt && Date.now() - ocrFailedAt > OCR_RETRY_MS)) {
+    ocrFailedAt = 0;
+    ocrWorker = import('tesseract.js')
+      .then(({ createWorker }) => new Promise((resolve, reject) => {
+        // createWorker() never settles when the language data can't be loaded,
+        // but errorHandler does fire, so use it to fail the start
+        createWorker(OCR_LANGS, undefined, {
+          ...(OCR_LANG_PATH ? { langPath: OCR_LANG_PATH } : {}),
+          errorHandler: (error) => reject(new Error(`OCR unavailable: ${error}`))
+        }).then(resolve, reject);
+      }))
+      .catch(error => {
+        ocrFailedAt = Date.now();
+        throw error;
+      });
+  }
+  return ocrWorker;
+};
+
+export const ocrImagePages = async (filePath) => {
+  const worker = await getOcrWorker();
+  const { data } = await worker.recognize(filePath);
+  return [{ page: 1, text: normalizeText(data.text) }];
+};
+
+export const extractText = async (filePath, fileType) => {
+  if (fileType === 'pdf') return extractPdfPages(filePath);
+  if (fileType === 'image' && OCR_ENABLED) return ocrImagePages(filePath);
+  return [];
+};
+
+export const closeExtractors = async () => {
+  if (!ocrWorker || ocrFailedAt) return;
+  const worker = await ocrWorker.catch(() => null);
+  ocrWorker = null;
+  if (worker) await worker.terminate();
+};
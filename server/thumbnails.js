@@ -0,0 +1,121 @@
+// server/thumbnails.js
+// Small JPEG previews for the resource cards: the first page of a PDF or a
+// downscaled copy of an image. They live in a hidden ".thumbnails" folder next
+// to the file they belong to and are generated in the background after upload.
+import fs from 'fs-extra';
+import path from 'path';
+import { openPdfDocument } from './textExtraction.js';
+import { createSerialQueue } from './utils.js';
+
+export const THUMBNAIL_DIR = '.thumbnails';
+const THUMBNAIL_WIDTH = 400;
+const JPEG_QUALITY = 80;
+
+export const thumbnailPathFor = (resource) =>
+  path.join(path.dirname(resource.filePath), THUMBNAIL_DIR, `${resource.storedFileName}.jpg`);
+
+// Loaded on first use, like the text extractors
+const loadCanvas = () => import('@napi-rs/canvas');
+
+const renderPdfThumbnail = async (filePath) => {
+  const { createCanvas } = await loadCanvas();
+  const doc = await openPdfDocument(filePath);
+
+  try {
+    const page = await doc.getPage(1);
+    const unscaled = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH / unscaled.width });
+
+    const canvas = createCanvas(Math.round(viewport.width), Math.round(viewport.height));
+    const context = canvas.getContext('2d');
+    // PDF pages are transparent by default, which JPEG would turn black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({ canvasContext: context, viewport }).promise;
+    page.cleanup();
+    return canvas.encode('jpeg', JPEG_QUALITY);
+  } finally {
+    await doc.destroy();
+  }
+};
+
+const renderImageThumbnail = async (filePath) => {
+  const { createCanvas, loadImage } = await loadCanvas();
+  const image = await loadImage(await fs.readFile(filePath));
+
+  // Never upscale small images
+  const scale = Math.min(1, THUMBNAIL_WIDTH / image.width);
+  const canvas = createCanvas(Math.max(1, Math.round(image.width * scale)), Math.max(1, Math.round(image.height * scale)));
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.encode('jpeg', JPEG_QUALITY);
+};
+
+const RENDERERS = {
+  pdf: renderPdfThumbnail,
+  image: renderImageThumbnail
+};
+
+export const createThumbnails = ({ catalog, storage }) => {
+  // Modification time of each resource's thumbnail, so listings don't have to ask storage
+  const known = new Map();
+
+  const generate = async (id) => {
+    const resource = catalog.getResourceById(id);
+    const render = resource && RENDERERS[resource.fileType];
+    if (!render || !await storage.exists(resource.filePath)) return;
+
+    try {
+      const jpeg = await storage.withLocalFile(resource.filePath, render);
+      // The resource may have been deleted while it was being rendered
+      if (!catalog.getResourceById(id)) return;
+
+      await storage.writeFile(thumbnailPathFor(resource), jpeg);
+      known.set(id, Date.now());
+      // Clients following the change feed pick up the new thumbnail URL
+      catalog.touchResource(id);
+      console.log(`Generated thumbnail for "${resource.title}"`);
+    } catch (error) {
+      console.error(`Failed to generate thumbnail for "${resource.title}":`, error.message);
+    }
+  };
+
+  const queue = createSerialQueue(generate, 'Thumbnail generation');
+  const enqueue = (id) => queue.push(id);
+
+  // Queues previewable resources without a thumbnail (or, with `force`, all of them)
+  const backfill = async ({ force = false } = {}) => {
+    const missing = [];
+    for (const resource of catalog.listResources().filter(candidate => RENDERERS[candidate.fileType])) {
+      const stats = await storage.stat(thumbnailPathFor(resource));
+      if (stats) known.set(resource.id, stats.mtimeMs);
+      if (force || !stats) missing.push(resource);
+    }
+
+    missing.forEach(resource => enqueue(resource.id));
+    if (missing.length > 0) {
+      console.log(`Queued ${missing.length} resources for thumbnail generation`);
+    }
+    return missing.length;
+  };
+
+  // Where clients can fetch the thumbnail, or null while it doesn't exist.
+  // The modification time busts browser caches when a thumbnail is regenerated.
+  const urlFor = (resource) => {
+    const mtimeMs = known.get(resource.id);
+    return mtimeMs ? `/api/thumbnails/${encodeURIComponent(resource.id)}?v=${Math.floor(mtimeMs)}` : null;
+  };
+
+  const pathFor = (resource) => (known.has(resource.id) ? thumbnailPathFor(resource) : null);
+
+  const remove = async (resource) => {
+    if (!resource) return;
+    known.delete(resource.id);
+    await storage.remove(thumbnailPathFor(resource));
+  };
+
+  return { enqueue, backfill, urlFor, pathFor, remove };
+};
@@ -0,0 +1,339 @@
+// server/trash.js
+// Deleting a resource, a unit or a whole subject moves its files into a hidden ".trash"
+// folder in storage and keeps the catalog entries (and version history) needed
+// to put everything back. Items are purged for good by hand or once they are
+// older than the retention period.
+import path from 'path';
+import { UNIT_TYPES } from './resourceTypes.js';
+import { moveWithRollback } from './utils.js';
+
+export const TRASH_DIR = '.trash';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS trash_items (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    name TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    category TEXT,
+    unit TEXT,
+    file_name TEXT,
+    payload TEXT NOT NULL,
+    deleted_by TEXT,
+    deleted_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_trash_items_deleted_at ON trash_items (deleted_at);
+`;
+
+const newId = () => Date.now().toString() + Math.random().toString(36).slice(2, 8);
+
+// SQLite's datetime('now') is UTC without a zone marker
+const toIsoDate = (sqliteDate) => new Date(`${sqliteDate.replace(' ', 'T')}Z`).toISOString();
+
+// Catalog entries are stored without absolute paths so a moved storage directory still restores
+const toStoredResource = (resource, storageDir) => {
+  const { filePath, ...fields } = resource;
+  return { ...fields, relativePath: path.relative(storageDir, filePath) };
+};
+
+export const createTrash = ({ db, catalog, versions, storage, storageDir, retentionDays }) => {
+  db.exec(SCHEMA);
+
+  const trashRoot = path.join(storageDir, TRASH_DIR);
+  const itemDir = (id) => path.join(trashRoot, id);
+
+  // Files keep their path relative to storage/ inside the item's folder
+  const intoTrash = (id, relativePaths) => relativePaths.map(relativePath => ({
+    from: path.join(storageDir, relativePath),
+    to: path.join(itemDir(id), relativePath)
+  }));
+  const outOfTrash = (id, relativePaths) => intoTrash(id, relativePaths)
+    .map(({ from, to }) => ({ from: to, to: from }));
+
+  const insertItem = (item) => {
+    db.prepare(`
+      INSERT INTO trash_items (id, kind, name, subject, category, unit, file_name, payload, deleted_by)
+      VALUES (@id, @kind, @name, @subject, @category, @unit, @fileName, @payload, @deletedBy)
+    `).run({ category: null, unit: null, fileName: null, ...item, payload: JSON.stringify(item.payload) });
+    return item;
+  };
+
+  const removeItem = (id) => {
+    db.prepare('DELETE FROM trash_items WHERE id = ?').run(id);
+  };
+
+  const trashResource = async (resource, deletedBy) => {
+    const id = newId();
+    // A file linked from other resources stays where it is; only this entry goes to the trash
+    const sharedFile = catalog.isFileShared(resource);
+    const history = await versions.snapshot(resource);
+    const files = [
+      ...(!sharedFile && await storage.exists(resource.filePath) ? [resource.filePath] : []),
+      ...history.files
+    ].map(file => path.relative(storageDir, file));
+
+    return moveWithRollback(
+      storage,
+      intoTrash(id, files),
+      () => catalog.transaction(() => {
+        catalog.deleteResource(resource.subject, resource.category, resource.unit, resource.storedFileName);
+        return insertItem({
+          id,
+          kind: 'resource',
+          name: resource.title,
+          subject: resource.subject,
+          category: resource.category,
+          unit: resource.unit || null,
+          fileName: resource.fileName,
+          deletedBy,
+          payload: {
+            resources: [toStoredResource(resource, storageDir)],
+            versions: history.rows,
+            files,
+            sharedFile
+          }
+        });
+      })
+    );
+  };
+
+  // Returns null when there is neither a catalog entry nor a folder for the subject
+  const trashSubject = async (subjectName, deletedBy) => {
+    const subject = catalog.getSubject(subjectName);
+    const folder = path.join(storageDir, subjectName);
+    const hasFolder = await storage.exists(folder);
+    if (!subject && !hasFolder) return null;
+
+    const id = newId();
+    const resources = catalog.listResources({ subject: subjectName });
+    const history = [];
+    for (const resource of resources) {
+      history.push(...(await versions.snapshot(resource)).rows);
+    }
+    const files = hasFolder ? [subjectName] : [];
+
+    return moveWithRollback(
+      storage,
+      intoTrash(id, files),
+      () => catalog.transaction(() => {
+        catalog.deleteSubject(subjectName);
+        return insertItem({
+          id,
+          kind: 'subject',
+          name: subjectName,
+          subject: subjectName,
+          deletedBy,
+          payload: {
+            subject: subject || { name: subjectName, units: [] },
+            resources: resources.map(resource => toStoredResource(resource, storageDir)),
+            versions: history,
+            files
+          }
+        });
+      })
+    );
+  };
+
+  /**
+   * Trashes a unit as one item: its folder under every type with units, and all
+   * of its catalog entries. A folder that also holds a file other resources link
+   * to stays; only the unit's own files (and their earlier versions) leave it.
+   * Returns null when the subject has no such unit.
+   */
+  const trashUnit = async (subjectName, unitName, deletedBy) => {
+    const subject = catalog.getSubject(subjectName);
+    if (!subject || !subject.units.includes(unitName)) return null;
+
+    const id = newId();
+    const resources = catalog.listResources({ subject: subjectName, unit: unitName });
+    const ids = new Set(resources.map(resource => resource.id));
+    const others = catalog.listResources().filter(resource => !ids.has(resource.id));
+
+    const folders = [];
+    for (const type of UNIT_TYPES) {
+      const folder = path.join(storageDir, subjectName, type.folder, unitName);
+      const linkedFromElsewhere = others.some(resource => resource.filePath.startsWith(folder + path.sep));
+      if (!linkedFromElsewhere && await storage.exists(folder)) folders.push(folder);
+    }
+    const inFolders = (file) => folders.some(folder => file.startsWith(folder + path.sep));
+
+    const history = [];
+    const files = new Set(folders);
+    for (const resource of resources) {
+      const snapshot = await versions.snapshot(resource);
+      history.push(...snapshot.rows);
+      if (inFolders(resource.filePath)) continue;
+
+      const sharedFile = others.some(other => other.filePath === resource.filePath);
+      if (!sharedFile && await storage.exists(resource.filePath)) files.add(resource.filePath);
+      snapshot.files.forEach(file => files.add(file));
+    }
+    const relativePaths = [...files].map(file => path.relative(storageDir, file));
+
+    return moveWithRollback(
+      storage,
+      intoTrash(id, relativePaths),
+      () => catalog.transaction(() => {
+        resources.forEach(resource =>
+          catalog.deleteResource(resource.subject, resource.category, resource.unit, resource.storedFileName));
+        catalog.removeUnit(subjectName, unitName);
+        return insertItem({
+          id,
+          kind: 'unit',
+          name: unitName,
+          subject: subjectName,
+          unit: unitName,
+          deletedBy,
+          payload: {
+            unit: { name: unitName, position: subject.units.indexOf(unitName) },
+            resources: resources.map(resource => toStoredResource(resource, storageDir)),
+            versions: history,
+            files: relativePaths
+          }
+        });
+      })
+    );
+  };
+
+  // Empty folders (say, a unit that was added again) don't count as something stored there
+  const isTaken = async (target) => await storage.exists(target) &&
+    (await storage.stat(target) !== null || await storage.hasFiles(target));
+
+  const getRow = (id) => db.prepare('SELECT * FROM trash_items WHERE id = ?').get(id);
+
+  // Why the item can't go back right now, or null when it can
+  const checkRestore = async (row, payload) => {
+    if (row.kind === 'subject' && catalog.getSubject(row.subject)) {
+      return `A subject named "${row.subject}" already exists; rename or delete it first`;
+    }
+    if (row.kind === 'unit' && !catalog.getSubject(row.subject)) {
+      return `The subject "${row.subject}" is gone; restore or re-create it first`;
+    }
+
+    const taken = payload.resources.find(resource =>
+      catalog.getResource(resource.subject, resource.category, resource.unit, resource.storedFileName));
+    if (taken) {
+      return `"${taken.title}" is already back in ${taken.subject}`;
+    }
+
+    for (const relativePath of payload.files) {
+      if (await isTaken(path.join(storageDir, relativePath))) {
+        return `Something else is already stored at "${relativePath}"`;
+      }
+    }
+
+    if (payload.sharedFile && !await storage.exists(path.join(storageDir, payload.resources[0].relativePath))) {
+      return 'The file this resource shared with another one was deleted too; restore that one first';
+    }
+    return null;
+  };
+
+  /**
+   * Moves a trashed item's files back and re-creates its catalog entries with
+   * their original ids. Returns the restored resources, or null when there is
+   * no such item; throws when it can't be restored yet.
+   */
+  const restore = async (id) => {
+    const row = getRow(id);
+    if (!row) return null;
+
+    const payload = JSON.parse(row.payload);
+    const problem = await checkRestore(row, payload);
+    if (problem) throw new Error(problem);
+    // Anything still at those paths is an empty folder (checked above) that would block the move
+    for (const relativePath of payload.files) {
+      await storage.remove(path.join(storageDir, relativePath));
+    }
+
+    const restored = await moveWithRollback(
+      storage,
+      outOfTrash(id, payload.files),
+      () => catalog.transaction(() => {
+        if (payload.subject) {
+          catalog.upsertSubject(payload.subject.name, payload.subject.units, payload.subject.id);
+        }
+        // The unit goes back to its old place in the list (unless it was added again meanwhile)
+        const subject = payload.unit && catalog.getSubject(row.subject);
+        if (subject && !subject.units.includes(payload.unit.name)) {
+          const units = [...subject.units];
+          units.splice(payload.unit.position, 0, payload.unit.name);
+          catalog.upsertSubject(subject.name, units, subject.id);
+        }
+        const resources = payload.resources.map(({ relativePath, ...resource }) =>
+          catalog.saveResource({ ...resource, filePath: path.join(storageDir, relativePath) }));
+        versions.restoreSnapshot(payload.versions);
+        removeItem(id);
+        return resources;
+      })
+    );
+
+    await storage.remove(itemDir(id));
+    return restored;
+  };
+
+  const purge = async (id) => {
+    const row = getRow(id);
+    if (!row) return false;
+
+    await storage.remove(itemDir(id));
+    removeItem(id);
+    return true;
+  };
+
+  const toListItem = (row) => {
+    const payload = JSON.parse(row.payload);
+    const deletedAt = toIsoDate(row.deleted_at);
+    return {
+      id: row.id,
+      kind: row.kind,
+      name: row.name,
+      subject: row.subject,
+      type: row.category || undefined,
+      unit: row.unit || undefined,
+      fileName: row.file_name || undefined,
+      resourceCount: payload.resources.length,
+      deletedBy: row.deleted_by || null,
+      deletedAt,
+      purgeAt: retentionDays > 0
+        ? new Date(Date.parse(deletedAt) + retentionDays * 24 * 60 * 60 * 1000).toISOString()
+        : null
+    };
+  };
+
+  const list = () => db
+    .prepare('SELECT * FROM trash_items ORDER BY deleted_at DESC, id DESC')
+    .all()
+    .map(toListItem);
+
+  const get = (id) => {
+    const row = db.prepare('SELECT * FROM trash_items WHERE id = ?').get(id);
+    return row ? toListItem(row) : null;
+  };
+
+  // Purges items older than the retention period; a period of 0 keeps everything until purged by hand
+  const purgeExpired = async () => {
+    if (!(retentionDays > 0)) return 0;
+
+    const expired = db
+      .prepare(`SELECT id FROM trash_items WHERE deleted_at < datetime('now', ?)`)
+      .all(`-${retentionDays} days`);
+    for (const { id } of expired) {
+      await purge(id);
+    }
+    if (expired.length > 0) {
+      console.log(`Purged ${expired.length} expired trash items`);
+    }
+    return expired.length;
+  };
+
+  const empty = async () => {
+    const ids = db.prepare('SELECT id FROM trash_items').all().map(row => row.id);
+    for (const id of ids) {
+      await purge(id);
+    }
+    return ids.length;
+  };
+
+  return { trashResource, trashSubject, trashUnit, restore, purge, list, get, purgeExpired, empty, retentionDays };
+};
@@ -0,0 +1,104 @@
+// server/uploadScreening.js
+// Every uploaded file (single upload, chunked upload, ZIP import) is moved into
+// the quarantine directory and only leaves it once it passes every check, in order:
+//   type     the first bytes match the file's extension (a renamed .exe is not a PDF)
+//   pdf      structural check (pdfInspection.js): well formed, no JavaScript, no
+//            Launch actions, and pdf.js can open it and finds at least one page
+//   virus    the configured scanner (virusScan.js) calls it clean
+// screen() resolves to { path, rejection }: `path` is where the file now sits in
+// quarantine for the caller to put into storage, `rejection` is null or
+// { check, reason }. A rejected file is deleted. When a check can't run at all
+// (scanner down, disk error) the file is deleted too and the error is thrown.
+// The PDF check reads the whole file into memory, so PDFs above maxPdfSize bytes
+// are rejected rather than inspected.
+import fs from 'fs-extra';
+import path from 'path';
+import { inspectPdf } from './pdfInspection.js';
+import { openPdfDocument } from './textExtraction.js';
+
+const SIGNATURES = {
+  pdf: [Buffer.from('%PDF-')],
+  jpg: [Buffer.from([0xff, 0xd8, 0xff])],
+  jpeg: [Buffer.from([0xff, 0xd8, 0xff])],
+  png: [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  gif: [Buffer.from('GIF87a'), Buffer.from('GIF89a')]
+};
+const LABELS = { pdf: 'PDF', jpg: 'JPEG image', jpeg: 'JPEG image', png: 'PNG image', gif: 'GIF image' };
+
+const readHead = async (filePath, length) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+const checkType = async (filePath, ext) => {
+  const signatures = SIGNATURES[ext];
+  if (!signatures) return `.${ext} files are not accepted`;
+  const head = await readHead(filePath, Math.max(...signatures.map(signature => signature.length)));
+  if (signatures.some(signature => head.subarray(0, signature.length).equals(signature))) return null;
+  return `the file's contents are not a ${LABELS[ext]}`;
+};
+
+const checkPdf = async (filePath, maxSize) => {
+  const { size } = await fs.stat(filePath);
+  if (size > maxSize) return `PDF is larger than ${Math.floor(maxSize / (1024 * 1024))} MB, the most that can be checked`;
+
+  const { error } = inspectPdf(await fs.readFile(filePath));
+  if (error) return error;
+
+  let doc;
+  try {
+    doc = await openPdfDocument(filePath);
+    if (doc.numPages < 1) return 'PDF has no pages';
+  } catch (error) {
+    if (error.name === 'PasswordException') return 'PDF is password protected';
+    return `PDF can't be opened (${error.message})`;
+  } finally {
+    await doc?.destroy();
+  }
+  return null;
+};
+
+export const createUploadScreening = ({ quarantineDir, scan, maxPdfSize }) => {
+  fs.ensureDirSync(quarantineDir);
+
+  const screen = async (sourcePath, fileName) => {
+    let quarantined = sourcePath;
+    if (path.dirname(path.resolve(sourcePath)) !== path.resolve(quarantineDir)) {
+      quarantined = path.join(quarantineDir, `${Date.now()}-${path.basename(sourcePath)}`);
+      await fs.move(sourcePath, quarantined);
+    }
+
+    try {
+      const ext = path.extname(fileName).slice(1).toLowerCase();
+      const checks = [
+        ['type', () => checkType(quarantined, ext)],
+        ['pdf', () => (ext === 'pdf' ? checkPdf(quarantined, maxPdfSize) : null)],
+        ['virus', async () => {
+          const { clean, signature } = await scan(quarantined);
+          return clean ? null : `virus found: ${signature}`;
+        }]
+      ];
+
+      for (const [check, run] of checks) {
+        const reason = await run();
+        if (reason) {
+          console.warn(`Quarantine: rejected ${fileName} (${check}: ${reason})`);
+          await fs.remove(quarantined);
+          return { path: null, rejection: { check, reason } };
+        }
+      }
+      return { path: quarantined, rejection: null };
+    } catch (error) {
+      await fs.remove(quarantined);
+      throw error;
+    }
+  };
+
+  return { screen };
+};
@@ -0,0 +1,90 @@
+// server/utils.js
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+// Utility function to format file size
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return `${parseFloat((bytes / Math.pow(k, i)).toFixed(2))} ${sizes[i]}`;
+};
+
+export const getFileType = (filename) =>
+  path.extname(filename).toLowerCase().includes('pdf') ? 'pdf' : 'image';
+
+// "Pharma_notes_1759263312939.pdf" -> "Pharma Notes"
+export const titleFromFileName = (filename) => {
+  let baseTitle = filename.replace(/\.[^/.]+$/, "");
+  baseTitle = baseTitle.replace(/_\d{13}$/, "");
+  baseTitle = baseTitle.replace(/_/g, " ");
+  baseTitle = baseTitle.replace(/\b\w/g, l => l.toUpperCase());
+  return baseTitle;
+};
+
+// Best guess at a MIME type for files that arrive without one (e.g. ZIP entries)
+export const mimeTypeFor = (filename) => ({
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif'
+})[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+
+// Hex SHA-256 of a file's contents, streamed so large scans aren't read into memory
+export const sha256File = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+// Runs `worker(item)` for pushed items one at a time in the background.
+// An item that is already waiting is not queued twice.
+export const createSerialQueue = (worker, label) => {
+  const pending = [];
+  let running = false;
+
+  const drain = async () => {
+    if (running) return;
+    running = true;
+    try {
+      while (pending.length > 0) {
+        await worker(pending.shift());
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  const push = (item) => {
+    if (!pending.includes(item)) pending.push(item);
+    drain().catch(error => console.error(`${label} stopped:`, error));
+  };
+
+  return { push, size: () => pending.length };
+};
+
+// Moves files or folders ({ from, to } storage paths), then runs `commit` (usually a
+// catalog transaction). If a move or the commit fails, whatever was moved goes back.
+export const moveWithRollback = async (storage, moves, commit) => {
+  const moved = [];
+  try {
+    for (const move of moves) {
+      await storage.move(move.from, move.to);
+      moved.push(move);
+    }
+    return commit();
+  } catch (error) {
+    for (const move of moved.reverse()) {
+      try {
+        await storage.move(move.to, move.from);
+      } catch (undoError) {
+        console.error(`Failed to move "${move.to}" back:`, undoError.message);
+      }
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,241 @@
+// server/versions.js
+// File history for resources. Replacing a file keeps the resource's id, path and
+// stored file name (so links and client ids survive); the file it replaces is moved
+// into a hidden ".versions" folder next to it and every version is recorded with
+// its uploader. Rolling back copies an earlier version in as a new version, so
+// history is never rewritten.
+import path from 'path';
+import { formatFileSize, getFileType, sha256File } from './utils.js';
+
+export const VERSIONS_DIR = '.versions';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS resource_versions (
+    resource_id TEXT NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    file_name TEXT NOT NULL,
+    file_size TEXT NOT NULL DEFAULT '',
+    sha256 TEXT,
+    archive_path TEXT NOT NULL,
+    uploaded_by TEXT,
+    uploaded_at TEXT NOT NULL DEFAULT (datetime('now')),
+    restored_from INTEGER,
+    PRIMARY KEY (resource_id, version)
+  );
+`;
+
+// "storage/Pharma/notes/Unit 1/tablets_123.pdf", 2 -> "storage/Pharma/notes/Unit 1/.versions/tablets_123.v2.pdf"
+const archivePathFor = (resource, version) => {
+  const ext = path.extname(resource.storedFileName);
+  const base = path.basename(resource.storedFileName, ext);
+  return path.join(path.dirname(resource.filePath), VERSIONS_DIR, `${base}.v${version}${ext}`);
+};
+
+export const createVersions = ({ db, catalog, storage, storageDir }) => {
+  db.exec(SCHEMA);
+
+  const rowsFor = (resourceId) => db
+    .prepare('SELECT * FROM resource_versions WHERE resource_id = ? ORDER BY version')
+    .all(resourceId);
+
+  const insertVersion = (resource, version, { fileName, fileSize, sha256, uploadedBy, restoredFrom = null }) => {
+    db.prepare(`
+      INSERT INTO resource_versions (resource_id, version, file_name, file_size, sha256, archive_path, uploaded_by, restored_from)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      resource.id,
+      version,
+      fileName,
+      fileSize || '',
+      sha256 || null,
+      path.relative(storageDir, archivePathFor(resource, version)),
+      uploadedBy || null,
+      restoredFrom
+    );
+  };
+
+  // Resources uploaded before versioning have no rows yet; their current file becomes version 1
+  const ensureHistory = (resource) => {
+    if (rowsFor(resource.id).length > 0) return;
+    db.prepare(`
+      INSERT INTO resource_versions (resource_id, version, file_name, file_size, sha256, archive_path, uploaded_at)
+      SELECT id, 1, file_name, file_size, sha256, ?, created_at FROM resources WHERE id = ?
+    `).run(path.relative(storageDir, archivePathFor(resource, 1)), resource.id);
+  };
+
+  // Called for every new upload so version 1 knows who uploaded it
+  const recordUpload = (resource, uploadedBy) => {
+    if (rowsFor(resource.id).length > 0) return;
+    insertVersion(resource, 1, {
+      fileName: resource.fileName,
+      fileSize: resource.fileSize,
+      sha256: resource.sha256,
+      uploadedBy
+    });
+  };
+
+  // Newest first; resources without rows get a synthetic version 1
+  const list = (resourceId) => {
+    const resource = catalog.getResourceById(resourceId);
+    if (!resource) return null;
+
+    const rows = rowsFor(resourceId);
+    const current = rows.length ? rows[rows.length - 1].version : 1;
+    const versions = rows.length
+      ? rows
+      : [{ version: 1, file_name: resource.fileName, file_size: resource.fileSize, sha256: resource.sha256 }];
+
+    return versions
+      .map(row => ({
+        version: row.version,
+        fileName: row.file_name,
+        fileSize: row.file_size,
+        sha256: row.sha256 || null,
+        uploadedBy: row.uploaded_by || null,
+        uploadedAt: row.uploaded_at || resource.updatedAt,
+        restoredFrom: row.restored_from || null,
+        current: row.version === current
+      }))
+      .reverse();
+  };
+
+  // Where a version's bytes live: the resource's own path for the current one, the archive otherwise
+  const fileFor = async (resourceId, version) => {
+    const resource = catalog.getResourceById(resourceId);
+    if (!resource) return null;
+
+    const rows = rowsFor(resourceId);
+    const current = rows.length ? rows[rows.length - 1].version : 1;
+    if (version === current) return resource.filePath;
+
+    const row = rows.find(candidate => candidate.version === version);
+    const archived = row && path.join(storageDir, row.archive_path);
+    return archived && await storage.exists(archived) ? archived : null;
+  };
+
+  // Returns why `fileName` can't replace the resource's file, or null when it can
+  const checkReplacement = (resource, fileName, sha256) => {
+    if (path.extname(fileName).toLowerCase() !== path.extname(resource.storedFileName).toLowerCase()) {
+      return `Replacement must be a ${path.extname(resource.storedFileName)} file like the original`;
+    }
+    if (catalog.isFileShared(resource)) {
+      return 'This file is linked from other resources and cannot be replaced';
+    }
+    if (sha256 && resource.sha256 && String(sha256).toLowerCase() === resource.sha256) {
+      return 'This file is identical to the current version';
+    }
+    return null;
+  };
+
+  /**
+   * Makes `sourcePath` the resource's current file and archives the previous one.
+   * The source is a local file that is moved into storage, or with `keepSource`
+   * (rollbacks) a stored file that is copied.
+   * Returns { resource, version }.
+   */
+  const replace = async (resourceId, { sourcePath, keepSource = false, fileName, size, sha256, uploadedBy, restoredFrom }) => {
+    const resource = catalog.getResourceById(resourceId);
+    if (!resource) throw new Error('Resource not found');
+
+    const problem = checkReplacement(resource, fileName, restoredFrom ? null : sha256);
+    if (problem) throw new Error(problem);
+
+    ensureHistory(resource);
+    const rows = rowsFor(resource.id);
+    const previous = rows[rows.length - 1];
+    const archivePath = path.join(storageDir, previous.archive_path);
+
+    if (await storage.exists(resource.filePath)) {
+      await storage.move(resource.filePath, archivePath, { overwrite: true });
+    }
+
+    try {
+      if (keepSource) {
+        await storage.copy(sourcePath, resource.filePath);
+      } else {
+        await storage.putFile(resource.filePath, sourcePath);
+      }
+
+      const version = previous.version + 1;
+      const updated = catalog.transaction(() => {
+        insertVersion(resource, version, {
+          fileName,
+          fileSize: formatFileSize(size),
+          sha256,
+          uploadedBy,
+          restoredFrom
+        });
+        return catalog.saveResource({
+          ...resource,
+          fileName,
+          fileSize: formatFileSize(size),
+          fileType: getFileType(fileName),
+          sha256
+        });
+      });
+
+      return { resource: updated, version };
+    } catch (error) {
+      // Put the previous file back so the resource keeps working
+      if (await storage.exists(archivePath)) {
+        await storage.move(archivePath, resource.filePath, { overwrite: true });
+      }
+      throw error;
+    }
+  };
+
+  const rollback = async (resourceId, version, uploadedBy) => {
+    const row = rowsFor(resourceId).find(candidate => candidate.version === version);
+    const resource = catalog.getResourceById(resourceId);
+    if (!resource || !row) throw new Error('Version not found');
+
+    const source = await fileFor(resourceId, version);
+    if (!source) throw new Error(`The file for version ${version} is missing`);
+    if (source === resource.filePath) throw new Error(`Version ${version} is already the current version`);
+
+    return replace(resourceId, {
+      sourcePath: source,
+      keepSource: true,
+      fileName: row.file_name,
+      size: (await storage.stat(source)).size,
+      // Versions recorded before content hashing have no checksum yet
+      sha256: row.sha256 || await storage.withLocalFile(source, sha256File),
+      uploadedBy,
+      restoredFrom: version
+    });
+  };
+
+  // History rows plus the archived files they point to, so a trashed resource keeps its history
+  const snapshot = async (resource) => {
+    const rows = rowsFor(resource.id);
+    const files = [];
+    for (const row of rows) {
+      const archived = path.join(storageDir, row.archive_path);
+      if (archived !== resource.filePath && await storage.exists(archived)) files.push(archived);
+    }
+    return { rows, files };
+  };
+
+  // Puts rows taken with snapshot() back once their resource is in the catalog again
+  const restoreSnapshot = (rows) => {
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO resource_versions (resource_id, version, file_name, file_size, sha256, archive_path, uploaded_by, uploaded_at, restored_from)
+      VALUES (@resource_id, @version, @file_name, @file_size, @sha256, @archive_path, @uploaded_by, @uploaded_at, @restored_from)
+    `);
+    rows.forEach(row => insert.run(row));
+  };
+
+  // Points archive paths under `fromDir` at `toDir` (relative to storage/) after files moved on disk;
+  // with `resourceId` only that resource's history is touched
+  const rebase = (fromDir, toDir, resourceId) => {
+    const rows = resourceId
+      ? rowsFor(resourceId)
+      : db.prepare('SELECT * FROM resource_versions').all();
+    const update = db.prepare('UPDATE resource_versions SET archive_path = ? WHERE resource_id = ? AND version = ?');
+    rows
+      .filter(row => row.archive_path.startsWith(fromDir + path.sep))
+      .forEach(row => update.run(path.join(toDir, row.archive_path.slice(fromDir.length + 1)), row.resource_id, row.version));
+  };
+
+  return { recordUpload, list, fileFor, checkReplacement, replace, rollback, snapshot, restoreSnapshot, rebase };
+};
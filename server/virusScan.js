@@ -0,0 +1,102 @@
+// server/virusScan.js
+// Virus scanning for uploads, with pluggable scanner drivers:
+//   off      no scanning (the default)
+//   clamd    streams the file to a ClamAV daemon (INSTREAM) over its unix socket or TCP
+//   command  runs any scanner CLI with the file path; exit 0 = clean, 1 = infected
+//            (the convention of clamscan, clamdscan and most others)
+// scan(filePath) -> { clean, signature }. If the scanner can't be reached or gives
+// an answer we don't understand, scan() throws, so the upload fails rather than
+// being stored unscanned.
+import { execFile } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+
+// Size of each INSTREAM chunk. The whole file must stay under clamd's StreamMaxLength
+// (25 MB by default), or clamd replies "INSTREAM size limit exceeded" and the upload fails
+const CHUNK_SIZE = 64 * 1024;
+
+const scanWithClamd = (filePath, { socketPath, host, port, timeoutMs }) => new Promise((resolve, reject) => {
+  const socket = socketPath ? net.createConnection(socketPath) : net.createConnection(port, host);
+  const file = fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE });
+  let reply = '';
+
+  const fail = (error) => {
+    file.destroy();
+    socket.destroy();
+    reject(error);
+  };
+
+  socket.setTimeout(timeoutMs, () => fail(new Error(`clamd did not answer within ${timeoutMs / 1000}s`)));
+  socket.on('error', (error) => fail(new Error(`clamd unreachable: ${error.message}`)));
+  file.on('error', fail);
+  socket.on('data', (data) => { reply += data.toString(); });
+
+  socket.on('connect', () => {
+    socket.write('zINSTREAM\0');
+    // Each chunk goes out as a 4-byte big-endian length and the bytes; a zero length ends the file
+    file.on('data', (chunk) => {
+      const size = Buffer.alloc(4);
+      size.writeUInt32BE(chunk.length);
+      if (!socket.write(Buffer.concat([size, chunk]))) {
+        file.pause();
+        socket.once('drain', () => file.resume());
+      }
+    });
+    file.on('end', () => socket.write(Buffer.alloc(4)));
+  });
+
+  socket.on('end', () => {
+    // "stream: OK", "stream: Eicar-Test-Signature FOUND" or "<message> ERROR"
+    const answer = reply.replace(/\0/g, '').trim();
+    const found = answer.match(/^stream: (.+) FOUND$/);
+    if (found) resolve({ clean: false, signature: found[1] });
+    else if (answer === 'stream: OK') resolve({ clean: true, signature: null });
+    else reject(new Error(`clamd: ${answer || 'empty reply'}`));
+    socket.destroy();
+  });
+});
+
+// The file path replaces every {file} in the command, or is added at the end when there is none
+const scanWithCommand = (filePath, { command, timeoutMs }) => new Promise((resolve, reject) => {
+  const [program, ...args] = command.trim().split(/\s+/);
+  const hasPlaceholder = args.some(arg => arg.includes('{file}'));
+  const finalArgs = hasPlaceholder ? args.map(arg => arg.replaceAll('{file}', filePath)) : [...args, filePath];
+
+  execFile(program, finalArgs, { timeout: timeoutMs, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+    if (!error) return resolve({ clean: true, signature: null });
+    if (error.code === 1) {
+      // clamscan prints "<path>: <signature> FOUND"
+      const found = `${stdout}`.match(/: (.+) FOUND$/m);
+      return resolve({ clean: false, signature: found ? found[1] : 'reported by scanner' });
+    }
+    const reason = error.killed ? `timed out after ${timeoutMs / 1000}s` : (`${stderr}`.trim() || error.message);
+    reject(new Error(`${program}: ${reason}`));
+  });
+});
+
+export const createVirusScanner = ({
+  driver = 'off',
+  socketPath,
+  host = '127.0.0.1',
+  port = 3310,
+  command,
+  timeoutMs = 60000
+} = {}) => {
+  if (driver === 'clamd') {
+    return {
+      driver,
+      scan: (filePath) => scanWithClamd(filePath, { socketPath, host, port, timeoutMs })
+    };
+  }
+  if (driver === 'command') {
+    if (!command) throw new Error('VIRUS_SCAN=command needs VIRUS_SCAN_COMMAND');
+    return {
+      driver,
+      scan: (filePath) => scanWithCommand(filePath, { command, timeoutMs })
+    };
+  }
+  return {
+    driver: 'off',
+    scan: async () => ({ clean: true, signature: null })
+  };
+};
@@ -0,0 +1,247 @@
+// server/zipImport.js
+// Bulk import from a ZIP laid out like the storage tree, one folder per resource
+// type (resourceTypes.json):
+//   Subject/notes/<Unit>/<file>                 (types with units)
+//   Subject/practice-tests/<file>, Subject/assignments/<file>, ...
+// An optional manifest.csv at the root (columns: path,title,description, plus any
+// extra fields of the type by name) supplies titles; files without a manifest row
+// get a title derived from their file name.
+// Each file is handed to `importFile`, which decides whether it is imported,
+// skipped or rejected, so the caller owns all catalog and storage rules.
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import yauzl from 'yauzl';
+import { resourceTypeForFolder } from './resourceTypes.js';
+import { titleFromFileName } from './utils.js';
+
+export const MANIFEST_NAME = 'manifest.csv';
+const MAX_MANIFEST_SIZE = 5 * 1024 * 1024;
+const MAX_ENTRY_SIZE = 512 * 1024 * 1024;
+
+// Finder / Explorer leftovers that should never end up in the catalog
+const isSystemFile = (parts) => (
+  parts[0] === '__MACOSX' ||
+  parts.some(part => part.startsWith('.')) ||
+  /^(thumbs\.db|desktop\.ini)$/i.test(parts[parts.length - 1])
+);
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and CRLF line endings
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const normalizeZipPath = (value) => String(value || '')
+  .trim()
+  .replace(/\\/g, '/')
+  .replace(/^\.?\//, '');
+
+// Maps manifest paths to { title, description, metadata }, where metadata has the other columns by
+// header name. The first row must be a header.
+const parseManifest = (text) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return new Map();
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  const pathIndex = columns.findIndex(name => name === 'path' || name === 'file');
+  const titleIndex = columns.indexOf('title');
+  const descriptionIndex = columns.indexOf('description');
+
+  if (pathIndex === -1) {
+    throw new Error(`${MANIFEST_NAME} needs a "path" column`);
+  }
+
+  const extraColumns = header
+    .map((name, index) => ({ name: name.trim(), index }))
+    .filter(({ name, index }) => name && ![pathIndex, titleIndex, descriptionIndex].includes(index));
+
+  const manifest = new Map();
+  rows.forEach(cells => {
+    const entryPath = normalizeZipPath(cells[pathIndex]);
+    if (!entryPath) return;
+    manifest.set(entryPath.toLowerCase(), {
+      title: titleIndex === -1 ? '' : (cells[titleIndex] || '').trim(),
+      description: descriptionIndex === -1 ? '' : (cells[descriptionIndex] || '').trim(),
+      metadata: Object.fromEntries(extraColumns.map(({ name, index }) => [name, (cells[index] || '').trim()]))
+    });
+  });
+  return manifest;
+};
+
+// Zipping the storage folder itself (or "Semester 3/") adds one wrapper folder above the subjects
+const findRootPrefix = (filePaths) => {
+  const split = filePaths.map(filePath => filePath.split('/'));
+  if (split.length === 0 || split.some(parts => parts.length < 2)) return '';
+
+  const first = split[0][0];
+  const shared = split.every(parts => parts[0] === first);
+  const categoryAtTop = split.some(parts => resourceTypeForFolder(parts[1]));
+  return shared && !categoryAtTop ? `${first}/` : '';
+};
+
+// Works out subject / type / unit from an entry path, or explains why it can't be placed
+export const resolveEntryLocation = (relativePath) => {
+  const parts = relativePath.split('/');
+
+  if (parts.some(part => part === '' || part === '.' || part === '..')) {
+    return { error: 'Invalid path' };
+  }
+
+  const [subject, folder] = parts;
+  const type = resourceTypeForFolder(folder);
+  if (!type) {
+    return { error: `Unknown resource type folder "${folder || ''}"` };
+  }
+  if (subject.toLowerCase() === 'temp') {
+    return { error: '"temp" is reserved and cannot be used as a subject name' };
+  }
+
+  if (type.hasUnits) {
+    if (parts.length !== 4) {
+      return { error: `${type.label} must be inside a unit folder: Subject/${folder}/<Unit>/<file>` };
+    }
+    return { subject, type: type.id, unit: parts[2], fileName: parts[3] };
+  }
+
+  if (parts.length !== 3) {
+    return { error: `Expected Subject/${folder}/<file> (no sub-folders)` };
+  }
+  return { subject, type: type.id, unit: '', fileName: parts[2] };
+};
+
+const readEntryText = async (zipfile, entry) => {
+  const stream = await zipfile.openReadStreamPromise(entry);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Imports every file in `zipPath` through `importFile` and returns a per-file report.
+ *
+ * `importFile({ tempPath, path, subject, type, unit, fileName, size, title, description, metadata })`
+ * must return `{ status: 'imported' | 'skipped' | 'rejected', reason?, file? }`. It may move
+ * `tempPath` away; anything left behind is removed once the archive has been processed.
+ */
+export const importZipArchive = async (zipPath, { tmpDir, importFile }) => {
+  const workDir = path.join(tmpDir, crypto.randomUUID());
+  fs.ensureDirSync(workDir);
+
+  const zipfile = await yauzl.openPromise(zipPath, { lazyEntries: true, autoClose: false });
+  const report = [];
+
+  try {
+    const entries = [];
+    for await (const entry of zipfile.eachEntry()) {
+      if (!entry.fileName.endsWith('/')) entries.push(entry);
+    }
+
+    const prefix = findRootPrefix(entries
+      .map(entry => entry.fileName)
+      .filter(fileName => !isSystemFile(fileName.split('/'))));
+    const relativeOf = (entry) => entry.fileName.slice(prefix.length);
+
+    const manifestEntry = entries.find(entry => relativeOf(entry).toLowerCase() === MANIFEST_NAME);
+    let manifest = new Map();
+    if (manifestEntry) {
+      if (manifestEntry.uncompressedSize > MAX_MANIFEST_SIZE) {
+        throw new Error(`${MANIFEST_NAME} is too large`);
+      }
+      manifest = parseManifest(await readEntryText(zipfile, manifestEntry));
+    }
+
+    for (const [index, entry] of entries.entries()) {
+      if (entry === manifestEntry) continue;
+
+      const relativePath = relativeOf(entry);
+      const parts = relativePath.split('/');
+
+      if (isSystemFile(parts)) {
+        report.push({ path: entry.fileName, status: 'skipped', reason: 'System file' });
+        continue;
+      }
+
+      const location = resolveEntryLocation(relativePath);
+      if (location.error) {
+        report.push({ path: entry.fileName, status: 'rejected', reason: location.error });
+        continue;
+      }
+
+      if (entry.uncompressedSize > MAX_ENTRY_SIZE) {
+        report.push({ ...location, path: entry.fileName, status: 'rejected', reason: 'File is too large' });
+        continue;
+      }
+
+      const manifestRow = manifest.get(relativePath.toLowerCase());
+      const title = manifestRow?.title || titleFromFileName(location.fileName);
+      const tempPath = path.join(workDir, `${index}${path.extname(location.fileName)}`);
+
+      try {
+        await pipeline(await zipfile.openReadStreamPromise(entry), fs.createWriteStream(tempPath));
+
+        const result = await importFile({
+          ...location,
+          tempPath,
+          path: entry.fileName,
+          size: entry.uncompressedSize,
+          title,
+          description: manifestRow?.description || '',
+          metadata: manifestRow?.metadata || {}
+        });
+        report.push({ ...location, title, path: entry.fileName, ...result });
+      } catch (error) {
+        console.error(`Error importing ${entry.fileName}:`, error);
+        report.push({ ...location, title, path: entry.fileName, status: 'rejected', reason: error.message });
+      } finally {
+        fs.removeSync(tempPath);
+      }
+    }
+  } finally {
+    zipfile.close();
+    fs.removeSync(workDir);
+  }
+
+  const summary = { imported: 0, skipped: 0, rejected: 0 };
+  report.forEach(item => { summary[item.status]++; });
+
+  return { summary, report };
+};
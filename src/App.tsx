@@ -3,8 +3,7 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import Header from './components/Header';
 import Home from './pages/Home';
 import NotesGallery from './pages/NotesGallery';
-import PracticeTests from './pages/PracticeTests';
-import Assignments from './pages/Assignments';
+import ResourceTypePage from './pages/ResourceTypePage';
 import About from './pages/About';
 import Developer from './pages/Developer';
 import AdminPanel from './pages/AdminPanel';
@@ -22,9 +21,11 @@ import VerifyAccount from './pages/VerifyAccount';   // ✅ ADD THIS
 import { ThemeProvider } from './context/ThemeContext';
 import { DataProvider } from './context/DataContext';
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { LibraryProvider } from './context/LibraryContext';
 
 import AnimatedBackground from './components/AnimatedBackground';
 import Footer from './components/Footer';
+import { PAGE_TYPES } from './lib/resourceTypes';
 
 import './App.css';
 
@@ -54,8 +55,9 @@ function AppRoutes() {
             <Route path="/" element={<Home />} />
             <Route path="/notes" element={<NotesGallery />} />
             <Route path="/notes/:subject" element={<SubjectNotes />} />
-            <Route path="/practice-tests" element={<PracticeTests />} />
-            <Route path="/assignments" element={<Assignments />} /> {/* new */}
+            {PAGE_TYPES.map(type => (
+              <Route key={type.id} path={`/${type.id}`} element={<ResourceTypePage key={type.id} type={type} />} />
+            ))}
             <Route path="/about" element={<About />} />
             <Route path="/developer" element={<Developer />} />
             <Route path="/admin" element={<AdminPanel />} />
@@ -95,9 +97,11 @@ function App() {
     <ThemeProvider>
       <AuthProvider>
         <DataProvider>
-          <Router>
-            <AppRoutes />
-          </Router>
+          <LibraryProvider>
+            <Router>
+              <AppRoutes />
+            </Router>
+          </LibraryProvider>
         </DataProvider>
       </AuthProvider>
     </ThemeProvider>
@@ -0,0 +1,226 @@
+// src/components/ActivityLog.tsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { Filter, History, RotateCcw } from 'lucide-react';
+import { AuditEntry, AuditFilters, fileStorageService } from '../services/fileStorage';
+
+const ACTION_LABELS: Record<string, string> = {
+  'subject.create': 'Created subject',
+  'subject.update': 'Updated subject',
+  'subject.rename': 'Renamed subject',
+  'subject.delete': 'Deleted subject',
+  'unit.create': 'Added unit',
+  'unit.rename': 'Renamed unit',
+  'unit.delete': 'Deleted unit',
+  'resource.upload': 'Uploaded',
+  'resource.link': 'Linked existing file',
+  'upload.reject': 'Rejected upload',
+  'resource.replace': 'Replaced file',
+  'resource.rollback': 'Restored older version',
+  'resource.move': 'Moved',
+  'resource.delete': 'Deleted',
+  'file.delete': 'Deleted untracked file',
+  'trash.restore': 'Restored from trash',
+  'trash.purge': 'Deleted permanently',
+  'trash.empty': 'Emptied trash',
+  'trash.expire': 'Trash cleaned up',
+  'search.reindex': 'Rebuilt search index',
+  'thumbnails.backfill': 'Regenerated thumbnails',
+  'user.update': 'Edited user',
+  'user.delete': 'Deleted user',
+  'password.resetRequested': 'Requested password reset',
+  'password.reset': 'Reset password',
+  'account.verify': 'Verified account',
+  'login.lockout': 'Locked out after failed logins',
+  'mail.retry': 'Queued email again'
+};
+
+const actionLabel = (action: string) => ACTION_LABELS[action] || action;
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Fields that differ between before and after; for creations/deletions, whichever side exists
+const changedFields = ({ before, after }: AuditEntry) => {
+  const keys = Array.from(new Set([...Object.keys(before || {}), ...Object.keys(after || {})]));
+  return keys
+    .map(key => ({ key, before: before?.[key], after: after?.[key] }))
+    .filter(field => !before || !after || JSON.stringify(field.before) !== JSON.stringify(field.after));
+};
+
+// Date inputs give local calendar days; the server compares instants
+const startOfDay = (day: string) => (day ? new Date(`${day}T00:00:00`).toISOString() : undefined);
+const endOfDay = (day: string) => (day ? new Date(`${day}T23:59:59`).toISOString() : undefined);
+
+const EMPTY_FORM = { action: '', targetType: '', actor: '', search: '', from: '', to: '' };
+
+/**
+ * AdminPanel "Activity" tab: the server's audit log of who uploaded, moved,
+ * deleted or edited what, filterable by action, target, person and date.
+ */
+const ActivityLog: React.FC = () => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [filters, setFilters] = useState<AuditFilters>({});
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [nextCursor, setNextCursor] = useState<number | null>(null);
+  const [actions, setActions] = useState<string[]>([]);
+  const [targetTypes, setTargetTypes] = useState<string[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadPage = useCallback(async (cursor: number | null) => {
+    setLoading(true);
+    try {
+      const page = await fileStorageService.listAudit(filters, cursor);
+      setEntries(previous => (cursor ? [...previous, ...page.entries] : page.entries));
+      setNextCursor(page.nextCursor);
+      setActions(page.actions);
+      setTargetTypes(page.targetTypes);
+    } catch (error) {
+      console.error('Failed to load activity:', error);
+      alert(`Could not load activity: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    loadPage(null);
+  }, [loadPage]);
+
+  const applyFilters = (e: React.FormEvent) => {
+    e.preventDefault();
+    setFilters({
+      action: form.action || undefined,
+      targetType: form.targetType || undefined,
+      actor: form.actor.trim() || undefined,
+      search: form.search.trim() || undefined,
+      from: startOfDay(form.from),
+      to: endOfDay(form.to)
+    });
+  };
+
+  const resetFilters = () => {
+    setForm(EMPTY_FORM);
+    setFilters({});
+  };
+
+  const inputClass = 'px-3 py-2 bg-high-contrast rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none enhanced-text text-sm';
+
+  return (
+    <div className="glass-effect p-6 rounded-2xl fade-in-up enhanced-shadow">
+      <h3 className="text-xl font-semibold enhanced-text neon-glow mb-2">Activity</h3>
+      <p className="text-sm enhanced-text opacity-80 mb-4">
+        Every change to the library and to user accounts, newest first. Entries can't be edited or removed.
+      </p>
+
+      <form onSubmit={applyFilters} className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-2 mb-4">
+        <select value={form.action} onChange={(e) => setForm({ ...form, action: e.target.value })} className={inputClass}>
+          <option value="">All actions</option>
+          {actions.map(action => (
+            <option key={action} value={action}>{actionLabel(action)}</option>
+          ))}
+        </select>
+        <select value={form.targetType} onChange={(e) => setForm({ ...form, targetType: e.target.value })} className={inputClass}>
+          <option value="">Anything</option>
+          {targetTypes.map(type => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={form.actor}
+          onChange={(e) => setForm({ ...form, actor: e.target.value })}
+          placeholder="By (email)"
+          className={inputClass}
+        />
+        <input
+          type="text"
+          value={form.search}
+          onChange={(e) => setForm({ ...form, search: e.target.value })}
+          placeholder="File, subject or user"
+          className={inputClass}
+        />
+        <input
+          type="date"
+          value={form.from}
+          onChange={(e) => setForm({ ...form, from: e.target.value })}
+          title="From"
+          className={inputClass}
+        />
+        <input
+          type="date"
+          value={form.to}
+          onChange={(e) => setForm({ ...form, to: e.target.value })}
+          title="To"
+          className={inputClass}
+        />
+        <div className="flex space-x-2 md:col-span-3 lg:col-span-6">
+          <button
+            type="submit"
+            className="flex items-center space-x-1 px-3 py-2 bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-lg hover-scale text-sm font-bold"
+          >
+            <Filter className="h-3 w-3" />
+            <span>Filter</span>
+          </button>
+          <button
+            type="button"
+            onClick={resetFilters}
+            className="flex items-center space-x-1 px-3 py-2 bg-gray-500 text-white rounded-lg hover-scale text-sm font-bold"
+          >
+            <RotateCcw className="h-3 w-3" />
+            <span>Reset</span>
+          </button>
+        </div>
+      </form>
+
+      {loading && entries.length === 0 ? (
+        <p className="text-sm enhanced-text opacity-80">Loading...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm enhanced-text opacity-80">No activity matches these filters.</p>
+      ) : (
+        <div className="space-y-3">
+          {entries.map(entry => (
+            <div key={entry.id} className="glass-effect p-4 rounded-lg enhanced-shadow">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <h4 className="flex items-center space-x-2 font-bold enhanced-text">
+                  <History className="h-4 w-4" />
+                  <span>{actionLabel(entry.action)}</span>
+                  {entry.target.label && <span className="break-all opacity-80">"{entry.target.label}"</span>}
+                </h4>
+                <span className="text-xs enhanced-text opacity-70">
+                  {new Date(entry.at).toLocaleString()} by {entry.actor?.email || entry.actor?.id || 'the server'}
+                </span>
+              </div>
+              {changedFields(entry).length > 0 && (
+                <div className="mt-2 text-xs enhanced-text opacity-80 space-y-1">
+                  {changedFields(entry).map(field => (
+                    <p key={field.key} className="break-all">
+                      <span className="font-bold">{field.key}:</span>{' '}
+                      {entry.before && entry.after
+                        ? `${formatValue(field.before)} → ${formatValue(field.after)}`
+                        : formatValue(entry.after ? field.after : field.before)}
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+          {nextCursor && (
+            <button
+              type="button"
+              onClick={() => loadPage(nextCursor)}
+              disabled={loading}
+              className="w-full px-3 py-2 bg-high-contrast rounded-lg hover-scale text-sm font-bold enhanced-text disabled:opacity-60"
+            >
+              {loading ? 'Loading...' : 'Load older activity'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActivityLog;
@@ -17,13 +17,10 @@ const AdminLogin: React.FC = () => {
     setIsLoading(true);
     setError('');
 
-    // Simulate loading delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    if (login(email, password)) {
+    if (await login(email, password)) {
       navigate('/admin');
     } else {
-      setError('Invalid email or password');
+      setError('Invalid credentials or this account does not have admin access');
     }
     setIsLoading(false);
   };
@@ -0,0 +1,190 @@
+// src/components/AnalyticsDashboard.tsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { Download, Eye, EyeOff, RefreshCw, TrendingUp } from 'lucide-react';
+import { AnalyticsReport, fileStorageService } from '../services/fileStorage';
+import { resourceTypeLabel } from '../lib/resourceTypes';
+
+const PERIODS = [7, 30, 90];
+
+// The server counts days in UTC ("2026-10-19"); oldest first
+const lastDays = (days: number) => Array.from({ length: days }, (_, index) =>
+  new Date(Date.now() - (days - 1 - index) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+
+/**
+ * AdminPanel "Analytics" tab: which resources students open and download,
+ * daily views per subject, and resources nobody has opened for a semester.
+ * Counts come from the signed file links, so only logged-in opens are seen.
+ */
+const AnalyticsDashboard: React.FC = () => {
+  const [days, setDays] = useState(30);
+  const [report, setReport] = useState<AnalyticsReport | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setReport(await fileStorageService.getAnalytics(days));
+    } catch (error) {
+      console.error('Failed to load analytics:', error);
+      alert(`Could not load analytics: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const dayList = lastDays(days);
+  const subjects = [...new Set((report?.viewsPerSubject ?? []).map(row => row.subject))].sort();
+  const viewsOn = new Map((report?.viewsPerSubject ?? []).map(row => [`${row.subject}\n${row.day}`, row.views]));
+  const busiestDay = Math.max(1, ...(report?.viewsPerSubject ?? []).map(row => row.views));
+  const topOpens = Math.max(1, ...(report?.top ?? []).map(item => item.views + item.downloads));
+
+  return (
+    <div className="space-y-6">
+      <div className="glass-effect p-6 rounded-2xl fade-in-up enhanced-shadow">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h3 className="text-xl font-semibold enhanced-text neon-glow">Analytics</h3>
+          <div className="flex flex-wrap items-center gap-2">
+            {PERIODS.map(period => (
+              <button
+                key={period}
+                type="button"
+                onClick={() => setDays(period)}
+                className={`px-3 py-2 rounded-lg text-sm font-bold hover-scale ${days === period ? 'bg-gradient-to-r from-fuchsia-500 to-purple-600 text-white' : 'bg-high-contrast enhanced-text'}`}
+              >
+                {period} days
+              </button>
+            ))}
+            <button
+              type="button"
+              onClick={load}
+              disabled={loading}
+              className="flex items-center space-x-1 px-3 py-2 bg-high-contrast rounded-lg hover-scale text-sm font-bold enhanced-text disabled:opacity-60"
+            >
+              <RefreshCw className={`h-3 w-3 ${loading ? 'animate-spin' : ''}`} />
+              <span>Refresh</span>
+            </button>
+          </div>
+        </div>
+        <p className="text-sm enhanced-text opacity-80">
+          Views and downloads by logged-in students. Viewers are counted by an anonymised id; opening the same file again within half an hour counts once.
+        </p>
+      </div>
+
+      {loading && !report ? (
+        <p className="text-sm enhanced-text opacity-80">Loading...</p>
+      ) : report && (
+        <>
+          {/* Top resources */}
+          <div className="glass-effect p-6 rounded-2xl enhanced-shadow">
+            <h4 className="flex items-center space-x-2 text-lg font-bold enhanced-text mb-4">
+              <TrendingUp className="h-5 w-5" />
+              <span>Most opened in the last {report.days} days</span>
+            </h4>
+            {report.top.length === 0 ? (
+              <p className="text-sm enhanced-text opacity-80">Nothing has been opened in this period.</p>
+            ) : (
+              <div className="space-y-3">
+                {report.top.map((item, index) => (
+                  <div key={item.id} className="text-sm enhanced-text">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <span className="font-bold">{index + 1}. {item.title}</span>
+                      <span className="flex items-center space-x-3 text-xs opacity-80">
+                        <span className="flex items-center space-x-1"><Eye className="h-3 w-3" /><span>{item.views}</span></span>
+                        <span className="flex items-center space-x-1"><Download className="h-3 w-3" /><span>{item.downloads}</span></span>
+                      </span>
+                    </div>
+                    <p className="text-xs opacity-70">
+                      {resourceTypeLabel(item.type)} · {item.subject}{item.unit ? ` / ${item.unit}` : ''}
+                    </p>
+                    <div className="mt-1 h-2 rounded-full bg-high-contrast overflow-hidden">
+                      <div
+                        className="h-full bg-gradient-to-r from-fuchsia-500 to-purple-600"
+                        style={{ width: `${((item.views + item.downloads) / topOpens) * 100}%` }}
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Views per subject per day */}
+          <div className="glass-effect p-6 rounded-2xl enhanced-shadow">
+            <h4 className="flex items-center space-x-2 text-lg font-bold enhanced-text mb-4">
+              <Eye className="h-5 w-5" />
+              <span>Views per subject</span>
+            </h4>
+            {subjects.length === 0 ? (
+              <p className="text-sm enhanced-text opacity-80">No views in this period.</p>
+            ) : (
+              <div className="space-y-4">
+                {subjects.map(subject => {
+                  const total = dayList.reduce((sum, day) => sum + (viewsOn.get(`${subject}\n${day}`) ?? 0), 0);
+                  return (
+                    <div key={subject}>
+                      <div className="flex items-center justify-between text-sm enhanced-text mb-1">
+                        <span className="font-bold">{subject}</span>
+                        <span className="text-xs opacity-80">{total} views</span>
+                      </div>
+                      <div className="flex items-end h-12 gap-px">
+                        {dayList.map(day => {
+                          const views = viewsOn.get(`${subject}\n${day}`) ?? 0;
+                          return (
+                            <div
+                              key={day}
+                              title={`${day}: ${views} views`}
+                              className={`flex-1 rounded-t ${views ? 'bg-gradient-to-t from-fuchsia-500 to-purple-600' : 'bg-high-contrast'}`}
+                              style={{ height: `${Math.max((views / busiestDay) * 100, 4)}%` }}
+                            />
+                          );
+                        })}
+                      </div>
+                    </div>
+                  );
+                })}
+                <div className="flex justify-between text-xs enhanced-text opacity-60">
+                  <span>{dayList[0]}</span>
+                  <span>{dayList[dayList.length - 1]}</span>
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Resources nobody opened */}
+          <div className="glass-effect p-6 rounded-2xl enhanced-shadow">
+            <h4 className="flex items-center space-x-2 text-lg font-bold enhanced-text mb-1">
+              <EyeOff className="h-5 w-5" />
+              <span>Not opened in {report.semesterDays} days ({report.unopened.total})</span>
+            </h4>
+            <p className="text-xs enhanced-text opacity-70 mb-4">Oldest uploads first; candidates for a better title, a move, or the trash.</p>
+            {report.unopened.resources.length === 0 ? (
+              <p className="text-sm enhanced-text opacity-80">Every resource has been opened recently.</p>
+            ) : (
+              <div className="space-y-2">
+                {report.unopened.resources.map(item => (
+                  <div key={item.id} className="flex flex-wrap items-center justify-between gap-2 text-sm enhanced-text">
+                    <span className="font-bold">{item.title}</span>
+                    <span className="text-xs opacity-70">
+                      {resourceTypeLabel(item.type)} · {item.subject}{item.unit ? ` / ${item.unit}` : ''} · uploaded {item.uploadDate}
+                    </span>
+                  </div>
+                ))}
+                {report.unopened.total > report.unopened.resources.length && (
+                  <p className="text-xs enhanced-text opacity-70">
+                    and {report.unopened.total - report.unopened.resources.length} more
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnalyticsDashboard;
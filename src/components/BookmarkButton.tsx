@@ -0,0 +1,52 @@
+// src/components/BookmarkButton.tsx
+import React, { useState } from 'react';
+import { Bookmark, BookmarkCheck } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { LibraryFile, useLibrary } from '../hooks/useLibrary';
+
+interface BookmarkButtonProps {
+  /** nothing is rendered for files that aren't on the server (no stored file name) */
+  file: Partial<LibraryFile>;
+  className?: string;
+}
+
+/**
+ * Adds a file to or removes it from the student's bookmarks ("My library" on
+ * the Profile page). Hidden when logged out.
+ */
+const BookmarkButton: React.FC<BookmarkButtonProps> = ({ file, className = 'p-2 rounded-lg button-secondary hover-scale' }) => {
+  const { user } = useAuth();
+  const { isBookmarked, toggleBookmark } = useLibrary();
+  const [saving, setSaving] = useState(false);
+
+  if (!user || !file.type || !file.subject || !file.storedFileName) return null;
+  const libraryFile = { ...file, title: file.title || file.storedFileName } as LibraryFile;
+  const bookmarked = isBookmarked(libraryFile);
+
+  const handleClick = async () => {
+    setSaving(true);
+    try {
+      await toggleBookmark(libraryFile);
+    } catch (error) {
+      console.error('Failed to update bookmark:', error);
+      alert(`Could not update the bookmark: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleClick}
+      disabled={saving}
+      className={`${className} disabled:opacity-60`}
+      title={bookmarked ? 'Remove bookmark' : 'Bookmark'}
+      aria-pressed={bookmarked}
+      type="button"
+    >
+      {bookmarked ? <BookmarkCheck className="h-4 w-4" /> : <Bookmark className="h-4 w-4" />}
+    </button>
+  );
+};
+
+export default BookmarkButton;
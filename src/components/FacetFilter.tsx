@@ -0,0 +1,103 @@
+// src/components/FacetFilter.tsx
+import React from 'react';
+import { X } from 'lucide-react';
+import {
+  FacetSelection,
+  MetadataField,
+  ResourceMetadata,
+  formatFieldValue,
+  matchesFacets,
+  metadataValues
+} from '../lib/resourceTypes';
+
+interface FacetFilterProps {
+  /** the type's fields; only ones marked `filter` become facets */
+  fields: MetadataField[];
+  /** files left after the page's other filters (subject, search, date), before facets */
+  items: { metadata?: ResourceMetadata }[];
+  selected: FacetSelection;
+  onChange: (selected: FacetSelection) => void;
+  /** leading parts of the summary line, e.g. the type shown ("Practical") */
+  summaryPrefix?: string[];
+  className?: string;
+}
+
+/**
+ * Filter chips for a listing's extra fields (semester, language, tags, ...).
+ * Each chip counts the files it would leave given the other selected facets;
+ * values no file has are not shown.
+ */
+const FacetFilter: React.FC<FacetFilterProps> = ({ fields, items, selected, onChange, summaryPrefix = [], className = '' }) => {
+  const facets = fields
+    .filter(field => field.filter)
+    .map(field => {
+      const counts = new Map<string, number>();
+      items
+        .filter(item => matchesFacets(item, selected, field.name))
+        .forEach(item => metadataValues(item.metadata, field.name).forEach(value => {
+          counts.set(value, (counts.get(value) ?? 0) + 1);
+        }));
+      if (selected[field.name] && !counts.has(selected[field.name])) counts.set(selected[field.name], 0);
+
+      const values = [...counts.entries()].sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }));
+      return { field, values };
+    })
+    .filter(({ values }) => values.length > 0);
+
+  if (facets.length === 0) return null;
+
+  const toggle = (name: string, value: string) => {
+    const next = { ...selected };
+    if (next[name] === value) delete next[name];
+    else next[name] = value;
+    onChange(next);
+  };
+
+  const summary = [
+    ...summaryPrefix,
+    ...facets
+      .filter(({ field }) => selected[field.name])
+      .map(({ field }) => formatFieldValue(field, selected[field.name]))
+  ];
+  const hasSelection = Object.keys(selected).length > 0;
+
+  return (
+    <div className={`p-4 bg-high-contrast rounded-xl enhanced-shadow space-y-3 ${className}`}>
+      {facets.map(({ field, values }) => (
+        <div key={field.name} className="flex flex-wrap items-center gap-2">
+          <span className="text-xs font-bold text-high-contrast opacity-70 mr-1">{field.label}:</span>
+          {values.map(([value, count]) => (
+            <button
+              key={value}
+              onClick={() => toggle(field.name, value)}
+              className={`px-3 py-1 rounded-lg font-bold text-xs transition-all duration-300 hover-scale ${
+                selected[field.name] === value
+                  ? 'bg-gradient-to-r from-purple-500 to-pink-600 text-white shadow-lg'
+                  : 'button-secondary'
+              }`}
+              type="button"
+            >
+              {formatFieldValue(field, value)} ({count})
+            </button>
+          ))}
+        </div>
+      ))}
+
+      {hasSelection && (
+        <div className="flex flex-wrap items-center justify-between gap-2 pt-2 border-t border-gray-300 dark:border-gray-600">
+          <span className="text-sm font-bold text-high-contrast">{summary.join(' · ')}</span>
+          <button
+            onClick={() => onChange({})}
+            className="flex items-center gap-1 px-3 py-1 rounded-lg text-xs font-bold button-secondary hover-scale"
+            type="button"
+          >
+            <X className="h-3 w-3" />
+            Clear filters
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FacetFilter;
@@ -0,0 +1,32 @@
+// src/components/FileThumbnail.tsx
+import React, { useState } from 'react';
+
+interface FileThumbnailProps {
+  /** server-generated preview (first PDF page / downscaled image); nothing is rendered when missing */
+  src?: string;
+  alt: string;
+}
+
+/**
+ * Preview image at the top of a resource card. Thumbnails are rendered in the
+ * background after upload, so a missing or failed one simply isn't shown.
+ */
+const FileThumbnail: React.FC<FileThumbnailProps> = ({ src, alt }) => {
+  const [failed, setFailed] = useState(false);
+
+  if (!src || failed) return null;
+
+  return (
+    <div className="mb-4 h-40 overflow-hidden rounded-xl bg-white border border-gray-200 dark:border-gray-700">
+      <img
+        src={src}
+        alt={alt}
+        loading="lazy"
+        onError={() => setFailed(true)}
+        className="w-full h-full object-cover object-top"
+      />
+    </div>
+  );
+};
+
+export default FileThumbnail;
@@ -1,6 +1,13 @@
-import React, { useState } from 'react';
-import { X, Download, ZoomIn, ZoomOut, RotateCw, Maximize2 } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { X, Download, ZoomIn, ZoomOut, RotateCw, Maximize2, Loader, DownloadCloud, HardDrive } from 'lucide-react';
 import { fileStorageService } from '../services/fileStorage';
+import { offlineFiles } from '../services/offlineFiles';
+import { fileKey } from '../lib/resourceLinks';
+import { useAuth } from '../context/AuthContext';
+import { useLibrary } from '../hooks/useLibrary';
+import BookmarkButton from './BookmarkButton';
+import PdfPages from './PdfPages';
 
 interface FileViewerProps {
   isOpen: boolean;
@@ -12,6 +19,8 @@ interface FileViewerProps {
   type?: string;
   unit?: string;
   storedFileName?: string;
+  // resource title, saved with bookmarks and recently viewed
+  title?: string;
 }
 
 const FileViewer: React.FC<FileViewerProps> = ({
@@ -23,51 +32,118 @@ const FileViewer: React.FC<FileViewerProps> = ({
   subject,
   type,
   unit,
-  storedFileName
+  storedFileName,
+  title
 }) => {
   const [zoom, setZoom] = useState(100);
   const [rotation, setRotation] = useState(0);
   const [isFullscreen, setIsFullscreen] = useState(false);
 
-  if (!isOpen) return null;
+  const { user } = useAuth();
+  const { recordView } = useLibrary();
+  const [fileUrl, setFileUrl] = useState(fileData || '');
+  const [urlError, setUrlError] = useState<string | null>(null);
+  const [savedOffline, setSavedOffline] = useState(false);
+  const [savingOffline, setSavingOffline] = useState(false);
+
+  const isServerFile = !fileData && Boolean(subject && type && storedFileName);
 
-  // Get file URL from storage service if we have the required info
-  const getFileUrl = () => {
-    if (fileData) return fileData;
-    if (subject && type && storedFileName) {
-      // Fix the type mapping for the API
-      const apiType = type === 'notes' ? 'notes' : 
-                     type === 'practice-tests' ? 'practice-tests' : 
-                     type === 'practicals' ? 'practicals' : type;
-      return fileStorageService.getFileUrl(subject, apiType, storedFileName, unit);
+  // Server files open from the copy saved for offline when there is one, otherwise
+  // through a signed link, which only logged-in users can get
+  useEffect(() => {
+    if (!isOpen) return;
+    setUrlError(null);
+    if (!isServerFile) {
+      setFileUrl(fileData || '');
+      return;
     }
-    return '';
-  };
 
-  const fileUrl = getFileUrl();
+    const file = { type: type!, subject: subject!, unit, storedFileName: storedFileName! };
+    let cancelled = false;
+    let objectUrl: string | null = null;
+    setFileUrl('');
+    (async () => {
+      const saved = await offlineFiles.objectUrl(file);
+      if (cancelled) {
+        if (saved) URL.revokeObjectURL(saved);
+        return;
+      }
+      objectUrl = saved;
+
+      const url = saved ?? (user ? await fileStorageService.getFileUrl(subject!, type!, storedFileName!, unit) : '');
+      if (cancelled || !url) return;
+      setFileUrl(url);
+      recordView({ ...file, title: title || fileName });
+    })().catch(error => {
+      console.error('Failed to get a download link:', error);
+      if (!cancelled) setUrlError(error instanceof Error ? error.message : String(error));
+    });
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [isOpen, isServerFile, fileData, subject, type, unit, storedFileName, title, fileName, user, recordView]);
+
+  useEffect(() => {
+    if (!isOpen || !isServerFile) return;
+    const check = () => setSavedOffline(Boolean(offlineFiles.get({ type: type!, subject: subject!, unit, storedFileName: storedFileName! })));
+    check();
+    return offlineFiles.subscribe(check);
+  }, [isOpen, isServerFile, type, subject, unit, storedFileName]);
+
+  if (!isOpen) return null;
 
-  const handleDownload = () => {
+  const handleDownload = async () => {
     if (fileData) {
       // If we have base64 data, use it directly
       const link = document.createElement('a');
       link.href = fileData;
       link.download = fileName;
       link.click();
-    } else if (subject && type && storedFileName) {
-      // If we have server file info, fetch it properly
-      const apiType = type === 'notes' ? 'notes' : 
-                     type === 'practice-tests' ? 'practice-tests' : 
-                     type === 'practicals' ? 'practicals' : type;
-      const downloadUrl = fileStorageService.getFileUrl(subject, apiType, storedFileName, unit);
-      
-      // Create a temporary link to trigger download
+    } else if (fileUrl.startsWith('blob:')) {
+      // The copy saved for offline is already on this device
       const link = document.createElement('a');
-      link.href = downloadUrl;
+      link.href = fileUrl;
       link.download = fileName;
-      link.target = '_blank';
-      document.body.appendChild(link);
       link.click();
-      document.body.removeChild(link);
+    } else if (isServerFile && user) {
+      // Ask for a fresh link in case the one being viewed is about to expire
+      try {
+        const downloadUrl = await fileStorageService.getFileUrl(subject!, type!, storedFileName!, unit, 'download');
+
+        // Create a temporary link to trigger download
+        const link = document.createElement('a');
+        link.href = downloadUrl;
+        link.download = fileName;
+        link.target = '_blank';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+      } catch (error) {
+        console.error('Download failed:', error);
+        alert(`Download failed: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    }
+  };
+
+  // Keeps a copy on this device; the oldest saved files make room when space runs out
+  const handleToggleOffline = async () => {
+    const file = { type: type!, subject: subject!, unit: unit || '', storedFileName: storedFileName! };
+    setSavingOffline(true);
+    try {
+      if (savedOffline) {
+        await offlineFiles.remove(fileKey(file));
+      } else {
+        const evicted = await offlineFiles.save({ ...file, title: title || fileName, fileName, fileType });
+        if (evicted.length > 0) {
+          alert(`Saved for offline. To make room, these were removed from this device: ${evicted.map(saved => saved.title).join(', ')}`);
+        }
+      }
+    } catch (error) {
+      console.error('Saving for offline failed:', error);
+      alert(`Couldn't save for offline: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setSavingOffline(false);
     }
   };
 
@@ -85,31 +161,51 @@ const FileViewer: React.FC<FileViewerProps> = ({
         <div className="flex items-center justify-between p-4 bg-gradient-to-r from-blue-500 to-purple-600 text-white enhanced-shadow">
           <h3 className="text-lg font-bold truncate text-shadow">{fileName}</h3>
           <div className="flex items-center space-x-2">
+            {isServerFile && (
+              <BookmarkButton
+                file={{ type, subject, unit, storedFileName, title: title || fileName }}
+                className="p-2 rounded-lg hover:bg-white/20 transition-colors"
+              />
+            )}
+            {isServerFile && offlineFiles.isSupported() && (user || savedOffline) && (
+              <button
+                onClick={handleToggleOffline}
+                disabled={savingOffline}
+                className="p-2 rounded-lg hover:bg-white/20 transition-colors disabled:opacity-60"
+                title={savedOffline ? 'Saved on this device (click to remove)' : 'Save for offline'}
+              >
+                {savingOffline ? (
+                  <Loader className="h-4 w-4 animate-spin" />
+                ) : savedOffline ? (
+                  <HardDrive className="h-4 w-4" />
+                ) : (
+                  <DownloadCloud className="h-4 w-4" />
+                )}
+              </button>
+            )}
+            <button
+              onClick={handleZoomOut}
+              className="p-2 rounded-lg hover:bg-white/20 transition-colors"
+              title="Zoom Out"
+            >
+              <ZoomOut className="h-4 w-4" />
+            </button>
+            <span className="text-sm px-2 font-bold">{zoom}%</span>
+            <button
+              onClick={handleZoomIn}
+              className="p-2 rounded-lg hover:bg-white/20 transition-colors"
+              title="Zoom In"
+            >
+              <ZoomIn className="h-4 w-4" />
+            </button>
             {fileType === 'image' && (
-              <>
-                <button
-                  onClick={handleZoomOut}
-                  className="p-2 rounded-lg hover:bg-white/20 transition-colors"
-                  title="Zoom Out"
-                >
-                  <ZoomOut className="h-4 w-4" />
-                </button>
-                <span className="text-sm px-2 font-bold">{zoom}%</span>
-                <button
-                  onClick={handleZoomIn}
-                  className="p-2 rounded-lg hover:bg-white/20 transition-colors"
-                  title="Zoom In"
-                >
-                  <ZoomIn className="h-4 w-4" />
-                </button>
-                <button
-                  onClick={handleRotate}
-                  className="p-2 rounded-lg hover:bg-white/20 transition-colors"
-                  title="Rotate"
-                >
-                  <RotateCw className="h-4 w-4" />
-                </button>
-              </>
+              <button
+                onClick={handleRotate}
+                className="p-2 rounded-lg hover:bg-white/20 transition-colors"
+                title="Rotate"
+              >
+                <RotateCw className="h-4 w-4" />
+              </button>
             )}
             <button
               onClick={toggleFullscreen}
@@ -137,12 +233,28 @@ const FileViewer: React.FC<FileViewerProps> = ({
 
         {/* Content */}
         <div className="flex-1 overflow-auto bg-high-contrast" style={{ height: 'calc(100% - 64px)' }}>
-          {fileType === 'pdf' ? (
-            <iframe
-              src={fileUrl}
-              className="w-full h-full border-none"
-              title={fileName}
-            />
+          {isServerFile && !user && !fileUrl ? (
+            <div className="flex flex-col items-center justify-center h-full space-y-3 enhanced-text">
+              <p className="font-bold">Log in to view and download study material.</p>
+              <Link
+                to="/login"
+                onClick={onClose}
+                className="px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-lg hover-scale font-bold"
+              >
+                Log in
+              </Link>
+            </div>
+          ) : urlError ? (
+            <div className="flex items-center justify-center h-full p-4 enhanced-text font-bold">
+              Couldn't open this file: {urlError}
+            </div>
+          ) : !fileUrl ? (
+            <div className="flex items-center justify-center h-full">
+              <Loader className="h-8 w-8 animate-spin text-blue-500" />
+            </div>
+          ) : fileType === 'pdf' ? (
+            // Pages are fetched as they scroll into view rather than downloading the whole file up front
+            <PdfPages url={fileUrl} zoom={zoom} />
           ) : (
             <div className="flex items-center justify-center h-full p-4">
               <img
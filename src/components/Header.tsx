@@ -1,42 +1,33 @@
 import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { Menu, X, Sun, Moon, BookOpen, Settings, MessageSquare, User } from 'lucide-react';
+import { Menu, X, Sun, Moon, BookOpen, Settings, MessageSquare, User, Sparkles } from 'lucide-react';
 import { useTheme } from '../context/ThemeContext';
 import { useData } from '../context/DataContext';
 import { useAuth } from '../context/AuthContext';
 import { fileStorageService } from '../services/fileStorage';
+import { resourceLink } from '../lib/resourceLinks';
+import { PAGE_TYPES } from '../lib/resourceTypes';
+
+const NEW_MATERIAL_NOTICE_MS = 10000;
 
 const Header: React.FC = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const { isDark, toggleTheme } = useTheme();
-  const { isLoggedIn, syncWithServer } = useData();
+  const { isLoggedIn, newMaterial, dismissNewMaterial } = useData();
   const { user } = useAuth();
   const location = useLocation();
 
-  // Auto-sync when component mounts and periodically
+  // The "new material" notice goes away on its own after a while
   React.useEffect(() => {
-    const performSync = async () => {
-      try {
-        await syncWithServer();
-      } catch (error) {
-        console.error('Auto-sync failed:', error);
-      }
-    };
-
-    // Initial sync
-    performSync();
-
-    // Sync every 10 seconds for better real-time updates
-    const interval = setInterval(performSync, 10000);
-
-    return () => clearInterval(interval);
-  }, [syncWithServer]);
+    if (!newMaterial) return;
+    const timeout = setTimeout(dismissNewMaterial, NEW_MATERIAL_NOTICE_MS);
+    return () => clearTimeout(timeout);
+  }, [newMaterial, dismissNewMaterial]);
 
   const navigation = [
     { name: 'Home', href: '/' },
     { name: 'Notes Gallery', href: '/notes' },
-    { name: 'Practice Tests', href: '/practice-tests' },
-    { name: 'Assignments', href: '/assignments' }, // <-- new
+    ...PAGE_TYPES.map(type => ({ name: type.label, href: `/${type.id}` })),
     { name: 'SNCOP-AI', href: '/ai-chat' },
     { name: 'About', href: '/about' },
     { name: 'Developer', href: '/developer' },
@@ -169,6 +160,30 @@ const Header: React.FC = () => {
             </div>
           </div>
         )}
+
+        {/* Live "new material" notice */}
+        {newMaterial && (
+          <div className="absolute right-4 top-full mt-2 max-w-xs glass-effect rounded-xl enhanced-shadow fade-in-up">
+            <div className="flex items-start space-x-3 p-3">
+              <Sparkles className="h-5 w-5 mt-0.5 text-purple-500 flex-shrink-0" />
+              <Link
+                to={resourceLink(newMaterial.type, newMaterial.subject)}
+                onClick={dismissNewMaterial}
+                className="flex-1 text-sm enhanced-text hover:underline"
+              >
+                <p className="font-bold">New material in {newMaterial.subject}</p>
+                <p className="opacity-80 break-words">{newMaterial.title}</p>
+              </Link>
+              <button
+                onClick={dismissNewMaterial}
+                className="p-1 rounded-lg hover:bg-white/20 dark:hover:bg-black/20"
+                aria-label="Dismiss notification"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
       </header>
     </>
   );
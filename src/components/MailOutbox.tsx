@@ -0,0 +1,168 @@
+// src/components/MailOutbox.tsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertTriangle, CheckCircle, Clock, Mail, RefreshCw, RotateCcw } from 'lucide-react';
+import { fileStorageService, MailStatus, OutboxMail } from '../services/fileStorage';
+
+const TEMPLATE_LABELS: Record<string, string> = {
+  verify: 'Verify email',
+  welcome: 'Welcome',
+  reset: 'Password reset',
+  passwordChanged: 'Password changed',
+  profileChanged: 'Profile changed'
+};
+
+const STATUS_STYLES: Record<MailStatus, string> = {
+  queued: 'bg-yellow-500',
+  sending: 'bg-blue-500',
+  sent: 'bg-green-500',
+  failed: 'bg-red-500'
+};
+
+const STATUSES: MailStatus[] = ['queued', 'sending', 'sent', 'failed'];
+
+const StatusIcon: React.FC<{ status: MailStatus }> = ({ status }) => {
+  if (status === 'sent') return <CheckCircle className="h-4 w-4" />;
+  if (status === 'failed') return <AlertTriangle className="h-4 w-4" />;
+  return <Clock className="h-4 w-4" />;
+};
+
+/**
+ * AdminPanel "Email" tab: delivery status of the emails the server sends
+ * (verification, password reset, ...). Failed sends are retried on their own
+ * for a while; ones that gave up can be queued again from here.
+ */
+const MailOutbox: React.FC = () => {
+  const [status, setStatus] = useState<MailStatus | ''>('');
+  const [messages, setMessages] = useState<OutboxMail[]>([]);
+  const [counts, setCounts] = useState<Record<MailStatus, number> | null>(null);
+  const [nextCursor, setNextCursor] = useState<number | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<number | null>(null);
+
+  const loadPage = useCallback(async (cursor: number | null) => {
+    setLoading(true);
+    try {
+      const page = await fileStorageService.listMail(status || undefined, cursor);
+      setMessages(previous => (cursor ? [...previous, ...page.messages] : page.messages));
+      setNextCursor(page.nextCursor);
+      setCounts(page.counts);
+    } catch (error) {
+      console.error('Failed to load email outbox:', error);
+      alert(`Could not load emails: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadPage(null);
+  }, [loadPage]);
+
+  const handleRetry = async (mail: OutboxMail) => {
+    setBusyId(mail.id);
+    try {
+      const updated = await fileStorageService.retryMail(mail.id);
+      setMessages(previous => previous.map(item => (item.id === updated.id ? updated : item)));
+    } catch (error) {
+      console.error('Retry failed:', error);
+      alert(`Retry failed: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="glass-effect p-6 rounded-2xl fade-in-up enhanced-shadow">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-xl font-semibold enhanced-text neon-glow">Email</h3>
+        <button
+          type="button"
+          onClick={() => loadPage(null)}
+          disabled={loading}
+          className="flex items-center space-x-1 px-3 py-2 bg-high-contrast rounded-lg hover-scale text-sm font-bold enhanced-text disabled:opacity-60"
+        >
+          <RefreshCw className={`h-3 w-3 ${loading ? 'animate-spin' : ''}`} />
+          <span>Refresh</span>
+        </button>
+      </div>
+      <p className="text-sm enhanced-text opacity-80 mb-4">
+        Emails the server has sent or is still trying to send. Failed sends are retried automatically with growing delays.
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <button
+          type="button"
+          onClick={() => setStatus('')}
+          className={`px-3 py-2 rounded-lg text-sm font-bold hover-scale ${status === '' ? 'bg-gradient-to-r from-sky-500 to-cyan-600 text-white' : 'bg-high-contrast enhanced-text'}`}
+        >
+          All
+        </button>
+        {STATUSES.map(option => (
+          <button
+            key={option}
+            type="button"
+            onClick={() => setStatus(option)}
+            className={`px-3 py-2 rounded-lg text-sm font-bold hover-scale capitalize ${status === option ? 'bg-gradient-to-r from-sky-500 to-cyan-600 text-white' : 'bg-high-contrast enhanced-text'}`}
+          >
+            {option}{counts ? ` (${counts[option]})` : ''}
+          </button>
+        ))}
+      </div>
+
+      {loading && messages.length === 0 ? (
+        <p className="text-sm enhanced-text opacity-80">Loading...</p>
+      ) : messages.length === 0 ? (
+        <p className="text-sm enhanced-text opacity-80">No emails here.</p>
+      ) : (
+        <div className="space-y-3">
+          {messages.map(mail => (
+            <div key={mail.id} className="glass-effect p-4 rounded-lg enhanced-shadow">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <h4 className="flex items-center space-x-2 font-bold enhanced-text">
+                  <Mail className="h-4 w-4" />
+                  <span>{TEMPLATE_LABELS[mail.template] || mail.template}</span>
+                  <span className="break-all opacity-80">to {mail.to}</span>
+                </h4>
+                <span className={`flex items-center space-x-1 px-2 py-1 rounded text-xs font-bold text-white capitalize ${STATUS_STYLES[mail.status]}`}>
+                  <StatusIcon status={mail.status} />
+                  <span>{mail.status}</span>
+                </span>
+              </div>
+              <div className="mt-2 text-xs enhanced-text opacity-80 space-y-1">
+                <p>
+                  Queued {new Date(mail.createdAt).toLocaleString()} · {mail.language.toUpperCase()} · {mail.attempts} attempt{mail.attempts === 1 ? '' : 's'}
+                  {mail.sentAt && ` · sent ${new Date(mail.sentAt).toLocaleString()}`}
+                  {mail.nextAttemptAt && mail.attempts > 0 && ` · next try ${new Date(mail.nextAttemptAt).toLocaleString()}`}
+                </p>
+                {mail.lastError && <p className="break-all text-red-500">Last error: {mail.lastError}</p>}
+              </div>
+              {mail.status === 'failed' && (
+                <button
+                  type="button"
+                  onClick={() => handleRetry(mail)}
+                  disabled={busyId === mail.id}
+                  className="mt-3 flex items-center space-x-1 px-3 py-1 bg-gradient-to-r from-sky-500 to-cyan-600 text-white rounded-lg hover-scale text-xs font-bold disabled:opacity-60"
+                >
+                  <RotateCcw className="h-3 w-3" />
+                  <span>{busyId === mail.id ? 'Queuing...' : 'Send again'}</span>
+                </button>
+              )}
+            </div>
+          ))}
+          {nextCursor && (
+            <button
+              type="button"
+              onClick={() => loadPage(nextCursor)}
+              disabled={loading}
+              className="w-full px-3 py-2 bg-high-contrast rounded-lg hover-scale text-sm font-bold enhanced-text disabled:opacity-60"
+            >
+              {loading ? 'Loading...' : 'Load older emails'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MailOutbox;
@@ -0,0 +1,111 @@
+// src/components/MoveResource.tsx
+import React, { useState } from 'react';
+import { FolderInput } from 'lucide-react';
+import { Subject } from '../context/DataContext';
+import { fileStorageService, StoredFile } from '../services/fileStorage';
+
+interface MoveResourceProps {
+  /** catalog id of the resource on the server */
+  resourceId: string;
+  /** files of this type sit in a unit (like notes), so a unit of the target subject is picked too */
+  hasUnits: boolean;
+  subject: string;
+  unit?: string;
+  subjects: Subject[];
+  onMoved: (file: StoredFile) => void;
+}
+
+/**
+ * "Move" control for one resource in the AdminPanel: picks another subject
+ * (and unit, for types filed by unit) and moves the file there on the server.
+ */
+const MoveResource: React.FC<MoveResourceProps> = ({ resourceId, hasUnits, subject, unit, subjects, onMoved }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [targetSubject, setTargetSubject] = useState(subject);
+  const [targetUnit, setTargetUnit] = useState(unit || '');
+  const [isMoving, setIsMoving] = useState(false);
+
+  const units = subjects.find(s => s.name === targetSubject)?.units ?? [];
+
+  const handleMove = async () => {
+    setIsMoving(true);
+    try {
+      const file = await fileStorageService.moveResource(resourceId, targetSubject, hasUnits ? targetUnit : undefined);
+      setIsOpen(false);
+      onMoved(file);
+    } catch (error) {
+      console.error('Move failed:', error);
+      alert(`Move failed: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setIsMoving(false);
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => {
+          setTargetSubject(subject);
+          setTargetUnit(unit || '');
+          setIsOpen(true);
+        }}
+        className="flex items-center space-x-1 px-3 py-2 bg-gradient-to-r from-orange-100 to-yellow-100 dark:from-orange-900 dark:to-yellow-900 text-orange-700 dark:text-orange-300 rounded-lg hover-scale text-sm font-bold"
+        type="button"
+      >
+        <FolderInput className="h-3 w-3" />
+        <span>Move</span>
+      </button>
+    );
+  }
+
+  const unchanged = targetSubject === subject && (!hasUnits || targetUnit === unit);
+
+  return (
+    <div className="mt-3 space-y-2 text-sm">
+      <select
+        value={targetSubject}
+        onChange={(e) => {
+          setTargetSubject(e.target.value);
+          setTargetUnit('');
+        }}
+        className="w-full px-3 py-2 bg-high-contrast rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none enhanced-text"
+      >
+        {subjects.map(s => (
+          <option key={s.id} value={s.name}>{s.name}</option>
+        ))}
+      </select>
+      {hasUnits && (
+        <select
+          value={targetUnit}
+          onChange={(e) => setTargetUnit(e.target.value)}
+          className="w-full px-3 py-2 bg-high-contrast rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none enhanced-text"
+        >
+          <option value="">Select Unit</option>
+          {units.map(u => (
+            <option key={u} value={u}>{u}</option>
+          ))}
+        </select>
+      )}
+      <div className="flex space-x-2">
+        <button
+          onClick={handleMove}
+          disabled={isMoving || unchanged || (hasUnits && !targetUnit)}
+          className="flex-1 px-3 py-2 bg-gradient-to-r from-orange-500 to-red-600 text-white rounded-lg hover-scale font-bold disabled:opacity-50 disabled:cursor-not-allowed"
+          type="button"
+        >
+          {isMoving ? 'Moving...' : 'Move here'}
+        </button>
+        <button
+          onClick={() => setIsOpen(false)}
+          disabled={isMoving}
+          className="px-3 py-2 bg-gray-500 text-white rounded-lg hover-scale"
+          type="button"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MoveResource;
@@ -0,0 +1,121 @@
+// src/components/MyLibrary.tsx
+import React, { useState } from 'react';
+import { Bookmark, Clock, Eye, Library } from 'lucide-react';
+import { LibraryItem } from '../lib/supabaseClient';
+import { Resource, useData } from '../context/DataContext';
+import { useLibrary } from '../hooks/useLibrary';
+import { resourceTypeLabel } from '../lib/resourceTypes';
+import BookmarkButton from './BookmarkButton';
+import FileViewer from './FileViewer';
+
+type Opened = { item: LibraryItem; resource: Resource };
+
+/**
+ * "My library" on the Profile page: the student's bookmarks and the last files
+ * they opened. Entries are matched to the current resource lists by stored file
+ * name, so they still open after a resync or after the file was moved.
+ */
+const MyLibrary: React.FC = () => {
+  const { resourcesOf } = useData();
+  const { bookmarks, recentlyViewed, loading } = useLibrary();
+  const [opened, setOpened] = useState<Opened | null>(null);
+
+  const resolve = (item: LibraryItem) => {
+    const candidates = resourcesOf(item.resource_type).filter(resource => resource.storedFileName === item.stored_file_name);
+    return candidates.find(resource => resource.subject === item.subject && (resource.unit || '') === item.unit) ?? candidates[0];
+  };
+
+  const renderItem = (item: LibraryItem, date: string) => {
+    const resource = resolve(item);
+    return (
+      <div key={item.id} className="flex items-center justify-between gap-3 p-3 rounded-xl bg-high-contrast">
+        <div className="min-w-0">
+          <p className={`font-bold text-high-contrast truncate ${resource ? '' : 'opacity-50 line-through'}`}>
+            {resource?.title ?? item.title}
+          </p>
+          <p className="text-xs text-high-contrast opacity-70">
+            {resourceTypeLabel(item.resource_type)} · {resource?.subject ?? item.subject}
+            {(resource?.unit ?? item.unit) ? ` / ${resource?.unit ?? item.unit}` : ''}
+            {resource ? ` · ${new Date(date).toLocaleDateString()}` : ' · no longer available'}
+          </p>
+        </div>
+        <div className="flex items-center gap-2 flex-none">
+          {resource && (
+            <button
+              onClick={() => setOpened({ item, resource })}
+              className="p-2 rounded-lg button-secondary hover-scale"
+              title="View"
+              type="button"
+            >
+              <Eye className="h-4 w-4" />
+            </button>
+          )}
+          {/* The saved location, so removing matches the stored entry even if the file moved */}
+          <BookmarkButton
+            file={{ type: item.resource_type, subject: item.subject, unit: item.unit, storedFileName: item.stored_file_name, title: item.title }}
+          />
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="glass-effect rounded-3xl p-8 enhanced-shadow mb-6">
+      <div className="flex items-center space-x-3 mb-6">
+        <Library className="h-6 w-6 text-blue-500" />
+        <h2 className="text-2xl font-bold text-gradient neon-glow">My library</h2>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-high-contrast opacity-70">Loading...</p>
+      ) : (
+        <div className="space-y-8">
+          <div>
+            <h3 className="flex items-center space-x-2 text-lg font-bold text-high-contrast mb-3">
+              <Bookmark className="h-5 w-5" />
+              <span>Bookmarks</span>
+            </h3>
+            {bookmarks.length === 0 ? (
+              <p className="text-sm text-high-contrast opacity-70">
+                Use the bookmark button on any file to keep it here.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {bookmarks.map(item => renderItem(item, item.created_at))}
+              </div>
+            )}
+          </div>
+
+          <div>
+            <h3 className="flex items-center space-x-2 text-lg font-bold text-high-contrast mb-3">
+              <Clock className="h-5 w-5" />
+              <span>Recently viewed</span>
+            </h3>
+            {recentlyViewed.length === 0 ? (
+              <p className="text-sm text-high-contrast opacity-70">Files you open will show up here.</p>
+            ) : (
+              <div className="space-y-2">
+                {recentlyViewed.map(item => renderItem(item, item.opened_at))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      <FileViewer
+        isOpen={Boolean(opened)}
+        onClose={() => setOpened(null)}
+        fileData={opened?.resource.fileData}
+        fileName={opened?.resource.fileName ?? ''}
+        fileType={opened?.resource.type ?? 'pdf'}
+        subject={opened?.resource.subject}
+        type={opened?.item.resource_type}
+        unit={opened?.resource.unit || undefined}
+        storedFileName={opened?.resource.storedFileName}
+        title={opened?.resource.title}
+      />
+    </div>
+  );
+};
+
+export default MyLibrary;
@@ -0,0 +1,151 @@
+// src/components/OfflineStorage.tsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { Eye, HardDrive, Trash2 } from 'lucide-react';
+import { OfflineFile, OfflineUsage, offlineFiles } from '../services/offlineFiles';
+import { resourceTypeLabel } from '../lib/resourceTypes';
+import { formatFileSize } from '../lib/fileSize';
+import FileViewer from './FileViewer';
+
+/**
+ * "Saved for offline" on the Profile page: what is kept on this device, how
+ * much space it takes, and buttons to remove files (oldest first). Saved files
+ * open here without a connection.
+ */
+const OfflineStorage: React.FC = () => {
+  const [files, setFiles] = useState<OfflineFile[]>(() => offlineFiles.list());
+  const [usage, setUsage] = useState<OfflineUsage | null>(null);
+  const [opened, setOpened] = useState<OfflineFile | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const refresh = useCallback(() => {
+    setFiles(offlineFiles.list());
+    offlineFiles.usage().then(setUsage);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    return offlineFiles.subscribe(refresh);
+  }, [refresh]);
+
+  if (!offlineFiles.isSupported()) return null;
+
+  const run = async (action: () => Promise<unknown>) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error('Failed to update offline files:', error);
+      alert(`Could not remove the file: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const used = files.reduce((sum, file) => sum + file.size, 0);
+  const budget = usage?.budget ?? 0;
+  const percent = budget ? Math.min((used / budget) * 100, 100) : 0;
+
+  return (
+    <div className="glass-effect rounded-3xl p-8 enhanced-shadow mb-6">
+      <div className="flex items-center space-x-3 mb-2">
+        <HardDrive className="h-6 w-6 text-blue-500" />
+        <h2 className="text-2xl font-bold text-gradient neon-glow">Saved for offline</h2>
+      </div>
+      <p className="text-sm text-high-contrast opacity-70 mb-6">
+        Use the cloud button in the file viewer to keep a file on this device. When space runs out, the oldest saved files are removed first.
+      </p>
+
+      <div className="mb-6">
+        <div className="flex items-center justify-between text-sm font-bold text-high-contrast mb-1">
+          <span>{formatFileSize(used)} of {formatFileSize(budget)} used</span>
+          <span>{files.length} {files.length === 1 ? 'file' : 'files'}</span>
+        </div>
+        <div className="h-3 rounded-full bg-high-contrast overflow-hidden">
+          <div
+            className={`h-full bg-gradient-to-r ${percent > 90 ? 'from-red-500 to-pink-600' : 'from-blue-500 to-cyan-500'}`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+        {usage?.siteQuota !== undefined && (
+          <p className="text-xs text-high-contrast opacity-60 mt-1">
+            This site uses {formatFileSize(usage.siteUsage ?? 0)} of the {formatFileSize(usage.siteQuota)} your browser allows.
+          </p>
+        )}
+      </div>
+
+      {files.length === 0 ? (
+        <p className="text-sm text-high-contrast opacity-70">No files saved on this device yet.</p>
+      ) : (
+        <>
+          <div className="space-y-2 mb-4">
+            {files.map(file => (
+              <div key={file.key} className="flex items-center justify-between gap-3 p-3 rounded-xl bg-high-contrast">
+                <div className="min-w-0">
+                  <p className="font-bold text-high-contrast truncate">{file.title}</p>
+                  <p className="text-xs text-high-contrast opacity-70">
+                    {resourceTypeLabel(file.type)} · {file.subject}{file.unit ? ` / ${file.unit}` : ''}
+                    {' · '}{formatFileSize(file.size)} · saved {new Date(file.savedAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 flex-none">
+                  <button
+                    onClick={() => setOpened(file)}
+                    className="p-2 rounded-lg button-secondary hover-scale"
+                    title="View"
+                    type="button"
+                  >
+                    <Eye className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => run(() => offlineFiles.remove(file.key))}
+                    disabled={busy}
+                    className="p-2 rounded-lg button-secondary hover-scale disabled:opacity-60"
+                    title="Remove from this device"
+                    type="button"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => run(() => offlineFiles.evictTo(used - files[0].size))}
+              disabled={busy}
+              className="px-4 py-2 rounded-lg button-secondary hover-scale font-bold text-sm disabled:opacity-60"
+              type="button"
+            >
+              Remove oldest
+            </button>
+            <button
+              onClick={() => {
+                if (confirm('Remove all files saved on this device?')) run(() => offlineFiles.evictTo(0));
+              }}
+              disabled={busy}
+              className="px-4 py-2 rounded-lg bg-gradient-to-r from-red-500 to-pink-600 text-white hover-scale font-bold text-sm disabled:opacity-60"
+              type="button"
+            >
+              Remove all
+            </button>
+          </div>
+        </>
+      )}
+
+      <FileViewer
+        isOpen={Boolean(opened)}
+        onClose={() => setOpened(null)}
+        fileName={opened?.fileName ?? ''}
+        fileType={opened?.fileType ?? 'pdf'}
+        subject={opened?.subject}
+        type={opened?.type}
+        unit={opened?.unit || undefined}
+        storedFileName={opened?.storedFileName}
+        title={opened?.title}
+      />
+    </div>
+  );
+};
+
+export default OfflineStorage;
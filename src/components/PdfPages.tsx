@@ -0,0 +1,175 @@
+// src/components/PdfPages.tsx
+import React, { useEffect, useRef, useState } from 'react';
+import { Loader } from 'lucide-react';
+import type { PDFDocumentProxy, RenderTask } from 'pdfjs-dist';
+import { openPdf } from '../lib/pdf';
+
+// Pages this far outside the visible area are rendered ahead of time / released
+const PAGE_MARGIN = '100% 0px';
+
+interface PdfPageProps {
+  pdf: PDFDocumentProxy;
+  pageNumber: number;
+  /** the scrolling element pages are shown in */
+  scrollRoot: React.RefObject<HTMLDivElement>;
+  width: number;
+  /** height / width guess until the page itself has loaded */
+  initialRatio: number;
+}
+
+/** One page: a placeholder until it scrolls near the viewport, then a canvas. */
+const PdfPage: React.FC<PdfPageProps> = ({ pdf, pageNumber, scrollRoot, width, initialRatio }) => {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const [isNearby, setIsNearby] = useState(false);
+  const [ratio, setRatio] = useState(initialRatio);
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(
+      ([entry]) => setIsNearby(entry.isIntersecting),
+      { root: scrollRoot.current, rootMargin: PAGE_MARGIN }
+    );
+    if (containerRef.current) observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, [scrollRoot]);
+
+  useEffect(() => {
+    if (!isNearby) return;
+
+    let cancelled = false;
+    let renderTask: RenderTask | null = null;
+    const canvas = canvasRef.current;
+
+    (async () => {
+      const page = await pdf.getPage(pageNumber);
+      if (cancelled || !canvas) return;
+
+      const unscaled = page.getViewport({ scale: 1 });
+      setRatio(unscaled.height / unscaled.width);
+      // Render at the screen's pixel density so text stays sharp
+      const viewport = page.getViewport({ scale: (width / unscaled.width) * window.devicePixelRatio });
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+
+      const context = canvas.getContext('2d');
+      if (!context) return;
+      renderTask = page.render({ canvasContext: context, viewport });
+      await renderTask.promise;
+    })().catch((error) => {
+      if (!cancelled && error?.name !== 'RenderingCancelledException') {
+        console.error(`Failed to render page ${pageNumber}:`, error);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+      // Free the bitmap of pages that scrolled away; long books would otherwise fill memory
+      if (canvas) {
+        canvas.width = 0;
+        canvas.height = 0;
+      }
+    };
+  }, [pdf, pageNumber, width, isNearby]);
+
+  return (
+    <div
+      ref={containerRef}
+      className="mx-auto bg-white enhanced-shadow"
+      style={{ width, height: width * ratio }}
+    >
+      <canvas ref={canvasRef} style={{ width: '100%', height: '100%' }} />
+    </div>
+  );
+};
+
+interface PdfPagesProps {
+  url: string;
+  /** 100 = pages as wide as the viewer */
+  zoom: number;
+}
+
+/**
+ * Shows a PDF as a scrolling column of pages. Only pages near the visible
+ * area are fetched and rendered, so opening a large book doesn't wait for
+ * (or download) the whole file.
+ */
+const PdfPages: React.FC<PdfPagesProps> = ({ url, zoom }) => {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const [pdf, setPdf] = useState<PDFDocumentProxy | null>(null);
+  const [firstPageRatio, setFirstPageRatio] = useState(Math.SQRT2);
+  const [fitWidth, setFitWidth] = useState(0);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const updateWidth = () => {
+      // Leave room for the padding and a scrollbar
+      if (containerRef.current) setFitWidth(containerRef.current.clientWidth - 48);
+    };
+    updateWidth();
+    window.addEventListener('resize', updateWidth);
+    return () => window.removeEventListener('resize', updateWidth);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    let destroy: (() => void) | null = null;
+    setPdf(null);
+    setError(null);
+
+    (async () => {
+      const task = await openPdf(url);
+      destroy = () => task.destroy();
+      if (cancelled) return destroy();
+
+      const loaded = await task.promise;
+      const firstPage = (await loaded.getPage(1)).getViewport({ scale: 1 });
+      if (cancelled) return;
+      setFirstPageRatio(firstPage.height / firstPage.width);
+      setPdf(loaded);
+    })().catch((loadError) => {
+      if (cancelled) return;
+      console.error('Failed to load PDF:', loadError);
+      setError(loadError instanceof Error ? loadError.message : String(loadError));
+    });
+
+    return () => {
+      cancelled = true;
+      destroy?.();
+    };
+  }, [url]);
+
+  const pageWidth = Math.round((fitWidth * zoom) / 100);
+
+  return (
+    <div ref={containerRef} className="w-full h-full overflow-auto p-6">
+      {error ? (
+        <div className="flex flex-col items-center justify-center h-full space-y-3 enhanced-text">
+          <p className="font-bold">Couldn't display this PDF ({error}).</p>
+          <a href={url} target="_blank" rel="noopener noreferrer" className="text-blue-500 underline font-bold">
+            Open the file instead
+          </a>
+        </div>
+      ) : !pdf || pageWidth <= 0 ? (
+        <div className="flex items-center justify-center h-full">
+          <Loader className="h-8 w-8 animate-spin text-blue-500" />
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {Array.from({ length: pdf.numPages }, (_, index) => (
+            <PdfPage
+              key={index}
+              pdf={pdf}
+              pageNumber={index + 1}
+              scrollRoot={containerRef}
+              width={pageWidth}
+              initialRatio={firstPageRatio}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PdfPages;
@@ -0,0 +1,174 @@
+// src/components/ResourceVersions.tsx
+import React, { useRef, useState } from 'react';
+import { Download, History, RefreshCw, RotateCcw } from 'lucide-react';
+import { fileStorageService, ResourceVersion } from '../services/fileStorage';
+
+interface ResourceVersionsProps {
+  /** catalog id of the resource on the server */
+  resourceId: string;
+  /** file name used when downloading an earlier version */
+  fileName: string;
+  /** called after the file was replaced or rolled back, e.g. to re-sync listings */
+  onChanged?: () => void;
+}
+
+/**
+ * "Replace file" and version history controls for one resource in the AdminPanel.
+ * Replacing keeps the resource's id and upload date; every earlier file stays
+ * in its history and can be downloaded or restored.
+ */
+const ResourceVersions: React.FC<ResourceVersionsProps> = ({ resourceId, fileName, onChanged }) => {
+  const fileInput = useRef<HTMLInputElement>(null);
+  const [versions, setVersions] = useState<ResourceVersion[] | null>(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [replaceProgress, setReplaceProgress] = useState<number | null>(null);
+  const [busyVersion, setBusyVersion] = useState<number | null>(null);
+
+  const loadVersions = async () => {
+    try {
+      setVersions(await fileStorageService.listVersions(resourceId));
+    } catch (error) {
+      console.error('Failed to load version history:', error);
+      alert(`Could not load version history: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  };
+
+  const toggleHistory = async () => {
+    if (!showHistory) await loadVersions();
+    setShowHistory(!showHistory);
+  };
+
+  const handleReplace = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setReplaceProgress(0);
+    try {
+      const { version } = await fileStorageService.replaceFile(resourceId, file, ({ percent }) => setReplaceProgress(percent));
+      alert(`File replaced. This is now version ${version}.`);
+      if (showHistory) await loadVersions();
+      onChanged?.();
+    } catch (error) {
+      console.error('Replace failed:', error);
+      alert(`Replace failed: ${error instanceof Error ? error.message : String(error)}\n\nChoosing the same file again resumes the upload.`);
+    } finally {
+      setReplaceProgress(null);
+    }
+  };
+
+  const handleRestore = async (version: number) => {
+    if (!window.confirm(`Restore version ${version}? The current file is kept in the history.`)) return;
+
+    setBusyVersion(version);
+    try {
+      const result = await fileStorageService.restoreVersion(resourceId, version);
+      alert(`Restored version ${version} (saved as version ${result.version}).`);
+      await loadVersions();
+      onChanged?.();
+    } catch (error) {
+      console.error('Restore failed:', error);
+      alert(`Restore failed: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setBusyVersion(null);
+    }
+  };
+
+  const handleDownload = async (entry: ResourceVersion) => {
+    setBusyVersion(entry.version);
+    try {
+      const blob = await fileStorageService.downloadVersion(resourceId, entry.version);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = entry.fileName || fileName;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      console.error('Download failed:', error);
+      alert(`Download failed: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setBusyVersion(null);
+    }
+  };
+
+  return (
+    <div className="mt-3">
+      <input
+        ref={fileInput}
+        type="file"
+        accept=".pdf,.jpg,.jpeg,.png,.gif"
+        onChange={handleReplace}
+        className="hidden"
+      />
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => fileInput.current?.click()}
+          disabled={replaceProgress !== null}
+          className="flex items-center space-x-1 px-3 py-2 bg-gradient-to-r from-blue-100 to-purple-100 dark:from-blue-900 dark:to-purple-900 text-blue-700 dark:text-blue-300 rounded-lg hover-scale text-sm font-bold disabled:opacity-60"
+          type="button"
+        >
+          <RefreshCw className={`h-3 w-3 ${replaceProgress !== null ? 'animate-spin' : ''}`} />
+          <span>{replaceProgress !== null ? `Replacing ${replaceProgress}%` : 'Replace file'}</span>
+        </button>
+        <button
+          onClick={toggleHistory}
+          className="flex items-center space-x-1 px-3 py-2 bg-gradient-to-r from-gray-100 to-gray-200 dark:from-gray-800 dark:to-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover-scale text-sm font-bold"
+          type="button"
+        >
+          <History className="h-3 w-3" />
+          <span>{showHistory ? 'Hide history' : 'History'}</span>
+        </button>
+      </div>
+
+      {showHistory && versions && (
+        <ul className="mt-3 space-y-2 text-xs enhanced-text">
+          {versions.map(entry => (
+            <li key={entry.version} className="p-2 rounded-lg bg-white/50 dark:bg-gray-800/50">
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-bold">
+                  v{entry.version}
+                  {entry.current && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full bg-green-100 dark:bg-green-900 text-green-700 dark:text-green-300">
+                      Current
+                    </span>
+                  )}
+                </span>
+                <span className="flex gap-1">
+                  <button
+                    onClick={() => handleDownload(entry)}
+                    disabled={busyVersion !== null}
+                    className="p-1 rounded hover-scale disabled:opacity-60"
+                    title="Download this version"
+                    type="button"
+                  >
+                    <Download className="h-3 w-3" />
+                  </button>
+                  {!entry.current && (
+                    <button
+                      onClick={() => handleRestore(entry.version)}
+                      disabled={busyVersion !== null}
+                      className="p-1 rounded hover-scale disabled:opacity-60"
+                      title="Restore this version"
+                      type="button"
+                    >
+                      <RotateCcw className="h-3 w-3" />
+                    </button>
+                  )}
+                </span>
+              </div>
+              <p className="opacity-80 break-all">{entry.fileName} · {entry.fileSize}</p>
+              <p className="opacity-70">
+                {new Date(`${entry.uploadedAt.replace(' ', 'T')}Z`).toLocaleString()}
+                {entry.uploadedBy ? ` · ${entry.uploadedBy}` : ''}
+                {entry.restoredFrom ? ` · restored from v${entry.restoredFrom}` : ''}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ResourceVersions;
@@ -0,0 +1,49 @@
+// src/components/SearchSnippet.tsx
+import React from 'react';
+import { Search } from 'lucide-react';
+import { ContentSearchResult, SEARCH_HIGHLIGHT_START, SEARCH_HIGHLIGHT_END } from '../services/fileStorage';
+
+interface SearchSnippetProps {
+  /** full-text search result for this resource; nothing is rendered when undefined */
+  result?: ContentSearchResult;
+  /** how many page hits to show (default 1) */
+  maxHits?: number;
+  /** wrapper classes (default 'mb-4') */
+  className?: string;
+}
+
+const HIGHLIGHT_PATTERN = new RegExp(`${SEARCH_HIGHLIGHT_START}|${SEARCH_HIGHLIGHT_END}`);
+
+// Odd segments sit between a start and an end marker, i.e. are the matched words
+const renderSnippet = (snippet: string) =>
+  snippet.split(HIGHLIGHT_PATTERN).map((part, index) =>
+    index % 2 === 1 ? (
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-700 text-inherit rounded px-0.5">
+        {part}
+      </mark>
+    ) : (
+      <React.Fragment key={index}>{part}</React.Fragment>
+    )
+  );
+
+/**
+ * Shows where a search term was found inside a file ("Page 3: …bleeding time…").
+ */
+const SearchSnippet: React.FC<SearchSnippetProps> = ({ result, maxHits = 1, className = 'mb-4' }) => {
+  if (!result || result.hits.length === 0) return null;
+
+  return (
+    <div className={`space-y-1 text-xs text-high-contrast ${className}`}>
+      {result.hits.slice(0, maxHits).map(hit => (
+        <p key={hit.page} className="flex items-start gap-1 opacity-80">
+          <Search className="h-3 w-3 mt-0.5 shrink-0" />
+          <span>
+            <span className="font-bold">Page {hit.page}:</span> {renderSnippet(hit.snippet)}
+          </span>
+        </p>
+      ))}
+    </div>
+  );
+};
+
+export default SearchSnippet;
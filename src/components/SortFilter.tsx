@@ -17,6 +17,12 @@ interface SortFilterProps {
   onSearchChange?: (searchTerm: string) => void;
   /** called when exact date filter changes; null when cleared */
   onDateFilterChange?: (dateISO: string | null) => void;
+  /** show the exact-date filter (default true) */
+  showDateFilter?: boolean;
+  /** show the newest/oldest toggle (default true) */
+  showSort?: boolean;
+  /** search box placeholder */
+  searchPlaceholder?: string;
   /** debounce delay in ms for search (default 300) */
   searchDebounceMs?: number;
   /** optional className wrapper */
@@ -37,6 +43,9 @@ const SortFilter: React.FC<SortFilterProps> = ({
   onSortChange,
   onSearchChange,
   onDateFilterChange,
+  showDateFilter = true,
+  showSort = true,
+  searchPlaceholder = 'Search titles or inside files...',
   searchDebounceMs = 300,
   className = ''
 }) => {
@@ -108,61 +117,65 @@ const SortFilter: React.FC<SortFilterProps> = ({
           <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
           <input
             type="text"
-            placeholder="Search by name or title..."
+            placeholder={searchPlaceholder}
             value={search}
             onChange={(e) => setSearch(e.target.value)}
             className="w-full pl-10 pr-4 py-3 glass-effect rounded-xl focus:ring-2 focus:ring-blue-500 focus:outline-none text-gray-800 dark:text-gray-200 placeholder-gray-500"
-            aria-label="Search by name or title"
+            aria-label={searchPlaceholder}
           />
         </div>
 
         {/* Exact date filter */}
-        <div className="flex items-center gap-2">
-          <div className="relative">
-            <Calendar className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
-            <input
-              type="date"
-              value={date ?? ''}
-              onChange={(e) => handleDateChange(e.target.value)}
-              className="pl-10 pr-4 py-2 glass-effect rounded-xl focus:ring-2 focus:ring-blue-500 focus:outline-none text-gray-800 dark:text-gray-200"
-              aria-label="Filter by exact date"
-            />
+        {showDateFilter && (
+          <div className="flex items-center gap-2">
+            <div className="relative">
+              <Calendar className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="date"
+                value={date ?? ''}
+                onChange={(e) => handleDateChange(e.target.value)}
+                className="pl-10 pr-4 py-2 glass-effect rounded-xl focus:ring-2 focus:ring-blue-500 focus:outline-none text-gray-800 dark:text-gray-200"
+                aria-label="Filter by exact date"
+              />
+            </div>
+            {date && (
+              <button
+                type="button"
+                onClick={() => handleDateChange('')}
+                className="inline-flex items-center justify-center px-3 py-2 rounded-lg button-secondary hover-scale"
+                aria-label="Clear date filter"
+                title="Clear date"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            )}
           </div>
-          {date && (
+        )}
+
+        {/* Sort toggle */}
+        {showSort && (
+          <div className="flex items-center gap-2">
             <button
               type="button"
-              onClick={() => handleDateChange('')}
-              className="inline-flex items-center justify-center px-3 py-2 rounded-lg button-secondary hover-scale"
-              aria-label="Clear date filter"
-              title="Clear date"
+              onClick={handleSortToggle}
+              className="inline-flex items-center gap-2 px-4 py-2 rounded-lg font-semibold transition-all duration-200 button-glow"
+              aria-label="Toggle sort order"
+              title={`Sort: ${sort === 'newest' ? 'Newest → Oldest' : 'Oldest → Newest'}`}
             >
-              <X className="h-4 w-4" />
+              {sort === 'newest' ? (
+                <>
+                  <ChevronDown className="h-4 w-4" />
+                  Newest → Oldest
+                </>
+              ) : (
+                <>
+                  <ChevronUp className="h-4 w-4" />
+                  Oldest → Newest
+                </>
+              )}
             </button>
-          )}
-        </div>
-
-        {/* Sort toggle */}
-        <div className="flex items-center gap-2">
-          <button
-            type="button"
-            onClick={handleSortToggle}
-            className="inline-flex items-center gap-2 px-4 py-2 rounded-lg font-semibold transition-all duration-200 button-glow"
-            aria-label="Toggle sort order"
-            title={`Sort: ${sort === 'newest' ? 'Newest → Oldest' : 'Oldest → Newest'}`}
-          >
-            {sort === 'newest' ? (
-              <>
-                <ChevronDown className="h-4 w-4" />
-                Newest → Oldest
-              </>
-            ) : (
-              <>
-                <ChevronUp className="h-4 w-4" />
-                Oldest → Newest
-              </>
-            )}
-          </button>
-        </div>
+          </div>
+        )}
 
         {/* Clear all */}
         <div className="flex items-center">
@@ -0,0 +1,165 @@
+// src/components/TrashBin.tsx
+import React, { useEffect, useState } from 'react';
+import { BookOpen, FileText, Layers, RotateCcw, Trash2 } from 'lucide-react';
+import { fileStorageService, TrashItem } from '../services/fileStorage';
+import { resourceTypeLabel } from '../lib/resourceTypes';
+
+interface TrashBinProps {
+  /** called after something was restored, e.g. to re-sync listings */
+  onRestored?: () => void;
+}
+
+/**
+ * AdminPanel "Trash" tab: deleted files, units and subjects, which can be restored
+ * or deleted permanently. The server purges old items on its own after the
+ * retention period.
+ */
+const TrashBin: React.FC<TrashBinProps> = ({ onRestored }) => {
+  const [items, setItems] = useState<TrashItem[]>([]);
+  const [retentionDays, setRetentionDays] = useState<number | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const loadTrash = async () => {
+    try {
+      const trash = await fileStorageService.listTrash();
+      setItems(trash.items);
+      setRetentionDays(trash.retentionDays);
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+      alert(`Could not load the trash: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTrash();
+  }, []);
+
+  const handleRestore = async (item: TrashItem) => {
+    setBusyId(item.id);
+    try {
+      const message = await fileStorageService.restoreFromTrash(item.id);
+      await loadTrash();
+      onRestored?.();
+      alert(message);
+    } catch (error) {
+      console.error('Restore failed:', error);
+      alert(`Restore failed: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (item: TrashItem) => {
+    const what = item.kind === 'resource' ? `"${item.name}"` : `the ${item.kind} "${item.name}" and all its files`;
+    if (!window.confirm(`Permanently delete ${what}? This cannot be undone.`)) return;
+
+    setBusyId(item.id);
+    try {
+      await fileStorageService.purgeFromTrash(item.id);
+      await loadTrash();
+    } catch (error) {
+      console.error('Purge failed:', error);
+      alert(`Delete failed: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm(`Permanently delete all ${items.length} items in the trash? This cannot be undone.`)) return;
+
+    setBusyId('*');
+    try {
+      await fileStorageService.emptyTrash();
+      await loadTrash();
+    } catch (error) {
+      console.error('Emptying trash failed:', error);
+      alert(`Emptying the trash failed: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="glass-effect p-6 rounded-2xl fade-in-up enhanced-shadow">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-xl font-semibold enhanced-text neon-glow">Trash</h3>
+        {items.length > 0 && (
+          <button
+            onClick={handleEmpty}
+            disabled={busyId !== null}
+            className="flex items-center space-x-1 px-3 py-2 bg-gradient-to-r from-red-100 to-pink-100 dark:from-red-900 dark:to-pink-900 text-red-700 dark:text-red-300 rounded-lg hover-scale text-sm font-bold disabled:opacity-60"
+            type="button"
+          >
+            <Trash2 className="h-3 w-3" />
+            <span>Empty trash</span>
+          </button>
+        )}
+      </div>
+      <p className="text-sm enhanced-text opacity-80 mb-4">
+        {retentionDays
+          ? `Deleted files, units and subjects can be restored for ${retentionDays} days, then they are removed for good.`
+          : 'Deleted files, units and subjects stay here until you delete them permanently.'}
+      </p>
+
+      {loading ? (
+        <p className="text-sm enhanced-text opacity-80">Loading...</p>
+      ) : items.length === 0 ? (
+        <p className="text-sm enhanced-text opacity-80">The trash is empty.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {items.map(item => (
+            <div key={item.id} className="glass-effect p-4 rounded-lg enhanced-shadow">
+              <h4 className="flex items-center space-x-2 font-bold mb-2 enhanced-text neon-glow">
+                {item.kind === 'subject' && <BookOpen className="h-4 w-4" />}
+                {item.kind === 'unit' && <Layers className="h-4 w-4" />}
+                {item.kind === 'resource' && <FileText className="h-4 w-4" />}
+                <span className="break-all">{item.name}</span>
+              </h4>
+              <div className="text-xs enhanced-text opacity-70 mb-3">
+                {item.kind === 'subject' && <p>Subject with {item.resourceCount} files</p>}
+                {item.kind === 'unit' && <p>Unit of {item.subject} with {item.resourceCount} files</p>}
+                {item.kind === 'resource' && (
+                  <>
+                    <p>{item.type ? resourceTypeLabel(item.type) : ''} in {item.subject}{item.unit ? ` / ${item.unit}` : ''}</p>
+                    <p>File: {item.fileName}</p>
+                  </>
+                )}
+                <p>
+                  Deleted: {new Date(item.deletedAt).toLocaleString()}
+                  {item.deletedBy ? ` by ${item.deletedBy}` : ''}
+                </p>
+                {item.purgeAt && <p>Removed for good: {new Date(item.purgeAt).toLocaleDateString()}</p>}
+              </div>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => handleRestore(item)}
+                  disabled={busyId !== null}
+                  className="flex-1 flex items-center justify-center space-x-1 px-3 py-2 bg-gradient-to-r from-green-100 to-emerald-100 dark:from-green-900 dark:to-emerald-900 text-green-700 dark:text-green-300 rounded-lg hover-scale text-sm font-bold disabled:opacity-60"
+                  type="button"
+                >
+                  <RotateCcw className="h-3 w-3" />
+                  <span>Restore</span>
+                </button>
+                <button
+                  onClick={() => handlePurge(item)}
+                  disabled={busyId !== null}
+                  className="flex-1 flex items-center justify-center space-x-1 px-3 py-2 bg-gradient-to-r from-red-100 to-pink-100 dark:from-red-900 dark:to-pink-900 text-red-700 dark:text-red-300 rounded-lg hover-scale text-sm font-bold disabled:opacity-60"
+                  type="button"
+                >
+                  <Trash2 className="h-3 w-3" />
+                  <span>Delete forever</span>
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrashBin;
@@ -0,0 +1,61 @@
+// src/components/TrendingStrip.tsx
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Eye, TrendingUp } from 'lucide-react';
+import { fileStorageService, ResourceActivity } from '../services/fileStorage';
+import { resourceLink } from '../lib/resourceLinks';
+import { resourceTypeLabel } from '../lib/resourceTypes';
+import FileThumbnail from './FileThumbnail';
+
+/**
+ * "Trending this week" on Home: the most opened resources of the last seven
+ * days, each linking to where it's listed. Renders nothing until something
+ * has been opened.
+ */
+const TrendingStrip: React.FC = () => {
+  const [items, setItems] = useState<ResourceActivity[]>([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fileStorageService.getTrending().then(trending => {
+      if (!cancelled) setItems(trending);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (items.length === 0) return null;
+
+  return (
+    <section className="py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-7xl mx-auto">
+        <h2 className="flex items-center space-x-3 text-3xl font-bold text-gradient mb-8 neon-glow">
+          <TrendingUp className="h-7 w-7" />
+          <span>Trending this week</span>
+        </h2>
+        <div className="flex gap-6 overflow-x-auto pb-4">
+          {items.map(item => (
+            <Link
+              key={item.id}
+              to={resourceLink(item.type, item.subject)}
+              className="flex-none w-64 glass-effect p-5 rounded-2xl card-hover enhanced-shadow"
+            >
+              <FileThumbnail src={fileStorageService.resolveApiUrl(item.thumbnailUrl)} alt={item.title} />
+              <h3 className="font-bold text-high-contrast mb-2 line-clamp-2">{item.title}</h3>
+              <p className="text-xs text-high-contrast opacity-70 mb-2">
+                {resourceTypeLabel(item.type)} · {item.subject}
+              </p>
+              <span className="flex items-center space-x-1 text-xs font-bold text-gradient">
+                <Eye className="h-3 w-3" />
+                <span>{item.views + item.downloads} opens</span>
+              </span>
+            </Link>
+          ))}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default TrendingStrip;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { User, Mail, Lock, Eye, EyeOff, Loader, Save, X, Plus, Trash2, Edit as EditIcon } from 'lucide-react';
 import { supabase } from '../lib/supabaseClient';
+import { fileStorageService } from '../services/fileStorage';
 
 interface UserProfile {
   id: string;
@@ -88,15 +89,10 @@ const UserManagement: React.FC = () => {
     try {
       setLoading(true);
 
-      const { error: profileError } = await supabase
-        .from('profiles')
-        .update({
-          email: formData.email,
-          full_name: formData.full_name,
-        })
-        .eq('id', editingUser);
-
-      if (profileError) throw profileError;
+      await fileStorageService.updateUser(editingUser, {
+        email: formData.email,
+        full_name: formData.full_name,
+      });
 
       if (formData.password) {
         setError('Password updates from admin panel are not supported. Users can update their own passwords from their profile page.');
@@ -125,12 +121,7 @@ const UserManagement: React.FC = () => {
       setLoading(true);
       setError('');
 
-      const { error: deleteError } = await supabase
-        .from('profiles')
-        .delete()
-        .eq('id', userId);
-
-      if (deleteError) throw deleteError;
+      await fileStorageService.deleteUser(userId);
 
       setSuccess('User deleted successfully!');
       await fetchUsers();
@@ -3,14 +3,15 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { supabase, Profile } from '../lib/supabaseClient';
 import { User, Session } from '@supabase/supabase-js';
-import { postJSON } from '../services/api';
+import { getProof, postJSON, RateLimitError } from '../services/api';
 
 interface AuthContextType {
   user: User | null;
   profile: Profile | null;
   session: Session | null;
   loading: boolean;
-  signUp: (email: string, password: string, fullName: string) => Promise<{ error: Error | null }>;
+  // `notice` is set when the account was created but the verification email couldn't be sent yet
+  signUp: (email: string, password: string, fullName: string) => Promise<{ error: Error | null, notice?: string }>;
   signIn: (email: string, password: string) => Promise<{ error: Error | null, data?: any }>;
   signOut: () => Promise<void>;
   updateProfile: (fullName: string) => Promise<{ error: Error | null }>;
@@ -61,6 +62,13 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     return () => subscription.unsubscribe();
   }, []);
 
+  // /api/profile-updated mails the logged-in user, so it needs their access token
+  const authHeader = async (): Promise<Record<string, string>> => {
+    const { data } = await supabase.auth.getSession();
+    const token = data.session?.access_token;
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  };
+
   const fetchProfile = async (userId: string) => {
     try {
       const { data, error } = await supabase
@@ -85,7 +93,11 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
         password,
       });
 
-      if (signUpError) throw signUpError;
+      if (signUpError) {
+        // Supabase limits sign-ups too; it doesn't say for how long
+        if (signUpError.status === 429) throw new RateLimitError(signUpError.message, 60);
+        throw signUpError;
+      }
 
       if (data.user) {
         const { data: existingProfile } = await supabase
@@ -114,8 +126,13 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
         }
 
         try {
-          await postJSON('/api/send-welcome', { email: data.user.email, fullName });
-        } catch { }
+          const proof = await getProof();
+          await postJSON('/api/send-welcome', { email: data.user.email, fullName, proof });
+        } catch (welcomeError) {
+          if (welcomeError instanceof RateLimitError) {
+            return { error: null, notice: `Your verification email couldn't be sent yet. ${welcomeError.message}` };
+          }
+        }
       }
 
       return { error: null };
@@ -126,7 +143,8 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
 
 const signIn = async (email: string, password: string) => {
   try {
-    const res = await postJSON('/api/login', { email, password });
+    const proof = await getProof();
+    const res = await postJSON('/api/login', { email, password, proof });
 
     if (!res.success) {
       return { error: new Error(res.message || 'Login failed') };
@@ -172,6 +190,7 @@ const signIn = async (email: string, password: string) => {
 
     return { error: null, data: currentUser };
   } catch (e: any) {
+    if (e instanceof RateLimitError) return { error: e };
     return { error: new Error(e.message || 'Login failed') };
   }
 };
@@ -236,10 +255,9 @@ const signOut = async () => {
 
       try {
         await postJSON('/api/profile-updated', {
-          email: user.email,
           fullName,
           changedFields: ['full_name']
-        });
+        }, await authHeader());
       } catch { }
 
       return { error: null };
@@ -269,10 +287,9 @@ const signOut = async () => {
 
       try {
         await postJSON('/api/profile-updated', {
-          email: newEmail,
           fullName: profile?.full_name || '',
           changedFields: ['email']
-        });
+        }, await authHeader());
       } catch { }
 
       return { error: null };
@@ -293,10 +310,12 @@ const signOut = async () => {
     }
   };
 
+  // Goes through the server (rate limited, proof of work) rather than Supabase's own reset mail
   const requestPasswordReset = async (email: string) => {
     try {
-      const { error } = await supabase.auth.resetPasswordForEmail(email);
-      return { error };
+      const proof = await getProof();
+      const res = await postJSON('/api/forgot-password', { email, proof });
+      return { error: res.success ? null : new Error(res.message || 'Failed to send reset email') };
     } catch (error) {
       return { error: error as Error };
     }
@@ -1,27 +1,10 @@
 import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
-import { fileStorageService } from '../services/fileStorage';
+import { fileStorageService, ChangedResource, LiveChange, ResourceChanges } from '../services/fileStorage';
+import { useAuth } from './AuthContext';
+import { RESOURCE_TYPES, ResourceMetadata, ResourceTypeId } from '../lib/resourceTypes';
 
-interface ServerFile {
-  filename: string;
-  size: string;
-  modified: string;
-  type: 'pdf' | 'image';
-  title?: string;
-  description?: string;
-}
-
-interface ServerSubjectData {
-  notes?: Record<string, ServerFile[]>;
-  'practice-tests'?: ServerFile[];
-  practicals?: ServerFile[];
-  assignments?: ServerFile[]; // <- added assignments
-}
-
-interface ServerStorage {
-  storageStructure: Record<string, ServerSubjectData>;
-}
-
-export interface Note {
+// A file in one of the resource lists; which list (notes, practice tests, ...) is its resource type
+export interface Resource {
   id: string;
   title: string;
   description: string;
@@ -29,243 +12,219 @@ export interface Note {
   fileSize: string;
   uploadDate: string;
   subject: string;
+  // '' for types without units
   unit: string;
   type: 'pdf' | 'image';
   fileData?: string;
   filePath?: string;
   storedFileName?: string;
+  thumbnailUrl?: string;
+  // Catalog id on the server (version history, replace)
+  resourceId?: string;
+  // Extra fields of the resource type, e.g. { year: 2023 }
+  metadata?: ResourceMetadata;
 }
 
-export interface PracticeTest {
-  id: string;
-  title: string;
-  description: string;
-  fileName: string;
-  fileSize: string;
-  uploadDate: string;
-  subject: string;
-  type: 'pdf' | 'image';
-  fileData?: string;
-  filePath?: string;
-  storedFileName?: string;
-}
+// Resource lists by resource type id
+export type ResourceLists = Record<ResourceTypeId, Resource[]>;
 
-export interface Practical {
+export interface Subject {
   id: string;
-  title: string;
-  description: string;
-  fileName: string;
-  fileSize: string;
-  uploadDate: string;
-  subject: string;
-  type: 'pdf' | 'image';
-  fileData?: string;
-  filePath?: string;
-  storedFileName?: string;
+  name: string;
+  units: string[];
 }
 
-// <== NEW: Assignment interface (mirrors Practical) ==>
-export interface Assignment {
-  id: string;
+// Shown in the Header when a resource is added while the site is open
+export interface NewMaterialNotice {
+  resourceId: string;
   title: string;
-  description: string;
-  fileName: string;
-  fileSize: string;
-  uploadDate: string;
   subject: string;
-  type: 'pdf' | 'image';
-  fileData?: string;
-  filePath?: string;
-  storedFileName?: string;
-}
-
-export interface Subject {
-  id: string;
-  name: string;
-  units: string[];
+  type: ChangedResource['type'];
 }
 
 interface DataContextType {
   subjects: Subject[];
-  notes: Note[];
-  practiceTests: PracticeTest[];
-  practicals: Practical[];
-  assignments: Assignment[]; // <- added to context type
+  resources: ResourceLists;
+  resourcesOf: (type: ResourceTypeId) => Resource[];
   isLoggedIn: boolean;
+  isCheckingAdmin: boolean;
   addSubject: (subject: Subject) => void;
   updateSubject: (id: string, updatedSubject: Subject) => void;
   deleteSubject: (id: string) => Promise<void>;
-  addNote: (note: Note) => void;
-  deleteNote: (id: string) => void;
-  addPracticeTest: (test: PracticeTest) => void;
-  deletePracticeTest: (id: string) => void;
-  addPractical: (practical: Practical) => void;
-  deletePractical: (id: string) => void;
-  addAssignment: (assignment: Assignment) => void; // new
-  deleteAssignment: (id: string) => void; // new
-  updateNotes: (notes: Note[]) => void;
-  updatePracticeTests: (tests: PracticeTest[]) => void;
-  updatePracticals: (practicals: Practical[]) => void;
-  updateAssignments: (assignments: Assignment[]) => void; // new
-  login: (email: string, password: string) => boolean;
-  logout: () => void;
+  addResource: (type: ResourceTypeId, resource: Resource) => void;
+  deleteResource: (type: ResourceTypeId, id: string) => void;
+  updateResources: (type: ResourceTypeId, resources: Resource[]) => void;
+  login: (email: string, password: string) => Promise<boolean>;
+  logout: () => Promise<void>;
   syncWithServer: () => Promise<void>;
+  newMaterial: NewMaterialNotice | null;
+  dismissNewMaterial: () => void;
 }
 
 const DataContext = createContext<DataContextType | undefined>(undefined);
 
-const ADMIN_EMAIL = import.meta.env.VITE_ADMIN_EMAIL;
-const ADMIN_PASSWORD = import.meta.env.VITE_ADMIN_PASSWORD;
+// Revision of the server's change feed that the lists in localStorage are up to date with
+const SYNC_CURSOR_KEY = 'sncop_resources_sync_cursor';
+const RESOURCES_KEY = 'sncop_resources';
+// One list per category from before resource types came from resourceTypes.json; the new
+// cursor key starts from 0, so the first sync refills everything
+const LEGACY_KEYS = ['sncop_notes', 'sncop_practice_tests', 'sncop_practicals', 'sncop_assignments', 'sncop_sync_cursor'];
+
+const emptyLists = (): ResourceLists => Object.fromEntries(RESOURCE_TYPES.map(type => [type.id, []]));
+
+const loadResources = (): ResourceLists => {
+  LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+  return { ...emptyLists(), ...JSON.parse(localStorage.getItem(RESOURCES_KEY) || '{}') };
+};
+
+const toListItem = (resource: ChangedResource): Resource => ({
+  id: resource.id,
+  resourceId: resource.id,
+  title: resource.title,
+  description: resource.description,
+  fileName: resource.fileName,
+  fileSize: resource.fileSize,
+  uploadDate: resource.uploadDate,
+  subject: resource.subject,
+  unit: resource.unit || '',
+  type: resource.fileType,
+  storedFileName: resource.storedFileName,
+  thumbnailUrl: fileStorageService.resolveApiUrl(resource.thumbnailUrl),
+  metadata: resource.metadata ?? {}
+});
+
+// Drops everything the server changed or deleted (by id) and appends the changed resources of one category
+const mergeResources = (list: Resource[], changes: ResourceChanges, category: ResourceTypeId): Resource[] => {
+  const changed = changes.resources.filter(resource => resource.type === category).map(toListItem);
+  if (changes.reset) return changed;
+
+  const stale = new Set([...changes.deletedResources, ...changes.resources.map(resource => resource.id)]);
+  const kept = list.filter(item => !stale.has(item.id) && !(item.resourceId && stale.has(item.resourceId)));
+  return [...kept, ...changed];
+};
+
+// A live event as a one-entry delta of the change feed
+const toChanges = (change: LiveChange): ResourceChanges => ({
+  cursor: change.revision,
+  reset: false,
+  subjects: change.subject ? [change.subject] : [],
+  deletedSubjects: change.kind === 'subject' && !change.subject ? [change.id] : [],
+  resources: change.resource ? [change.resource] : [],
+  deletedResources: change.kind === 'resource' && !change.resource ? [change.id] : []
+});
+
+// Subjects are matched by server id; subjects added locally before the server knew them are matched by name
+const mergeSubjects = (list: Subject[], changes: ResourceChanges): Subject[] => {
+  const changed = changes.subjects.filter(subject => subject.name.toLowerCase() !== 'temp');
+  const deleted = new Set(changes.deletedSubjects);
+  const kept = changes.reset
+    ? []
+    : list.filter(subject => !deleted.has(subject.id) && !changed.some(c => c.id === subject.id || c.name === subject.name));
+  return [...kept, ...changed].sort((a, b) => a.name.localeCompare(b.name));
+};
 
 export const DataProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
   const [subjects, setSubjects] = useState<Subject[]>(() => JSON.parse(localStorage.getItem('sncop_subjects') || '[]'));
-  const [notes, setNotes] = useState<Note[]>(() => JSON.parse(localStorage.getItem('sncop_notes') || '[]'));
-  const [practiceTests, setPracticeTests] = useState<PracticeTest[]>(() => JSON.parse(localStorage.getItem('sncop_practice_tests') || '[]'));
-  const [practicals, setPracticals] = useState<Practical[]>(() => JSON.parse(localStorage.getItem('sncop_practicals') || '[]'));
-  const [assignments, setAssignments] = useState<Assignment[]>(() => JSON.parse(localStorage.getItem('sncop_assignments') || '[]')); // new
-  const [isLoggedIn, setIsLoggedIn] = useState(() => localStorage.getItem('sncop_admin_logged_in') === 'true');
+  const [resources, setResources] = useState<ResourceLists>(loadResources);
+  const { user, loading: authLoading, signIn, signOut } = useAuth();
+  const [isLoggedIn, setIsLoggedIn] = useState(false);
+  const [isCheckingAdmin, setIsCheckingAdmin] = useState(true);
 
   const saveToLocalStorage = useCallback((key: string, data: any) => {
     localStorage.setItem(key, JSON.stringify(data));
   }, []);
 
   useEffect(() => { saveToLocalStorage('sncop_subjects', subjects); }, [subjects, saveToLocalStorage]);
-  useEffect(() => { saveToLocalStorage('sncop_notes', notes); }, [notes, saveToLocalStorage]);
-  useEffect(() => { saveToLocalStorage('sncop_practice_tests', practiceTests); }, [practiceTests, saveToLocalStorage]);
-  useEffect(() => { saveToLocalStorage('sncop_practicals', practicals); }, [practicals, saveToLocalStorage]);
-  useEffect(() => { saveToLocalStorage('sncop_assignments', assignments); }, [assignments, saveToLocalStorage]); // new
-
-  const login = (email: string, password: string) => {
-    const success = email === ADMIN_EMAIL && password === ADMIN_PASSWORD;
-    setIsLoggedIn(success);
-    localStorage.setItem('sncop_admin_logged_in', success ? 'true' : 'false');
-    return success;
+  useEffect(() => { saveToLocalStorage(RESOURCES_KEY, resources); }, [resources, saveToLocalStorage]);
+
+  // Admin status comes from the server, which checks profiles.is_admin for the Supabase session
+  const userId = user?.id;
+  useEffect(() => {
+    if (authLoading) return;
+    if (!userId) {
+      setIsLoggedIn(false);
+      setIsCheckingAdmin(false);
+      return;
+    }
+
+    let cancelled = false;
+    setIsCheckingAdmin(true);
+    fileStorageService.checkAdminSession().then(isAdmin => {
+      if (cancelled) return;
+      setIsLoggedIn(isAdmin);
+      setIsCheckingAdmin(false);
+    });
+    return () => { cancelled = true; };
+  }, [userId, authLoading]);
+
+  const login = async (email: string, password: string) => {
+    const { error } = await signIn(email, password);
+    if (error) return false;
+
+    const isAdmin = await fileStorageService.checkAdminSession();
+    if (!isAdmin) {
+      await signOut();
+    }
+    setIsLoggedIn(isAdmin);
+    return isAdmin;
   };
 
-  const logout = () => {
+  const logout = async () => {
     setIsLoggedIn(false);
-    localStorage.setItem('sncop_admin_logged_in', 'false');
+    await signOut();
   };
 
-  // ⏳ Cooldown ref
-  const lastSyncRef = useRef<number>(0);
+  const syncCursorRef = useRef<number>(Number(localStorage.getItem(SYNC_CURSOR_KEY)) || 0);
+  // Syncs run one after another so a sync requested right after a change always sees it
+  const syncQueueRef = useRef<Promise<void>>(Promise.resolve());
 
-  const syncWithServer = useCallback(async () => {
-    const now = Date.now();
+  const [newMaterial, setNewMaterial] = useState<NewMaterialNotice | null>(null);
 
-    // ✅ enforce 5 min (300000 ms) cooldown
-    if (now - lastSyncRef.current < 300000) {
-      console.log("⏳ Sync skipped due to cooldown");
-      return;
-    }
-    lastSyncRef.current = now;
+  const applyChanges = useCallback((changes: ResourceChanges) => {
+    setSubjects(prev => mergeSubjects(prev, changes));
+    setResources(prev => Object.fromEntries(RESOURCE_TYPES.map(type =>
+      [type.id, mergeResources(prev[type.id] ?? [], changes, type.id)])));
+
+    syncCursorRef.current = changes.cursor;
+    localStorage.setItem(SYNC_CURSOR_KEY, String(changes.cursor));
+  }, []);
 
+  const pullChanges = useCallback(async () => {
     try {
-      const serverStorage: ServerStorage | null = await fileStorageService.syncWithServer();
-      if (!serverStorage || !serverStorage.storageStructure) return;
-
-      const serverSubjects: Subject[] = [];
-      const serverNotes: Note[] = [];
-      const serverPracticeTests: PracticeTest[] = [];
-      const serverPracticals: Practical[] = [];
-      const serverAssignments: Assignment[] = []; // new
-
-      Object.entries(serverStorage.storageStructure)
-        .filter(([subjectName]) => subjectName.toLowerCase() !== 'temp')
-        .forEach(([subjectName, subjectData], idx) => {
-          const units = subjectData.notes ? Object.keys(subjectData.notes) : [];
-
-          serverSubjects.push({
-            id: (subjects.find(s => s.name === subjectName)?.id) || String(idx + 1),
-            name: subjectName,
-            units: units.length ? units : ['Unit 1', 'Unit 2', 'Unit 3', 'Unit 4', 'Unit 5']
-          });
-
-          if (subjectData.notes) {
-            Object.entries(subjectData.notes).forEach(([unitName, unitFiles]) => {
-              unitFiles.forEach((file: ServerFile) => {
-                serverNotes.push({
-                  id: `note-${subjectName}-${unitName}-${file.filename}-${Date.now()}`,
-                  title: file.title || file.filename.replace(/\.[^/.]+$/, '').replace(/_/g, ' '),
-                  description: file.description || '',
-                  fileName: file.filename,
-                  fileSize: file.size || '0 KB',
-                  uploadDate: file.modified || new Date().toLocaleDateString(),
-                  subject: subjectName,
-                  unit: unitName,
-                  type: file.type || 'pdf',
-                  storedFileName: file.filename
-                });
-              });
-            });
-          }
-
-          if (subjectData['practice-tests']) {
-            subjectData['practice-tests'].forEach((file: ServerFile) => {
-              serverPracticeTests.push({
-                id: `test-${subjectName}-${file.filename}-${Date.now()}`,
-                title: file.title || file.filename.replace(/\.[^/.]+$/, '').replace(/_/g, ' '),
-                description: file.description || '',
-                fileName: file.filename,
-                fileSize: file.size || '0 KB',
-                uploadDate: file.modified || new Date().toLocaleDateString(),
-                subject: subjectName,
-                type: file.type || 'pdf',
-                storedFileName: file.filename
-              });
-            });
-          }
-
-          if (subjectData.practicals) {
-            subjectData.practicals.forEach((file: ServerFile) => {
-              serverPracticals.push({
-                id: `practical-${subjectName}-${file.filename}-${Date.now()}`,
-                title: file.title || file.filename.replace(/\.[^/.]+$/, '').replace(/_/g, ' '),
-                description: file.description || '',
-                fileName: file.filename,
-                fileSize: file.size || '0 KB',
-                uploadDate: file.modified || new Date().toLocaleDateString(),
-                subject: subjectName,
-                type: file.type || 'pdf',
-                storedFileName: file.filename
-              });
-            });
-          }
-
-          // <- NEW: assignments sync
-          if (subjectData.assignments) {
-            subjectData.assignments.forEach((file: ServerFile) => {
-              serverAssignments.push({
-                id: `assignment-${subjectName}-${file.filename}-${Date.now()}`,
-                title: file.title || file.filename.replace(/\.[^/.]+$/, '').replace(/_/g, ' '),
-                description: file.description || '',
-                fileName: file.filename,
-                fileSize: file.size || '0 KB',
-                uploadDate: file.modified || new Date().toLocaleDateString(),
-                subject: subjectName,
-                type: file.type || 'pdf',
-                storedFileName: file.filename
-              });
-            });
-          }
-        });
-
-      setSubjects(serverSubjects);
-      setNotes(serverNotes);
-      setPracticeTests(serverPracticeTests);
-      setPracticals(serverPracticals);
-      setAssignments(serverAssignments); // new
+      const changes = await fileStorageService.fetchChanges(syncCursorRef.current);
+      if (!changes) return;
+
+      applyChanges(changes);
       console.log("✅ Synced with server at", new Date().toLocaleTimeString(), {
-        subjects: serverSubjects.length,
-        notes: serverNotes.length,
-        practiceTests: serverPracticeTests.length,
-        practicals: serverPracticals.length,
-        assignments: serverAssignments.length
+        cursor: changes.cursor,
+        reset: changes.reset,
+        changed: changes.resources.length,
+        deleted: changes.deletedResources.length
       });
     } catch (error) {
       console.error('Error syncing with server:', error);
     }
-  }, [subjects]);
+  }, [applyChanges]);
+
+  const syncWithServer = useCallback(() => {
+    syncQueueRef.current = syncQueueRef.current.then(pullChanges);
+    return syncQueueRef.current;
+  }, [pullChanges]);
+
+  // Live events go through the same queue; ones a sync already covered are skipped
+  const applyLiveChange = useCallback((change: LiveChange) => {
+    syncQueueRef.current = syncQueueRef.current.then(() => {
+      if (change.revision <= syncCursorRef.current) return;
+
+      applyChanges(toChanges(change));
+      if (change.action === 'created' && change.resource) {
+        const { id, title, subject, type } = change.resource;
+        setNewMaterial({ resourceId: id, title, subject, type });
+      }
+    });
+  }, [applyChanges]);
+
+  const dismissNewMaterial = useCallback(() => setNewMaterial(null), []);
 
   useEffect(() => {
     syncWithServer();
@@ -273,16 +232,19 @@ export const DataProvider: React.FC<{ children: React.ReactNode }> = ({ children
     return () => clearInterval(interval);
   }, [syncWithServer]);
 
+  // Uploads, edits and deletions from the server show up as they happen
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') return;
+    return fileStorageService.subscribeToChanges({ onConnected: syncWithServer, onChange: applyLiveChange });
+  }, [syncWithServer, applyLiveChange]);
+
   const addSubject = (subject: Subject) => {
     fileStorageService.createSubject(subject.name, subject.units);
     setSubjects(prev => [...prev, subject]);
   };
 
+  // Local state only: the caller has already renamed, added or removed things on the server
   const updateSubject = (id: string, updatedSubject: Subject) => {
-    const oldSubject = subjects.find(s => s.id === id);
-    if (oldSubject) {
-      fileStorageService.createSubject(updatedSubject.name, updatedSubject.units);
-    }
     setSubjects(prev => prev.map(s => (s.id === id ? updatedSubject : s)));
   };
 
@@ -298,10 +260,8 @@ export const DataProvider: React.FC<{ children: React.ReactNode }> = ({ children
       if (!success) throw new Error(`Server failed to delete subject: ${subjectToDelete.name}`);
 
       setSubjects(prev => prev.filter(s => s.id !== id));
-      setNotes(prev => prev.filter(n => n.subject !== subjectToDelete.name));
-      setPracticeTests(prev => prev.filter(t => t.subject !== subjectToDelete.name));
-      setPracticals(prev => prev.filter(p => p.subject !== subjectToDelete.name));
-      setAssignments(prev => prev.filter(a => a.subject !== subjectToDelete.name)); // new
+      setResources(prev => Object.fromEntries(Object.entries(prev).map(([type, list]) =>
+        [type, list.filter(resource => resource.subject !== subjectToDelete.name)])));
 
       await syncWithServer();
       console.log(`Subject deleted: ${subjectToDelete.name}`);
@@ -312,48 +272,34 @@ export const DataProvider: React.FC<{ children: React.ReactNode }> = ({ children
   };
 
   // CRUD helpers
-  const addNote = (note: Note) => setNotes(prev => [...prev, note]);
-  const deleteNote = (id: string) => setNotes(prev => prev.filter(n => n.id !== id));
-  const addPracticeTest = (test: PracticeTest) => setPracticeTests(prev => [...prev, test]);
-  const deletePracticeTest = (id: string) => setPracticeTests(prev => prev.filter(t => t.id !== id));
-  const addPractical = (practical: Practical) => setPracticals(prev => [...prev, practical]);
-  const deletePractical = (id: string) => setPracticals(prev => prev.filter(p => p.id !== id));
-
-  // <- NEW: assignments helpers
-  const addAssignment = (assignment: Assignment) => setAssignments(prev => [...prev, assignment]);
-  const deleteAssignment = (id: string) => setAssignments(prev => prev.filter(a => a.id !== id));
-  const updateNotes = (newNotes: Note[]) => setNotes(newNotes);
-  const updatePracticeTests = (tests: PracticeTest[]) => setPracticeTests(tests);
-  const updatePracticals = (practicalsArg: Practical[]) => setPracticals(practicalsArg);
-  const updateAssignments = (assignmentsArg: Assignment[]) => setAssignments(assignmentsArg); // new
+  const updateResources = (type: ResourceTypeId, list: Resource[]) =>
+    setResources(prev => ({ ...prev, [type]: list }));
+  // Adding replaces an entry with the same id, which a sync may already have brought in
+  const addResource = (type: ResourceTypeId, resource: Resource) =>
+    setResources(prev => ({ ...prev, [type]: [...(prev[type] ?? []).filter(r => r.id !== resource.id), resource] }));
+  const deleteResource = (type: ResourceTypeId, id: string) =>
+    setResources(prev => ({ ...prev, [type]: (prev[type] ?? []).filter(r => r.id !== id) }));
+  const resourcesOf = (type: ResourceTypeId) => resources[type] ?? [];
 
   return (
     <DataContext.Provider
       value={{
         subjects,
-        notes,
-        practiceTests,
-        practicals,
-        assignments, // new
+        resources,
+        resourcesOf,
         isLoggedIn,
+        isCheckingAdmin,
         addSubject,
         updateSubject,
         deleteSubject,
-        addNote,
-        deleteNote,
-        addPracticeTest,
-        deletePracticeTest,
-        addPractical,
-        deletePractical,
-        addAssignment, // new
-        deleteAssignment, // new
-        updateNotes,
-        updatePracticeTests,
-        updatePracticals,
-        updateAssignments, // new
+        addResource,
+        deleteResource,
+        updateResources,
         login,
         logout,
-        syncWithServer
+        syncWithServer,
+        newMaterial,
+        dismissNewMaterial
       }}
     >
       {children}
@@ -0,0 +1,116 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { supabase, LibraryItem } from '../lib/supabaseClient';
+import { useAuth } from './AuthContext';
+import { fileKey } from '../lib/resourceLinks';
+import { LibraryContext, LibraryFile } from '../hooks/useLibrary';
+
+// The database trigger keeps the same number of 'viewed' rows per user
+const RECENT_LIMIT = 20;
+
+const rowFor = (userId: string, file: LibraryFile, kind: LibraryItem['kind']) => ({
+  user_id: userId,
+  kind,
+  resource_key: fileKey(file),
+  resource_type: file.type,
+  subject: file.subject,
+  unit: file.unit || '',
+  stored_file_name: file.storedFileName,
+  title: file.title
+});
+
+const byNewest = (field: 'created_at' | 'opened_at') => (a: LibraryItem, b: LibraryItem) =>
+  b[field].localeCompare(a[field]);
+
+export const LibraryProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+  const { user } = useAuth();
+  const [items, setItems] = useState<LibraryItem[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  const userId = user?.id;
+  useEffect(() => {
+    setItems([]);
+    if (!userId) return;
+
+    let cancelled = false;
+    setLoading(true);
+    supabase
+      .from('library_items')
+      .select('*')
+      .eq('user_id', userId)
+      .then(({ data, error }) => {
+        if (cancelled) return;
+        if (error) console.error('Error loading library:', error);
+        setItems((data as LibraryItem[] | null) ?? []);
+        setLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  const bookmarks = items.filter(item => item.kind === 'bookmark').sort(byNewest('created_at'));
+  const recentlyViewed = items.filter(item => item.kind === 'viewed').sort(byNewest('opened_at')).slice(0, RECENT_LIMIT);
+
+  const isBookmarked = (file: LibraryFile) => {
+    const key = fileKey(file);
+    return bookmarks.some(item => item.resource_key === key);
+  };
+
+  const toggleBookmark = async (file: LibraryFile) => {
+    if (!userId) return;
+    const key = fileKey(file);
+
+    if (isBookmarked(file)) {
+      const { error } = await supabase
+        .from('library_items')
+        .delete()
+        .eq('user_id', userId)
+        .eq('kind', 'bookmark')
+        .eq('resource_key', key);
+      if (error) throw error;
+      setItems(prev => prev.filter(item => !(item.kind === 'bookmark' && item.resource_key === key)));
+      return;
+    }
+
+    const { data, error } = await supabase
+      .from('library_items')
+      .upsert(rowFor(userId, file, 'bookmark'), { onConflict: 'user_id,kind,resource_key' })
+      .select()
+      .single();
+    if (error) throw error;
+    setItems(prev => [...prev.filter(item => !(item.kind === 'bookmark' && item.resource_key === key)), data as LibraryItem]);
+  };
+
+  // Fire and forget: a failed history write shouldn't get in the way of reading
+  const recordView = useCallback((file: LibraryFile) => {
+    if (!userId) return;
+    const key = fileKey(file);
+    const row = { ...rowFor(userId, file, 'viewed'), opened_at: new Date().toISOString() };
+
+    supabase
+      .from('library_items')
+      .upsert(row, { onConflict: 'user_id,kind,resource_key' })
+      .select()
+      .single()
+      .then(({ data, error }) => {
+        if (error) {
+          console.error('Error saving recently viewed:', error);
+          return;
+        }
+        setItems(prev => [...prev.filter(item => !(item.kind === 'viewed' && item.resource_key === key)), data as LibraryItem]);
+      });
+  }, [userId]);
+
+  return (
+    <LibraryContext.Provider
+      value={{
+        bookmarks,
+        recentlyViewed,
+        loading,
+        isBookmarked,
+        toggleBookmark,
+        recordView
+      }}
+    >
+      {children}
+    </LibraryContext.Provider>
+  );
+};
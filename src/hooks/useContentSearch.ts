@@ -0,0 +1,51 @@
+import { useEffect, useMemo, useState } from 'react';
+import { fileStorageService, ContentSearchResult, StoredFile } from '../services/fileStorage';
+
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Queries the server's full-text index for `query` (already debounced by SortFilter).
+ * `hitsByFile` (keyed by stored file name, which is what DataContext items share
+ * with the catalog) lets pages keep their own title/description filtering and add
+ * resources whose file contents matched.
+ */
+export const useContentSearch = (
+  query: string,
+  options: { subject?: string; type?: StoredFile['type'] } = {}
+) => {
+  const { subject, type } = options;
+  const [results, setResults] = useState<ContentSearchResult[]>([]);
+  const [isSearching, setIsSearching] = useState(false);
+
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setIsSearching(false);
+      return;
+    }
+
+    // Ignore responses for queries the user has already typed past
+    let cancelled = false;
+    setIsSearching(true);
+    fileStorageService
+      .searchContent(trimmed, { subject, type, limit: 50 })
+      .then(found => {
+        if (!cancelled) setResults(found);
+      })
+      .finally(() => {
+        if (!cancelled) setIsSearching(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, subject, type]);
+
+  const hitsByFile = useMemo(
+    () => new Map(results.map(result => [result.storedFileName, result])),
+    [results]
+  );
+
+  return { results, hitsByFile, isSearching };
+};
@@ -0,0 +1,32 @@
+import { createContext, useContext } from 'react';
+import { LibraryItem } from '../lib/supabaseClient';
+
+// A server file as the library refers to it
+export interface LibraryFile {
+  type: string;
+  subject: string;
+  // '' or undefined for types without units
+  unit?: string;
+  storedFileName: string;
+  title: string;
+}
+
+export interface LibraryContextType {
+  // newest first
+  bookmarks: LibraryItem[];
+  // last opened first, at most RECENT_LIMIT (context/LibraryContext.tsx)
+  recentlyViewed: LibraryItem[];
+  loading: boolean;
+  isBookmarked: (file: LibraryFile) => boolean;
+  toggleBookmark: (file: LibraryFile) => Promise<void>;
+  recordView: (file: LibraryFile) => void;
+}
+
+// Provided by LibraryProvider (context/LibraryContext.tsx)
+export const LibraryContext = createContext<LibraryContextType | undefined>(undefined);
+
+export const useLibrary = () => {
+  const context = useContext(LibraryContext);
+  if (!context) throw new Error('useLibrary must be used within LibraryProvider');
+  return context;
+};
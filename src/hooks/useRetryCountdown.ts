@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+
+/** "4:05" for 245 seconds */
+export const formatCountdown = (seconds: number) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+/**
+ * Counts down after the server answered 429, so forms can keep their submit
+ * button disabled until Retry-After has passed. `start(seconds)` begins a wait;
+ * `secondsLeft` is 0 when the form may be sent again.
+ */
+export const useRetryCountdown = () => {
+  const [retryAt, setRetryAt] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (now >= retryAt) return;
+    const timer = setTimeout(() => setNow(Date.now()), 1000);
+    return () => clearTimeout(timer);
+  }, [now, retryAt]);
+
+  const start = (seconds: number) => {
+    const current = Date.now();
+    setNow(current);
+    setRetryAt(current + seconds * 1000);
+  };
+
+  return { secondsLeft: Math.max(0, Math.ceil((retryAt - now) / 1000)), start };
+};
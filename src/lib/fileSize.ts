@@ -0,0 +1,8 @@
+// "1.5 MB" style sizes for the UI, e.g. upload progress and offline storage
+export const formatFileSize = (bytes: number): string => {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return `${parseFloat((bytes / Math.pow(k, i)).toFixed(2))} ${sizes[i]}`;
+};
@@ -0,0 +1,30 @@
+// pdf.js is large, so it's only loaded the first time a PDF is opened
+import type { PDFDocumentLoadingTask } from 'pdfjs-dist';
+
+let pdfjs: Promise<typeof import('pdfjs-dist')> | null = null;
+
+const loadPdfjs = () => {
+  if (!pdfjs) {
+    pdfjs = Promise.all([import('pdfjs-dist'), import('pdfjs-dist/build/pdf.worker.min.mjs?url')])
+      .then(([lib, worker]) => {
+        lib.GlobalWorkerOptions.workerSrc = worker.default;
+        return lib;
+      })
+      .catch((error) => {
+        pdfjs = null;
+        throw error;
+      });
+  }
+  return pdfjs;
+};
+
+/**
+ * Opens a PDF for page-by-page viewing. The file server answers Range
+ * requests, so pdf.js fetches just the parts of the file the rendered pages
+ * need instead of downloading all of it first.
+ */
+export const openPdf = async (url: string): Promise<PDFDocumentLoadingTask> => {
+  const { getDocument } = await loadPdfjs();
+  // Streaming and auto-fetch would both keep pulling the rest of the file in the background
+  return getDocument({ url, disableStream: true, disableAutoFetch: true });
+};
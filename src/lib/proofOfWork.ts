@@ -0,0 +1,31 @@
+// Solves the server's proof-of-work challenges (see server/proofOfWork.js): find a
+// number whose SHA-256 with the challenge starts with `difficulty` zero bits.
+// SHA-256 is done in plain JS because crypto.subtle is missing on plain-http
+// origins (e.g. the dev server opened over the LAN) and is slow one hash at a time.
+import { Sha256 } from './sha256';
+
+const sha256 = (bytes: Uint8Array) => new Sha256().update(bytes).digest();
+
+const leadingZeroBits = (words: Uint32Array) => {
+  let bits = 0;
+  for (const word of words) {
+    if (word !== 0) return bits + Math.clz32(word);
+    bits += 32;
+  }
+  return bits;
+};
+
+// Tries this many numbers between breaks, so the page stays responsive while solving
+const BATCH_SIZE = 5000;
+
+export const solveChallenge = async (challenge: string, difficulty: number): Promise<string> => {
+  const encoder = new TextEncoder();
+  for (let solution = 0; ; solution++) {
+    if (leadingZeroBits(sha256(encoder.encode(`${challenge}:${solution}`))) >= difficulty) {
+      return String(solution);
+    }
+    if (solution % BATCH_SIZE === BATCH_SIZE - 1) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+};
@@ -0,0 +1,15 @@
+import { getResourceType, SUBJECT_TYPES } from './resourceTypes';
+
+// Where each kind of resource is browsed
+export const resourceLink = (type: string, subject: string) => {
+  const resourceType = getResourceType(type);
+  if (resourceType?.ownPage) return `/${resourceType.id}`;
+  // The subject page opens on its first tab
+  const tab = resourceType && resourceType !== SUBJECT_TYPES[0] ? `?tab=${encodeURIComponent(resourceType.id)}` : '';
+  return `/notes/${encodeURIComponent(subject)}${tab}`;
+};
+
+// Identifies a server file by where it is stored. Resource ids in the client's lists can be
+// regenerated by a full sync; this key stays the same (bookmarks, files saved for offline)
+export const fileKey = (file: { type: string; subject: string; unit?: string; storedFileName: string }) =>
+  [file.type, file.subject, file.unit || '', file.storedFileName].join('/');
@@ -0,0 +1,111 @@
+// The kinds of resources the library holds, from resourceTypes.json at the
+// project root (the server reads the same file). Pages, navigation and the
+// admin upload form are built from this list, so a new type only needs an
+// entry there. Every type also gets the file's "commonFields" (semester,
+// author, tags, ...) after its own fields.
+import {
+  BookOpen,
+  ClipboardCheck,
+  ClipboardList,
+  FileText,
+  FlaskConical,
+  GraduationCap,
+  ScrollText,
+  TestTube,
+  type LucideIcon
+} from 'lucide-react';
+import registry from '../../resourceTypes.json';
+
+export type ResourceTypeId = string;
+
+// Values of a resource's extra fields, by field name (tags are a list)
+export type ResourceMetadata = Record<string, string | number | string[]>;
+
+export interface MetadataField {
+  name: string;
+  label: string;
+  /** Shorter label for filter chips, e.g. "Sem" for "Sem 2" */
+  short?: string;
+  type: 'text' | 'number' | 'select' | 'tags';
+  options?: string[];
+  required?: boolean;
+  min?: number;
+  max?: number;
+  /** Offered as a filter on the type's page (and by GET /api/resources) */
+  filter?: boolean;
+}
+
+export interface ResourceType {
+  id: ResourceTypeId;
+  label: string;
+  singular: string;
+  folder: string;
+  backupKey: string;
+  /** Files are filed under one of the subject's units */
+  hasUnits: boolean;
+  /** Browsed on its own page at /<id>; otherwise as a tab of the subject page */
+  ownPage: boolean;
+  icon: string;
+  /** Tailwind gradient stops, e.g. "from-blue-500 to-purple-600" */
+  color: string;
+  description: string;
+  infoTitle?: string;
+  infoText?: string;
+  fields: MetadataField[];
+}
+
+const { commonFields, types } = registry as { commonFields: MetadataField[]; types: ResourceType[] };
+
+export const RESOURCE_TYPES: ResourceType[] = types.map(type => ({
+  ...type,
+  fields: [...type.fields, ...commonFields.filter(common => !type.fields.some(field => field.name === common.name))]
+}));
+
+// Icons an entry can name in "icon"; anything else shows as FileText
+const ICONS: Record<string, LucideIcon> = {
+  BookOpen,
+  ClipboardCheck,
+  ClipboardList,
+  FileText,
+  FlaskConical,
+  GraduationCap,
+  ScrollText,
+  TestTube
+};
+
+export const getResourceType = (id: ResourceTypeId): ResourceType | undefined =>
+  RESOURCE_TYPES.find(type => type.id === id);
+
+export const resourceTypeIcon = (type: ResourceType): LucideIcon => ICONS[type.icon] ?? FileText;
+
+// "Practice Test" for a single item of the type, e.g. next to a search hit or in the trash
+export const resourceTypeLabel = (id: ResourceTypeId) => getResourceType(id)?.singular ?? id;
+
+// Types with a page of their own, and the ones shown as tabs of a subject
+export const PAGE_TYPES = RESOURCE_TYPES.filter(type => type.ownPage);
+export const SUBJECT_TYPES = RESOURCE_TYPES.filter(type => !type.ownPage);
+
+// A field's values on one resource as strings: [] when unset, one per tag for tags
+export const metadataValues = (metadata: ResourceMetadata | undefined, name: string): string[] => {
+  const value = metadata?.[name];
+  if (value === undefined || value === '') return [];
+  return Array.isArray(value) ? value : [String(value)];
+};
+
+/** Selected value per field name in a listing's filters, e.g. { semester: '2', language: 'Hindi' } */
+export type FacetSelection = Record<string, string>;
+
+// Whether a resource has every selected value (`skip` leaves one field out, for counting its own options)
+export const matchesFacets = (item: { metadata?: ResourceMetadata }, selected: FacetSelection, skip?: string) =>
+  Object.entries(selected).every(([name, value]) => name === skip || metadataValues(item.metadata, name).includes(value));
+
+/** "Sem 2", "Hindi" — how one value of a field reads as a filter chip */
+export const formatFieldValue = (field: MetadataField, value: string) =>
+  field.type === 'number' ? `${field.short ?? field.label} ${value}` : value;
+
+/** "Year: 2023 · Tags: viva, unit 1" — a resource's extra fields in the order its type lists them */
+export const describeMetadata = (id: ResourceTypeId, metadata?: ResourceMetadata) =>
+  (getResourceType(id)?.fields ?? [])
+    .filter(field => metadataValues(metadata, field.name).length > 0)
+    .map(field => `${field.label}: ${metadataValues(metadata, field.name).join(', ')}`)
+    .join(' · ');
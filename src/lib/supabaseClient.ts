@@ -19,6 +19,7 @@ export interface Profile {
   id: string;
   email: string;
   full_name: string;
+  is_admin?: boolean;
   created_at: string;
   updated_at: string;
 }
@@ -45,3 +46,17 @@ export interface ChatMessage {
   }>;
   created_at: string;
 }
+
+export interface LibraryItem {
+  id: string;
+  user_id: string;
+  kind: 'bookmark' | 'viewed';
+  resource_key: string;
+  resource_type: string;
+  subject: string;
+  unit: string;
+  stored_file_name: string;
+  title: string;
+  created_at: string;
+  opened_at: string;
+}
@@ -1,62 +1,69 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Upload, FolderPlus, Server, HardDrive, FileText, Trash2, Plus, CreditCard as Edit, Save, X, LogOut, BookOpen, Users, TestTube } from 'lucide-react';
-import { useData, Note, PracticeTest, Practical, Subject, Assignment } from '../context/DataContext';
-import { fileStorageService, FileUploadData } from '../services/fileStorage';
+import { Upload, FolderPlus, Server, HardDrive, Trash2, Plus, CreditCard as Edit, Save, X, LogOut, BookOpen, FileArchive, History, Mail, BarChart3 } from 'lucide-react';
+import { useData, Resource, Subject } from '../context/DataContext';
+import { RESOURCE_TYPES, ResourceMetadata, describeMetadata, getResourceType, resourceTypeIcon } from '../lib/resourceTypes';
+import ResourceVersions from '../components/ResourceVersions';
+import TrashBin from '../components/TrashBin';
+import ActivityLog from '../components/ActivityLog';
+import MailOutbox from '../components/MailOutbox';
+import AnalyticsDashboard from '../components/AnalyticsDashboard';
+import { formatFileSize } from '../lib/fileSize';
+import MoveResource from '../components/MoveResource';
+import { fileStorageService, FileUploadData, ZipImportResult, DuplicateUploadError, DuplicateUploadOptions, StoredFile, UploadProgress } from '../services/fileStorage';
 
 const AdminPanel: React.FC = () => {
   const {
     isLoggedIn,
+    isCheckingAdmin,
     logout,
     subjects = [],
-    notes = [],
-    practiceTests = [],
-    practicals = [],
-    assignments = [], // new
+    resources,
+    resourcesOf,
     addSubject,
     updateSubject,
     deleteSubject,
-    addNote,
-    deleteNote,
-    addPracticeTest,
-    deletePracticeTest,
-    addPractical,
-    deletePractical,
-    addAssignment, // new
-    deleteAssignment, // new
-    updateNotes,
-    updatePracticeTests,
-    updatePracticals,
-    updateAssignments, // new
+    addResource,
+    deleteResource,
+    updateResources,
     syncWithServer
   } = useData();
   const navigate = useNavigate();
 
-  const [activeTab, setActiveTab] = useState<'subjects' | 'notes' | 'practice-tests' | 'practicals' | 'assignments'>('subjects'); // added assignments
+  // 'subjects', 'trash', 'activity', 'email' or a resource type id
+  const [activeTab, setActiveTab] = useState<string>('subjects');
+  const activeType = getResourceType(activeTab);
   const [isAddingSubject, setIsAddingSubject] = useState(false);
   const [editingSubject, setEditingSubject] = useState<string | null>(null);
+  // Server-side name of each unit row in the edit form (null for units added while editing)
+  const [editingUnits, setEditingUnits] = useState<(string | null)[]>([]);
   const [newSubject, setNewSubject] = useState<{ name: string; units: string[] }>({
     name: '',
     units: ['Unit 1', 'Unit 2', 'Unit 3', 'Unit 4', 'Unit 5']
   });
   const [uploadForm, setUploadForm] = useState<{
-    type: 'notes' | 'practice-tests' | 'practicals' | 'assignments';
     title: string;
     description: string;
     subject: string;
     unit: string;
+    metadata: ResourceMetadata;
     file: File | null;
   }>({
-    type: 'notes',
     title: '',
     description: '',
     subject: '',
     unit: '',
+    metadata: {},
     file: null
   });
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [uploadedBytes, setUploadedBytes] = useState({ loaded: 0, total: 0 });
   const [isUploading, setIsUploading] = useState(false);
   const [serverStatus, setServerStatus] = useState<'checking' | 'online' | 'offline'>('checking');
+  const [importArchive, setImportArchive] = useState<File | null>(null);
+  const [importProgress, setImportProgress] = useState(0);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importResult, setImportResult] = useState<ZipImportResult | null>(null);
 
   // Check server status on component mount
   useEffect(() => {
@@ -84,17 +91,17 @@ const AdminPanel: React.FC = () => {
   };
 
   useEffect(() => {
-    if (!isLoggedIn) {
+    if (!isCheckingAdmin && !isLoggedIn) {
       navigate('/admin-login');
     }
-  }, [isLoggedIn, navigate]);
+  }, [isCheckingAdmin, isLoggedIn, navigate]);
 
   useEffect(() => {
     console.log('AdminPanel rendered with subjects:', subjects);
   }, [subjects]);
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/');
   };
 
@@ -103,12 +110,45 @@ const AdminPanel: React.FC = () => {
     setUploadForm(prev => ({ ...prev, file }));
   };
 
-  const formatFileSize = (bytes: number): string => {
-    if (!bytes) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return `${parseFloat((bytes / Math.pow(k, i)).toFixed(2))} ${sizes[i]}`;
+  // Bulk import of a ZIP laid out like the storage folder; the server creates missing subjects/units
+  const handleZipImport = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!importArchive) {
+      alert('Please select a ZIP file to import');
+      return;
+    }
+
+    setIsImporting(true);
+    setImportProgress(0);
+    setImportResult(null);
+
+    try {
+      const result = await fileStorageService.importZip(importArchive, (progress) => {
+        setImportProgress(progress.percent);
+      });
+      setImportResult(result);
+      setImportArchive(null);
+      await syncWithServer();
+    } catch (error) {
+      console.error('ZIP import failed:', error);
+      alert(`Import failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // Asks what to do with a file that is already in the subject; null cancels the upload
+  const chooseDuplicateAction = (duplicates: StoredFile[]): DuplicateUploadOptions | null => {
+    const where = (file: StoredFile) => `"${file.title}" (${file.type}${file.unit ? ` / ${file.unit}` : ''})`;
+    const existing = duplicates.map(where).join('\n');
+
+    if (window.confirm(`This file is already uploaded in ${duplicates[0]?.subject}:\n${existing}\n\nPress OK to link the existing file here instead of uploading a second copy.`)) {
+      return { onDuplicate: 'link', linkTo: duplicates[0]?.id };
+    }
+    if (window.confirm('Upload a second copy anyway?')) {
+      return { onDuplicate: 'allow' };
+    }
+    return null;
   };
 
   const handleFileUpload = async (e: React.FormEvent) => {
@@ -126,9 +166,11 @@ const AdminPanel: React.FC = () => {
       return;
     }
 
-    // For notes, unit is required
-    if (activeTab === 'notes' && !uploadForm.unit?.trim()) {
-      alert('Please select a unit for notes');
+    if (!activeType) return;
+
+    // Types filed by unit (notes) need one
+    if (activeType.hasUnits && !uploadForm.unit?.trim()) {
+      alert(`Please select a unit for ${activeType.label.toLowerCase()}`);
       return;
     }
 
@@ -140,28 +182,16 @@ const AdminPanel: React.FC = () => {
     setIsUploading(true);
     setUploadProgress(0);
 
-    const currentType = (activeTab === 'notes' || activeTab === 'practice-tests' || activeTab === 'practicals' || activeTab === 'assignments')
-      ? activeTab
-      : uploadForm.type;
+    const currentType = activeType.id;
 
     try {
-      // Simulate upload progress
-      const progressInterval = setInterval(() => {
-        setUploadProgress(prev => {
-          if (prev >= 90) {
-            clearInterval(progressInterval);
-            return 90;
-          }
-          return prev + 10;
-        });
-      }, 500);
-
       const uploadData: FileUploadData = {
         title: uploadForm.title.trim(),
         description: uploadForm.description.trim(),
         subject: uploadForm.subject.trim(),
-        unit: uploadForm.unit?.trim() || '',
-        type: currentType as 'notes' | 'practice-tests' | 'practicals' | 'assignments',
+        unit: activeType.hasUnits ? uploadForm.unit.trim() : '',
+        type: currentType,
+        metadata: uploadForm.metadata,
         file: uploadForm.file
       };
 
@@ -173,63 +203,54 @@ const AdminPanel: React.FC = () => {
         fileName: uploadData.file.name,
         fileSize: uploadData.file.size
       });
-      const storedFile = await fileStorageService.uploadFile(uploadData);
+      const onProgress = ({ loaded, total, percent }: UploadProgress) => {
+        setUploadProgress(percent);
+        setUploadedBytes({ loaded, total });
+      };
+
+      let storedFile: StoredFile | null;
+      try {
+        storedFile = await fileStorageService.uploadFile(uploadData, onProgress);
+      } catch (error) {
+        if (!(error instanceof DuplicateUploadError)) throw error;
+
+        const choice = chooseDuplicateAction(error.duplicates);
+        if (!choice) {
+          setUploadProgress(0);
+          setIsUploading(false);
+          return;
+        }
+        storedFile = await fileStorageService.uploadFile(uploadData, onProgress, choice);
+      }
       
-      clearInterval(progressInterval);
       setUploadProgress(100);
 
       if (storedFile) {
-        // Generate consistent unique ID
-        const timestamp = Date.now();
-        const uniqueId = currentType === 'notes' 
-          ? `note-${storedFile.subject}-${storedFile.unit || ''}-${storedFile.storedFileName}-${timestamp}`
-          : currentType === 'practice-tests'
-          ? `test-${storedFile.subject}-${storedFile.storedFileName}-${timestamp}`
-          : currentType === 'practicals'
-          ? `practical-${storedFile.subject}-${storedFile.storedFileName}-${timestamp}`
-          : `assignment-${storedFile.subject}-${storedFile.storedFileName}-${timestamp}`; // assignments id
-        
-        const baseItem = {
-          id: uniqueId,
+        // Same id the change feed uses, so the next sync updates this entry instead of adding another
+        addResource(currentType, {
+          id: storedFile.id,
+          resourceId: storedFile.id,
           title: storedFile.title,
           description: storedFile.description,
           fileName: storedFile.fileName,
           fileSize: storedFile.fileSize,
           uploadDate: storedFile.uploadDate,
+          subject: storedFile.subject,
+          unit: storedFile.unit || '',
           type: storedFile.fileType,
           filePath: storedFile.filePath,
-          storedFileName: storedFile.storedFileName
-        };
-
-        if (currentType === 'notes') {
-          const note: Note = {
-            ...baseItem,
-            subject: storedFile.subject,
-            unit: storedFile.unit || ''
-          } as Note;
-          addNote(note);
-        } else if (currentType === 'practice-tests') {
-          const test: PracticeTest = {
-            ...baseItem,
-            subject: storedFile.subject
-          } as PracticeTest;
-          addPracticeTest(test);
-        } else if (currentType === 'practicals') {
-          const practical: Practical = {
-            ...baseItem,
-            subject: storedFile.subject
-          } as Practical;
-          addPractical(practical);
-        } else if (currentType === 'assignments') {
-          const assignment: Assignment = {
-            ...baseItem,
-            subject: storedFile.subject
-          } as Assignment;
-          addAssignment(assignment);
-        }
+          storedFileName: storedFile.storedFileName,
+          metadata: storedFile.metadata
+        });
 
         // Show success message
-        alert('File uploaded successfully!');
+        if (storedFile.linked) {
+          alert('Linked to the existing copy of this file.');
+        } else if (storedFile.duplicateWarning) {
+          alert(`File uploaded successfully!\n\nNote: ${storedFile.duplicateWarning}`);
+        } else {
+          alert('File uploaded successfully!');
+        }
 
         // Success animation
         setTimeout(() => {
@@ -238,11 +259,11 @@ const AdminPanel: React.FC = () => {
           
           // Reset form
           setUploadForm({
-            type: currentType as 'notes' | 'practice-tests' | 'practicals' | 'assignments',
             title: '',
             description: '',
             subject: '',
             unit: '',
+            metadata: {},
             file: null
           });
           
@@ -272,7 +293,7 @@ const AdminPanel: React.FC = () => {
         });
       }
       
-      alert(`Upload failed: ${errorMessage}\n\nPlease check the console for more details and ensure the server is running.`);
+      alert(`Upload failed: ${errorMessage}\n\nPlease check the console for more details and ensure the server is running. Uploading the same file again will resume where it stopped.`);
       
       setUploadProgress(0);
       setIsUploading(false);
@@ -295,51 +316,86 @@ const AdminPanel: React.FC = () => {
 
   const handleEditSubject = (subject: Subject) => {
     console.log('Edit button clicked for subject:', getSubjectName(subject), 'ID:', subject.id);
+    const units = (subject.units ?? []).map(unit => typeof unit === 'object' ? unit.name || '' : unit);
     setEditingSubject(subject.id);
+    setEditingUnits(units);
     setNewSubject({ 
       name: subject.name, 
-      units: (subject.units ?? []).map(unit => typeof unit === 'object' ? unit.name || '' : unit)
+      units
     });
   };
 
-  const handleUpdateSubject = () => {
-    if (editingSubject && newSubject.name.trim()) {
-      const oldSubject = subjects.find(s => s.id === editingSubject);
-      const newSubjectName = newSubject.name.trim();
+  // Renames and unit changes happen on the server first, so storage/ and the catalog follow the edit
+  const handleUpdateSubject = async () => {
+    if (!editingSubject || !newSubject.name.trim()) {
+      alert('Subject name cannot be empty');
+      return;
+    }
 
-      updateSubject(editingSubject, {
-        id: editingSubject,
-        name: newSubjectName,
-        units: newSubject.units?.filter(unit => unit.trim()) ?? []
-      } as Subject);
+    const oldSubject = subjects.find(s => s.id === editingSubject);
+    const newSubjectName = newSubject.name.trim();
+    const unitRows = newSubject.units
+      .map((unit, index) => ({ name: unit.trim(), original: editingUnits[index] ?? null }))
+      .filter(row => row.name);
+    const renamedUnits = unitRows.filter(row => row.original && row.original !== row.name);
+    const addedUnits = unitRows.filter(row => !row.original).map(row => row.name);
+    const removedUnits = (oldSubject?.units ?? [])
+      .filter(unit => !unitRows.some(row => row.original === unit));
+
+    const inRemovedUnits = (item: Resource) => item.subject === oldSubject?.name && removedUnits.includes(item.unit);
+    const trashedCount = Object.values(resources).flat().filter(inRemovedUnits).length;
+    if (
+      trashedCount > 0 &&
+      !window.confirm(`Removing ${removedUnits.join(', ')} moves ${trashedCount} files to the Trash. Continue?`)
+    ) {
+      return;
+    }
 
-      if (oldSubject && oldSubject.name !== newSubjectName) {
-        const updatedNotes = notes.map(note =>
-          note.subject === oldSubject.name ? { ...note, subject: newSubjectName } : note
-        );
-        updateNotes(updatedNotes);
-
-        const updatedTests = practiceTests.map(test =>
-          test.subject === oldSubject.name ? { ...test, subject: newSubjectName } : test
-        );
-        updatePracticeTests(updatedTests);
-
-        const updatedPracticals = practicals.map(practical =>
-          practical.subject === oldSubject.name ? { ...practical, subject: newSubjectName } : practical
-        );
-        updatePracticals(updatedPracticals);
-
-        const updatedAssignments = assignments.map(assign =>
-          assign.subject === oldSubject.name ? { ...assign, subject: newSubjectName } : assign
-        );
-        updateAssignments(updatedAssignments);
+    if (oldSubject) {
+      try {
+        if (oldSubject.name !== newSubjectName) {
+          await fileStorageService.renameSubject(oldSubject.name, newSubjectName);
+        }
+        for (const unit of removedUnits) {
+          await fileStorageService.deleteUnit(newSubjectName, unit);
+        }
+        for (const row of renamedUnits) {
+          await fileStorageService.renameUnit(newSubjectName, row.original as string, row.name);
+        }
+        for (const unit of addedUnits) {
+          await fileStorageService.addUnit(newSubjectName, unit);
+        }
+      } catch (error) {
+        console.error('Failed to update subject on the server:', error);
+        alert(`Failed to update subject: ${error instanceof Error ? error.message : String(error)}`);
+        return;
       }
+    }
 
-      setEditingSubject(null);
-      setNewSubject({ name: '', units: ['Unit 1', 'Unit 2', 'Unit 3', 'Unit 4', 'Unit 5'] });
-    } else {
-      alert('Subject name cannot be empty');
+    updateSubject(editingSubject, {
+      id: editingSubject,
+      name: newSubjectName,
+      units: unitRows.map(row => row.name)
+    } as Subject);
+
+    if (oldSubject) {
+      const unitName = (unit: string) => renamedUnits.find(row => row.original === unit)?.name ?? unit;
+
+      RESOURCE_TYPES.forEach(type => updateResources(type.id, resourcesOf(type.id)
+        .filter(item => !inRemovedUnits(item))
+        .map(item => (item.subject === oldSubject.name ? { ...item, subject: newSubjectName, unit: unitName(item.unit) } : item))));
     }
+
+    setEditingSubject(null);
+    setEditingUnits([]);
+    setNewSubject({ name: '', units: ['Unit 1', 'Unit 2', 'Unit 3', 'Unit 4', 'Unit 5'] });
+  };
+
+  // Keeps the local lists in step after MoveResource moved a file on the server
+  const handleResourceMoved = (itemId: string, file: StoredFile) => {
+    if (!activeType) return;
+    updateResources(activeType.id, resourcesOf(activeType.id).map(item =>
+      (item.id === itemId ? { ...item, subject: file.subject, unit: file.unit || '' } : item)));
   };
 
   // Helper function to extract unit name from unit object or string
@@ -368,7 +424,7 @@ const AdminPanel: React.FC = () => {
         <div className="flex items-center justify-between mb-8 slide-up enhanced-shadow glass-effect p-6 rounded-2xl">
           <div>
             <h1 className="text-3xl md:text-4xl font-bold text-gradient neon-glow enhanced-text">Admin Panel</h1>
-            <p className="enhanced-text opacity-80">Manage subjects, notes, practice tests, practicals and assignments</p>
+            <p className="enhanced-text opacity-80">Manage subjects and {RESOURCE_TYPES.map(type => type.label.toLowerCase()).join(', ')}</p>
             
             {/* Server Status */}
             <div className="flex items-center space-x-2 mt-2">
@@ -414,63 +470,76 @@ const AdminPanel: React.FC = () => {
             <BookOpen className="h-4 w-4" />
             <span>Subjects</span>
           </button>
+          {RESOURCE_TYPES.map(type => {
+            const Icon = resourceTypeIcon(type);
+            return (
+              <button
+                key={type.id}
+                onClick={() => {
+                  console.log(`Switching to ${type.id} tab`);
+                  setActiveTab(type.id);
+                }}
+                className={`flex-1 flex items-center justify-center space-x-2 px-4 py-3 rounded-lg font-bold transition-all duration-300 ${
+                  activeTab === type.id
+                    ? `bg-gradient-to-r ${type.color} text-white neon-glow enhanced-shadow`
+                    : 'bg-high-contrast enhanced-text hover-scale'
+                }`}
+              >
+                <Icon className="h-4 w-4" />
+                <span>{type.label}</span>
+              </button>
+            );
+          })}
+
           <button
             onClick={() => {
-              console.log('Switching to notes tab');
-              setActiveTab('notes');
+              console.log('Switching to trash tab');
+              setActiveTab('trash');
             }}
             className={`flex-1 flex items-center justify-center space-x-2 px-4 py-3 rounded-lg font-bold transition-all duration-300 ${
-              activeTab === 'notes'
-                ? 'bg-gradient-to-r from-green-500 to-emerald-600 text-white neon-glow enhanced-shadow'
+              activeTab === 'trash'
+                ? 'bg-gradient-to-r from-gray-500 to-slate-600 text-white neon-glow enhanced-shadow'
                 : 'bg-high-contrast enhanced-text hover-scale'
             }`}
           >
-            <FileText className="h-4 w-4" />
-            <span>Notes</span>
+            <Trash2 className="h-4 w-4" />
+            <span>Trash</span>
           </button>
+
           <button
-            onClick={() => {
-              console.log('Switching to practice-tests tab');
-              setActiveTab('practice-tests');
-            }}
+            onClick={() => setActiveTab('activity')}
             className={`flex-1 flex items-center justify-center space-x-2 px-4 py-3 rounded-lg font-bold transition-all duration-300 ${
-              activeTab === 'practice-tests'
-                ? 'bg-gradient-to-r from-purple-500 to-indigo-600 text-white neon-glow enhanced-shadow'
+              activeTab === 'activity'
+                ? 'bg-gradient-to-r from-indigo-500 to-blue-600 text-white neon-glow enhanced-shadow'
                 : 'bg-high-contrast enhanced-text hover-scale'
             }`}
           >
-            <Users className="h-4 w-4" />
-            <span>Practice Tests</span>
+            <History className="h-4 w-4" />
+            <span>Activity</span>
           </button>
+
           <button
-            onClick={() => {
-              console.log('Switching to practicals tab');
-              setActiveTab('practicals');
-            }}
+            onClick={() => setActiveTab('email')}
             className={`flex-1 flex items-center justify-center space-x-2 px-4 py-3 rounded-lg font-bold transition-all duration-300 ${
-              activeTab === 'practicals'
-                ? 'bg-gradient-to-r from-orange-500 to-red-600 text-white neon-glow enhanced-shadow'
+              activeTab === 'email'
+                ? 'bg-gradient-to-r from-sky-500 to-cyan-600 text-white neon-glow enhanced-shadow'
                 : 'bg-high-contrast enhanced-text hover-scale'
             }`}
           >
-            <TestTube className="h-4 w-4" />
-            <span>Practicals</span>
+            <Mail className="h-4 w-4" />
+            <span>Email</span>
           </button>
 
-          {/* <- NEW: Assignments Tab */}
           <button
-            onClick={() => {
-              console.log('Switching to assignments tab');
-              setActiveTab('assignments');
-            }}
+            onClick={() => setActiveTab('analytics')}
             className={`flex-1 flex items-center justify-center space-x-2 px-4 py-3 rounded-lg font-bold transition-all duration-300 ${
-              activeTab === 'assignments'
-                ? 'bg-gradient-to-r from-teal-500 to-green-600 text-white neon-glow enhanced-shadow'
+              activeTab === 'analytics'
+                ? 'bg-gradient-to-r from-fuchsia-500 to-purple-600 text-white neon-glow enhanced-shadow'
                 : 'bg-high-contrast enhanced-text hover-scale'
             }`}
           >
-            <Users className="h-4 w-4" />
-            <span>Assignments</span>
+            <BarChart3 className="h-4 w-4" />
+            <span>Analytics</span>
           </button>
         </div>
 
@@ -506,10 +575,13 @@ const AdminPanel: React.FC = () => {
                       />
                       <button
                         type="button"
-                        onClick={() => setNewSubject(prev => ({
-                          ...prev,
-                          units: prev.units.filter((_, i) => i !== index)
-                        }))}
+                        onClick={() => {
+                          setNewSubject(prev => ({
+                            ...prev,
+                            units: prev.units.filter((_, i) => i !== index)
+                          }));
+                          setEditingUnits(prev => prev.filter((_, i) => i !== index));
+                        }}
                         className="px-3 py-2 bg-red-500 text-white rounded-lg hover-scale"
                       >
                         <X className="h-4 w-4" />
@@ -518,7 +590,10 @@ const AdminPanel: React.FC = () => {
                   ))}
                   <button
                     type="button"
-                    onClick={() => setNewSubject(prev => ({ ...prev, units: [...prev.units, `Unit ${prev.units.length + 1}`] }))}
+                    onClick={() => {
+                      setNewSubject(prev => ({ ...prev, units: [...prev.units, `Unit ${prev.units.length + 1}`] }));
+                      setEditingUnits(prev => [...prev, null]);
+                    }}
                     className="flex items-center space-x-2 px-4 py-2 bg-blue-500 text-white rounded-lg hover-scale"
                   >
                     <Plus className="h-4 w-4" />
@@ -537,6 +612,7 @@ const AdminPanel: React.FC = () => {
                     type="button"
                     onClick={() => {
                       setEditingSubject(null);
+                      setEditingUnits([]);
                       setNewSubject({ name: '', units: ['Unit 1', 'Unit 2', 'Unit 3', 'Unit 4', 'Unit 5'] });
                     }}
                     className="ml-4 px-6 py-3 bg-gray-500 text-white rounded-lg hover-scale"
@@ -547,6 +623,79 @@ const AdminPanel: React.FC = () => {
               </div>
             </div>
 
+            {/* Bulk ZIP Import */}
+            <div className="glass-effect p-6 rounded-2xl enhanced-shadow">
+              <h3 className="text-xl font-semibold mb-2 enhanced-text neon-glow">Bulk Import (ZIP)</h3>
+              <p className="text-sm enhanced-text opacity-80 mb-4">
+                Folder layout:{' '}
+                {RESOURCE_TYPES.map((type, index) => (
+                  <React.Fragment key={type.id}>
+                    {index > 0 && ', '}
+                    <code>Subject/{type.folder}/{type.hasUnits ? 'Unit 1/' : ''}*.pdf</code>
+                  </React.Fragment>
+                ))}
+                . Add an optional <code>manifest.csv</code> (path,title,description) at the root for titles; otherwise the file name is used.
+                Extra columns named after a type's fields (e.g. <code>year</code>, <code>semester</code>) fill in its details.
+              </p>
+              <form onSubmit={handleZipImport} className="space-y-4">
+                <input
+                  type="file"
+                  accept=".zip,application/zip"
+                  onChange={(e) => setImportArchive(e.target.files?.[0] ?? null)}
+                  className="w-full px-4 py-3 bg-high-contrast rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none enhanced-text"
+                  disabled={isImporting}
+                />
+                {isImporting && (
+                  <div>
+                    <div className="flex items-center justify-between mb-2 text-sm font-bold enhanced-text">
+                      <span>{importProgress < 100 ? 'Uploading archive...' : 'Importing files...'}</span>
+                      <span>{importProgress}%</span>
+                    </div>
+                    <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-3 overflow-hidden">
+                      <div
+                        className="progress-bar h-full rounded-full transition-all duration-300"
+                        style={{ width: `${importProgress}%` }}
+                      />
+                    </div>
+                  </div>
+                )}
+                <button
+                  type="submit"
+                  disabled={isImporting || !importArchive}
+                  className="flex items-center space-x-2 px-6 py-3 bg-gradient-to-r from-blue-500 to-cyan-600 text-white rounded-lg hover-scale font-bold shimmer-effect disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <FileArchive className="h-4 w-4" />
+                  <span>{isImporting ? 'Importing...' : 'Import ZIP'}</span>
+                </button>
+              </form>
+
+              {importResult && (
+                <div className="mt-4 space-y-2">
+                  <p className="text-sm font-bold enhanced-text">
+                    Imported {importResult.summary.imported}, skipped {importResult.summary.skipped}, rejected {importResult.summary.rejected}
+                  </p>
+                  <div className="max-h-64 overflow-y-auto text-sm">
+                    {importResult.report.map((item) => (
+                      <div key={item.path} className="flex items-start justify-between gap-4 py-1 border-b border-gray-200 dark:border-gray-700">
+                        <span className="enhanced-text break-all">{item.path}</span>
+                        <span
+                          className={`shrink-0 font-bold ${
+                            item.status === 'imported'
+                              ? 'text-green-600'
+                              : item.status === 'skipped'
+                                ? 'text-yellow-600'
+                                : 'text-red-600'
+                          }`}
+                        >
+                          {item.status}{item.reason ? `: ${item.reason}` : ''}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+
             {/* Subjects List */}
             <div className="glass-effect p-6 rounded-2xl enhanced-shadow">
               <h3 className="text-xl font-semibold mb-4 enhanced-text neon-glow">Subjects</h3>
@@ -579,12 +728,12 @@ const AdminPanel: React.FC = () => {
                         <button
   onClick={async () => {
     console.log(`Delete button clicked for subject: ${getSubjectName(subject)} (ID: ${subject.id})`);
-    if (window.confirm(`Are you sure you want to delete ${getSubjectName(subject)}? This will delete all associated notes, practice tests, practicals, and assignments.`)) {
+    if (window.confirm(`Are you sure you want to delete ${getSubjectName(subject)}? Its notes, practice tests, practicals, and assignments move to the Trash, where they can be restored.`)) {
       try {
         await deleteSubject(subject.id);   // 👈 THIS LINE CALLS deleteSubject
         console.log(`Successfully deleted subject: ${getSubjectName(subject)}`);
         await syncWithServer();
-        alert('Subject deleted successfully!');
+        alert('Subject moved to the Trash.');
       } catch (error) {
         console.error('Failed to delete subject:', {
           subject: getSubjectName(subject),
@@ -612,13 +761,25 @@ const AdminPanel: React.FC = () => {
           </div>
         )}
 
-        {/* File Upload Tabs (notes / practice-tests / practicals / assignments) */}
-        {(activeTab === 'notes' || activeTab === 'practice-tests' || activeTab === 'practicals' || activeTab === 'assignments') && (
+        {/* Trash Tab */}
+        {activeTab === 'trash' && <TrashBin onRestored={syncWithServer} />}
+
+        {/* Activity Tab */}
+        {activeTab === 'activity' && <ActivityLog />}
+
+        {/* Email Tab */}
+        {activeTab === 'email' && <MailOutbox />}
+
+        {/* Analytics Tab */}
+        {activeTab === 'analytics' && <AnalyticsDashboard />}
+
+        {/* File Upload Tabs (one per resource type) */}
+        {activeType && (
           <div className="space-y-6">
             {/* Upload Form */}
             <div className="glass-effect p-6 rounded-2xl fade-in-up enhanced-shadow">
               <h3 className="text-xl font-semibold mb-4 enhanced-text neon-glow">
-                Upload {activeTab === 'notes' ? 'Notes' : activeTab === 'practice-tests' ? 'Practice Test' : activeTab === 'practicals' ? 'Practical' : 'Assignment'}
+                Upload {activeType.singular}
               </h3>
 
               {/* Upload Progress */}
@@ -626,7 +787,9 @@ const AdminPanel: React.FC = () => {
                 <div className="mb-6 file-upload-success">
                   <div className="flex items-center justify-between mb-2">
                     <span className="text-sm font-bold enhanced-text">Uploading to dedicated storage...</span>
-                    <span className="text-sm font-bold enhanced-text">{uploadProgress}%</span>
+                    <span className="text-sm font-bold enhanced-text">
+                      {formatFileSize(uploadedBytes.loaded)} / {formatFileSize(uploadedBytes.total)} ({uploadProgress}%)
+                    </span>
                   </div>
                   <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-3 overflow-hidden">
                     <div 
@@ -668,7 +831,7 @@ const AdminPanel: React.FC = () => {
                   </select>
                 </div>
 
-                {activeTab === 'notes' && uploadForm.subject && (
+                {activeType.hasUnits && uploadForm.subject && (
                   <select
                     value={uploadForm.unit}
                     onChange={(e) => setUploadForm(prev => ({ ...prev, unit: e.target.value }))}
@@ -688,6 +851,49 @@ const AdminPanel: React.FC = () => {
                   </select>
                 )}
 
+                {activeType.fields.length > 0 && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {activeType.fields.map(field => {
+                      const stored = uploadForm.metadata[field.name] ?? '';
+                      const value = Array.isArray(stored) ? stored.join(', ') : stored;
+                      const setValue = (next: string) => setUploadForm(prev => ({
+                        ...prev,
+                        metadata: { ...prev.metadata, [field.name]: next }
+                      }));
+                      const inputClass = 'px-4 py-3 bg-high-contrast rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none enhanced-text';
+
+                      return field.type === 'select' ? (
+                        <select
+                          key={field.name}
+                          value={value}
+                          onChange={(e) => setValue(e.target.value)}
+                          className={inputClass}
+                          required={field.required}
+                          disabled={isUploading}
+                        >
+                          <option value="">{field.label}{field.required ? '' : ' (optional)'}</option>
+                          {(field.options ?? []).map(option => (
+                            <option key={option} value={option}>{option}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <input
+                          key={field.name}
+                          type={field.type === 'number' ? 'number' : 'text'}
+                          placeholder={`${field.label}${field.type === 'tags' ? ', comma separated' : ''}${field.required ? '' : ' (optional)'}`}
+                          value={value}
+                          min={field.min}
+                          max={field.max}
+                          onChange={(e) => setValue(e.target.value)}
+                          className={inputClass}
+                          required={field.required}
+                          disabled={isUploading}
+                        />
+                      );
+                    })}
+                  </div>
+                )}
+
                 <textarea
                   placeholder="Description (optional)"
                   value={uploadForm.description}
@@ -730,11 +936,11 @@ const AdminPanel: React.FC = () => {
             {/* Files List */}
             <div className="glass-effect p-6 rounded-2xl enhanced-shadow">
               <h3 className="text-xl font-semibold mb-4 enhanced-text neon-glow">
-                Uploaded {activeTab === 'notes' ? 'Notes' : activeTab === 'practice-tests' ? 'Practice Tests' : activeTab === 'practicals' ? 'Practicals' : 'Assignments'}
+                Uploaded {activeType.label}
               </h3>
 
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                {(activeTab === 'notes' ? notes : activeTab === 'practice-tests' ? practiceTests : activeTab === 'practicals' ? practicals : assignments).map((item, index) => (
+                {resourcesOf(activeType.id).map((item, index) => (
                   <div
                     key={item.id}
                     className="glass-effect p-4 rounded-lg hover-scale slide-up enhanced-shadow"
@@ -746,77 +952,38 @@ const AdminPanel: React.FC = () => {
                       <p>File: {item.fileName}</p>
                       <p>Size: {item.fileSize}</p>
                       <p>Date: {item.uploadDate}</p>
-                      {activeTab === 'notes' && (item as any)?.unit && <p>Unit: {getUnitName((item as any).unit)}</p>}
-                      {(item as any)?.subject && <p>Subject: {getSubjectName((item as any).subject)}</p>}
+                      {activeType.hasUnits && item.unit && <p>Unit: {getUnitName(item.unit)}</p>}
+                      {item.subject && <p>Subject: {getSubjectName(item.subject)}</p>}
+                      {describeMetadata(activeType.id, item.metadata) && <p>{describeMetadata(activeType.id, item.metadata)}</p>}
                     </div>
                     <button
                       onClick={() => {
-                        console.log(`Delete button clicked for ${activeTab} item:`, item.id, 'Subject:', getSubjectName((item as any).subject));
+                        console.log(`Delete button clicked for ${activeType.id} item:`, item.id, 'Subject:', getSubjectName(item.subject));
                         const handleDelete = async () => {
                           try {
                             let success = false;
-                            
-                            if (activeTab === 'notes') {
-                              const note = item as any;
-                              if (note.storedFileName && note.subject && note.unit) {
-                                success = await fileStorageService.deleteFile(
-                                  note.subject, 
-                                  'notes', 
-                                  note.storedFileName, 
-                                  note.unit
-                                );
-                              }
-                              if (success || !note.storedFileName) {
-                                deleteNote(item.id);
-                              }
-                            } else if (activeTab === 'practice-tests') {
-                              const test = item as any;
-                              if (test.storedFileName && test.subject) {
-                                success = await fileStorageService.deleteFile(
-                                  test.subject, 
-                                  'practice-tests', 
-                                  test.storedFileName
-                                );
-                              }
-                              if (success || !test.storedFileName) {
-                                deletePracticeTest(item.id);
-                              }
-                            } else if (activeTab === 'practicals') {
-                              const practical = item as any;
-                              if (practical.storedFileName && practical.subject) {
-                                success = await fileStorageService.deleteFile(
-                                  practical.subject, 
-                                  'practicals', 
-                                  practical.storedFileName
-                                );
-                              }
-                              if (success || !practical.storedFileName) {
-                                deletePractical(item.id);
-                              }
-                            } else {
-                              // assignments
-                              const assignment = item as any;
-                              if (assignment.storedFileName && assignment.subject) {
-                                success = await fileStorageService.deleteFile(
-                                  assignment.subject,
-                                  'assignments',
-                                  assignment.storedFileName
-                                );
-                              }
-                              if (success || !assignment.storedFileName) {
-                                deleteAssignment(item.id);
-                              }
+
+                            if (item.storedFileName && item.subject && (!activeType.hasUnits || item.unit)) {
+                              success = await fileStorageService.deleteFile(
+                                item.subject,
+                                activeType.id,
+                                item.storedFileName,
+                                activeType.hasUnits ? item.unit : undefined
+                              );
+                            }
+                            if (success || !item.storedFileName) {
+                              deleteResource(activeType.id, item.id);
                             }
                             
-                            if (!success && (item as any).storedFileName) {
+                            if (!success && item.storedFileName) {
                               alert('Failed to delete file from storage. Please try again.');
                             } else {
-                              console.log(`Successfully deleted ${activeTab} item:`, item.id);
+                              console.log(`Successfully deleted ${activeType.id} item:`, item.id);
                             }
                           } catch (error) {
                             console.error('Error deleting file:', {
                               id: item.id,
-                              subject: getSubjectName((item as any).subject),
+                              subject: getSubjectName(item.subject),
                               error: error instanceof Error ? error.message : String(error),
                               stack: error instanceof Error ? error.stack : undefined
                             });
@@ -832,6 +999,25 @@ const AdminPanel: React.FC = () => {
                       <Trash2 className="h-3 w-3" />
                       <span>Delete</span>
                     </button>
+                    {item.resourceId && (
+                      <div className="mt-3">
+                        <MoveResource
+                          resourceId={item.resourceId}
+                          hasUnits={activeType.hasUnits}
+                          subject={item.subject}
+                          unit={activeType.hasUnits ? item.unit : undefined}
+                          subjects={subjects}
+                          onMoved={(file) => handleResourceMoved(item.id, file)}
+                        />
+                      </div>
+                    )}
+                    {item.resourceId && (
+                      <ResourceVersions
+                        resourceId={item.resourceId}
+                        fileName={item.fileName}
+                        onChanged={syncWithServer}
+                      />
+                    )}
                   </div>
                 ))}
               </div>
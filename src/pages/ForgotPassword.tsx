@@ -4,6 +4,8 @@ import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { Mail, Loader } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { RateLimitError } from '../services/api';
+import { formatCountdown, useRetryCountdown } from '../hooks/useRetryCountdown';
 
 const ForgotPassword: React.FC = () => {
   const { requestPasswordReset } = useAuth();
@@ -11,6 +13,7 @@ const ForgotPassword: React.FC = () => {
   const [status, setStatus] = useState<'idle'|'sent'|'error'>('idle');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const retry = useRetryCountdown();
   const navigate = useNavigate();
 
   const handleSubmit = async (e: React.FormEvent) => {
@@ -21,6 +24,7 @@ const ForgotPassword: React.FC = () => {
     if (error) {
       setError(error.message || 'Failed to send reset email');
       setStatus('error');
+      if (error instanceof RateLimitError) retry.start(error.retryAfter);
     } else {
       setStatus('sent');
     }
@@ -56,8 +60,18 @@ const ForgotPassword: React.FC = () => {
 
               {error && <div className="text-sm text-red-600">{error}</div>}
 
-              <button disabled={loading} type="submit" className="w-full py-3 rounded-xl bg-indigo-600 text-white">
-                {loading ? <Loader className="animate-spin h-5 w-5" /> : 'Send reset link'}
+              <button
+                disabled={loading || retry.secondsLeft > 0}
+                type="submit"
+                className="w-full py-3 rounded-xl bg-indigo-600 text-white disabled:opacity-60 disabled:cursor-not-allowed"
+              >
+                {loading ? (
+                  <Loader className="animate-spin h-5 w-5" />
+                ) : retry.secondsLeft > 0 ? (
+                  `Try again in ${formatCountdown(retry.secondsLeft)}`
+                ) : (
+                  'Send reset link'
+                )}
               </button>
             </form>
           )}
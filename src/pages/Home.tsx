@@ -2,6 +2,7 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import { BookOpen, Users, Award, Download, FileText, Play, ArrowRight, MessageSquare } from 'lucide-react';
 import PharmacyLogo from '../components/PharmacyLogo';
+import TrendingStrip from '../components/TrendingStrip';
 
 const Home: React.FC = () => {
   const features = [
@@ -95,6 +96,8 @@ const Home: React.FC = () => {
         </div>
       </section>
 
+      <TrendingStrip />
+
       {/* Features Section */}
       <section className="py-20 px-4 sm:px-6 lg:px-8">
         <div className="max-w-7xl mx-auto">
@@ -5,6 +5,8 @@ import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { LogIn, Mail, Lock, Eye, EyeOff, Loader } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { RateLimitError } from '../services/api';
+import { formatCountdown, useRetryCountdown } from '../hooks/useRetryCountdown';
 
 const Login: React.FC = () => {
   const { signIn } = useAuth();
@@ -19,6 +21,7 @@ const Login: React.FC = () => {
 
   const [message, setMessage] = useState('');
   const [error, setError] = useState('');
+  const retry = useRetryCountdown();
 
   // Show message if redirected from verify/reset
   useEffect(() => {
@@ -40,6 +43,8 @@ const Login: React.FC = () => {
 
     if (error) {
       setError(error.message);
+      // Too many attempts from here or for this account: wait out the lockout
+      if (error instanceof RateLimitError) retry.start(error.retryAfter);
       return;
     }
 
@@ -122,10 +127,16 @@ const Login: React.FC = () => {
             {/* Login Button */}
             <button
               type="submit"
-              disabled={loading}
-              className="w-full py-3 rounded-xl bg-indigo-600 hover:bg-indigo-700 text-white flex items-center justify-center gap-2"
+              disabled={loading || retry.secondsLeft > 0}
+              className="w-full py-3 rounded-xl bg-indigo-600 hover:bg-indigo-700 text-white flex items-center justify-center gap-2 disabled:opacity-60 disabled:cursor-not-allowed"
             >
-              {loading ? <Loader className="animate-spin h-5 w-5" /> : 'Login'}
+              {loading ? (
+                <Loader className="animate-spin h-5 w-5" />
+              ) : retry.secondsLeft > 0 ? (
+                `Try again in ${formatCountdown(retry.secondsLeft)}`
+              ) : (
+                'Login'
+              )}
             </button>
 
             <div className="flex justify-between text-sm mt-1">
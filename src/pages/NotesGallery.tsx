@@ -1,21 +1,61 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
 import { Link } from 'react-router-dom';
-import { BookOpen, FileText, Users, Clock, ArrowRight } from 'lucide-react';
+import { BookOpen, Clock, ArrowRight } from 'lucide-react';
 import { useData } from '../context/DataContext';
+import SortFilter from '../components/SortFilter';
+import SearchSnippet from '../components/SearchSnippet';
+import { useContentSearch } from '../hooks/useContentSearch';
+import { ContentSearchResult } from '../services/fileStorage';
+import { resourceLink } from '../lib/resourceLinks';
+import { RESOURCE_TYPES, SUBJECT_TYPES, resourceTypeIcon, resourceTypeLabel } from '../lib/resourceTypes';
+
+type GallerySearchResult = Pick<ContentSearchResult, 'title' | 'subject' | 'unit' | 'type'> & {
+  key: string;
+  contentMatch?: ContentSearchResult;
+};
 
 const NotesGallery: React.FC = () => {
-  const { subjects = [], notes = [], practicals = [] } = useData();
+  const { subjects = [], resources, resourcesOf } = useData();
+  const [searchTerm, setSearchTerm] = useState('');
+  const { results: contentResults, isSearching } = useContentSearch(searchTerm);
+
+  // Matches inside files first (ranked by the server), then title/description matches
+  const searchResults = useMemo<GallerySearchResult[]>(() => {
+    const term = searchTerm.trim().toLowerCase();
+    if (!term) return [];
+
+    const merged = new Map<string, GallerySearchResult>();
+    contentResults.forEach(result => {
+      merged.set(result.storedFileName, { ...result, key: result.storedFileName, contentMatch: result });
+    });
+
+    const byTitle = RESOURCE_TYPES.flatMap(({ id, hasUnits }) =>
+      (resources[id] ?? []).map(item => ({ item, type: id, unit: hasUnits ? item.unit : '' }))
+    );
+    byTitle.forEach(({ item, type, unit }) => {
+      const key = item.storedFileName || String(item.id);
+      if (merged.has(key)) return;
+      const matches = (item.title || '').toLowerCase().includes(term) ||
+                      (item.description || '').toLowerCase().includes(term);
+      if (matches) {
+        merged.set(key, { key, title: item.title, subject: item.subject, unit, type });
+      }
+    });
 
+    return [...merged.values()];
+  }, [searchTerm, contentResults, resources]);
+
+  // Counts of the types browsed on the subject page
   const getSubjectStats = (subjectName: string) => {
-    const subjectNotes = notes.filter(note => note.subject === subjectName);
-    const subjectPracticals = practicals.filter(p => p.subject === subjectName);
-    return {
-      notesCount: subjectNotes.length,
-      practicalsCount: subjectPracticals.length,
-      totalFiles: subjectNotes.length + subjectPracticals.length
-    };
+    const counts = SUBJECT_TYPES.map(type => ({
+      type,
+      count: resourcesOf(type.id).filter(item => item.subject === subjectName).length
+    }));
+    return { counts, totalFiles: counts.reduce((total, { count }) => total + count, 0) };
   };
 
+  const totalFiles = SUBJECT_TYPES.reduce((total, type) => total + resourcesOf(type.id).length, 0);
+
   return (
     <div className="min-h-screen py-8 px-4 sm:px-6 lg:px-8">
       <div className="max-w-7xl mx-auto">
@@ -29,6 +69,46 @@ const NotesGallery: React.FC = () => {
           </p>
         </div>
 
+        {/* Search across all subjects, including text inside the files */}
+        <div className="mb-12 fade-in-up">
+          <SortFilter
+            initialSearch={searchTerm}
+            onSearchChange={setSearchTerm}
+            showDateFilter={false}
+            showSort={false}
+          />
+
+          {searchTerm.trim() && (
+            <div className="mt-6 glass-effect p-6 rounded-2xl enhanced-shadow">
+              <h2 className="text-lg font-bold mb-4 text-high-contrast">
+                {isSearching
+                  ? 'Searching...'
+                  : `${searchResults.length} result${searchResults.length === 1 ? '' : 's'} for "${searchTerm.trim()}"`}
+              </h2>
+              <div className="space-y-4">
+                {searchResults.map(result => (
+                  <Link
+                    key={result.key}
+                    to={resourceLink(result.type, result.subject)}
+                    className="block p-4 rounded-xl bg-high-contrast hover-scale transition-all duration-300"
+                  >
+                    <div className="flex flex-wrap items-center gap-2 mb-1">
+                      <span className="font-bold text-high-contrast">{result.title}</span>
+                      <span className="px-2 py-0.5 text-xs font-bold rounded-full bg-gradient-to-r from-blue-100 to-purple-100 dark:from-blue-900 dark:to-purple-900 text-blue-800 dark:text-blue-200">
+                        {resourceTypeLabel(result.type)}
+                      </span>
+                      <span className="text-xs text-high-contrast opacity-70">
+                        {result.subject}{result.unit ? ` · ${result.unit}` : ''}
+                      </span>
+                    </div>
+                    <SearchSnippet result={result.contentMatch} maxHits={2} className="mt-2" />
+                  </Link>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
         {/* Subjects Grid */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
           {subjects.map((subject, index) => {
@@ -72,14 +152,15 @@ const NotesGallery: React.FC = () => {
 
                 {/* Stats */}
                 <div className="space-y-3 mb-6">
-                  <div className="flex items-center text-sm text-high-contrast opacity-80">
-                    <FileText className="h-4 w-4 mr-2" />
-                    <span className="font-semibold">{stats.notesCount} Notes</span>
-                  </div>
-                  <div className="flex items-center text-sm text-high-contrast opacity-80">
-                    <Users className="h-4 w-4 mr-2" />
-                    <span className="font-semibold">{stats.practicalsCount} Practicals</span>
-                  </div>
+                  {stats.counts.map(({ type, count }) => {
+                    const Icon = resourceTypeIcon(type);
+                    return (
+                      <div key={type.id} className="flex items-center text-sm text-high-contrast opacity-80">
+                        <Icon className="h-4 w-4 mr-2" />
+                        <span className="font-semibold">{count} {type.label}</span>
+                      </div>
+                    );
+                  })}
                   <div className="flex items-center text-sm text-high-contrast opacity-80">
                     <Clock className="h-4 w-4 mr-2" />
                     <span className="font-semibold">{stats.totalFiles} Total Files</span>
@@ -124,7 +205,7 @@ const NotesGallery: React.FC = () => {
             </div>
             <div>
               <div className="text-3xl font-bold text-gradient mb-2 neon-glow">
-                {notes.length + practicals.length}
+                {totalFiles}
               </div>
               <div className="text-high-contrast opacity-80 font-semibold">Total Files</div>
             </div>
@@ -3,6 +3,8 @@ import { motion } from 'framer-motion';
 import { User, Mail, Lock, Eye, EyeOff, Loader, Save, LogOut } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
+import MyLibrary from '../components/MyLibrary';
+import OfflineStorage from '../components/OfflineStorage';
 
 const Profile: React.FC = () => {
   const { user, profile, signOut, updateProfile, updateEmail, updatePassword } = useAuth();
@@ -307,6 +309,10 @@ const Profile: React.FC = () => {
               </motion.div>
             </div>
           </div>
+
+          <MyLibrary />
+
+          <OfflineStorage />
         </motion.div>
       </div>
     </div>
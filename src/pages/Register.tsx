@@ -3,6 +3,8 @@ import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { UserPlus, Mail, Lock, User, Eye, EyeOff, Loader } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { RateLimitError } from '../services/api';
+import { formatCountdown, useRetryCountdown } from '../hooks/useRetryCountdown';
 const Register: React.FC = () => {
   const navigate = useNavigate();
   const { signUp } = useAuth();
@@ -14,6 +16,7 @@ const Register: React.FC = () => {
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const retry = useRetryCountdown();
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setError('');
@@ -26,16 +29,19 @@ const Register: React.FC = () => {
       return;
     }
     setLoading(true);
-    const { error } = await signUp(email, password, fullName);
+    const { error, notice } = await signUp(email, password, fullName);
     if (error) {
       setError(error.message);
+      if (error instanceof RateLimitError) retry.start(error.retryAfter);
       setLoading(false);
     } else {
       setEmail('');
       setPassword('');
       setConfirmPassword('');
       setFullName('');
-      navigate('/login', { state: { message: 'Account created successfully! Please log in with your credentials.' } });
+      navigate('/login', {
+        state: { message: notice ? `Account created. ${notice}` : 'Account created successfully! Please log in with your credentials.' }
+      });
     }
   };
   return (
@@ -176,11 +182,13 @@ const Register: React.FC = () => {
               animate={{ y: 0, opacity: 1 }}
               transition={{ delay: 0.7 }}
               type="submit"
-              disabled={loading}
+              disabled={loading || retry.secondsLeft > 0}
               className="w-full py-3 rounded-xl bg-gradient-to-r from-green-500 to-teal-500 text-white font-semibold hover-scale disabled:opacity-50 disabled:cursor-not-allowed transition-all shimmer-effect flex items-center justify-center"
             >
               {loading ? (
                 <Loader className="h-5 w-5 animate-spin" />
+              ) : retry.secondsLeft > 0 ? (
+                `Try again in ${formatCountdown(retry.secondsLeft)}`
               ) : (
                 <>
                   <UserPlus className="h-5 w-5 mr-2" />
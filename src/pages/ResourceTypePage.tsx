@@ -1,15 +1,26 @@
 import React, { useState, useMemo } from 'react';
-import { Download, FileText, Clock, Eye } from 'lucide-react';
+import { Clock, Eye } from 'lucide-react';
 import { useData } from '../context/DataContext';
 import FileViewer from '../components/FileViewer';
+import BookmarkButton from '../components/BookmarkButton';
 import SortFilter from '../components/SortFilter';
+import SearchSnippet from '../components/SearchSnippet';
+import FileThumbnail from '../components/FileThumbnail';
+import FacetFilter from '../components/FacetFilter';
+import { useContentSearch } from '../hooks/useContentSearch';
+import { FacetSelection, ResourceType, describeMetadata, matchesFacets, resourceTypeIcon } from '../lib/resourceTypes';
 
-const PracticeTests: React.FC = () => {
-  const { practiceTests = [], subjects = [] } = useData();
+/** The page of a resource type with `ownPage` set (practice tests, assignments, ...), filtered by subject */
+const ResourceTypePage: React.FC<{ type: ResourceType }> = ({ type: resourceType }) => {
+  const { resourcesOf, subjects = [] } = useData();
+  const items = resourcesOf(resourceType.id);
+  const TypeIcon = resourceTypeIcon(resourceType);
   const [selectedSubject, setSelectedSubject] = useState<string>('all');
   const [searchTerm, setSearchTerm] = useState('');
   const [sortOption, setSortOption] = useState<'newest' | 'oldest'>('newest');
   const [dateFilter, setDateFilter] = useState<string | null>(null);
+  const [facets, setFacets] = useState<FacetSelection>({});
+  const { hitsByFile } = useContentSearch(searchTerm, { type: resourceType.id });
   const [viewerState, setViewerState] = useState({
     isOpen: false,
     fileData: '',
@@ -18,25 +29,32 @@ const PracticeTests: React.FC = () => {
     subject: '',
     type: '',
     unit: '',
-    storedFileName: ''
+    storedFileName: '',
+    title: ''
   });
 
-  const filteredTests = useMemo(() => {
-    let filtered = practiceTests.filter(test => {
-      const matchesSubject = selectedSubject === 'all' || test.subject === selectedSubject;
-      const matchesSearch = (test.title || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
-                           (test.description || '').toLowerCase().includes(searchTerm.toLowerCase());
+  // Everything but the facets, which count what is left here
+  const matchingItems = useMemo(() => (
+    items.filter(item => {
+      const matchesSubject = selectedSubject === 'all' || item.subject === selectedSubject;
+      const matchesSearch = (item.title || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
+                           (item.description || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
+                           hitsByFile.has(item.storedFileName || '');
       
       // Date filter - exact match
       let matchesDate = true;
-      if (dateFilter && test.uploadDate) {
-        const testDate = new Date(test.uploadDate);
+      if (dateFilter && item.uploadDate) {
+        const itemDate = new Date(item.uploadDate);
         const filterDate = new Date(dateFilter);
-        matchesDate = testDate.toDateString() === filterDate.toDateString();
+        matchesDate = itemDate.toDateString() === filterDate.toDateString();
       }
       
       return matchesSubject && matchesSearch && matchesDate;
-    });
+    })
+  ), [items, selectedSubject, searchTerm, dateFilter, hitsByFile]);
+
+  const filteredItems = useMemo(() => {
+    const filtered = matchingItems.filter(item => matchesFacets(item, facets));
 
     // Sort
     filtered.sort((a, b) => {
@@ -46,18 +64,19 @@ const PracticeTests: React.FC = () => {
     });
 
     return filtered;
-  }, [practiceTests, selectedSubject, searchTerm, dateFilter, sortOption]);
+  }, [matchingItems, facets, sortOption]);
 
-  const handleViewFile = (fileData: string, fileName: string, type: 'pdf' | 'image', subject?: string, fileType?: string, unit?: string, storedFileName?: string) => {
+  const handleViewFile = (fileData: string, fileName: string, type: 'pdf' | 'image', subject?: string, fileType?: string, unit?: string, storedFileName?: string, title?: string) => {
     setViewerState({
       isOpen: true,
       fileData,
       fileName,
       fileType: type,
       subject: subject || '',
-      type: 'practice-tests',
+      type: fileType || resourceType.id,
       unit: unit || '',
-      storedFileName: storedFileName || ''
+      storedFileName: storedFileName || '',
+      title: title || ''
     });
   };
 
@@ -70,7 +89,8 @@ const PracticeTests: React.FC = () => {
       subject: '',
       type: '',
       unit: '',
-      storedFileName: ''
+      storedFileName: '',
+      title: ''
     });
   };
 
@@ -80,10 +100,10 @@ const PracticeTests: React.FC = () => {
         {/* Header */}
         <div className="text-center mb-16 slide-up">
           <h1 className="text-4xl md:text-6xl font-bold text-gradient mb-6">
-            Practice Tests
+            {resourceType.label}
           </h1>
           <p className="text-xl text-gray-600 dark:text-gray-400 max-w-3xl mx-auto leading-relaxed">
-            Test your knowledge with comprehensive practice materials for all subjects
+            {resourceType.description}
           </p>
         </div>
 
@@ -111,10 +131,10 @@ const PracticeTests: React.FC = () => {
               }`}
               type="button"
             >
-              All Subjects ({practiceTests.length})
+              All Subjects ({items.length})
             </button>
             {subjects.map((subject) => {
-              const subjectTestsCount = practiceTests.filter(test => test.subject === subject.name).length;
+              const subjectCount = items.filter(item => item.subject === subject.name).length;
               return (
                 <button
                   key={subject.id}
@@ -126,97 +146,113 @@ const PracticeTests: React.FC = () => {
                   }`}
                   type="button"
                 >
-                  {subject.name} ({subjectTestsCount})
+                  {subject.name} ({subjectCount})
                 </button>
               );
             })}
           </div>
+
+          {/* Extra field facets (year, semester, language, ...) */}
+          <FacetFilter
+            fields={resourceType.fields}
+            items={matchingItems}
+            selected={facets}
+            onChange={setFacets}
+          />
         </div>
 
-        {/* Practice Tests Grid */}
+        {/* Files Grid */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {filteredTests.map((test, index) => (
+          {filteredItems.map((item, index) => (
             <div
-              key={test.id}
+              key={item.id}
               className="glass-effect p-6 rounded-2xl card-hover slide-up enhanced-shadow"
               style={{ animationDelay: `${index * 0.1}s` }}
             >
+              <FileThumbnail src={item.thumbnailUrl} alt={item.title} />
               <div className="flex items-start justify-between mb-4">
-                <div className={`p-3 rounded-xl ${
-                  test.type === 'pdf'
-                    ? 'bg-gradient-to-r from-orange-500 to-red-600'
-                    : 'bg-gradient-to-r from-green-500 to-teal-600'
-                } text-white`}>
-                  <FileText className="h-6 w-6" />
+                <div className={`p-3 rounded-xl bg-gradient-to-r ${resourceType.color} text-white`}>
+                  <TypeIcon className="h-6 w-6" />
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className="px-3 py-1 text-xs font-bold rounded-full bg-gradient-to-r from-orange-100 to-red-100 dark:from-orange-900 dark:to-red-900 text-orange-800 dark:text-orange-200">
+                    {item.subject}
+                  </span>
+                  <BookmarkButton
+                    file={{ type: resourceType.id, subject: item.subject, unit: item.unit, storedFileName: item.storedFileName, title: item.title }}
+                  />
                 </div>
-                <span className="px-3 py-1 text-xs font-bold rounded-full bg-gradient-to-r from-orange-100 to-red-100 dark:from-orange-900 dark:to-red-900 text-orange-800 dark:text-orange-200">
-                  {test.subject}
-                </span>
               </div>
 
               <h3 className="text-lg font-bold mb-2 text-high-contrast neon-glow">
-                {test.title}
+                {item.title}
               </h3>
               <p className="text-high-contrast text-sm mb-4 line-clamp-2 opacity-80">
-                {test.description}
+                {item.description}
               </p>
+              <SearchSnippet result={hitsByFile.get(item.storedFileName || '')} />
 
               <div className="space-y-2 mb-4">
+                {describeMetadata(resourceType.id, item.metadata) && (
+                  <div className="text-xs font-semibold text-high-contrast opacity-80">
+                    {describeMetadata(resourceType.id, item.metadata)}
+                  </div>
+                )}
                 <div className="flex items-center text-xs text-high-contrast opacity-70">
                   <Clock className="h-3 w-3 mr-1" />
-                  {test.uploadDate}
+                  {item.uploadDate}
                 </div>
                 <div className="flex items-center text-xs text-high-contrast opacity-70">
                   <Eye className="h-3 w-3 mr-1" />
-                  {test.fileSize}
+                  {item.fileSize}
                 </div>
               </div>
 
               <button
                 onClick={() => handleViewFile(
-                  test.fileData || '', 
-                  test.fileName, 
-                  test.type,
-                  test.subject,
-                  'practice-tests',
+                  item.fileData || '', 
+                  item.fileName, 
+                  item.type,
+                  item.subject,
+                  resourceType.id,
                   undefined,
-                  test.storedFileName
+                  item.storedFileName,
+                  item.title
                 )}
-                className="w-full flex items-center justify-center px-4 py-3 bg-gradient-to-r from-orange-500 to-red-600 text-white rounded-lg hover-scale font-bold text-sm shimmer-effect text-shadow"
+                className={`w-full flex items-center justify-center px-4 py-3 bg-gradient-to-r ${resourceType.color} text-white rounded-lg hover-scale font-bold text-sm shimmer-effect text-shadow`}
                 type="button"
               >
                 <Eye className="mr-2 h-4 w-4" />
-                View Test
+                View {resourceType.singular}
               </button>
             </div>
           ))}
         </div>
 
         {/* Empty State */}
-        {filteredTests.length === 0 && (
+        {filteredItems.length === 0 && (
           <div className="text-center py-16">
-            <FileText className="h-16 w-16 mx-auto text-gray-400 dark:text-gray-600 mb-4" />
+            <TypeIcon className="h-16 w-16 mx-auto text-gray-400 dark:text-gray-600 mb-4" />
             <h3 className="text-xl font-bold text-high-contrast mb-2">
-              No practice tests found
+              No {resourceType.label.toLowerCase()} found
             </h3>
             <p className="text-high-contrast opacity-70">
-              {searchTerm || selectedSubject !== 'all' || dateFilter
+              {searchTerm || selectedSubject !== 'all' || dateFilter || Object.keys(facets).length > 0
                 ? 'Try adjusting your search criteria or filters.'
-                : 'Practice tests will appear here once they are uploaded by the admin.'}
+                : `${resourceType.label} will appear here once they are uploaded by the admin.`}
             </p>
           </div>
         )}
 
         {/* Info Section */}
-        {practiceTests.length > 0 && (
+        {items.length > 0 && resourceType.infoTitle && (
           <div className="mt-20 glass-effect p-8 rounded-2xl fade-in-up">
             <div className="text-center">
               <h3 className="text-2xl font-bold text-gradient mb-4 neon-glow">
-                Test Your Knowledge
+                {resourceType.infoTitle}
               </h3>
               <p className="text-high-contrast opacity-80 max-w-2xl mx-auto leading-relaxed">
-                Regular practice with these materials will help you excel in your B.Pharmacy studies.
-                Download the tests, attempt them, and track your progress across all subjects.
+                {resourceType.infoText}
               </p>
             </div>
           </div>
@@ -234,9 +270,10 @@ const PracticeTests: React.FC = () => {
         type={viewerState.type}
         unit={viewerState.unit}
         storedFileName={viewerState.storedFileName}
+        title={viewerState.title}
       />
     </div>
   );
 };
 
-export default PracticeTests;
+export default ResourceTypePage;
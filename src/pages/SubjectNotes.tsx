@@ -1,19 +1,26 @@
 import React, { useState, useMemo } from 'react';
-import { useParams, Link } from 'react-router-dom';
-import { ArrowLeft, FileText, Clock, Eye, BookOpen, Users } from 'lucide-react';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
+import { ArrowLeft, Clock, Eye, BookOpen } from 'lucide-react';
 import { useData } from '../context/DataContext';
 import FileViewer from '../components/FileViewer';
+import BookmarkButton from '../components/BookmarkButton';
 import SortFilter from '../components/SortFilter';
+import SearchSnippet from '../components/SearchSnippet';
+import FileThumbnail from '../components/FileThumbnail';
+import FacetFilter from '../components/FacetFilter';
+import { useContentSearch } from '../hooks/useContentSearch';
+import { FacetSelection, SUBJECT_TYPES, describeMetadata, getResourceType, matchesFacets, resourceTypeIcon } from '../lib/resourceTypes';
 
 const SubjectNotes: React.FC = () => {
   const params = useParams();
   const subjectParam = params.subject ?? '';
-  const { subjects = [], notes = [], practicals = [] } = useData();
+  const { subjects = [], resourcesOf } = useData();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [selectedUnit, setSelectedUnit] = useState<string>('all');
-  const [activeTab, setActiveTab] = useState<'notes' | 'practicals'>('notes');
   const [searchTerm, setSearchTerm] = useState('');
   const [sortOption, setSortOption] = useState<'newest' | 'oldest'>('newest');
   const [dateFilter, setDateFilter] = useState<string | null>(null);
+  const [facets, setFacets] = useState<FacetSelection>({});
   const [viewerState, setViewerState] = useState({
     isOpen: false,
     fileData: '',
@@ -22,57 +29,50 @@ const SubjectNotes: React.FC = () => {
     subject: '',
     type: '',
     unit: '',
-    storedFileName: ''
+    storedFileName: '',
+    title: ''
   });
 
+  // The tab is kept in ?tab= so links can open a subject on e.g. its practicals
+  const tabParam = getResourceType(searchParams.get('tab') || '');
+  const activeType = tabParam && SUBJECT_TYPES.includes(tabParam) ? tabParam : SUBJECT_TYPES[0];
+  const ActiveIcon = resourceTypeIcon(activeType);
+
+  const setActiveTab = (id: string) => {
+    setSelectedUnit('all');
+    setFacets({});
+    setSearchParams(id === SUBJECT_TYPES[0].id ? {} : { tab: id }, { replace: true });
+  };
+
   const subjectName = subjectParam ? decodeURIComponent(subjectParam) : '';
   const currentSubject = subjects.find(s => s.name === subjectName);
+  const { hitsByFile } = useContentSearch(searchTerm, { subject: subjectName });
 
-  const subjectNotes = notes.filter(note => note.subject === subjectName);
-  const subjectPracticals = practicals.filter(practical => practical.subject === subjectName);
+  const subjectItems = (id: string) => resourcesOf(id).filter(item => item.subject === subjectName);
+  const activeItems = subjectItems(activeType.id);
+
+  // Everything but the facets, which count what is left here
+  const matchingItems = useMemo(() => (
+    activeItems.filter(item => {
+      const matchesUnit = !activeType.hasUnits || selectedUnit === 'all' || item.unit === selectedUnit;
+      const matchesSearch = (item.title || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
+                           (item.description || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
+                           hitsByFile.has(item.storedFileName || '');
 
-  const filteredNotes = useMemo(() => {
-    let filtered = subjectNotes.filter(note => {
-      const matchesUnit = selectedUnit === 'all' || note.unit === selectedUnit;
-      const matchesSearch = (note.title || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
-                           (note.description || '').toLowerCase().includes(searchTerm.toLowerCase());
-      
       // Date filter - exact match
       let matchesDate = true;
-      if (dateFilter && note.uploadDate) {
-        const noteDate = new Date(note.uploadDate);
+      if (dateFilter && item.uploadDate) {
+        const itemDate = new Date(item.uploadDate);
         const filterDate = new Date(dateFilter);
-        matchesDate = noteDate.toDateString() === filterDate.toDateString();
+        matchesDate = itemDate.toDateString() === filterDate.toDateString();
       }
-      
-      return matchesUnit && matchesSearch && matchesDate;
-    });
 
-    // Sort
-    filtered.sort((a, b) => {
-      const dateA = new Date(a.uploadDate || '').getTime();
-      const dateB = new Date(b.uploadDate || '').getTime();
-      return sortOption === 'newest' ? dateB - dateA : dateA - dateB;
-    });
+      return matchesUnit && matchesSearch && matchesDate;
+    })
+  ), [activeItems, activeType, selectedUnit, searchTerm, dateFilter, hitsByFile]);
 
-    return filtered;
-  }, [subjectNotes, selectedUnit, searchTerm, dateFilter, sortOption]);
-
-  const filteredPracticals = useMemo(() => {
-    let filtered = subjectPracticals.filter(practical => {
-      const matchesSearch = (practical.title || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
-                           (practical.description || '').toLowerCase().includes(searchTerm.toLowerCase());
-      
-      // Date filter - exact match
-      let matchesDate = true;
-      if (dateFilter && practical.uploadDate) {
-        const practicalDate = new Date(practical.uploadDate);
-        const filterDate = new Date(dateFilter);
-        matchesDate = practicalDate.toDateString() === filterDate.toDateString();
-      }
-      
-      return matchesSearch && matchesDate;
-    });
+  const filteredItems = useMemo(() => {
+    const filtered = matchingItems.filter(item => matchesFacets(item, facets));
 
     // Sort
     filtered.sort((a, b) => {
@@ -82,9 +82,9 @@ const SubjectNotes: React.FC = () => {
     });
 
     return filtered;
-  }, [subjectPracticals, searchTerm, dateFilter, sortOption]);
+  }, [matchingItems, facets, sortOption]);
 
-  const handleViewFile = (fileData: string, fileName: string, type: any, subject?: string, fileType?: string, unit?: string, storedFileName?: string) => {
+  const handleViewFile = (fileData: string, fileName: string, type: any, subject?: string, fileType?: string, unit?: string, storedFileName?: string, title?: string) => {
     setViewerState({
       isOpen: true,
       fileData,
@@ -93,7 +93,8 @@ const SubjectNotes: React.FC = () => {
       subject: subject || '',
       type: fileType || '',
       unit: unit || '',
-      storedFileName: storedFileName || ''
+      storedFileName: storedFileName || '',
+      title: title || ''
     });
   };
 
@@ -106,7 +107,8 @@ const SubjectNotes: React.FC = () => {
       subject: '',
       type: '',
       unit: '',
-      storedFileName: ''
+      storedFileName: '',
+      title: ''
     });
   };
 
@@ -152,42 +154,39 @@ const SubjectNotes: React.FC = () => {
                   {String(currentSubject.name)}
                 </h1>
                 <p className="text-gray-600 dark:text-gray-400">
-                  {String(currentSubject.units?.length ?? 0)} units available • {String(subjectNotes.length)} notes • {String(subjectPracticals.length)} practicals
+                  {String(currentSubject.units?.length ?? 0)} units available
+                  {SUBJECT_TYPES.map(type => ` • ${subjectItems(type.id).length} ${type.label.toLowerCase()}`).join('')}
                 </p>
               </div>
             </div>
           </div>
         </div>
 
-        {/* Tabs */}
-        <div className="mb-8 fade-in-up">
-          <div className="flex space-x-1 bg-high-contrast p-1 rounded-xl max-w-md enhanced-shadow">
-            <button
-              onClick={() => setActiveTab('notes')}
-              className={`flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg font-bold text-sm ripple-effect transition-all duration-300 ${
-                activeTab === 'notes'
-                  ? 'bg-gradient-to-r from-blue-500 to-purple-600 text-white shadow-lg shimmer-effect'
-                  : 'button-secondary hover-scale'
-              }`}
-              type="button"
-            >
-              <FileText className="h-4 w-4" />
-              Notes ({String(subjectNotes.length)})
-            </button>
-            <button
-              onClick={() => setActiveTab('practicals')}
-              className={`flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg font-bold text-sm ripple-effect transition-all duration-300 ${
-                activeTab === 'practicals'
-                  ? 'bg-gradient-to-r from-green-500 to-teal-600 text-white shadow-lg shimmer-effect'
-                  : 'button-secondary hover-scale'
-              }`}
-              type="button"
-            >
-              <Users className="h-4 w-4" />
-              Practicals ({String(subjectPracticals.length)})
-            </button>
+        {/* Tabs, one per type browsed on the subject page */}
+        {SUBJECT_TYPES.length > 1 && (
+          <div className="mb-8 fade-in-up">
+            <div className="flex space-x-1 bg-high-contrast p-1 rounded-xl max-w-md enhanced-shadow">
+              {SUBJECT_TYPES.map(type => {
+                const Icon = resourceTypeIcon(type);
+                return (
+                  <button
+                    key={type.id}
+                    onClick={() => setActiveTab(type.id)}
+                    className={`flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg font-bold text-sm ripple-effect transition-all duration-300 ${
+                      activeType.id === type.id
+                        ? `bg-gradient-to-r ${type.color} text-white shadow-lg shimmer-effect`
+                        : 'button-secondary hover-scale'
+                    }`}
+                    type="button"
+                  >
+                    <Icon className="h-4 w-4" />
+                    {type.label} ({String(subjectItems(type.id).length)})
+                  </button>
+                );
+              })}
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Sort Filter Component */}
         <div className="mb-8 fade-in-up">
@@ -201,192 +200,134 @@ const SubjectNotes: React.FC = () => {
           />
         </div>
 
-        {/* Notes Tab */}
-        {activeTab === 'notes' && (
-          <>
-            {/* Unit Filter */}
-            <div className="mb-8 fade-in-up" style={{ animationDelay: '0.2s' }}>
-              <div className="flex flex-wrap gap-3 p-4 bg-high-contrast rounded-xl enhanced-shadow">
-                <button
-                  onClick={() => setSelectedUnit('all')}
-                  className={`flex items-center justify-center gap-2 px-5 py-2 rounded-lg font-bold text-sm ripple-effect transition-all duration-300 ${
-                    selectedUnit === 'all'
-                      ? 'bg-gradient-to-r from-purple-500 to-pink-600 text-white shadow-lg shimmer-effect'
-                      : 'button-secondary hover-scale'
-                  }`}
-                  type="button"
-                >
-                  All Units ({String(subjectNotes.length)})
-                </button>
-                {currentSubject.units?.map((unit) => {
-                  const unitNotesCount = subjectNotes.filter(note => note.unit === unit).length;
-                  return (
-                    <button
-                      key={String(unit)}
-                      onClick={() => setSelectedUnit(String(unit))}
-                      className={`flex items-center justify-center gap-2 px-5 py-2 rounded-lg font-bold text-sm ripple-effect transition-all duration-300 ${
-                        selectedUnit === unit
-                          ? 'bg-gradient-to-r from-blue-500 to-purple-600 text-white shadow-lg shimmer-effect'
-                          : 'button-secondary hover-scale'
-                      }`}
-                      type="button"
-                    >
-                      {String(unit)} ({String(unitNotesCount)})
-                    </button>
-                  );
-                })}
-              </div>
-            </div>
-
-            {/* Notes Grid */}
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {filteredNotes.map((note, index) => (
-                <div
-                  key={String(note.id)}
-                  className="glass-effect p-6 rounded-2xl card-hover slide-up enhanced-shadow"
-                  style={{ animationDelay: `${index * 0.1}s` }}
-                >
-                  <div className="flex items-start justify-between mb-4">
-                    <div className={`p-3 rounded-xl ${
-                      note.type === 'pdf'
-                        ? 'bg-gradient-to-r from-red-500 to-pink-600'
-                        : 'bg-gradient-to-r from-blue-500 to-purple-600'
-                    } text-white`}>
-                      <FileText className="h-6 w-6" />
-                    </div>
-                    <span className="px-3 py-1 text-xs font-bold rounded-full bg-gradient-to-r from-blue-100 to-purple-100 dark:from-blue-900 dark:to-purple-900 text-blue-800 dark:text-blue-200">
-                      {String(note.unit ?? 'N/A')}
-                    </span>
-                  </div>
-
-                  <h3 className="text-lg font-bold mb-2 text-high-contrast neon-glow">
-                    {String(note.title)}
-                  </h3>
-                  <p className="text-high-contrast text-sm mb-4 line-clamp-2 opacity-80">
-                    {String(note.description ?? '')}
-                  </p>
-
-                  <div className="space-y-2 mb-4">
-                    <div className="flex items-center text-xs text-high-contrast opacity-70">
-                      <Clock className="h-3 w-3 mr-1" />
-                      {String(note.uploadDate ?? '')}
-                    </div>
-                    <div className="flex items-center text-xs text-high-contrast opacity-70">
-                      <Eye className="h-3 w-3 mr-1" />
-                      {String(note.fileSize ?? '')}
-                    </div>
-                  </div>
-
-                  {/* View Button */}
+        {/* Unit Filter */}
+        {activeType.hasUnits && (
+          <div className="mb-8 fade-in-up" style={{ animationDelay: '0.2s' }}>
+            <div className="flex flex-wrap gap-3 p-4 bg-high-contrast rounded-xl enhanced-shadow">
+              <button
+                onClick={() => setSelectedUnit('all')}
+                className={`flex items-center justify-center gap-2 px-5 py-2 rounded-lg font-bold text-sm ripple-effect transition-all duration-300 ${
+                  selectedUnit === 'all'
+                    ? 'bg-gradient-to-r from-purple-500 to-pink-600 text-white shadow-lg shimmer-effect'
+                    : 'button-secondary hover-scale'
+                }`}
+                type="button"
+              >
+                All Units ({String(activeItems.length)})
+              </button>
+              {currentSubject.units?.map((unit) => {
+                const unitCount = activeItems.filter(item => item.unit === unit).length;
+                return (
                   <button
-                    onClick={() => handleViewFile(
-                      note.fileData || '', 
-                      note.fileName, 
-                      note.type,
-                      note.subject,
-                      'notes',
-                      note.unit,
-                      note.storedFileName
-                    )}
-                    className="w-full flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-xl shadow-lg hover:shadow-xl hover:scale-105 shimmer-effect ripple-effect transition-all duration-300"
+                    key={String(unit)}
+                    onClick={() => setSelectedUnit(String(unit))}
+                    className={`flex items-center justify-center gap-2 px-5 py-2 rounded-lg font-bold text-sm ripple-effect transition-all duration-300 ${
+                      selectedUnit === unit
+                        ? `bg-gradient-to-r ${activeType.color} text-white shadow-lg shimmer-effect`
+                        : 'button-secondary hover-scale'
+                    }`}
                     type="button"
                   >
-                    <Eye className="h-5 w-5" />
-                    <span className="font-semibold">
-                      View {String(note.type ?? 'PDF').toUpperCase()}
-                    </span>
+                    {String(unit)} ({String(unitCount)})
                   </button>
-                </div>
-              ))}
+                );
+              })}
             </div>
-          </>
+          </div>
         )}
 
-        {/* Practicals Tab */}
-        {activeTab === 'practicals' && (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {filteredPracticals.map((practical, index) => (
-              <div
-                key={String(practical.id)}
-                className="glass-effect p-6 rounded-2xl card-hover slide-up enhanced-shadow"
-                style={{ animationDelay: `${index * 0.1}s` }}
-              >
-                <div className="flex items-start justify-between mb-4">
-                  <div className="p-3 rounded-xl bg-gradient-to-r from-green-500 to-teal-600 text-white">
-                    <Users className="h-6 w-6" />
-                  </div>
-                  <span className="px-3 py-1 text-xs font-bold rounded-full bg-gradient-to-r from-green-100 to-teal-100 dark:from-green-900 dark:to-teal-900 text-green-800 dark:text-green-200">
-                    Practical
+        {/* Extra field facets (semester, language, tags, ...) */}
+        <FacetFilter
+          fields={activeType.fields}
+          items={matchingItems}
+          selected={facets}
+          onChange={setFacets}
+          summaryPrefix={[activeType.singular]}
+          className="mb-8 fade-in-up"
+        />
+
+        {/* Files Grid */}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {filteredItems.map((item, index) => (
+            <div
+              key={String(item.id)}
+              className="glass-effect p-6 rounded-2xl card-hover slide-up enhanced-shadow"
+              style={{ animationDelay: `${index * 0.1}s` }}
+            >
+              <FileThumbnail src={item.thumbnailUrl} alt={String(item.title)} />
+              <div className="flex items-start justify-between mb-4">
+                <div className={`p-3 rounded-xl bg-gradient-to-r ${activeType.color} text-white`}>
+                  <ActiveIcon className="h-6 w-6" />
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className="px-3 py-1 text-xs font-bold rounded-full bg-gradient-to-r from-blue-100 to-purple-100 dark:from-blue-900 dark:to-purple-900 text-blue-800 dark:text-blue-200">
+                    {activeType.hasUnits ? String(item.unit || 'N/A') : activeType.singular}
                   </span>
+                  <BookmarkButton
+                    file={{ type: activeType.id, subject: item.subject, unit: item.unit, storedFileName: item.storedFileName, title: item.title }}
+                  />
                 </div>
+              </div>
 
-                <h3 className="text-lg font-bold mb-2 text-high-contrast neon-glow">
-                  {String(practical.title)}
-                </h3>
-                <p className="text-high-contrast text-sm mb-4 line-clamp-2 opacity-80">
-                  {String(practical.description ?? '')}
-                </p>
+              <h3 className="text-lg font-bold mb-2 text-high-contrast neon-glow">
+                {String(item.title)}
+              </h3>
+              <p className="text-high-contrast text-sm mb-4 line-clamp-2 opacity-80">
+                {String(item.description ?? '')}
+              </p>
+              <SearchSnippet result={hitsByFile.get(item.storedFileName || '')} />
 
-                <div className="space-y-2 mb-4">
-                  <div className="flex items-center text-xs text-high-contrast opacity-70">
-                    <Clock className="h-3 w-3 mr-1" />
-                    {String(practical.uploadDate ?? '')}
-                  </div>
-                  <div className="flex items-center text-xs text-high-contrast opacity-70">
-                    <Eye className="h-3 w-3 mr-1" />
-                    {String(practical.fileSize ?? '')}
+              <div className="space-y-2 mb-4">
+                {describeMetadata(activeType.id, item.metadata) && (
+                  <div className="text-xs font-semibold text-high-contrast opacity-80">
+                    {describeMetadata(activeType.id, item.metadata)}
                   </div>
+                )}
+                <div className="flex items-center text-xs text-high-contrast opacity-70">
+                  <Clock className="h-3 w-3 mr-1" />
+                  {String(item.uploadDate ?? '')}
+                </div>
+                <div className="flex items-center text-xs text-high-contrast opacity-70">
+                  <Eye className="h-3 w-3 mr-1" />
+                  {String(item.fileSize ?? '')}
                 </div>
-
-                {/* View Button */}
-                <button
-                  onClick={() => handleViewFile(
-                    practical.fileData || '', 
-                    practical.fileName, 
-                    practical.type,
-                    practical.subject,
-                    'practicals',
-                    undefined,
-                    practical.storedFileName
-                  )}
-                  className="w-full flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-green-500 to-teal-600 text-white rounded-xl shadow-lg hover:shadow-xl hover:scale-105 shimmer-effect ripple-effect transition-all duration-300"
-                  type="button"
-                >
-                  <Eye className="h-5 w-5" />
-                  <span className="font-semibold">
-                    View {String(practical.type ?? 'PDF').toUpperCase()}
-                  </span>
-                </button>
               </div>
-            ))}
-          </div>
-        )}
 
-        {/* Empty States */}
-        {activeTab === 'notes' && filteredNotes.length === 0 && (
-          <div className="text-center py-16">
-            <FileText className="h-16 w-16 mx-auto text-gray-400 dark:text-gray-600 mb-4" />
-            <h3 className="text-xl font-bold text-high-contrast mb-2">
-              No notes available
-            </h3>
-            <p className="text-high-contrast opacity-70">
-              {searchTerm || dateFilter || selectedUnit !== 'all'
-                ? 'Try adjusting your search criteria or filters.'
-                : 'Notes will appear here once they are uploaded by the admin.'}
-            </p>
-          </div>
-        )}
+              {/* View Button */}
+              <button
+                onClick={() => handleViewFile(
+                  item.fileData || '',
+                  item.fileName,
+                  item.type,
+                  item.subject,
+                  activeType.id,
+                  activeType.hasUnits ? item.unit : undefined,
+                  item.storedFileName,
+                  item.title
+                )}
+                className={`w-full flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r ${activeType.color} text-white rounded-xl shadow-lg hover:shadow-xl hover:scale-105 shimmer-effect ripple-effect transition-all duration-300`}
+                type="button"
+              >
+                <Eye className="h-5 w-5" />
+                <span className="font-semibold">
+                  View {String(item.type ?? 'PDF').toUpperCase()}
+                </span>
+              </button>
+            </div>
+          ))}
+        </div>
 
-        {activeTab === 'practicals' && filteredPracticals.length === 0 && (
+        {/* Empty State */}
+        {filteredItems.length === 0 && (
           <div className="text-center py-16">
-            <Users className="h-16 w-16 mx-auto text-gray-400 dark:text-gray-600 mb-4" />
+            <ActiveIcon className="h-16 w-16 mx-auto text-gray-400 dark:text-gray-600 mb-4" />
             <h3 className="text-xl font-bold text-high-contrast mb-2">
-              No practicals available
+              No {activeType.label.toLowerCase()} available
             </h3>
             <p className="text-high-contrast opacity-70">
-              {searchTerm || dateFilter
+              {searchTerm || dateFilter || selectedUnit !== 'all' || Object.keys(facets).length > 0
                 ? 'Try adjusting your search criteria or filters.'
-                : 'Practical materials will appear here once they are uploaded by the admin.'}
+                : `${activeType.label} will appear here once they are uploaded by the admin.`}
             </p>
           </div>
         )}
@@ -403,6 +344,7 @@ const SubjectNotes: React.FC = () => {
         type={viewerState.type}
         unit={viewerState.unit}
         storedFileName={viewerState.storedFileName}
+        title={viewerState.title}
       />
     </div>
   );
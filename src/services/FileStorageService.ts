@@ -2,7 +2,7 @@
  * fileStorage.ts
  *
  * Client-side service for interacting with the file storage API.
- * - Supports uploads/downloads/listing/deleting of: notes, practice-tests, practicals, assignments
+ * - Supports uploads/downloads/listing/deleting of every resource type in resourceTypes.json
  * - Provides helpful logging and defensive error handling
  * - Exports `fileStorageService` singleton
  *
@@ -24,6 +24,8 @@
  * Adjust API paths if your backend differs.
  */
 
+import type { ResourceTypeId } from '../lib/resourceTypes';
+
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/api';
 
 /**
@@ -60,8 +62,7 @@ export interface FileUploadData {
   subject: string;
   unit?: string;
 
-  // MUST include 'assignments' to support the new feature
-  type: 'notes' | 'practice-tests' | 'practicals' | 'assignments';
+  type: ResourceTypeId;
 
   file: File;
 }
@@ -80,7 +81,7 @@ export interface StoredFile {
   uploadDate: string;
   subject: string;
   unit?: string;
-  type: 'notes' | 'practice-tests' | 'practicals' | 'assignments';
+  type: ResourceTypeId;
   filePath: string;
   fileType: 'pdf' | 'image';
 }
@@ -247,7 +248,7 @@ class FileStorageService {
 
   /**
    * Delete a file from the server.
-   * `type` can be 'notes' | 'practice-tests' | 'practicals' | 'assignments'
+   * `type` is a resource type id from resourceTypes.json
    * If the backend expects a unit in the path for notes, pass unit.
    */
   async deleteFile(subject: string, type: string, filename: string, unit?: string): Promise<boolean> {
@@ -1,13 +1,43 @@
 // src/services/api.ts
-const BASE_URL = "http://localhost:3000";
+import { solveChallenge } from '../lib/proofOfWork';
 
+const API_BASE = "http://localhost:3000";
 
-export async function postJSON(path: string, body: any) {
+/** The server turned the request away for a while (HTTP 429); `retryAfter` is in seconds. */
+export class RateLimitError extends Error {
+  retryAfter: number;
+
+  constructor(message: string, retryAfter: number) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+export interface Proof {
+  challenge: string;
+  solution: string;
+}
+
+export async function postJSON(path: string, body: any, headers: Record<string, string> = {}) {
   const res = await fetch(`${API_BASE}${path}`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...headers },
     body: JSON.stringify(body),
   });
-  return res.json();
+  const data = await res.json();
+  if (res.status === 429) {
+    const retryAfter = Number(res.headers.get('Retry-After')) || Number(data.retryAfter) || 60;
+    throw new RateLimitError(data.message || 'Too many attempts. Please try again later.', retryAfter);
+  }
+  return data;
 }
 
+// Public forms (login, register, forgot password) send a solved proof of work along;
+// undefined when the server has it turned off
+export async function getProof(): Promise<Proof | undefined> {
+  const res = await fetch(`${API_BASE}/api/challenge`);
+  const data = await res.json();
+  if (!data.enabled) return undefined;
+  return { challenge: data.challenge, solution: await solveChallenge(data.challenge, data.difficulty) };
+}
@@ -1,5 +1,13 @@
+import { supabase } from '../lib/supabaseClient';
+import { Sha256 } from '../lib/sha256';
+import type { ResourceMetadata, ResourceTypeId } from '../lib/resourceTypes';
+
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/api';
 
+// Large scanned volumes go up in 5 MB pieces; each failed piece is retried with backoff
+const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024;
+const UPLOAD_CHUNK_RETRIES = 3;
+
 // Utility to safely parse JSON or return raw
 const toJSON = async (res: Response) => {
   const text = await res.text();
@@ -15,10 +23,224 @@ export interface FileUploadData {
   description: string;
   subject: string;
   unit?: string;
-  type: 'notes' | 'practice-tests' | 'practicals';
+  type: ResourceTypeId;
+  // Values for the extra fields of the type (resourceTypes.json)
+  metadata?: ResourceMetadata;
   file: File;
 }
 
+export interface UploadProgress {
+  loaded: number;
+  total: number;
+  percent: number;
+}
+
+export interface ZipImportItem {
+  path: string;
+  status: 'imported' | 'skipped' | 'rejected';
+  reason?: string;
+  subject?: string;
+  type?: string;
+  unit?: string;
+  title?: string;
+  file?: StoredFile;
+}
+
+export interface ZipImportResult {
+  summary: { imported: number; skipped: number; rejected: number };
+  report: ZipImportItem[];
+}
+
+export interface ContentSearchHit {
+  page: number;
+  // Matches are wrapped in SEARCH_HIGHLIGHT_START / SEARCH_HIGHLIGHT_END
+  snippet: string;
+}
+
+export interface ContentSearchResult {
+  id: string;
+  title: string;
+  description: string;
+  subject: string;
+  unit: string;
+  type: StoredFile['type'];
+  fileName: string;
+  storedFileName: string;
+  fileType: 'pdf' | 'image';
+  score: number;
+  hits: ContentSearchHit[];
+}
+
+// Control characters the server puts around matched words in search snippets
+export const SEARCH_HIGHLIGHT_START = '\u0002';
+export const SEARCH_HIGHLIGHT_END = '\u0003';
+
+interface UploadSession {
+  uploadId: string;
+  chunkSize: number;
+  totalChunks: number;
+  receivedChunks: number[];
+  // Set instead of a session when the server linked an existing copy (onDuplicate: 'link')
+  linked?: boolean;
+  file?: StoredFile;
+  warning?: string;
+}
+
+export interface ResourceVersion {
+  version: number;
+  fileName: string;
+  fileSize: string;
+  sha256: string | null;
+  uploadedBy: string | null;
+  uploadedAt: string;
+  // Set when this version was created by rolling back to an earlier one
+  restoredFrom: number | null;
+  current: boolean;
+}
+
+// A deleted resource, unit or subject waiting in the server's trash
+export interface TrashItem {
+  id: string;
+  kind: 'resource' | 'unit' | 'subject';
+  // resource title, unit name or subject name
+  name: string;
+  subject: string;
+  type?: ResourceTypeId;
+  unit?: string;
+  fileName?: string;
+  resourceCount: number;
+  deletedBy: string | null;
+  deletedAt: string;
+  // null when the server keeps trash until it is purged by hand
+  purgeAt: string | null;
+}
+
+// One entry of the admin audit log, newest first
+export interface AuditEntry {
+  id: number;
+  at: string;
+  // null for things the server did on its own (e.g. expiring trash) or before sign-in (password reset requests)
+  actor: { id: string | null; email: string | null } | null;
+  // e.g. "resource.upload", "subject.delete", "user.update"
+  action: string;
+  target: { type: string; id: string | null; label: string | null };
+  before: Record<string, unknown> | null;
+  after: Record<string, unknown> | null;
+}
+
+export interface AuditFilters {
+  action?: string;
+  targetType?: string;
+  // part of the actor's email
+  actor?: string;
+  // part of the target's name
+  search?: string;
+  from?: string;
+  to?: string;
+}
+
+export interface AuditPage {
+  entries: AuditEntry[];
+  // pass back as `cursor` for the next (older) page; null on the last page
+  nextCursor: number | null;
+  // values seen in the log, for the filter dropdowns
+  actions: string[];
+  targetTypes: string[];
+}
+
+export type MailStatus = 'queued' | 'sending' | 'sent' | 'failed';
+
+// An email in the server's outbox (the body isn't sent to the client)
+export interface OutboxMail {
+  id: number;
+  createdAt: string;
+  to: string;
+  // "verify", "welcome", "reset", "passwordChanged" or "profileChanged"
+  template: string;
+  language: string;
+  subject: string;
+  status: MailStatus;
+  attempts: number;
+  // when a queued email will be tried next
+  nextAttemptAt: string | null;
+  lastError: string | null;
+  sentAt: string | null;
+}
+
+export interface MailPage {
+  messages: OutboxMail[];
+  nextCursor: number | null;
+  counts: Record<MailStatus, number>;
+}
+
+export interface UserProfileUpdate {
+  email: string;
+  full_name: string;
+}
+
+// A resource as listed in the change feed
+export type ChangedResource = Omit<StoredFile, 'filePath' | 'linked' | 'duplicateWarning'> & {
+  thumbnailUrl: string | null;
+};
+
+// Everything that changed on the server after a revision cursor
+export interface ResourceChanges {
+  cursor: number;
+  // true when this is a full listing that replaces everything the client has
+  reset: boolean;
+  subjects: { id: string; name: string; units: string[] }[];
+  deletedSubjects: string[];
+  resources: ChangedResource[];
+  deletedResources: string[];
+}
+
+// A resource with how often it was opened in the period asked for
+export type ResourceActivity = ChangedResource & {
+  views: number;
+  downloads: number;
+};
+
+// GET /api/admin/analytics
+export interface AnalyticsReport {
+  days: number;
+  top: ResourceActivity[];
+  viewsPerSubject: { day: string; subject: string; views: number }[];
+  // nobody opened these in the last `semesterDays` days
+  unopened: { total: number; resources: ChangedResource[] };
+  semesterDays: number;
+}
+
+// One event from the server's live stream (GET /api/events); resource/subject is null once deleted
+export interface LiveChange {
+  kind: 'resource' | 'subject';
+  action: 'created' | 'updated' | 'deleted';
+  id: string;
+  revision: number;
+  resource?: ChangedResource | null;
+  subject?: ResourceChanges['subjects'][number] | null;
+}
+
+// What to do when the server reports the file is already in the subject
+export interface DuplicateUploadOptions {
+  onDuplicate?: 'link' | 'allow';
+  // Which existing copy to link to (defaults to the oldest)
+  linkTo?: string;
+}
+
+/**
+ * Thrown by uploadFile when the same file (by SHA-256) is already in the subject.
+ * Retry with { onDuplicate: 'link' } to reuse the existing copy or 'allow' to store a second one.
+ */
+export class DuplicateUploadError extends Error {
+  duplicates: StoredFile[];
+
+  constructor(message: string, duplicates: StoredFile[]) {
+    super(message);
+    this.name = 'DuplicateUploadError';
+    this.duplicates = duplicates;
+  }
+}
+
 export interface StoredFile {
   id: string;
   title: string;
@@ -29,12 +251,25 @@ export interface StoredFile {
   uploadDate: string;
   subject: string;
   unit?: string;
-  type: 'notes' | 'practice-tests' | 'practicals';
+  type: ResourceTypeId;
   filePath: string;
   fileType: 'pdf' | 'image';
+  sha256?: string;
+  metadata?: ResourceMetadata;
+  // true when the server linked an existing copy instead of storing this upload
+  linked?: boolean;
+  // set when DUPLICATE_POLICY=warn let a duplicate through
+  duplicateWarning?: string;
 }
 
 class FileStorageService {
+  // Admin-only routes expect the current Supabase access token as a bearer token
+  private async authHeaders(): Promise<Record<string, string>> {
+    const { data } = await supabase.auth.getSession();
+    const token = data.session?.access_token;
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
   private async makeRequest(url: string, options: RequestInit = {}): Promise<Response> {
     try {
       const response = await fetch(url, {
@@ -74,6 +309,7 @@ class FileStorageService {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(await this.authHeaders()),
         },
         body: JSON.stringify({ name, units }),
       });
@@ -86,25 +322,196 @@ class FileStorageService {
     }
   }
 
-  async addUnit(subjectName: string, unitName: string): Promise<boolean> {
-    try {
-      const response = await this.makeRequest(`${API_BASE_URL}/subjects/${encodeURIComponent(subjectName)}/units`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ unitName }),
-      });
+  async addUnit(subjectName: string, unitName: string): Promise<void> {
+    await this.makeRequest(`${API_BASE_URL}/subjects/${encodeURIComponent(subjectName)}/units`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await this.authHeaders()),
+      },
+      body: JSON.stringify({ unitName }),
+    });
+  }
 
-      const result = await response.json();
-      return result.success;
-    } catch (error) {
-      console.error('Error adding unit:', error);
-      return false;
+  // Uses XHR instead of fetch so byte-level upload progress can be reported.
+  // Resolves with the response body.
+  private sendWithProgress(
+    method: string,
+    url: string,
+    body: Blob | FormData,
+    headers: Record<string, string>,
+    onUploadProgress: (loaded: number) => void
+  ): Promise<string> {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open(method, url);
+      Object.entries(headers).forEach(([key, value]) => xhr.setRequestHeader(key, value));
+
+      xhr.upload.onprogress = (event) => onUploadProgress(event.loaded);
+      xhr.onload = () => {
+        if (xhr.status >= 200 && xhr.status < 300) {
+          resolve(xhr.responseText);
+          return;
+        }
+        let errorMessage = `HTTP ${xhr.status}: ${xhr.statusText}`;
+        try {
+          errorMessage = JSON.parse(xhr.responseText).message || errorMessage;
+        } catch {
+          // Keep the status line
+        }
+        reject(new Error(errorMessage));
+      };
+      xhr.onerror = () => reject(new Error('Network error. Please check your internet connection.'));
+      xhr.send(body);
+    });
+  }
+
+  private async sha256Hex(blob: Blob): Promise<string> {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Whole-file hash read one chunk at a time, so a large volume never has to fit in memory
+  private async fileSha256Hex(file: File): Promise<string> {
+    const hash = new Sha256();
+    for (let start = 0; start < file.size; start += UPLOAD_CHUNK_SIZE) {
+      hash.update(new Uint8Array(await file.slice(start, start + UPLOAD_CHUNK_SIZE).arrayBuffer()));
+    }
+    return hash.hex();
+  }
+
+  // Upload endpoints answer 409 DUPLICATE_FILE with the existing copies; makeRequest would drop them
+  private async readUploadResponse(response: Response) {
+    const result = await toJSON(response);
+    if (response.status === 409 && result.code === 'DUPLICATE_FILE') {
+      throw new DuplicateUploadError(result.message, result.duplicates || []);
+    }
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    return result;
+  }
+
+  // Resumes an earlier upload of the same file if the server still has its session.
+  // `fields` are the catalog fields (or replaceId) sent along when a new session is opened.
+  private async openUploadSession(
+    file: File,
+    fields: Record<string, unknown>,
+    resumeKey: string
+  ): Promise<UploadSession> {
+    const savedId = localStorage.getItem(resumeKey);
+    if (savedId) {
+      try {
+        const response = await this.makeRequest(`${API_BASE_URL}/uploads/${encodeURIComponent(savedId)}`, {
+          headers: await this.authHeaders(),
+        });
+        const result = await response.json();
+        if (result.success) {
+          console.log(`Resuming upload ${savedId}: ${result.receivedChunks.length}/${result.totalChunks} chunks already on server`);
+          return result;
+        }
+      } catch {
+        console.log('Previous upload session expired, starting a new one');
+      }
+      localStorage.removeItem(resumeKey);
+    }
+
+    // Sending the whole-file hash lets the server spot a duplicate before any chunk is uploaded
+    const response = await fetch(`${API_BASE_URL}/uploads`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await this.authHeaders()),
+      },
+      body: JSON.stringify({
+        fileName: file.name,
+        fileSize: file.size,
+        mimeType: file.type,
+        chunkSize: UPLOAD_CHUNK_SIZE,
+        sha256: await this.fileSha256Hex(file),
+        ...fields,
+      }),
+    });
+    const result = await this.readUploadResponse(response);
+
+    if (!result.linked) {
+      localStorage.setItem(resumeKey, result.uploadId);
+    }
+    return result;
+  }
+
+  // Sends the chunks the server doesn't have yet, then asks it to assemble the file
+  private async sendChunksAndComplete(
+    file: File,
+    session: UploadSession,
+    resumeKey: string,
+    onProgress?: (progress: UploadProgress) => void
+  ) {
+    const total = file.size;
+    const received = new Set(session.receivedChunks);
+    const chunkBytes = (index: number) => Math.min(session.chunkSize, total - index * session.chunkSize);
+    let confirmed = session.receivedChunks.reduce((sum, index) => sum + chunkBytes(index), 0);
+    const report = (inFlight: number) => {
+      const loaded = Math.min(confirmed + inFlight, total);
+      onProgress?.({ loaded, total, percent: Math.round((loaded / total) * 100) });
+    };
+    report(0);
+
+    for (let index = 0; index < session.totalChunks; index++) {
+      if (received.has(index)) continue;
+
+      const start = index * session.chunkSize;
+      const chunk = file.slice(start, start + chunkBytes(index));
+      const headers = {
+        ...(await this.authHeaders()),
+        'Content-Type': 'application/octet-stream',
+        'X-Chunk-SHA256': await this.sha256Hex(chunk),
+      };
+      const url = `${API_BASE_URL}/uploads/${encodeURIComponent(session.uploadId)}/chunks/${index}`;
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await this.sendWithProgress('PUT', url, chunk, headers, report);
+          break;
+        } catch (error) {
+          if (attempt >= UPLOAD_CHUNK_RETRIES) throw error;
+          console.warn(`Chunk ${index} failed (attempt ${attempt}), retrying...`, error);
+          await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+        }
+      }
+
+      confirmed += chunk.size;
+      report(0);
+    }
+
+    const response = await fetch(`${API_BASE_URL}/uploads/${encodeURIComponent(session.uploadId)}/complete`, {
+      method: 'POST',
+      headers: await this.authHeaders(),
+    });
+
+    // The server discards the session on a duplicate or a file that failed screening, so don't try to resume it
+    if (response.status === 409 || response.status === 422) {
+      localStorage.removeItem(resumeKey);
     }
+    const result = await this.readUploadResponse(response);
+
+    localStorage.removeItem(resumeKey);
+    return result;
   }
 
-  async uploadFile(data: FileUploadData): Promise<StoredFile | null> {
+  /**
+   * Uploads a file in checksummed chunks. If the connection drops, calling
+   * uploadFile again with the same file resumes from the chunks the server
+   * already has. onProgress receives real byte counts.
+   *
+   * Throws DuplicateUploadError when the file is already in the subject; call
+   * again with options.onDuplicate to link the existing copy or upload anyway.
+   */
+  async uploadFile(
+    data: FileUploadData,
+    onProgress?: (progress: UploadProgress) => void,
+    options: DuplicateUploadOptions = {}
+  ): Promise<StoredFile | null> {
     try {
       // Validate file type
       const allowedTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png', 'image/gif'];
@@ -112,16 +519,6 @@ class FileStorageService {
         throw new Error('Only PDF and image files are allowed');
       }
 
-      const formData = new FormData();
-      formData.append('file', data.file);
-      formData.append('title', data.title.trim());
-      formData.append('description', data.description.trim());
-      formData.append('subject', data.subject.trim());
-      formData.append('type', data.type);
-      
-      // Always append unit, even if empty string
-      formData.append('unit', data.unit?.trim() || '');
-
       console.log('Uploading file:', {
         fileName: data.file.name,
         fileSize: data.file.size,
@@ -131,20 +528,41 @@ class FileStorageService {
         unit: data.unit
       });
 
-      const response = await this.makeRequest(`${API_BASE_URL}/upload`, {
-        method: 'POST',
-        body: formData,
-      });
-
-      const result = await response.json();
-      
-      if (result.success) {
-        console.log('File uploaded successfully:', result.file);
-        return result.file;
-      } else {
-        throw new Error(result.message || 'Upload failed');
+      const resumeKey = [
+        'sncop_upload',
+        data.type,
+        data.subject.trim(),
+        data.unit?.trim() || '',
+        data.file.name,
+        data.file.size,
+        data.file.lastModified,
+      ].join('|');
+      const session = await this.openUploadSession(data.file, {
+        title: data.title.trim(),
+        description: data.description.trim(),
+        subject: data.subject.trim(),
+        type: data.type,
+        unit: data.unit?.trim() || '',
+        metadata: data.metadata || {},
+        onDuplicate: options.onDuplicate || '',
+        linkTo: options.linkTo || '',
+      }, resumeKey);
+      if (session.linked && session.file) {
+        console.log('Linked to existing file:', session.file);
+        return { ...session.file, linked: true };
       }
+
+      const result = await this.sendChunksAndComplete(data.file, session, resumeKey, onProgress);
+      console.log('File uploaded successfully:', result.file);
+      return {
+        ...result.file,
+        linked: !!result.linked,
+        duplicateWarning: result.warning || session.warning,
+      };
     } catch (error) {
+      if (error instanceof DuplicateUploadError) {
+        throw error;
+      }
       console.error('Error uploading file:', error);
       
       // Provide more specific error messages
@@ -163,6 +581,78 @@ class FileStorageService {
     }
   }
 
+  /**
+   * Replaces the file behind catalog resource `resourceId`, keeping its id, title
+   * and location; the previous file stays in its version history. Resumable like uploadFile.
+   */
+  async replaceFile(
+    resourceId: string,
+    file: File,
+    onProgress?: (progress: UploadProgress) => void
+  ): Promise<{ file: StoredFile; version: number }> {
+    const resumeKey = ['sncop_replace', resourceId, file.name, file.size, file.lastModified].join('|');
+    const session = await this.openUploadSession(file, { replaceId: resourceId }, resumeKey);
+    const result = await this.sendChunksAndComplete(file, session, resumeKey, onProgress);
+    return { file: result.file, version: result.version };
+  }
+
+  async listVersions(resourceId: string): Promise<ResourceVersion[]> {
+    const response = await this.makeRequest(`${API_BASE_URL}/resources/${encodeURIComponent(resourceId)}/versions`, {
+      headers: await this.authHeaders(),
+    });
+    const result = await response.json();
+    return result.versions || [];
+  }
+
+  async restoreVersion(resourceId: string, version: number): Promise<{ file: StoredFile; version: number }> {
+    const response = await this.makeRequest(
+      `${API_BASE_URL}/resources/${encodeURIComponent(resourceId)}/versions/${version}/restore`,
+      {
+        method: 'POST',
+        headers: await this.authHeaders(),
+      }
+    );
+    const result = await response.json();
+    return { file: result.file, version: result.version };
+  }
+
+  // Version downloads are admin-only, so they are fetched with the session token rather than linked
+  async downloadVersion(resourceId: string, version: number): Promise<Blob> {
+    const response = await this.makeRequest(
+      `${API_BASE_URL}/resources/${encodeURIComponent(resourceId)}/versions/${version}/file`,
+      { headers: await this.authHeaders() }
+    );
+    return response.blob();
+  }
+
+  /**
+   * Uploads a ZIP laid out like the storage tree (Subject/notes/Unit 1/*.pdf,
+   * Subject/practicals/*.pdf, ...) and returns the server's per-file report.
+   * An optional manifest.csv (path,title,description) at the root sets titles.
+   */
+  async importZip(archive: File, onProgress?: (progress: UploadProgress) => void): Promise<ZipImportResult> {
+    const formData = new FormData();
+    formData.append('archive', archive);
+
+    const total = archive.size;
+    const responseText = await this.sendWithProgress(
+      'POST',
+      `${API_BASE_URL}/import/zip`,
+      formData,
+      await this.authHeaders(),
+      (loaded) => {
+        const capped = Math.min(loaded, total);
+        onProgress?.({ loaded: capped, total, percent: total ? Math.round((capped / total) * 100) : 100 });
+      }
+    );
+
+    const result = JSON.parse(responseText);
+    if (!result.success) {
+      throw new Error(result.message || 'Import failed');
+    }
+    return { summary: result.summary, report: result.report };
+  }
+
   async deleteFile(subject: string, type: string, filename: string, unit?: string): Promise<boolean> {
     try {
       let url = `${API_BASE_URL}/files/${encodeURIComponent(subject)}/${encodeURIComponent(type)}`;
@@ -175,6 +665,7 @@ class FileStorageService {
       
       const response = await this.makeRequest(url, {
         method: 'DELETE',
+        headers: await this.authHeaders(),
       });
 
       const result = await response.json();
@@ -203,14 +694,67 @@ class FileStorageService {
     }
   }
 
-  getFileUrl(subject: string, type: string, filename: string, unit?: string): string {
-    let url = `${API_BASE_URL}/files/${encodeURIComponent(subject)}/${encodeURIComponent(type)}`;
-    if (unit) {
-      url += `/${encodeURIComponent(unit)}`;
+  // Files are only served through signed links that expire; the server hands them to logged-in users.
+  // Opening the link counts as a view or a download in the server's analytics.
+  async getFileUrl(
+    subject: string,
+    type: string,
+    filename: string,
+    unit?: string,
+    purpose: 'view' | 'download' = 'view'
+  ): Promise<string> {
+    const response = await this.makeRequest(`${API_BASE_URL}/download-links`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await this.authHeaders()),
+      },
+      body: JSON.stringify({ subject, type, unit, filename, purpose }),
+    });
+    const result = await response.json();
+    return this.resolveApiUrl(result.url) as string;
+  }
+
+  // Server listings return paths like "/api/thumbnails/123"; point them at the configured API origin
+  resolveApiUrl(path?: string | null): string | undefined {
+    if (!path) return undefined;
+    return path.startsWith('/api/') ? `${API_BASE_URL}${path.slice('/api'.length)}` : path;
+  }
+
+  // Asks the server whether the current Supabase session belongs to an admin
+  async checkAdminSession(): Promise<boolean> {
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin/session`, {
+        headers: await this.authHeaders(),
+      });
+      if (!response.ok) return false;
+
+      const result = await response.json();
+      return !!result.success;
+    } catch (error) {
+      console.error('Error checking admin session:', error);
+      return false;
+    }
+  }
+
+  // Searches the text extracted from uploaded PDFs (and OCR'd images) on the server
+  async searchContent(
+    query: string,
+    options: { subject?: string; type?: StoredFile['type']; limit?: number } = {}
+  ): Promise<ContentSearchResult[]> {
+    try {
+      const params = new URLSearchParams({ q: query });
+      if (options.subject) params.set('subject', options.subject);
+      if (options.type) params.set('type', options.type);
+      if (options.limit) params.set('limit', String(options.limit));
+
+      const response = await this.makeRequest(`${API_BASE_URL}/search?${params.toString()}`);
+      const result = await response.json();
+      return result.success ? result.results : [];
+    } catch (error) {
+      console.error('Error searching file contents:', error);
+      return [];
     }
-    url += `/${encodeURIComponent(filename)}`;
-    console.log('Generated file URL:', url);
-    return url;
   }
 
   async checkServerHealth(): Promise<boolean> {
@@ -250,6 +794,7 @@ class FileStorageService {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(await this.authHeaders()),
         },
         body: JSON.stringify({ files }),
       });
@@ -292,12 +837,48 @@ class FileStorageService {
     }
   }
 
+  // Returns null when nothing changed since `since` (the server answers 304)
+  async fetchChanges(since: number): Promise<ResourceChanges | null> {
+    const response = await fetch(`${API_BASE_URL}/changes?since=${since}`, {
+      cache: 'no-store',
+      headers: since > 0 ? { 'If-None-Match': `W/"${since}"` } : {},
+    });
+    if (response.status === 304) return null;
+
+    const result = await toJSON(response);
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || `Change feed failed: ${response.status}`);
+    }
+    return result;
+  }
+
+  /**
+   * Opens the server's live event stream. `onConnected` runs on every (re)connect,
+   * when anything missed in between should be pulled with fetchChanges.
+   * Returns a function that closes the stream.
+   */
+  subscribeToChanges(handlers: { onConnected: () => void; onChange: (change: LiveChange) => void }): () => void {
+    const source = new EventSource(`${API_BASE_URL}/events`);
+    const forward = (kind: LiveChange['kind']) => (event: MessageEvent) => {
+      try {
+        handlers.onChange({ ...JSON.parse(event.data), kind });
+      } catch (error) {
+        console.error('Bad live event:', error);
+      }
+    };
+
+    source.addEventListener('hello', () => handlers.onConnected());
+    source.addEventListener('resource', forward('resource'));
+    source.addEventListener('subject', forward('subject'));
+    return () => source.close();
+  }
+
   async deleteSubject(subjectName: string): Promise<boolean> {
     const clean = subjectName.trim();
-    const url = `${API_BASE}/subjects/${encodeURIComponent(clean)}`;
+    const url = `${API_BASE_URL}/subjects/${encodeURIComponent(clean)}`;
     console.log('[fileStorage] DELETE subject URL:', url);
     try {
-      const res = await fetch(url, { method: 'DELETE' });
+      const res = await fetch(url, { method: 'DELETE', headers: await this.authHeaders() });
       const payload = await toJSON(res);
       console.log('[fileStorage] DELETE subject response:', payload);
       if (!res.ok) {
@@ -310,6 +891,180 @@ class FileStorageService {
       return false;
     }
   }
+
+  async renameSubject(oldName: string, newName: string): Promise<void> {
+    await this.makeRequest(`${API_BASE_URL}/subjects/${encodeURIComponent(oldName)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await this.authHeaders()),
+      },
+      body: JSON.stringify({ name: newName }),
+    });
+  }
+
+  async renameUnit(subjectName: string, oldUnit: string, newUnit: string): Promise<void> {
+    await this.makeRequest(
+      `${API_BASE_URL}/subjects/${encodeURIComponent(subjectName)}/units/${encodeURIComponent(oldUnit)}`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await this.authHeaders()),
+        },
+        body: JSON.stringify({ name: newUnit }),
+      }
+    );
+  }
+
+  // The unit's notes go to the trash
+  async deleteUnit(subjectName: string, unitName: string): Promise<void> {
+    await this.makeRequest(
+      `${API_BASE_URL}/subjects/${encodeURIComponent(subjectName)}/units/${encodeURIComponent(unitName)}`,
+      {
+        method: 'DELETE',
+        headers: await this.authHeaders(),
+      }
+    );
+  }
+
+  // Moves a resource to another subject (and unit, for notes); its id and stored file name stay the same
+  async moveResource(resourceId: string, subject: string, unit?: string): Promise<StoredFile> {
+    const response = await this.makeRequest(`${API_BASE_URL}/resources/${encodeURIComponent(resourceId)}/move`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await this.authHeaders()),
+      },
+      body: JSON.stringify({ subject, unit }),
+    });
+    const result = await response.json();
+    return result.file;
+  }
+
+  async listTrash(): Promise<{ items: TrashItem[]; retentionDays: number }> {
+    const response = await this.makeRequest(`${API_BASE_URL}/trash`, {
+      headers: await this.authHeaders(),
+    });
+    const result = await response.json();
+    return { items: result.items || [], retentionDays: result.retentionDays };
+  }
+
+  // Resolves with the server's message; rejects when the item can't go back yet (e.g. the subject exists again)
+  async restoreFromTrash(trashId: string): Promise<string> {
+    const response = await this.makeRequest(`${API_BASE_URL}/trash/${encodeURIComponent(trashId)}/restore`, {
+      method: 'POST',
+      headers: await this.authHeaders(),
+    });
+    const result = await response.json();
+    return result.message;
+  }
+
+  async purgeFromTrash(trashId: string): Promise<void> {
+    await this.makeRequest(`${API_BASE_URL}/trash/${encodeURIComponent(trashId)}`, {
+      method: 'DELETE',
+      headers: await this.authHeaders(),
+    });
+  }
+
+  async emptyTrash(): Promise<void> {
+    await this.makeRequest(`${API_BASE_URL}/trash`, {
+      method: 'DELETE',
+      headers: await this.authHeaders(),
+    });
+  }
+
+  async listAudit(filters: AuditFilters = {}, cursor?: number | null): Promise<AuditPage> {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    if (cursor) params.set('cursor', String(cursor));
+
+    const response = await this.makeRequest(`${API_BASE_URL}/audit?${params.toString()}`, {
+      headers: await this.authHeaders(),
+    });
+    const result = await response.json();
+    return {
+      entries: result.entries || [],
+      nextCursor: result.nextCursor ?? null,
+      actions: result.actions || [],
+      targetTypes: result.targetTypes || [],
+    };
+  }
+
+  // Profile edits go through the server so they show up in the audit log
+  async updateUser(userId: string, update: UserProfileUpdate): Promise<void> {
+    await this.makeRequest(`${API_BASE_URL}/admin/users/${encodeURIComponent(userId)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await this.authHeaders()),
+      },
+      body: JSON.stringify(update),
+    });
+  }
+
+  async deleteUser(userId: string): Promise<void> {
+    await this.makeRequest(`${API_BASE_URL}/admin/users/${encodeURIComponent(userId)}`, {
+      method: 'DELETE',
+      headers: await this.authHeaders(),
+    });
+  }
+
+  async listMail(status?: MailStatus, cursor?: number | null): Promise<MailPage> {
+    const params = new URLSearchParams();
+    if (status) params.set('status', status);
+    if (cursor) params.set('cursor', String(cursor));
+
+    const response = await this.makeRequest(`${API_BASE_URL}/admin/mail?${params.toString()}`, {
+      headers: await this.authHeaders(),
+    });
+    const result = await response.json();
+    return {
+      messages: result.messages || [],
+      nextCursor: result.nextCursor ?? null,
+      counts: result.counts || { queued: 0, sending: 0, sent: 0, failed: 0 },
+    };
+  }
+
+  async retryMail(mailId: number): Promise<OutboxMail> {
+    const response = await this.makeRequest(`${API_BASE_URL}/admin/mail/${mailId}/retry`, {
+      method: 'POST',
+      headers: await this.authHeaders(),
+    });
+    const result = await response.json();
+    return result.mail;
+  }
+
+  async getAnalytics(days = 30): Promise<AnalyticsReport> {
+    const response = await this.makeRequest(`${API_BASE_URL}/admin/analytics?days=${days}`, {
+      headers: await this.authHeaders(),
+    });
+    const result = await response.json();
+    return {
+      days: result.days,
+      top: result.top || [],
+      viewsPerSubject: result.viewsPerSubject || [],
+      unopened: {
+        total: result.unopened?.total ?? 0,
+        resources: result.unopened?.resources || [],
+      },
+      semesterDays: result.semesterDays,
+    };
+  }
+
+  // Most opened resources lately, for Home; works without logging in
+  async getTrending(days = 7, limit = 8): Promise<ResourceActivity[]> {
+    try {
+      const response = await this.makeRequest(`${API_BASE_URL}/trending?days=${days}&limit=${limit}`);
+      const result = await response.json();
+      return result.resources || [];
+    } catch (error) {
+      console.error('Error loading trending resources:', error);
+      return [];
+    }
+  }
 }
 
 export const fileStorageService = new FileStorageService();
@@ -0,0 +1,173 @@
+// src/services/offlineFiles.ts
+import { fileStorageService } from './fileStorage';
+import { fileKey } from '../lib/resourceLinks';
+import { formatFileSize } from '../lib/fileSize';
+
+// A server file saved on this device for reading without a connection
+export interface OfflineFile {
+  key: string;
+  type: string;
+  subject: string;
+  // '' for types without units
+  unit: string;
+  storedFileName: string;
+  title: string;
+  fileName: string;
+  fileType: 'pdf' | 'image';
+  size: number;
+  savedAt: string;
+}
+
+export type OfflineFileSource = Omit<OfflineFile, 'key' | 'size' | 'savedAt'>;
+
+export interface OfflineUsage {
+  // bytes used by saved files, and the most they may use
+  used: number;
+  budget: number;
+  // everything the site stores and what the browser allows it, when the browser says
+  siteUsage?: number;
+  siteQuota?: number;
+}
+
+// public/sw.js leaves this cache alone
+const CACHE_NAME = 'sncop-offline-files';
+// The list of saved files with their sizes; the bodies are in the cache
+const INDEX_KEY = 'sncop_offline_files';
+// Saved files use at most this much, or half of what the browser grants the site if that is less
+const MAX_BUDGET = 300 * 1024 * 1024;
+
+class OfflineFilesService {
+  private listeners = new Set<() => void>();
+
+  isSupported(): boolean {
+    return typeof window !== 'undefined' && 'caches' in window;
+  }
+
+  // Oldest first, the order files are evicted in
+  list(): OfflineFile[] {
+    const files: OfflineFile[] = JSON.parse(localStorage.getItem(INDEX_KEY) || '[]');
+    return files.sort((a, b) => a.savedAt.localeCompare(b.savedAt));
+  }
+
+  get(file: Parameters<typeof fileKey>[0]): OfflineFile | undefined {
+    const key = fileKey(file);
+    return this.list().find(saved => saved.key === key);
+  }
+
+  // Called after every save or removal
+  subscribe(listener: () => void): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  async usage(): Promise<OfflineUsage> {
+    const estimate = await navigator.storage?.estimate?.().catch(() => undefined);
+    return {
+      used: this.list().reduce((sum, file) => sum + file.size, 0),
+      budget: this.budgetFor(estimate?.quota),
+      siteUsage: estimate?.usage,
+      siteQuota: estimate?.quota
+    };
+  }
+
+  /**
+   * Downloads a file and keeps it on this device. Makes room by removing the
+   * oldest saved files first; returns the ones that were removed.
+   */
+  async save(source: OfflineFileSource): Promise<OfflineFile[]> {
+    if (!this.isSupported()) throw new Error('This browser cannot save files for offline use');
+
+    const url = await fileStorageService.getFileUrl(source.subject, source.type, source.storedFileName, source.unit || undefined, 'download');
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Download failed (HTTP ${response.status})`);
+    const blob = await response.blob();
+
+    const { budget } = await this.usage();
+    if (blob.size > budget) {
+      throw new Error(`This file (${formatFileSize(blob.size)}) is larger than the ${formatFileSize(budget)} kept for offline files`);
+    }
+
+    const key = fileKey(source);
+    const kept = this.list().filter(file => file.key !== key);
+    const evicted: OfflineFile[] = [];
+    let used = kept.reduce((sum, file) => sum + file.size, 0);
+    while (used + blob.size > budget && kept.length > 0) {
+      const oldest = kept.shift()!;
+      used -= oldest.size;
+      evicted.push(oldest);
+    }
+
+    const cache = await caches.open(CACHE_NAME);
+    await Promise.all(evicted.map(file => cache.delete(this.cacheUrl(file.key))));
+    await cache.put(this.cacheUrl(key), new Response(blob, {
+      headers: { 'Content-Type': blob.type || (source.fileType === 'pdf' ? 'application/pdf' : 'application/octet-stream') }
+    }));
+
+    this.writeIndex([...kept, { ...source, key, size: blob.size, savedAt: new Date().toISOString() }]);
+    // Ask the browser not to clear saved files when the device runs low on space
+    navigator.storage?.persist?.().catch(() => undefined);
+    return evicted;
+  }
+
+  async remove(key: string): Promise<void> {
+    if (this.isSupported()) {
+      const cache = await caches.open(CACHE_NAME);
+      await cache.delete(this.cacheUrl(key));
+    }
+    this.writeIndex(this.list().filter(file => file.key !== key));
+  }
+
+  // Removes the oldest saved files until at most `bytes` are used
+  async evictTo(bytes: number): Promise<OfflineFile[]> {
+    const files = this.list();
+    const evicted: OfflineFile[] = [];
+    let used = files.reduce((sum, file) => sum + file.size, 0);
+    for (const file of files) {
+      if (used <= bytes) break;
+      used -= file.size;
+      evicted.push(file);
+    }
+    if (evicted.length === 0) return evicted;
+
+    const cache = await caches.open(CACHE_NAME);
+    await Promise.all(evicted.map(file => cache.delete(this.cacheUrl(file.key))));
+    const removed = new Set(evicted.map(file => file.key));
+    this.writeIndex(files.filter(file => !removed.has(file.key)));
+    return evicted;
+  }
+
+  /**
+   * An object URL for a saved file (revoke it when done), or null when it
+   * isn't saved. A file the browser cleared from the cache is dropped from the list.
+   */
+  async objectUrl(file: Parameters<typeof fileKey>[0]): Promise<string | null> {
+    const saved = this.get(file);
+    if (!saved || !this.isSupported()) return null;
+
+    const cache = await caches.open(CACHE_NAME);
+    const response = await cache.match(this.cacheUrl(saved.key));
+    if (!response) {
+      this.writeIndex(this.list().filter(entry => entry.key !== saved.key));
+      return null;
+    }
+    return URL.createObjectURL(await response.blob());
+  }
+
+  private budgetFor(quota?: number): number {
+    return quota ? Math.min(MAX_BUDGET, Math.floor(quota / 2)) : MAX_BUDGET;
+  }
+
+  // Cache entries need a URL; this one is never requested from the network
+  private cacheUrl(key: string): string {
+    return `${window.location.origin}/offline-files/${encodeURIComponent(key)}`;
+  }
+
+  private writeIndex(files: OfflineFile[]) {
+    localStorage.setItem(INDEX_KEY, JSON.stringify(files));
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+export const offlineFiles = new OfflineFilesService();
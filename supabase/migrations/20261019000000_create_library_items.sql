@@ -0,0 +1,104 @@
+/*
+  # Create Library Items Table
+
+  ## Overview
+  Per-student bookmarks and "recently viewed" history for study material,
+  shown in the "My library" section of the Profile page.
+
+  ## New Tables
+
+  ### 1. `library_items`
+  - `id` (uuid, primary key) - Unique entry identifier
+  - `user_id` (uuid, foreign key) - References profiles.id
+  - `kind` (text) - 'bookmark' or 'viewed'
+  - `resource_key` (text) - "<type>/<subject>/<unit>/<stored file name>"
+  - `resource_type` (text) - Resource type id (notes, practicals, ...)
+  - `subject` (text) - Subject name
+  - `unit` (text) - Unit name, '' for types without units
+  - `stored_file_name` (text) - File name on the server
+  - `title` (text) - Resource title when the entry was saved
+  - `created_at` (timestamptz) - When the entry was first saved
+  - `opened_at` (timestamptz) - Last time the file was opened (viewed entries)
+
+  ## Keys
+  - Entries point at files by `resource_key` rather than the catalog id, which
+    the client's resource lists may regenerate on a full sync
+  - One entry per user, kind and file
+
+  ## Security
+  - Enable RLS
+  - Users can only access their own entries
+
+  ## Automatic Cleanup
+  - Only the 20 most recently opened 'viewed' entries are kept per user
+*/
+
+-- Create library_items table
+CREATE TABLE IF NOT EXISTS library_items (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  kind text NOT NULL CHECK (kind IN ('bookmark', 'viewed')),
+  resource_key text NOT NULL,
+  resource_type text NOT NULL,
+  subject text NOT NULL,
+  unit text NOT NULL DEFAULT '',
+  stored_file_name text NOT NULL,
+  title text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  opened_at timestamptz DEFAULT now(),
+  UNIQUE (user_id, kind, resource_key)
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_library_items_user_kind_opened_at ON library_items(user_id, kind, opened_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE library_items ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for library_items
+CREATE POLICY "Users can view own library items"
+  ON library_items FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own library items"
+  ON library_items FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own library items"
+  ON library_items FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own library items"
+  ON library_items FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+-- Function to keep only the 20 most recently opened files per user
+CREATE OR REPLACE FUNCTION trim_recently_viewed()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  DELETE FROM library_items
+  WHERE user_id = NEW.user_id
+    AND kind = 'viewed'
+    AND id NOT IN (
+      SELECT id FROM library_items
+      WHERE user_id = NEW.user_id AND kind = 'viewed'
+      ORDER BY opened_at DESC
+      LIMIT 20
+    );
+  RETURN NULL;
+END;
+$$;
+
+-- Trigger to trim history when a new file is opened
+CREATE TRIGGER trim_recently_viewed_on_insert
+  AFTER INSERT ON library_items
+  FOR EACH ROW
+  WHEN (NEW.kind = 'viewed')
+  EXECUTE FUNCTION trim_recently_viewed();